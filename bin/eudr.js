@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * `eudr` command-line entry point (see cli/index.js)
+ */
+
+const { run } = require('../cli');
+
+run(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+});
@@ -0,0 +1,432 @@
+/**
+ * EUDR Command-Line Interface
+ *
+ * Implementation of the `eudr` binary (bin/eudr.js), built on EudrClient.
+ * `run()` takes the arguments and the process streams, so the CLI can be
+ * driven from tests without spawning a process.
+ *
+ * Credentials and environment come from a profile file or from the same
+ * environment variables as the test suite (see env.example):
+ * - `--profile <name>` or EUDR_PROFILE selects a profile from the profile file
+ *   (EUDR_PROFILE_FILE, default ~/.eudr/profiles.json) and uses it alone
+ * - otherwise EUDR_TRACES_USERNAME, EUDR_TRACES_PASSWORD, EUDR_WEB_SERVICE_CLIENT_ID,
+ *   EUDR_TRACES_BASE_URL and EUDR_TRACES_TIMEOUT are used, with the `default`
+ *   profile as fallback when no username is set
+ *
+ * @example
+ * // ~/.eudr/profiles.json
+ * {
+ *   "default": { "username": "n00abcde", "password": "...", "webServiceClientId": "eudr-test" },
+ *   "production": { "username": "n00abcde", "password": "...", "webServiceClientId": "eudr-repository", "ssl": true }
+ * }
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EudrClient = require('../services/eudr-client');
+const { importDdsFromCsv, DEFAULT_DDS_COLUMN_MAPPING } = require('../utils/dds-importer');
+
+const DEFAULT_PROFILE_FILE = path.join(os.homedir(), '.eudr', 'profiles.json');
+const OUTPUT_FORMATS = ['table', 'json'];
+const BOOLEAN_OPTIONS = ['help', 'json', 'validate-only'];
+const SHORT_OPTIONS = { o: 'output', p: 'profile', h: 'help' };
+const MAX_CELL_WIDTH = 60;
+
+const USAGE = `Usage: eudr <command> [arguments] [options]
+
+Commands:
+  echo [message]                              Check connectivity and credentials
+  dds submit <request.json>                   Submit a DDS ({ operatorRole, statement, ... })
+  dds amend <uuid> <statement.json>           Amend an AVAILABLE DDS
+  dds withdraw <uuid>                         Withdraw a DDS
+  dds get --uuid <uuid[,uuid...]>             DDS overviews by UUID
+  dds get --internal-ref <reference>          DDS overviews by internal reference number
+  dds fetch --ref <reference> --verification <number>
+                                              Full DDS by reference and verification number
+  dds import <rows.csv> [--validate-only] [--mapping <mapping.json>] [--delimiter <char>]
+                                              Submit one DDS per internal reference number
+  sd submit <request.json>                    Submit a simplified declaration
+  sd update <sdIdentifier> <statement.json>   Update a simplified declaration
+  sd withdraw <sdIdentifier>                  Withdraw a simplified declaration
+  sd get --uuid <uuid[,uuid...]> | --internal-ref <reference>
+  sd fetch --ref <reference> --verification <number>
+  verify <reference> <verification>           Verify a declaration
+
+Options:
+  -p, --profile <name>     Profile from EUDR_PROFILE_FILE (default ~/.eudr/profiles.json)
+  -o, --output <format>    table (default) or json
+      --json               Same as --output json
+      --timeout <ms>       Request timeout
+  -h, --help               Show this help
+`;
+
+function usageError(message) {
+  const error = new Error(message);
+  error.usage = true;
+  return error;
+}
+
+/**
+ * Split arguments into positionals and options. Supports `--name value`,
+ * `--name=value`, `-o value` and the boolean flags in BOOLEAN_OPTIONS.
+ * @param {string[]} argv
+ * @returns {{positionals: string[], options: Object<string, string|boolean>}}
+ */
+function parseArguments(argv) {
+  const positionals = [];
+  const options = {};
+
+  for (let index = 0; index < argv.length; index++) {
+    const argument = argv[index];
+    const long = argument.match(/^--([\w-]+)(?:=([\s\S]*))?$/);
+    const short = argument.match(/^-(\w)$/);
+
+    if (!long && !short) {
+      positionals.push(argument);
+      continue;
+    }
+
+    const name = long ? long[1] : SHORT_OPTIONS[short[1]];
+    if (!name) {
+      throw usageError(`Unknown option ${argument}`);
+    }
+    if (BOOLEAN_OPTIONS.includes(name)) {
+      options[name] = true;
+    } else if (long && long[2] !== undefined) {
+      options[name] = long[2];
+    } else if (index + 1 < argv.length) {
+      options[name] = argv[++index];
+    } else {
+      throw usageError(`Option ${argument} requires a value`);
+    }
+  }
+
+  return { positionals, options };
+}
+
+/**
+ * @private
+ */
+function readProfile(name, env, required) {
+  const profileFile = env.EUDR_PROFILE_FILE || DEFAULT_PROFILE_FILE;
+  let profiles;
+  try {
+    profiles = JSON.parse(fs.readFileSync(profileFile, 'utf8'));
+  } catch (error) {
+    if (!required && error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Cannot read profile file ${profileFile}: ${error.message}`);
+  }
+  if (!profiles[name]) {
+    if (!required) {
+      return null;
+    }
+    throw new Error(`Profile '${name}' not found in ${profileFile}`);
+  }
+  return profiles[name];
+}
+
+/**
+ * Resolve the client configuration from the selected profile or the environment
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} env - Environment variables
+ * @returns {Object} { username, password, webServiceClientId, baseUrl, timeout, ssl }
+ */
+function resolveConfig(options, env) {
+  const profileName = options.profile || env.EUDR_PROFILE;
+  let config;
+
+  if (profileName) {
+    config = { ...readProfile(profileName, env, true) };
+  } else if (env.EUDR_TRACES_USERNAME) {
+    config = {
+      username: env.EUDR_TRACES_USERNAME,
+      password: env.EUDR_TRACES_PASSWORD,
+      webServiceClientId: env.EUDR_WEB_SERVICE_CLIENT_ID || 'eudr-test',
+      baseUrl: env.EUDR_TRACES_BASE_URL,
+      timeout: env.EUDR_TRACES_TIMEOUT ? parseInt(env.EUDR_TRACES_TIMEOUT, 10) : undefined
+    };
+  } else {
+    config = { ...readProfile('default', env, false) };
+  }
+
+  if (options.timeout !== undefined) {
+    config.timeout = parseInt(options.timeout, 10);
+    if (!Number.isInteger(config.timeout) || config.timeout <= 0) {
+      throw usageError('--timeout must be a positive number of milliseconds');
+    }
+  }
+
+  if (!config.username || !config.password) {
+    throw new Error('No credentials: set EUDR_TRACES_USERNAME and EUDR_TRACES_PASSWORD, or use --profile');
+  }
+  return config;
+}
+
+/**
+ * Build the EudrClient for a command. A `baseUrl` in the configuration
+ * overrides the endpoints derived from webServiceClientId.
+ * @param {Object} config - From resolveConfig
+ * @returns {EudrClient}
+ */
+function createClient(config) {
+  return new EudrClient(config);
+}
+
+function readJsonFile(file) {
+  if (!file) {
+    throw usageError('A JSON file argument is required');
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+// Amend/update files may hold the statement itself or a full request with `statement`
+function readStatementFile(file) {
+  const content = readJsonFile(file);
+  return content && content.statement ? content.statement : content;
+}
+
+function requireArgument(value, name) {
+  if (!value) {
+    throw usageError(`Missing ${name}`);
+  }
+  return value;
+}
+
+function splitList(value) {
+  return String(value).split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Drop transport details (raw XML, parsed envelope, batches) from a client result
+ */
+function presentResult(result) {
+  const { raw, parsed, batches, httpStatus, ...rest } = result;
+  return rest;
+}
+
+/**
+ * Commands for one declaration kind. Each returns { data, rows, exitCode }: `data`
+ * is printed as JSON, `rows` (array or object) as a table; exitCode defaults to 0.
+ * @private
+ */
+function declarationCommands(kind) {
+  const isDds = kind === 'dds';
+  const infoKey = isDds ? 'ddsInfo' : 'sdInfo';
+  const writer = isDds ? 'submission' : 'sd';
+  const reader = isDds ? 'retrieval' : 'sd';
+
+  const overview = (result) => {
+    const data = presentResult(result);
+    return { data, rows: data[infoKey] || [] };
+  };
+  const single = (result) => {
+    const data = presentResult(result);
+    return { data, rows: data };
+  };
+
+  const commands = {
+    submit: async ({ positionals }, client) => {
+      const request = readJsonFile(positionals[0]);
+      return single(await client(writer)[isDds ? 'submitDds' : 'submitSd'](request));
+    },
+    withdraw: async ({ positionals }, client) => {
+      const identifier = requireArgument(positionals[0], isDds ? '<uuid>' : '<sdIdentifier>');
+      return single(await client(writer)[isDds ? 'withdrawDds' : 'withdrawSd'](identifier));
+    },
+    get: async ({ options }, client) => {
+      if (options.uuid) {
+        return overview(await client(reader)[isDds ? 'getDds' : 'getSd'](splitList(options.uuid)));
+      }
+      if (options['internal-ref']) {
+        const method = isDds ? 'getDdsByInternalReference' : 'getSdByInternalReference';
+        return overview(await client(reader)[method](options['internal-ref']));
+      }
+      throw usageError(`${kind} get requires --uuid or --internal-ref`);
+    },
+    fetch: async ({ options }, client) => {
+      const reference = requireArgument(options.ref, '--ref');
+      const verification = requireArgument(options.verification, '--verification');
+      const method = isDds ? 'getDdsByIdentifiers' : 'getSdByIdentifiers';
+      const data = presentResult(await client(reader)[method](reference, verification));
+      return { data, rows: data.statement || {} };
+    }
+  };
+
+  commands[isDds ? 'amend' : 'update'] = async ({ positionals }, client) => {
+    const identifier = requireArgument(positionals[0], isDds ? '<uuid>' : '<sdIdentifier>');
+    const statement = readStatementFile(positionals[1]);
+    return single(await client(writer)[isDds ? 'amendDds' : 'updateSd'](identifier, statement));
+  };
+
+  if (isDds) {
+    // Exit code 1 when any declaration was invalid or failed, the per-row report is printed either way
+    commands.import = async ({ positionals, options }, client) => {
+      const file = requireArgument(positionals[0], '<rows.csv>');
+      let text;
+      try {
+        text = fs.readFileSync(file, 'utf8');
+      } catch (error) {
+        throw new Error(`Cannot read ${file}: ${error.message}`);
+      }
+      const mapping = options.mapping
+        ? { ...DEFAULT_DDS_COLUMN_MAPPING, ...readJsonFile(options.mapping) }
+        : DEFAULT_DDS_COLUMN_MAPPING;
+      const validateOnly = Boolean(options['validate-only']);
+      const report = await importDdsFromCsv(text, {
+        mapping,
+        delimiter: options.delimiter,
+        validateOnly,
+        client: validateOnly ? undefined : client('submission')
+      });
+      const data = {
+        summary: report.summary,
+        rows: report.rows.map(({ key, ...row }) => row)
+      };
+      return { data, rows: data.rows, exitCode: report.summary.invalid + report.summary.failed > 0 ? 1 : 0 };
+    };
+  }
+
+  return commands;
+}
+
+const COMMANDS = {
+  echo: async ({ positionals }, client) => {
+    const result = await client('echo').echo(positionals[0] || 'eudr-cli');
+    return { data: { status: result.status }, rows: { status: result.status } };
+  },
+  dds: declarationCommands('dds'),
+  sd: declarationCommands('sd'),
+  verify: async ({ positionals }, client) => {
+    const reference = requireArgument(positionals[0], '<reference>');
+    const verification = requireArgument(positionals[1], '<verification>');
+    const data = presentResult(await client('verification').verifyDeclaration(reference, verification));
+    return { data, rows: data };
+  }
+};
+
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > MAX_CELL_WIDTH ? `${text.slice(0, MAX_CELL_WIDTH - 1)}…` : text;
+}
+
+/**
+ * Render rows as a plain-text table. An array becomes one line per item with a
+ * column per key; a single object becomes a field/value table.
+ * @param {Object[]|Object} rows
+ * @returns {string}
+ */
+function formatTable(rows) {
+  const records = Array.isArray(rows)
+    ? rows
+    : Object.entries(rows || {}).map(([field, value]) => ({ field, value }));
+  if (records.length === 0) {
+    return '(no results)\n';
+  }
+
+  const columns = [...new Set(records.flatMap((record) => Object.keys(record)))];
+  const cells = records.map((record) => columns.map((column) => formatCell(record[column])));
+  const widths = columns.map((column, index) => Math.max(column.length, ...cells.map((row) => row[index].length)));
+  const line = (values) => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+
+  return [
+    line(columns),
+    line(widths.map((width) => '-'.repeat(width))),
+    ...cells.map(line)
+  ].join('\n') + '\n';
+}
+
+/**
+ * @private
+ */
+function describeError(error) {
+  return {
+    message: error.message,
+    httpStatus: error.httpStatus,
+    eudrErrorCode: error.eudrErrorCode,
+    eudrErrors: error.eudrErrors && error.eudrErrors.length > 0 ? error.eudrErrors : undefined
+  };
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without node and the script path
+ * @param {Object} [io]
+ * @param {Object} [io.env=process.env]
+ * @param {stream.Writable} [io.stdout=process.stdout]
+ * @param {stream.Writable} [io.stderr=process.stderr]
+ * @returns {Promise<number>} Exit code: 0 success, 1 failed call, 2 usage error
+ */
+async function run(argv, io = {}) {
+  const env = io.env || process.env;
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  let output = 'table';
+
+  try {
+    const { positionals, options } = parseArguments(argv);
+    output = options.json ? 'json' : (options.output || 'table');
+    if (!OUTPUT_FORMATS.includes(output)) {
+      output = 'table';
+      throw usageError(`Invalid --output '${options.output}'. Allowed: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    const [commandName, ...rest] = positionals;
+    if (options.help || !commandName) {
+      stdout.write(USAGE);
+      return options.help ? 0 : 2;
+    }
+
+    let command = COMMANDS[commandName];
+    let args = rest;
+    if (command && typeof command === 'object') {
+      command = command[rest[0]];
+      args = rest.slice(1);
+    }
+    if (typeof command !== 'function') {
+      throw usageError(`Unknown command: ${positionals.slice(0, 2).join(' ')}`);
+    }
+
+    const eudr = createClient(resolveConfig(options, env));
+    try {
+      const { data, rows, exitCode = 0 } = await command({ positionals: args, options }, (kind) => eudr.clients[kind]);
+      stdout.write(output === 'json' ? `${JSON.stringify(data, null, 2)}\n` : formatTable(rows));
+      return exitCode;
+    } finally {
+      eudr.close();
+    }
+  } catch (error) {
+    if (output === 'json') {
+      stderr.write(`${JSON.stringify({ error: describeError(error) }, null, 2)}\n`);
+    } else {
+      stderr.write(`Error: ${error.message}\n`);
+      for (const item of error.eudrErrors || []) {
+        stderr.write(`  ${item.code}: ${item.message}${item.field ? ` (${item.field})` : ''}\n`);
+      }
+      if (error.usage) {
+        stderr.write('Run "eudr --help" for usage.\n');
+      }
+    }
+    return error.usage ? 2 : 1;
+  }
+}
+
+module.exports = {
+  run,
+  parseArguments,
+  resolveConfig,
+  createClient,
+  formatTable,
+  COMMANDS,
+  USAGE,
+  DEFAULT_PROFILE_FILE
+};
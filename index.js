@@ -1,5 +1,5 @@
-const { EudrEchoClient, EudrRetrievalClient, EudrRetrievalClientV2, EudrSubmissionClient, EudrSubmissionClientV2, EudrSubmissionClientV3, EudrRetrievalClientV3, EudrSimplifiedDeclarationClientV3, EudrVerifyDeclarationClientV3 } = require('./services');
-const { EudrErrorHandler, logger, createLogger, createChildLogger, endpointUtils } = require('./utils');
+const { EudrEchoClient, EudrRetrievalClient, EudrRetrievalClientV2, EudrSubmissionClient, EudrSubmissionClientV2, EudrSubmissionClientV3, EudrRetrievalClientV3, EudrSimplifiedDeclarationClientV3, EudrVerifyDeclarationClientV3, EudrSoapClientBaseV3, EudrClient } = require('./services');
+const { EudrErrorHandler, logger, createLogger, createChildLogger, endpointUtils, geojsonUtils, geometryValidator, unitsValidator, schemaConstraints, retryPolicy, rateLimiter, batchUtils, statusPoller, statusLifecycle, cassette, ddsImporter, submissionJournal, statementBuilder, legacyMigration, responseModels, httpAgent, proxy, clockSkew, credentials } = require('./utils');
 
 module.exports = {
   EudrEchoClient,
@@ -11,9 +11,43 @@ module.exports = {
   EudrRetrievalClientV3,
   EudrSimplifiedDeclarationClientV3,
   EudrVerifyDeclarationClientV3,
+  EudrSoapClientBaseV3,
+  EudrClient,
   EudrErrorHandler,
   logger,
   createLogger,
   createChildLogger,
-  config: endpointUtils
+  config: endpointUtils,
+  geojson: geojsonUtils,
+  geometryValidator,
+  unitsValidator,
+  schemaConstraints,
+  retryPolicy,
+  rateLimiter,
+  EudrRateLimiter: rateLimiter.EudrRateLimiter,
+  batchUtils,
+  statusPoller,
+  statusLifecycle,
+  EUDR_STATUS: statusLifecycle.EUDR_STATUS,
+  cassette,
+  EudrCassette: cassette.EudrCassette,
+  ddsImporter,
+  importDdsFromCsv: ddsImporter.importDdsFromCsv,
+  submissionJournal,
+  EudrSubmissionJournal: submissionJournal.EudrSubmissionJournal,
+  FileJournalStore: submissionJournal.FileJournalStore,
+  MemoryJournalStore: submissionJournal.MemoryJournalStore,
+  statementBuilder,
+  DdsBuilder: statementBuilder.DdsBuilder,
+  SdBuilder: statementBuilder.SdBuilder,
+  legacyMigration,
+  migrateV2RequestToV3: legacyMigration.migrateV2RequestToV3,
+  responseModels,
+  httpAgent,
+  createHttpsAgent: httpAgent.createHttpsAgent,
+  proxy,
+  clockSkew,
+  EudrClockSkewTracker: clockSkew.EudrClockSkewTracker,
+  credentials,
+  EudrCredentialProvider: credentials.EudrCredentialProvider
 };
\ No newline at end of file
@@ -8,53 +8,54 @@
  * This class centralizes shared config/bootstrap logic for both facades.
  */
 
-const axios = require('axios');
-const crypto = require('node:crypto');
-const https = require('https');
-const { v4: uuidv4 } = require('uuid');
 const { parseString } = require('xml2js');
+const EudrSoapClientBaseV3 = require('./soap-client-base-v3');
 const EudrErrorHandler = require('../utils/error-handler');
-const { logger } = require('../utils/logger');
-const { validateAndGenerateEndpoint } = require('../utils/endpoint-utils');
+const { attachDecodedGeojson } = require('../utils/geojson-utils');
+const { renderDdsStatementXml, renderDdsSubmitBodyXml } = require('../utils/statement-xml');
+const { validateStatementGeometry } = require('../utils/geometry-validator');
+const { validateUnitsOfMeasure } = require('../utils/units-validator');
+const { validateDdsRequest, validateDdsStatement, enforceSchemaViolations } = require('../utils/schema-constraints');
+const { resolveBatchSize, chunkList, mergeOverviewBatches } = require('../utils/batch-utils');
+const { pollOverviewStatus } = require('../utils/status-poller');
+const { precheckOperationStatus } = require('../utils/status-lifecycle');
+const { toDdsStatementModel } = require('../utils/response-models');
 
 const DDS_V3_NAMESPACE = 'http://ec.europa.eu/tracesnt/certificate/eudr/due-diligence-statement/v3';
 
-class EudrDueDiligenceStatementServiceV3Transport {
+class EudrDueDiligenceStatementServiceV3Transport extends EudrSoapClientBaseV3 {
   /**
+   * Connection, TLS, proxy, clock and credential options shared by the V3 clients are
+   * described on the EudrSoapClientBaseV3 constructor.
    * @param {Object} config
    * @param {string} [config.endpoint]
-   * @param {string} config.username
-   * @param {string} config.password
+   * @param {string} [config.username] - Required unless config.credentials is given
+   * @param {string} [config.password] - Required unless config.credentials is given
    * @param {string} config.webServiceClientId
    * @param {number} [config.timestampValidity=60]
    * @param {number} [config.timeout=10000]
-   * @param {boolean} [config.ssl=false]
+   * @param {Function} [config.httpTransport] - Replaces the default axios transport (see EudrSoapClientBaseV3)
+   * @param {Object} [config.interceptors] - { request: Function[], response: Function[] }
+   * @param {Object|boolean} [config.retry] - Retry policy overrides (see utils/retry-policy.js), or false to disable
+   * @param {EudrRateLimiter|boolean} [config.rateLimiter] - Limiter shared with other clients, or true for the process-wide EUDR default
+   * @param {EudrCassette|Object} [config.cassette] - Record or replay the SOAP traffic (see utils/cassette.js)
+   * @param {Object} [config.logger] - Pino-compatible logger for this client; the package logger by default
+   * @param {string} [config.geometryValidation='strict'] - Client-side geometryGeojson checks: 'strict', 'warn' or 'off'
+   * @param {string} [config.unitsValidation='strict'] - Client-side units-of-measure checks: 'strict', 'warn' or 'off'
+   * @param {string} [config.schemaValidation='strict'] - Client-side V3 schema (length/pattern/type) checks: 'strict', 'warn' or 'off'
    */
   constructor(config) {
-    const validatedConfig = validateAndGenerateEndpoint(config, 'submission', 'v3');
-
-    this.config = {
-      timestampValidity: 60,
-      timeout: 10000,
-      ssl: false,
-      ...validatedConfig
-    };
-
-    this.validateConfig();
-    this.endpoint = this.config.endpoint;
-  }
-
-  /**
-   * Validate mandatory fields for V3 client bootstrap.
-   */
-  validateConfig() {
-    const requiredFields = ['endpoint', 'username', 'password', 'webServiceClientId'];
-
-    for (const field of requiredFields) {
-      if (!this.config[field]) {
-        throw new Error(`Missing required configuration: ${field}`);
-      }
-    }
+    super(config, {
+      name: 'submission',
+      namespacePrefix: 'dds',
+      namespaceUri: DDS_V3_NAMESPACE,
+      defaults: {
+        geometryValidation: 'strict',
+        unitsValidation: 'strict',
+        schemaValidation: 'strict'
+      },
+      idempotentOperations: ['getDds', 'getDdsByInternalReference', 'getDdsByIdentifiers']
+    });
   }
 
   /**
@@ -77,325 +78,17 @@ class EudrDueDiligenceStatementServiceV3Transport {
     return `${DDS_V3_NAMESPACE}/${operationName}`;
   }
 
-  generateNonce() {
-    const nonceBytes = crypto.randomBytes(16);
-
-    return {
-      bytes: nonceBytes,
-      base64: nonceBytes.toString('base64')
-    };
-  }
-
-  getCurrentTimestamp() {
-    return new Date().toISOString();
-  }
-
-  getExpirationTimestamp(validityInSeconds) {
-    const expirationDate = new Date();
-    expirationDate.setSeconds(expirationDate.getSeconds() + validityInSeconds);
-    return expirationDate.toISOString();
-  }
-
-  generatePasswordDigest(nonce, created, password) {
-    const concatenated = Buffer.concat([
-      nonce,
-      Buffer.from(created),
-      Buffer.from(password)
-    ]);
-
-    return crypto.createHash('sha1').update(concatenated).digest('base64');
-  }
-
-  escapeXml(value) {
-    return String(value)
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&apos;');
-  }
-
-  createSecurityHeaderXml() {
-    const nonce = this.generateNonce();
-    const created = this.getCurrentTimestamp();
-    const expires = this.getExpirationTimestamp(this.config.timestampValidity);
-    const passwordDigest = this.generatePasswordDigest(nonce.bytes, created, this.config.password);
-    const timestampId = `TS-${uuidv4()}`;
-    const usernameTokenId = `UsernameToken-${uuidv4()}`;
-
-    return `
-        <wsse:Security xmlns:wsse="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-secext-1.0.xsd"
-                       xmlns:wsu="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-utility-1.0.xsd"
-                       soapenv:mustUnderstand="1">
-            <wsu:Timestamp wsu:Id="${timestampId}">
-                <wsu:Created>${created}</wsu:Created>
-                <wsu:Expires>${expires}</wsu:Expires>
-            </wsu:Timestamp>
-            <wsse:UsernameToken wsu:Id="${usernameTokenId}">
-                <wsse:Username>${this.escapeXml(this.config.username)}</wsse:Username>
-                <wsse:Password Type="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-username-token-profile-1.0#PasswordDigest">${passwordDigest}</wsse:Password>
-                <wsse:Nonce EncodingType="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-soap-message-security-1.0#Base64Binary">${nonce.base64}</wsse:Nonce>
-                <wsu:Created>${created}</wsu:Created>
-            </wsse:UsernameToken>
-        </wsse:Security>
-        <v4:WebServiceClientId>${this.escapeXml(this.config.webServiceClientId)}</v4:WebServiceClientId>`;
-  }
-
-  createSoapEnvelope(bodyXml) {
-    return `<?xml version="1.0" encoding="UTF-8"?>
-<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
-                  xmlns:v4="http://ec.europa.eu/sanco/tracesnt/base/v4"
-                  xmlns:dds="http://ec.europa.eu/tracesnt/certificate/eudr/due-diligence-statement/v3"
-                  xmlns:eudrCommon="http://ec.europa.eu/tracesnt/certificate/eudr/common/v3">
-    <soapenv:Header>
-${this.createSecurityHeaderXml()}
-    </soapenv:Header>
-    <soapenv:Body>
-${bodyXml}
-    </soapenv:Body>
-</soapenv:Envelope>`;
-  }
-
   /**
-   * Build an EconomicOperatorIdentificationType element body (used for representedOperator).
-   * Per the V3 schema: operatorReferenceNumber is a structured {identifierType, identifierValue}
-   * pair, operatorAddress is a structured AddressType, and operatorName is mandatory.
+   * Content of a DDS statement element (see utils/statement-xml.js)
+   * @param {Object} statement
+   * @returns {string}
    */
-  generateEconomicOperatorXml(operator) {
-    if (!operator.operatorName) {
-      throw new Error('representedOperator.operatorName is required');
-    }
-
-    let xml = '';
-
-    if (operator.operatorReferenceNumber) {
-      const ref = operator.operatorReferenceNumber;
-      if (!ref.identifierType || !ref.identifierValue) {
-        throw new Error('representedOperator.operatorReferenceNumber requires identifierType and identifierValue');
-      }
-      xml += '<eudrCommon:operatorReferenceNumber>';
-      xml += `<eudrCommon:identifierType>${this.escapeXml(ref.identifierType)}</eudrCommon:identifierType>`;
-      xml += `<eudrCommon:identifierValue>${this.escapeXml(ref.identifierValue)}</eudrCommon:identifierValue>`;
-      xml += '</eudrCommon:operatorReferenceNumber>';
-    }
-
-    if (operator.operatorAddress) {
-      const address = operator.operatorAddress;
-      if (!address.country || !address.street || !address.postalCode || !address.city) {
-        throw new Error('representedOperator.operatorAddress requires country, street, postalCode and city');
-      }
-      xml += '<eudrCommon:operatorAddress>';
-      xml += `<eudrCommon:country>${this.escapeXml(address.country)}</eudrCommon:country>`;
-      xml += `<eudrCommon:street>${this.escapeXml(address.street)}</eudrCommon:street>`;
-      xml += `<eudrCommon:postalCode>${this.escapeXml(address.postalCode)}</eudrCommon:postalCode>`;
-      xml += `<eudrCommon:city>${this.escapeXml(address.city)}</eudrCommon:city>`;
-      if (address.fullAddress) {
-        xml += `<eudrCommon:fullAddress>${this.escapeXml(address.fullAddress)}</eudrCommon:fullAddress>`;
-      }
-      xml += '</eudrCommon:operatorAddress>';
-    }
-
-    if (operator.operatorEmail) {
-      xml += `<eudrCommon:operatorEmail>${this.escapeXml(operator.operatorEmail)}</eudrCommon:operatorEmail>`;
-    }
-
-    if (operator.operatorPhone) {
-      xml += `<eudrCommon:operatorPhone>${this.escapeXml(operator.operatorPhone)}</eudrCommon:operatorPhone>`;
-    }
-
-    xml += `<eudrCommon:operatorName>${this.escapeXml(operator.operatorName)}</eudrCommon:operatorName>`;
-
-    return xml;
-  }
-
   generateStatementXml(statement) {
-    let xml = '';
-
-    if (statement.internalReferenceNumber !== undefined) {
-      xml += `<dds:internalReferenceNumber>${this.escapeXml(statement.internalReferenceNumber)}</dds:internalReferenceNumber>`;
-    }
-
-    if (!statement.activityType) {
-      throw new Error('statement.activityType is required for V3 operations');
-    }
-    if (statement.activityType === 'TRADE') {
-      const error = new Error(
-        "V3 DDS does not support activityType 'TRADE'. Only DOMESTIC, IMPORT, EXPORT are allowed."
-      );
-      error.eudrErrorCode = 'EUDR_V3_ACTIVITY_TYPE_TRADE_NOT_SUPPORTED';
-      error.eudrSpecific = true;
-      throw error;
-    }
-    if (!['DOMESTIC', 'IMPORT', 'EXPORT'].includes(statement.activityType)) {
-      const error = new Error(
-        `Invalid activityType '${statement.activityType}'. V3 only allows: DOMESTIC, IMPORT, EXPORT.`
-      );
-      error.eudrErrorCode = 'EUDR_V3_ACTIVITY_TYPE_INVALID';
-      error.eudrSpecific = true;
-      throw error;
-    }
-    xml += `<dds:activityType>${this.escapeXml(statement.activityType)}</dds:activityType>`;
-
-    if (statement.representedOperator) {
-      xml += `<dds:representedOperator>${this.generateEconomicOperatorXml(statement.representedOperator)}</dds:representedOperator>`;
-    }
-
-    if (statement.countryOfActivity) {
-      xml += `<dds:countryOfActivity>${this.escapeXml(statement.countryOfActivity)}</dds:countryOfActivity>`;
-    }
-
-    if (statement.borderCrossCountry) {
-      xml += `<dds:borderCrossCountry>${this.escapeXml(statement.borderCrossCountry)}</dds:borderCrossCountry>`;
-    }
-
-    if (statement.comment) {
-      xml += `<dds:comment>${this.escapeXml(statement.comment)}</dds:comment>`;
-    }
-
-    if (!statement.commodities) {
-      throw new Error('statement.commodities is required for V3 operations');
-    }
-
-    const commodities = Array.isArray(statement.commodities) ? statement.commodities : [statement.commodities];
-    for (const commodity of commodities) {
-      xml += '<dds:commodities>';
-      xml += this.generateCommodityXml(commodity);
-      xml += '</dds:commodities>';
-    }
-
-    xml += `<dds:geoLocationConfidential>${statement.geoLocationConfidential === true ? 'true' : 'false'}</dds:geoLocationConfidential>`;
-
-    if (statement.associatedStatements !== undefined) {
-      const error = new Error(
-        "V3 does not use 'associatedStatements'. Use 'groupedDeclarations' instead (an array of { groupedDeclaration: referenceNumber }). " +
-        'Note: V3 grouping semantics differ from V1/V2 referenced statements — grouped declarations receive GROUPED status and cannot be individually amended/withdrawn.'
-      );
-      error.eudrErrorCode = 'EUDR_V3_LEGACY_ASSOCIATED_STATEMENTS_FIELD';
-      error.eudrSpecific = true;
-      throw error;
-    }
-
-    if (statement.groupedDeclarations) {
-      const groupedDeclarations = Array.isArray(statement.groupedDeclarations)
-        ? statement.groupedDeclarations
-        : [statement.groupedDeclarations];
-
-      for (const grouped of groupedDeclarations) {
-        const groupedValue = grouped.groupedDeclaration || grouped.referenceNumber || grouped;
-        xml += '<dds:groupedDeclarations>';
-        xml += `<eudrCommon:groupedDeclaration>${this.escapeXml(groupedValue)}</eudrCommon:groupedDeclaration>`;
-        xml += '</dds:groupedDeclarations>';
-      }
-    }
-
-    return xml;
-  }
-
-  generateCommodityXml(commodity) {
-    let xml = '';
-
-    if (commodity.position !== undefined) {
-      xml += `<dds:position>${this.escapeXml(commodity.position)}</dds:position>`;
-    }
-
-    if (commodity.descriptors) {
-      xml += '<dds:descriptors>';
-      if (commodity.descriptors.descriptionOfGoods) {
-        xml += `<eudrCommon:descriptionOfGoods>${this.escapeXml(commodity.descriptors.descriptionOfGoods)}</eudrCommon:descriptionOfGoods>`;
-      }
-      if (commodity.descriptors.goodsMeasure) {
-        const measure = commodity.descriptors.goodsMeasure;
-        xml += '<eudrCommon:goodsMeasure>';
-        if (measure.percentageEstimationOrDeviation !== undefined) {
-          xml += `<eudrCommon:percentageEstimationOrDeviation>${this.escapeXml(measure.percentageEstimationOrDeviation)}</eudrCommon:percentageEstimationOrDeviation>`;
-        }
-        if (measure.netWeight !== undefined) {
-          xml += `<eudrCommon:netWeight>${this.escapeXml(measure.netWeight)}</eudrCommon:netWeight>`;
-        }
-        if (measure.supplementaryUnit !== undefined) {
-          xml += `<eudrCommon:supplementaryUnit>${this.escapeXml(measure.supplementaryUnit)}</eudrCommon:supplementaryUnit>`;
-        }
-        if (measure.supplementaryUnitQualifier) {
-          xml += `<eudrCommon:supplementaryUnitQualifier>${this.escapeXml(measure.supplementaryUnitQualifier)}</eudrCommon:supplementaryUnitQualifier>`;
-        }
-        xml += '</eudrCommon:goodsMeasure>';
-      }
-      xml += '</dds:descriptors>';
-    }
-
-    if (commodity.hsHeading) {
-      xml += `<dds:hsHeading>${this.escapeXml(commodity.hsHeading)}</dds:hsHeading>`;
-    }
-
-    if (commodity.speciesInfo) {
-      const species = Array.isArray(commodity.speciesInfo) ? commodity.speciesInfo : [commodity.speciesInfo];
-      for (const speciesItem of species) {
-        xml += '<dds:speciesInfo>';
-        if (speciesItem.scientificName) {
-          xml += `<dds:scientificName>${this.escapeXml(speciesItem.scientificName)}</dds:scientificName>`;
-        }
-        if (speciesItem.commonName) {
-          xml += `<dds:commonName>${this.escapeXml(speciesItem.commonName)}</dds:commonName>`;
-        }
-        xml += '</dds:speciesInfo>';
-      }
-    }
-
-    if (commodity.producers) {
-      const producers = Array.isArray(commodity.producers) ? commodity.producers : [commodity.producers];
-      for (const producer of producers) {
-        xml += '<dds:producers>';
-        if (producer.position !== undefined) {
-          xml += `<dds:position>${this.escapeXml(producer.position)}</dds:position>`;
-        }
-        if (producer.country) {
-          xml += `<dds:country>${this.escapeXml(producer.country)}</dds:country>`;
-        }
-        if (producer.name) {
-          xml += `<dds:name>${this.escapeXml(producer.name)}</dds:name>`;
-        }
-        if (producer.geometryGeojson) {
-          xml += `<dds:geometryGeojson>${this.escapeXml(producer.geometryGeojson)}</dds:geometryGeojson>`;
-        }
-        xml += '</dds:producers>';
-      }
-    }
-
-    return xml;
+    return renderDdsStatementXml(statement);
   }
 
   createSubmitSoapEnvelope(request) {
-    if (!request || !request.statement) {
-      throw new Error('submitDds requires request.statement');
-    }
-    if (request.operatorType !== undefined) {
-      const error = new Error(
-        "V3 does not use 'operatorType'. Use 'operatorRole' instead, with one of: OPERATOR, REPRESENTATIVE_OPERATOR."
-      );
-      error.eudrErrorCode = 'EUDR_V3_LEGACY_OPERATOR_TYPE_FIELD';
-      error.eudrSpecific = true;
-      throw error;
-    }
-    if (!request.operatorRole) {
-      throw new Error('submitDds requires operatorRole (V3)');
-    }
-    if (!['OPERATOR', 'REPRESENTATIVE_OPERATOR'].includes(request.operatorRole)) {
-      const error = new Error(
-        `Invalid operatorRole '${request.operatorRole}'. V3 only allows: OPERATOR, REPRESENTATIVE_OPERATOR.`
-      );
-      error.eudrErrorCode = 'EUDR_V3_OPERATOR_ROLE_INVALID';
-      error.eudrSpecific = true;
-      throw error;
-    }
-
-    const bodyXml = `        <dds:SubmitDdsRequest>
-            <dds:operatorRole>${this.escapeXml(request.operatorRole)}</dds:operatorRole>
-            <dds:statement>
-                ${this.generateStatementXml(request.statement)}
-            </dds:statement>
-        </dds:SubmitDdsRequest>`;
-
-    return this.createSoapEnvelope(bodyXml);
+    return this.createSoapEnvelope(renderDdsSubmitBodyXml(request));
   }
 
   createAmendSoapEnvelope(uuid, statement) {
@@ -607,8 +300,10 @@ ${bodyXml}
   /**
    * Parser for getDdsByIdentifiers, which returns the full DDS statement
    * (DueDiligenceStatementBaseType) rather than a ddsOverviewList.
+   * Each producer's Base64 geometryGeojson is also exposed decoded as geometryGeojsonDecoded;
+   * with options.typed the statement is mapped onto the request model instead (see utils/response-models).
    */
-  parseStatementResponse(xmlResponse) {
+  parseStatementResponse(xmlResponse, options = {}) {
     return new Promise((resolve, reject) => {
       parseString(xmlResponse, { explicitArray: false }, (err, result) => {
         if (err) {
@@ -622,12 +317,12 @@ ${bodyXml}
           const responseKey = Object.keys(body).find((key) => key.endsWith(':GetDdsByIdentifiersResponse'));
           const response = responseKey ? body[responseKey] : null;
           const statementKey = response ? Object.keys(response).find((key) => key.endsWith(':statement')) : null;
-          const rawStatement = statementKey ? response[statementKey] : null;
+          const statement = statementKey ? this.normalizeStatement(response[statementKey]) : null;
 
           resolve({
             raw: xmlResponse,
             parsed: result,
-            statement: rawStatement ? this.normalizeStatement(rawStatement) : null
+            statement: statement && (options.typed ? toDdsStatementModel(statement) : attachDecodedGeojson(statement))
           });
         } catch (error) {
           reject(new Error(`Failed to extract V3 getDdsByIdentifiers payload: ${error.message}`));
@@ -636,27 +331,14 @@ ${bodyXml}
     });
   }
 
-  async sendSoapRequest(soapEnvelope, soapAction) {
-    return axios({
-      method: 'post',
-      url: this.config.endpoint,
-      headers: {
-        'Content-Type': 'text/xml;charset=UTF-8',
-        SOAPAction: soapAction
-      },
-      data: soapEnvelope,
-      timeout: this.config.timeout,
-      httpsAgent: new https.Agent({
-        rejectUnauthorized: this.config.ssl
-      })
-    });
-  }
-
   async submitDds(request, options = {}) {
     try {
-      const soapEnvelope = this.createSubmitSoapEnvelope(request);
-      const response = await this.sendSoapRequest(
-        soapEnvelope,
+      enforceSchemaViolations(validateDdsRequest(request), { mode: this.config.schemaValidation });
+      validateUnitsOfMeasure(request && request.statement, { mode: this.config.unitsValidation });
+      validateStatementGeometry(request && request.statement, { mode: this.config.geometryValidation });
+      const response = await this.sendWithRetry(
+        'submitDds',
+        () => this.createSubmitSoapEnvelope(request),
         this.soapActionFor('submitDds')
       );
 
@@ -674,16 +356,28 @@ ${bodyXml}
         ...parsedResponse
       };
     } catch (error) {
-      logger.debug({ error }, 'Error in V3 submitDds');
-      throw EudrErrorHandler.handleError(error);
+      this.logger.debug({ error }, 'Error in V3 submitDds');
+      throw EudrErrorHandler.handleError(error, { credentials: this.credentials });
     }
   }
 
+  /**
+   * @param {string} uuid
+   * @param {Object} statement
+   * @param {Object} [options]
+   * @param {boolean} [options.rawResponse=false]
+   * @param {string} [options.currentStatus] - Known lifecycle status; rejects the call client-side unless AVAILABLE
+   * @param {boolean} [options.precheckStatus=false] - Look the status up with getDds first and apply the same rule
+   */
   async amendDds(uuid, statement, options = {}) {
+    await precheckOperationStatus('amend', uuid, options, (id) => this.fetchOverviewItem(id));
     try {
-      const soapEnvelope = this.createAmendSoapEnvelope(uuid, statement);
-      const response = await this.sendSoapRequest(
-        soapEnvelope,
+      enforceSchemaViolations(validateDdsStatement(statement), { mode: this.config.schemaValidation });
+      validateUnitsOfMeasure(statement, { mode: this.config.unitsValidation });
+      validateStatementGeometry(statement, { mode: this.config.geometryValidation });
+      const response = await this.sendWithRetry(
+        'amendDds',
+        () => this.createAmendSoapEnvelope(uuid, statement),
         this.soapActionFor('amendDds')
       );
 
@@ -702,16 +396,24 @@ ${bodyXml}
         ...parsedResponse
       };
     } catch (error) {
-      logger.debug({ error }, 'Error in V3 amendDds');
-      throw EudrErrorHandler.handleError(error);
+      this.logger.debug({ error }, 'Error in V3 amendDds');
+      throw EudrErrorHandler.handleError(error, { credentials: this.credentials });
     }
   }
 
+  /**
+   * @param {string} uuid
+   * @param {Object} [options]
+   * @param {boolean} [options.rawResponse=false]
+   * @param {string} [options.currentStatus] - Known lifecycle status; rejects the call client-side unless SUBMITTED or AVAILABLE
+   * @param {boolean} [options.precheckStatus=false] - Look the status up with getDds first and apply the same rule
+   */
   async withdrawDds(uuid, options = {}) {
+    await precheckOperationStatus('withdraw', uuid, options, (id) => this.fetchOverviewItem(id));
     try {
-      const soapEnvelope = this.createWithdrawSoapEnvelope(uuid);
-      const response = await this.sendSoapRequest(
-        soapEnvelope,
+      const response = await this.sendWithRetry(
+        'withdrawDds',
+        () => this.createWithdrawSoapEnvelope(uuid),
         this.soapActionFor('withdrawDds')
       );
 
@@ -730,15 +432,35 @@ ${bodyXml}
         ...parsedResponse
       };
     } catch (error) {
-      logger.debug({ error }, 'Error in V3 withdrawDds');
-      throw EudrErrorHandler.handleError(error);
+      this.logger.debug({ error }, 'Error in V3 withdrawDds');
+      throw EudrErrorHandler.handleError(error, { credentials: this.credentials });
     }
   }
 
+  /**
+   * Retrieve DDS overviews by UUID. Lists longer than `options.batchSize` (max and
+   * default 100, the API limit per call) are split into sequential calls, each going
+   * through the retry policy and rate limiter, and merged in input order.
+   * @param {string|string[]} uuids
+   * @param {Object} [options]
+   * @param {boolean} [options.rawResponse=false] - When batched, `data` is an array with one XML string per call
+   * @param {number} [options.batchSize=100]
+   * @returns {Promise<Object>} { httpStatus, status, raw, parsed, ddsInfo, notFound }; batched results
+   *   carry `batches` ({ uuids, httpStatus, raw, parsed } per call) instead of `raw`/`parsed`
+   */
   async getDds(uuids, options = {}) {
+    const uuidList = Array.isArray(uuids) ? uuids : [uuids];
+    const batchSize = resolveBatchSize(options.batchSize);
+    if (uuidList.length > batchSize) {
+      return this.getDdsInBatches(uuidList, batchSize, options);
+    }
+
     try {
-      const soapEnvelope = this.createGetDdsSoapEnvelope(uuids);
-      const response = await this.sendSoapRequest(soapEnvelope, this.soapActionFor('getDds'));
+      const response = await this.sendWithRetry(
+        'getDds',
+        () => this.createGetDdsSoapEnvelope(uuids),
+        this.soapActionFor('getDds')
+      );
 
       if (options.rawResponse) {
         return {
@@ -752,18 +474,82 @@ ${bodyXml}
       return {
         httpStatus: response.status,
         status: response.status,
-        ...parsedResponse
+        ...parsedResponse,
+        notFound: mergeOverviewBatches(uuidList, [parsedResponse.ddsInfo]).notFound
       };
     } catch (error) {
-      logger.debug({ error }, 'Error in V3 getDds');
-      throw EudrErrorHandler.handleError(error);
+      this.logger.debug({ error }, 'Error in V3 getDds');
+      throw EudrErrorHandler.handleError(error, { credentials: this.credentials });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async getDdsInBatches(uuidList, batchSize, options) {
+    const batches = chunkList(uuidList, batchSize);
+    const results = [];
+
+    for (const [index, batch] of batches.entries()) {
+      this.logger.debug({ batch: index + 1, of: batches.length, size: batch.length }, 'V3 getDds batch');
+      results.push(await this.getDds(batch, { ...options, batchSize }));
+    }
+
+    const last = results[results.length - 1];
+    if (options.rawResponse) {
+      return {
+        httpStatus: last.httpStatus,
+        status: last.status,
+        data: results.map((result) => result.data)
+      };
     }
+
+    const { info, notFound } = mergeOverviewBatches(uuidList, results.map((result) => result.ddsInfo));
+    return {
+      httpStatus: last.httpStatus,
+      status: last.status,
+      ddsInfo: info,
+      notFound,
+      batches: results.map((result, index) => ({
+        uuids: batches[index],
+        httpStatus: result.httpStatus,
+        raw: result.raw,
+        parsed: result.parsed
+      }))
+    };
+  }
+
+  /**
+   * Poll getDds until a submitted DDS reaches one of `targetStatuses`. By default the
+   * first check happens after 30 minutes, as the API reference recommends.
+   * @param {string} uuid - As returned by submitDds
+   * @param {Object} [options]
+   * @param {string[]} [options.targetStatuses] - Defaults to every status past SUBMITTED
+   * @param {number} [options.minInitialDelay=1800000] - ms before the first check
+   * @param {number} [options.interval=300000] - ms between checks
+   * @param {number} [options.timeout=7200000] - ms from the call until EUDR_STATUS_WAIT_TIMEOUT
+   * @returns {Promise<Object>} The final ddsInfo item, including rejectionReason and communicationToOperator
+   */
+  async waitForStatus(uuid, options = {}) {
+    return pollOverviewStatus((id) => this.fetchOverviewItem(id), uuid, options, 'waitForStatus');
+  }
+
+  /**
+   * @private
+   * @returns {Promise<Object|undefined>} The ddsInfo item of a single DDS
+   */
+  async fetchOverviewItem(uuid) {
+    const result = await this.getDds(uuid);
+    return result.ddsInfo[0];
   }
 
   async getDdsByInternalReference(internalReferenceNumber, options = {}) {
     try {
-      const soapEnvelope = this.createGetDdsByInternalReferenceSoapEnvelope(internalReferenceNumber);
-      const response = await this.sendSoapRequest(soapEnvelope, this.soapActionFor('getDdsByInternalReference'));
+      const response = await this.sendWithRetry(
+        'getDdsByInternalReference',
+        () => this.createGetDdsByInternalReferenceSoapEnvelope(internalReferenceNumber),
+        this.soapActionFor('getDdsByInternalReference')
+      );
 
       if (options.rawResponse) {
         return {
@@ -780,15 +566,18 @@ ${bodyXml}
         ...parsedResponse
       };
     } catch (error) {
-      logger.debug({ error }, 'Error in V3 getDdsByInternalReference');
-      throw EudrErrorHandler.handleError(error);
+      this.logger.debug({ error }, 'Error in V3 getDdsByInternalReference');
+      throw EudrErrorHandler.handleError(error, { credentials: this.credentials });
     }
   }
 
   async getDdsByIdentifiers(referenceNumber, verificationNumber, options = {}) {
     try {
-      const soapEnvelope = this.createGetDdsByIdentifiersSoapEnvelope(referenceNumber, verificationNumber);
-      const response = await this.sendSoapRequest(soapEnvelope, this.soapActionFor('getDdsByIdentifiers'));
+      const response = await this.sendWithRetry(
+        'getDdsByIdentifiers',
+        () => this.createGetDdsByIdentifiersSoapEnvelope(referenceNumber, verificationNumber),
+        this.soapActionFor('getDdsByIdentifiers')
+      );
 
       if (options.rawResponse) {
         return {
@@ -798,15 +587,15 @@ ${bodyXml}
         };
       }
 
-      const parsedResponse = await this.parseStatementResponse(response.data);
+      const parsedResponse = await this.parseStatementResponse(response.data, options);
       return {
         httpStatus: response.status,
         status: response.status,
         ...parsedResponse
       };
     } catch (error) {
-      logger.debug({ error }, 'Error in V3 getDdsByIdentifiers');
-      throw EudrErrorHandler.handleError(error);
+      this.logger.debug({ error }, 'Error in V3 getDdsByIdentifiers');
+      throw EudrErrorHandler.handleError(error, { credentials: this.credentials });
     }
   }
 }
@@ -15,6 +15,11 @@ const crypto = require('node:crypto');
 const { v4: uuidv4 } = require('uuid');
 const { parseString } = require('xml2js');
 const { validateAndGenerateEndpoint } = require('../utils/endpoint-utils');
+const { resolveCassette } = require('../utils/cassette');
+const { createHttpsAgent } = require('../utils/http-agent');
+const { resolveClockSkewTracker, correctedNow } = require('../utils/clock-skew');
+const { resolveCredentialProvider } = require('../utils/credentials');
+const { logger } = require('../utils/logger');
 
 /**
  * EUDR Echo Service Client class
@@ -24,12 +29,25 @@ class EudrEchoClient {
    * Create a new EUDR Echo Service client
    * @param {Object} config - Configuration object
    * @param {string} [config.endpoint] - Service endpoint URL (optional for standard webServiceClientId: 'eudr-repository', 'eudr-test')
-   * @param {string} config.username - Authentication username
-   * @param {string} config.password - Authentication password
+   * @param {string} [config.username] - Authentication username; required unless config.credentials is given
+   * @param {string} [config.password] - Authentication password; required unless config.credentials is given
+   * @param {EudrCredentialProvider|Function} [config.credentials] - Source of username and password, fetched before
+   *   each request and refreshed after an UnauthenticatedException (see utils/credentials.js)
    * @param {string} config.webServiceClientId - Client ID ('eudr-repository', 'eudr-test', or custom)
    * @param {number} [config.timestampValidity=60] - Timestamp validity in seconds
    * @param {number} [config.timeout=10000] - Request timeout in milliseconds
-   * @param {boolean} [config.ssl=false] - SSL configuration: true for secure (default), false to allow unauthorized certificates
+   * @param {boolean} [config.ssl] - Deprecated boolean form of config.tls.rejectUnauthorized; false skips certificate verification
+   * @param {Object} [config.tls] - { rejectUnauthorized, ca, cert, key, pfx, passphrase, minVersion, pinnedPublicKeys }
+   *   (see utils/http-agent.js); certificates are verified by default
+   * @param {string|Object|boolean} [config.proxy] - HTTP(S) proxy for CONNECT tunnelling (see utils/proxy.js);
+   *   HTTPS_PROXY / NO_PROXY from the environment when omitted, none when false
+   * @param {EudrClockSkewTracker|boolean} [config.clockSkew] - Server clock offset tracker for the WS-Security
+   *   timestamps (see utils/clock-skew.js); the process-wide one by default, false to use the local clock as is
+   * @param {EudrCassette|Object} [config.cassette] - Record or replay the SOAP traffic (see utils/cassette.js)
+   * @param {https.Agent} [config.httpsAgent] - Agent for every request (e.g. shared between clients); a pooled
+   *   keep-alive agent owned by this client otherwise
+   * @param {Object} [config.agentOptions] - { maxSockets, maxFreeSockets, idleTimeout, keepAlive } for the owned agent
+   * @param {Object} [config.logger] - Pino-compatible logger for this client; the package logger by default
    * 
    * @example
    * // Automatic endpoint generation for standard client IDs
@@ -56,12 +74,40 @@ class EudrEchoClient {
       // Default configuration
       timestampValidity: 60, // 1 minute as per requirements
       timeout: 10000, // 10 seconds timeout
-      ssl: false, // Default to insecure for backward compatibility
       ...validatedConfig // Override with validated config (includes endpoint)
     };
 
     // Validate required configuration
     this.validateConfig();
+    this.credentials = resolveCredentialProvider(this.config);
+    this.logger = this.config.logger || logger;
+
+    // Opt-in record/replay of the SOAP traffic
+    this.cassette = resolveCassette(this.config.cassette);
+    this.httpRequest = this.cassette ? this.cassette.wrapTransport(axios) : axios;
+
+    // Timestamps follow the server clock as measured from response Date headers
+    this.clockSkew = resolveClockSkewTracker(this.config.clockSkew);
+
+    // Pooled keep-alive agent unless the caller shares one
+    this.ownsAgent = !this.config.httpsAgent;
+    this.httpsAgent = this.config.httpsAgent || createHttpsAgent({
+      ...this.config.agentOptions,
+      ssl: this.config.ssl,
+      tls: this.config.tls,
+      proxy: this.config.proxy,
+      logger: this.logger
+    });
+  }
+
+  /**
+   * Close the pooled sockets of the agent this client created. An agent passed
+   * in config.httpsAgent belongs to the caller and is left alone.
+   */
+  close() {
+    if (this.ownsAgent) {
+      this.httpsAgent.destroy();
+    }
   }
 
   /**
@@ -70,7 +116,8 @@ class EudrEchoClient {
    * @throws {Error} If required configuration is missing
    */
   validateConfig() {
-    const requiredFields = ['endpoint', 'username', 'password', 'webServiceClientId'];
+    // username and password are checked with the credentials
+    const requiredFields = ['endpoint', 'webServiceClientId'];
     for (const field of requiredFields) {
       if (!this.config[field]) {
         throw new Error(`Missing required configuration: ${field}`);
@@ -102,7 +149,7 @@ class EudrEchoClient {
    * @returns {string} Current timestamp in ISO format
    */
   getCurrentTimestamp() {
-    return new Date().toISOString();
+    return new Date(this.now()).toISOString();
   }
 
   /**
@@ -112,9 +159,16 @@ class EudrEchoClient {
    * @returns {string} Expiration timestamp in ISO format
    */
   getExpirationTimestamp(validityInSeconds) {
-    const expirationDate = new Date();
-    expirationDate.setSeconds(expirationDate.getSeconds() + validityInSeconds);
-    return expirationDate.toISOString();
+    return new Date(this.now() + validityInSeconds * 1000).toISOString();
+  }
+
+  /**
+   * Current time in epoch milliseconds, corrected by the measured server clock offset
+   * @private
+   * @returns {number}
+   */
+  now() {
+    return correctedNow(this.clockSkew, this.config.endpoint);
   }
 
   /**
@@ -148,10 +202,11 @@ class EudrEchoClient {
    */
   createSoapEnvelope(message) {
     // Generate required values for security header
+    const { username, password } = this.credentials.current();
     const nonce = this.generateNonce();
     const created = this.getCurrentTimestamp();
     const expires = this.getExpirationTimestamp(this.config.timestampValidity);
-    const passwordDigest = this.generatePasswordDigest(nonce.bytes, created, this.config.password);
+    const passwordDigest = this.generatePasswordDigest(nonce.bytes, created, password);
 
     // Generate unique IDs for the security elements
     const timestampId = `TS-${uuidv4()}`;
@@ -172,7 +227,7 @@ class EudrEchoClient {
         <wsu:Expires>${expires}</wsu:Expires>
       </wsu:Timestamp>
       <wsse:UsernameToken wsu:Id="${usernameTokenId}">
-        <wsse:Username>${this.config.username}</wsse:Username>
+        <wsse:Username>${username}</wsse:Username>
         <wsse:Password Type="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-username-token-profile-1.0#PasswordDigest">${passwordDigest}</wsse:Password>
         <wsse:Nonce EncodingType="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-soap-message-security-1.0#Base64Binary">${nonce.base64}</wsse:Nonce>
         <wsu:Created>${created}</wsu:Created>
@@ -238,12 +293,20 @@ class EudrEchoClient {
    * @returns {Promise<Object>} Response object with status and raw XML
    */
   async echo(message, options = {}) {
+    const observed = { timestampValidity: this.config.timestampValidity, logger: this.logger };
+    let sent = null;
+
     try {
+      await this.credentials.get();
+
+      // The envelope is stamped with the offset current at this point
+      sent = this.clockSkew && this.clockSkew.startRequest(this.config.endpoint);
+
       // Create SOAP envelope
       const soapEnvelope = this.createSoapEnvelope(message);
 
       // Send the request
-      const response = await axios({
+      const response = await this.httpRequest({
         method: 'post',
         url: this.config.endpoint,
         headers: {
@@ -253,11 +316,12 @@ class EudrEchoClient {
         
         data: soapEnvelope,
         timeout: this.config.timeout,
-        httpsAgent: new (require('https').Agent)({
-          rejectUnauthorized: this.config.ssl
-        })
+        httpsAgent: this.httpsAgent,
+        proxy: false
       });
-
+      if (sent) {
+        this.clockSkew.observe(this.config.endpoint, response, sent, observed);
+      }
 
       // Return raw response if requested
       if (options.rawResponse) {
@@ -286,10 +350,11 @@ class EudrEchoClient {
         ...parsedResponse
       };
     } catch (error) {
-
+      // A rejected timestamp is reported as such when the server clock is too far off
+      const skewError = sent && error.response ? this.clockSkew.observe(this.config.endpoint, error.response, sent, { ...observed, cause: error }) : null;
 
       // Create a more structured error response with proper property order
-      const errorResponse = new Error(error.message);
+      const errorResponse = new Error(skewError ? skewError.message : error.message);
       
       // Set properties in desired order: httpStatus, error, code, details
       errorResponse.httpStatus = error.response?.status || 500;
@@ -317,6 +382,8 @@ class EudrEchoClient {
           code = 'UNAUTHENTICATED';
           details.status = 401;
           details.statusText = 'Invalid credentials';
+          // The key may have been rotated: fetch the credentials again for the next request
+          this.credentials.invalidate();
         }
 
       } else if (error.request) {
@@ -324,6 +391,11 @@ class EudrEchoClient {
         details = {
           request: 'Request sent but no response received'
         };
+      } else {
+        // Failed before sending, e.g. the credential provider
+        details = {
+          setupError: error.message || 'Error in request setup'
+        };
       }
 
       // Set code and details in correct order
@@ -331,6 +403,16 @@ class EudrEchoClient {
         errorResponse.code = code;
       }
       errorResponse.details = details;
+      if (skewError) {
+        errorResponse.eudrErrorCode = skewError.eudrErrorCode;
+        errorResponse.clockSkewMs = skewError.clockSkewMs;
+      } else if (error.eudrSpecific) {
+        errorResponse.eudrSpecific = true;
+        errorResponse.eudrErrorCode = error.eudrErrorCode;
+        if (error.field !== undefined) {
+          errorResponse.field = error.field;
+        }
+      }
 
       throw errorResponse;
     }
@@ -0,0 +1,237 @@
+/**
+ * EUDR Client
+ *
+ * One entry point for the V3 services and Echo. Credentials are checked and the
+ * endpoints derived once; the underlying clients share that configuration, one
+ * keep-alive HTTPS agent, one logger and one rate limiter.
+ *
+ * @example
+ * const eudr = new EudrClient({ username, password, webServiceClientId: 'eudr-test' });
+ *
+ * const { uuid } = await eudr.dds.submit(request);
+ * const { ddsInfo } = await eudr.dds.get(uuid);
+ * const { sdIdentifier } = await eudr.sd.submit(sdRequest);
+ * const { result } = await eudr.verify(referenceNumber, verificationNumber);
+ *
+ * const health = await eudr.healthCheck();
+ * if (!health.healthy) console.error(health.services);
+ */
+
+const EudrEchoClient = require('./echo-service');
+const EudrSubmissionClientV3 = require('./submission-service-v3');
+const EudrRetrievalClientV3 = require('./retrieval-service-v3');
+const EudrSimplifiedDeclarationClientV3 = require('./simplified-declaration-service-v3');
+const EudrVerifyDeclarationClientV3 = require('./verification-service-v3');
+const { isStandardClientId, getBaseUrl, getServicePath, STANDARD_CLIENT_IDS } = require('../utils/endpoint-utils');
+const { EudrRateLimiter, getSharedRateLimiter } = require('../utils/rate-limiter');
+const { logger: packageLogger } = require('../utils/logger');
+const { resolveCassette } = require('../utils/cassette');
+const { resolveJournal } = require('../utils/submission-journal');
+const { createHttpsAgent } = require('../utils/http-agent');
+const { resolveCredentialProvider } = require('../utils/credentials');
+
+// Endpoint key -> endpoint-utils service and version
+const SERVICES = {
+  echo: { service: 'echo', version: 'v1' },
+  dds: { service: 'submission', version: 'v3' },
+  sd: { service: 'simplified-declaration', version: 'v3' },
+  verification: { service: 'verification', version: 'v3' }
+};
+
+// Answered by TRACES when a health-check lookup finds nothing, i.e. the service is up
+const HEALTH_CHECK_REFERENCE = 'eudr-api-client-health-check';
+const NOT_FOUND_CODES = ['EUDR_WEBSERVICE_STATEMENT_NOT_FOUND'];
+
+class EudrClient {
+  /**
+   * @param {Object} config - Shared configuration (see the V3 client constructors), plus:
+   * @param {string} [config.username] - Required unless config.credentials is given
+   * @param {string} [config.password] - Required unless config.credentials is given
+   * @param {string} config.webServiceClientId
+   * @param {string} [config.baseUrl] - Environment base URL; required for custom webServiceClientId values
+   *   unless every endpoint is given
+   * @param {Object} [config.endpoints] - Per-service endpoint overrides: { echo, dds, sd, verification }
+   * @param {https.Agent} [config.httpsAgent] - Shared agent; a pooled keep-alive agent honouring config.tls by default
+   * @param {Object} [config.agentOptions] - { maxSockets, maxFreeSockets, idleTimeout, keepAlive } for the default agent
+   * @param {Object} [config.tls] - TLS settings of the default agent (see utils/http-agent.js)
+   * @param {string|Object|boolean} [config.proxy] - Proxy of the default agent (see utils/proxy.js)
+   * @param {EudrCredentialProvider|Function} [config.credentials] - Credential provider shared by all services
+   *   (see utils/credentials.js), instead of username and password
+   * @param {EudrClockSkewTracker|boolean} [config.clockSkew] - Server clock offset tracker for all services
+   *   (see utils/clock-skew.js); the process-wide one by default
+   * @param {Object} [config.logger] - Logger for all services; the package logger by default
+   * @param {EudrRateLimiter|boolean} [config.rateLimiter] - Shared limiter; a new limiter with the EUDR
+   *   defaults when omitted, true for the process-wide one, false for none
+   */
+  constructor(config = {}) {
+    if (!config.webServiceClientId) {
+      throw new Error('Missing required configuration: webServiceClientId');
+    }
+    const credentials = resolveCredentialProvider(config);
+
+    const { baseUrl, endpoints: endpointOverrides = {}, ...clientConfig } = config;
+    this.endpoints = EudrClient.resolveEndpoints(config.webServiceClientId, baseUrl, endpointOverrides);
+
+    this.ownsAgent = !config.httpsAgent;
+    this.httpsAgent = config.httpsAgent || createHttpsAgent({
+      ...config.agentOptions,
+      ssl: config.ssl,
+      tls: config.tls,
+      proxy: config.proxy,
+      logger: config.logger || packageLogger
+    });
+    this.logger = config.logger || packageLogger;
+    if (config.rateLimiter === false) {
+      this.rateLimiter = null;
+    } else if (config.rateLimiter === true) {
+      this.rateLimiter = getSharedRateLimiter();
+    } else {
+      this.rateLimiter = config.rateLimiter || new EudrRateLimiter();
+    }
+
+    // Resolved once so that option objects do not turn into one cassette/journal per client on the same file,
+    // and so that one credential refresh serves every service
+    this.credentials = credentials;
+    this.config = {
+      ...clientConfig,
+      credentials,
+      httpsAgent: this.httpsAgent,
+      logger: this.logger,
+      rateLimiter: this.rateLimiter || undefined,
+      cassette: resolveCassette(config.cassette) || undefined,
+      journal: resolveJournal(config.journal) || undefined
+    };
+
+    const withEndpoint = (key) => ({ ...this.config, endpoint: this.endpoints[key] });
+    this.clients = {
+      echo: new EudrEchoClient(withEndpoint('echo')),
+      submission: new EudrSubmissionClientV3(withEndpoint('dds')),
+      retrieval: new EudrRetrievalClientV3(withEndpoint('dds')),
+      sd: new EudrSimplifiedDeclarationClientV3(withEndpoint('sd')),
+      verification: new EudrVerifyDeclarationClientV3(withEndpoint('verification'))
+    };
+
+    const { submission, retrieval, sd } = this.clients;
+
+    /** DDS operations (EudrSubmissionClientV3 and EudrRetrievalClientV3) */
+    this.dds = {
+      submit: (request, options) => submission.submitDds(request, options),
+      amend: (uuid, statement, options) => submission.amendDds(uuid, statement, options),
+      withdraw: (uuid, options) => submission.withdrawDds(uuid, options),
+      get: (uuids, options) => retrieval.getDds(uuids, options),
+      getByInternalReference: (internalReferenceNumber, options) => retrieval.getDdsByInternalReference(internalReferenceNumber, options),
+      getByIdentifiers: (referenceNumber, verificationNumber, options) => retrieval.getDdsByIdentifiers(referenceNumber, verificationNumber, options),
+      waitForStatus: (uuid, options) => retrieval.waitForStatus(uuid, options),
+      reconcileJournal: (options) => submission.reconcileJournal(options)
+    };
+
+    /** Simplified declaration operations (EudrSimplifiedDeclarationClientV3) */
+    this.sd = {
+      submit: (request, options) => sd.submitSd(request, options),
+      update: (sdIdentifier, statement, options) => sd.updateSd(sdIdentifier, statement, options),
+      withdraw: (sdIdentifier, options) => sd.withdrawSd(sdIdentifier, options),
+      get: (uuids, options) => sd.getSd(uuids, options),
+      getByInternalReference: (internalReferenceNumber, options) => sd.getSdByInternalReference(internalReferenceNumber, options),
+      getByIdentifiers: (referenceNumber, verificationNumber, options) => sd.getSdByIdentifiers(referenceNumber, verificationNumber, options),
+      waitForStatus: (uuid, options) => sd.waitForStatus(uuid, options),
+      reconcileJournal: (options) => sd.reconcileJournal(options)
+    };
+  }
+
+  /**
+   * Endpoint per service: explicit override, else baseUrl (or the standard
+   * environment of webServiceClientId) plus the service path
+   * @param {string} webServiceClientId
+   * @param {string} [baseUrl]
+   * @param {Object} [overrides] - { echo, dds, sd, verification }
+   * @returns {{echo: string, dds: string, sd: string, verification: string}}
+   */
+  static resolveEndpoints(webServiceClientId, baseUrl, overrides = {}) {
+    const endpoints = {};
+    for (const [key, { service, version }] of Object.entries(SERVICES)) {
+      if (overrides[key]) {
+        endpoints[key] = overrides[key];
+        continue;
+      }
+      if (!baseUrl && !isStandardClientId(webServiceClientId)) {
+        throw new Error(
+          `webServiceClientId "${webServiceClientId}" does not support automatic endpoint generation. ` +
+          `Provide baseUrl or endpoints.${key}, or use one of: ${STANDARD_CLIENT_IDS.join(', ')}`
+        );
+      }
+      const root = (baseUrl || getBaseUrl(webServiceClientId)).replace(/\/+$/, '');
+      endpoints[key] = `${root}/tracesnt/ws${getServicePath(service, version)}`;
+    }
+    return endpoints;
+  }
+
+  /**
+   * Verify a DDS or SD by reference and verification number
+   * @param {string} referenceNumber
+   * @param {string} verificationNumber
+   * @param {Object} [options]
+   * @returns {Promise<Object>} See EudrVerifyDeclarationClientV3#verifyDeclaration
+   */
+  async verify(referenceNumber, verificationNumber, options) {
+    return this.clients.verification.verifyDeclaration(referenceNumber, verificationNumber, options);
+  }
+
+  /**
+   * Call the Echo service
+   * @param {string} [message='eudr-api-client']
+   * @param {Object} [options]
+   * @returns {Promise<Object>} See EudrEchoClient#echo
+   */
+  async echo(message = 'eudr-api-client', options) {
+    return this.clients.echo.echo(message, options);
+  }
+
+  /**
+   * Ping Echo and each V3 endpoint. The V3 services are probed with read-only
+   * lookups of a reference that does not exist; a "not found" answer counts as
+   * healthy, while authentication, network and server errors do not.
+   * @returns {Promise<{healthy: boolean, services: Object<string, {healthy: boolean, endpoint: string, latencyMs: number, error?: Object}>}>}
+   */
+  async healthCheck() {
+    const probes = {
+      echo: () => this.echo(HEALTH_CHECK_REFERENCE),
+      dds: () => this.clients.retrieval.getDdsByInternalReference(HEALTH_CHECK_REFERENCE),
+      sd: () => this.clients.sd.getSdByInternalReference(HEALTH_CHECK_REFERENCE),
+      verification: () => this.verify(HEALTH_CHECK_REFERENCE, HEALTH_CHECK_REFERENCE)
+    };
+
+    const entries = await Promise.all(Object.entries(probes).map(async ([key, probe]) => {
+      const started = Date.now();
+      const status = { healthy: true, endpoint: this.endpoints[key], latencyMs: 0 };
+      try {
+        await probe();
+      } catch (error) {
+        if (!NOT_FOUND_CODES.includes(error.eudrErrorCode)) {
+          status.healthy = false;
+          status.error = { message: error.message, httpStatus: error.httpStatus, eudrErrorCode: error.eudrErrorCode };
+        }
+      }
+      status.latencyMs = Date.now() - started;
+      return [key, status];
+    }));
+
+    const services = Object.fromEntries(entries);
+    const healthy = entries.every(([, status]) => status.healthy);
+    if (!healthy) {
+      this.logger.warn({ services }, 'EUDR health check failed');
+    }
+    return { healthy, services };
+  }
+
+  /**
+   * Release the sockets of the default keep-alive agent. A shared agent passed
+   * in config.httpsAgent is left alone.
+   */
+  close() {
+    if (this.ownsAgent) {
+      this.httpsAgent.destroy();
+    }
+  }
+}
+
+module.exports = EudrClient;
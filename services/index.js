@@ -17,15 +17,14 @@
  * const echoClient = new EudrEchoClient({
  *   username: 'user',
  *   password: 'pass',
- *   webServiceClientId: 'eudr-test',
- *   ssl: false // Allow unauthorized certificates
+ *   webServiceClientId: 'eudr-test'
  * });
  * 
  * const submissionClient = new EudrSubmissionClient({
  *   username: 'user',
  *   password: 'pass',
  *   webServiceClientId: 'eudr-repository',
- *   ssl: true // Use secure SSL/TLS
+ *   tls: { ca: fs.readFileSync('corporate-ca.pem') } // Certificates are verified by default
  * });
  * 
  * @example
@@ -35,7 +34,7 @@
  *   username: 'user',
  *   password: 'pass',
  *   webServiceClientId: 'custom-client',
- *   ssl: false // Allow unauthorized certificates for development
+ *   tls: { rejectUnauthorized: false } // Development only: skips certificate verification (logged as a warning)
  * });
  * 
  * @example
@@ -54,6 +53,8 @@ const EudrSubmissionClientV3 = require('./submission-service-v3');
 const EudrRetrievalClientV3 = require('./retrieval-service-v3');
 const EudrSimplifiedDeclarationClientV3 = require('./simplified-declaration-service-v3');
 const EudrVerifyDeclarationClientV3 = require('./verification-service-v3');
+const EudrSoapClientBaseV3 = require('./soap-client-base-v3');
+const EudrClient = require('./eudr-client');
 
 // Re-export endpoint utilities as config for convenience
 const { endpointUtils } = require('../utils');
@@ -69,6 +70,8 @@ module.exports = {
   EudrRetrievalClientV3,
   EudrSimplifiedDeclarationClientV3,
   EudrVerifyDeclarationClientV3,
+  EudrSoapClientBaseV3,
+  EudrClient,
 
   // Configuration & metadata
   config: endpointUtils
@@ -24,6 +24,8 @@ const crypto = require('node:crypto');
 const { v4: uuidv4 } = require('uuid');
 const { parseString, processors } = require('xml2js');
 const { validateAndGenerateEndpoint } = require('../utils/endpoint-utils');
+const { resolveCassette } = require('../utils/cassette');
+const { createHttpsAgent } = require('../utils/http-agent');
 
 /**
  * EUDR Retrieval Service V2 Client class
@@ -38,7 +40,14 @@ class EudrRetrievalClientV2 {
    * @param {string} config.webServiceClientId - Client ID ('eudr-repository', 'eudr-test', or custom)
    * @param {number} [config.timestampValidity=60] - Timestamp validity in seconds
    * @param {number} [config.timeout=10000] - Request timeout in milliseconds
-   * @param {boolean} [config.ssl=false] - SSL configuration: true for secure (default), false to allow unauthorized certificates
+   * @param {boolean} [config.ssl] - Deprecated boolean form of config.tls.rejectUnauthorized; false skips certificate verification
+   * @param {Object} [config.tls] - { rejectUnauthorized, ca, cert, key, pfx, passphrase, minVersion, pinnedPublicKeys }
+   *   (see utils/http-agent.js); certificates are verified by default
+   * @param {string|Object|boolean} [config.proxy] - HTTP(S) proxy for CONNECT tunnelling (see utils/proxy.js);
+   *   HTTPS_PROXY / NO_PROXY from the environment when omitted, none when false
+   * @param {EudrCassette|Object} [config.cassette] - Record or replay the SOAP traffic (see utils/cassette.js)
+   * @param {https.Agent} [config.httpsAgent] - Agent for every request, e.g. a pooled one from utils/http-agent.js
+   *   shared with the V3 clients; a non-keep-alive agent built from tls and proxy otherwise
    * 
    * @example
    * // Automatic endpoint generation for standard client IDs
@@ -65,13 +74,24 @@ class EudrRetrievalClientV2 {
       // Default configuration (only for non-required fields)
       timestampValidity: 60, // 1 minute as per requirements
       timeout: 10000, // 10 seconds timeout
-      ssl: false, // Default to insecure for backward compatibility
       ...validatedConfig // Override with validated config (includes endpoint)
     };
 
     // Validate required configuration first
     this.validateConfig();
 
+    // Opt-in record/replay of the SOAP traffic
+    this.cassette = resolveCassette(this.config.cassette);
+    this.httpRequest = this.cassette ? this.cassette.wrapTransport(axios) : axios;
+
+    // New connection per request (no keep-alive) unless the caller shares an agent
+    this.httpsAgent = this.config.httpsAgent || createHttpsAgent({
+      ssl: this.config.ssl,
+      tls: this.config.tls,
+      proxy: this.config.proxy,
+      keepAlive: false
+    });
+
     // Set endpoint - prioritize endpoint, fallback to wsdlUrl for compatibility
     if (this.config.endpoint) {
       this.endpoint = this.config.endpoint;
@@ -588,7 +608,7 @@ class EudrRetrievalClientV2 {
       const soapEnvelope = this.createGetDdsInfoEnvelope(uuidArray);
 
       // Send the request with corrected SOAPAction
-      const response = await axios({
+      const response = await this.httpRequest({
         method: 'post',
         url: this.endpoint,
         headers: {
@@ -597,9 +617,8 @@ class EudrRetrievalClientV2 {
         },
         data: soapEnvelope,
         timeout: this.config.timeout,
-        httpsAgent: new (require('https').Agent)({
-          rejectUnauthorized: this.config.ssl
-        })
+        httpsAgent: this.httpsAgent,
+        proxy: false
       });
 
       // Return raw response if requested
@@ -661,7 +680,7 @@ class EudrRetrievalClientV2 {
       const soapEnvelope = this.createGetDdsInfoByInternalReferenceNumberEnvelope(internalReferenceNumber);
 
       // Send the request with corrected SOAPAction
-      const response = await axios({
+      const response = await this.httpRequest({
         method: 'post',
         url: this.endpoint,
         headers: {
@@ -670,9 +689,8 @@ class EudrRetrievalClientV2 {
         },
         data: soapEnvelope,
         timeout: this.config.timeout,
-        httpsAgent: new (require('https').Agent)({
-          rejectUnauthorized: this.config.ssl
-        })
+        httpsAgent: this.httpsAgent,
+        proxy: false
       });
 
       // Return raw response if requested
@@ -813,7 +831,7 @@ class EudrRetrievalClientV2 {
       const soapEnvelope = this.createGetStatementByIdentifiersEnvelope(referenceNumber, verificationNumber);
 
       // Send the request with corrected SOAPAction for V2
-      const response = await axios({
+      const response = await this.httpRequest({
         method: 'post',
         url: this.endpoint,
         headers: {
@@ -822,9 +840,8 @@ class EudrRetrievalClientV2 {
         },
         data: soapEnvelope,
         timeout: this.config.timeout,
-        httpsAgent: new (require('https').Agent)({
-          rejectUnauthorized: this.config.ssl
-        })
+        httpsAgent: this.httpsAgent,
+        proxy: false
       });
 
       // Return raw response if requested
@@ -944,7 +961,7 @@ class EudrRetrievalClientV2 {
       const soapEnvelope = this.createGetReferencedDdsEnvelope(referenceNumber, securityNumber);
 
       // Send the request with corrected SOAPAction for V2
-      const response = await axios({
+      const response = await this.httpRequest({
         method: 'post',
         url: this.endpoint,
         headers: {
@@ -953,9 +970,8 @@ class EudrRetrievalClientV2 {
         },
         data: soapEnvelope,
         timeout: this.config.timeout,
-        httpsAgent: new (require('https').Agent)({
-          rejectUnauthorized: this.config.ssl
-        })
+        httpsAgent: this.httpsAgent,
+        proxy: false
       });
 
       // Return raw response if requested
@@ -8,25 +8,50 @@ const EudrDueDiligenceStatementServiceV3Transport = require('./due-diligence-sta
 
 class EudrRetrievalClientV3 {
   /**
+   * Connection, TLS, proxy, clock and credential options shared by the V3 clients are
+   * described on the EudrSoapClientBaseV3 constructor.
    * @param {Object} config
    * @param {string} [config.endpoint]
-   * @param {string} config.username
-   * @param {string} config.password
+   * @param {string} [config.username] - Required unless config.credentials is given
+   * @param {string} [config.password] - Required unless config.credentials is given
    * @param {string} config.webServiceClientId
    * @param {number} [config.timestampValidity=60]
    * @param {number} [config.timeout=10000]
-   * @param {boolean} [config.ssl=false]
+   * @param {Function} [config.httpTransport] - Replaces the default axios transport (see EudrSoapClientBaseV3)
+   * @param {Object} [config.interceptors] - { request: Function[], response: Function[] }
+   * @param {Object|boolean} [config.retry] - Retry policy overrides (see utils/retry-policy.js), or false to disable
+   * @param {EudrRateLimiter|boolean} [config.rateLimiter] - Limiter shared with other clients, or true for the process-wide EUDR default
+   * @param {EudrCassette|Object} [config.cassette] - Record or replay the SOAP traffic (see utils/cassette.js)
+   * @param {Object} [config.logger] - Pino-compatible logger for this client; the package logger by default
    */
   constructor(config) {
     this.transport = new EudrDueDiligenceStatementServiceV3Transport(config);
     this.config = this.transport.config;
     this.endpoint = this.transport.endpoint;
+    this.credentials = this.transport.credentials;
   }
 
   static createEndpointFromBaseUrl(baseUrl, serviceName = 'EUDRDueDiligenceStatementServiceV3') {
     return EudrDueDiligenceStatementServiceV3Transport.createEndpointFromBaseUrl(baseUrl, serviceName);
   }
 
+  addRequestInterceptor(interceptor) {
+    this.transport.addRequestInterceptor(interceptor);
+    return this;
+  }
+
+  addResponseInterceptor(interceptor) {
+    this.transport.addResponseInterceptor(interceptor);
+    return this;
+  }
+
+  /**
+   * Close the pooled sockets of the agent this client created (see EudrSoapClientBaseV3#close)
+   */
+  close() {
+    this.transport.close();
+  }
+
   async getDds(uuid, options = {}) {
     return this.transport.getDds(uuid, options);
   }
@@ -38,6 +63,10 @@ class EudrRetrievalClientV3 {
   async getDdsByIdentifiers(referenceNumber, verificationNumber, options = {}) {
     return this.transport.getDdsByIdentifiers(referenceNumber, verificationNumber, options);
   }
+
+  async waitForStatus(uuid, options = {}) {
+    return this.transport.waitForStatus(uuid, options);
+  }
 }
 
 module.exports = EudrRetrievalClientV3;
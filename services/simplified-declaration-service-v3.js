@@ -5,19 +5,22 @@
  * unified client covering all 6 operations, unlike the DDS submission/retrieval
  * facade split which exists purely to mirror the pre-existing V1/V2 pattern.
  *
- * This file intentionally duplicates the WS-Security/SOAP-envelope boilerplate
- * from services/due-diligence-statement-service-v3.js rather than sharing it,
- * consistent with how the V1/V2/V3 DDS transports are each self-contained.
+ * WS-Security, envelope and HTTP handling come from EudrSoapClientBaseV3.
  */
 
-const axios = require('axios');
-const crypto = require('node:crypto');
-const https = require('https');
-const { v4: uuidv4 } = require('uuid');
 const { parseString } = require('xml2js');
+const EudrSoapClientBaseV3 = require('./soap-client-base-v3');
 const EudrErrorHandler = require('../utils/error-handler');
-const { logger } = require('../utils/logger');
-const { validateAndGenerateEndpoint } = require('../utils/endpoint-utils');
+const { attachDecodedGeojson } = require('../utils/geojson-utils');
+const { renderSdStatementXml, renderSdSubmitBodyXml } = require('../utils/statement-xml');
+const { validateStatementGeometry } = require('../utils/geometry-validator');
+const { validateUnitsOfMeasure } = require('../utils/units-validator');
+const { validateSdRequest, validateSdStatement, enforceSchemaViolations } = require('../utils/schema-constraints');
+const { resolveBatchSize, chunkList, mergeOverviewBatches } = require('../utils/batch-utils');
+const { pollOverviewStatus } = require('../utils/status-poller');
+const { precheckOperationStatus } = require('../utils/status-lifecycle');
+const { toSdStatementModel } = require('../utils/response-models');
+const { resolveJournal } = require('../utils/submission-journal');
 
 const SD_V3_NAMESPACE = 'http://ec.europa.eu/tracesnt/certificate/eudr/simplified-declaration/v3';
 const DDS_V3_NAMESPACE = 'http://ec.europa.eu/tracesnt/certificate/eudr/due-diligence-statement/v3';
@@ -37,39 +40,41 @@ const SD_SOAP_ACTIONS = {
   getSdByIdentifiers: `${DDS_V3_NAMESPACE}/getSdByIdentifiers`
 };
 
-class EudrSimplifiedDeclarationClientV3 {
+class EudrSimplifiedDeclarationClientV3 extends EudrSoapClientBaseV3 {
   /**
+   * Connection, TLS, proxy, clock and credential options shared by the V3 clients are
+   * described on the EudrSoapClientBaseV3 constructor.
    * @param {Object} config
    * @param {string} [config.endpoint]
-   * @param {string} config.username
-   * @param {string} config.password
+   * @param {string} [config.username] - Required unless config.credentials is given
+   * @param {string} [config.password] - Required unless config.credentials is given
    * @param {string} config.webServiceClientId
    * @param {number} [config.timestampValidity=60]
    * @param {number} [config.timeout=10000]
-   * @param {boolean} [config.ssl=false]
+   * @param {Function} [config.httpTransport] - Replaces the default axios transport (see EudrSoapClientBaseV3)
+   * @param {Object} [config.interceptors] - { request: Function[], response: Function[] }
+   * @param {Object|boolean} [config.retry] - Retry policy overrides (see utils/retry-policy.js), or false to disable
+   * @param {EudrRateLimiter|boolean} [config.rateLimiter] - Limiter shared with other clients, or true for the process-wide EUDR default
+   * @param {EudrCassette|Object} [config.cassette] - Record or replay the SOAP traffic (see utils/cassette.js)
+   * @param {Object} [config.logger] - Pino-compatible logger for this client; the package logger by default
+   * @param {EudrSubmissionJournal|Object} [config.journal] - Journal submitSd for crash-safe resubmission (see utils/submission-journal.js)
+   * @param {string} [config.geometryValidation='strict'] - Client-side geometryGeojson checks: 'strict', 'warn' or 'off'
+   * @param {string} [config.unitsValidation='strict'] - Client-side units-of-measure checks: 'strict', 'warn' or 'off'
+   * @param {string} [config.schemaValidation='strict'] - Client-side V3 schema (length/pattern/type) checks: 'strict', 'warn' or 'off'
    */
   constructor(config) {
-    const validatedConfig = validateAndGenerateEndpoint(config, 'simplified-declaration', 'v3');
-
-    this.config = {
-      timestampValidity: 60,
-      timeout: 10000,
-      ssl: false,
-      ...validatedConfig
-    };
-
-    this.validateConfig();
-    this.endpoint = this.config.endpoint;
-  }
-
-  validateConfig() {
-    const requiredFields = ['endpoint', 'username', 'password', 'webServiceClientId'];
-
-    for (const field of requiredFields) {
-      if (!this.config[field]) {
-        throw new Error(`Missing required configuration: ${field}`);
-      }
-    }
+    super(config, {
+      name: 'simplified-declaration',
+      namespacePrefix: 'sd',
+      namespaceUri: SD_V3_NAMESPACE,
+      defaults: {
+        geometryValidation: 'strict',
+        unitsValidation: 'strict',
+        schemaValidation: 'strict'
+      },
+      idempotentOperations: ['getSd', 'getSdByInternalReference', 'getSdByIdentifiers']
+    });
+    this.journal = resolveJournal(this.config.journal);
   }
 
   static createEndpointFromBaseUrl(baseUrl, serviceName = 'EUDRSimplifiedDeclarationServiceV3') {
@@ -84,346 +89,17 @@ class EudrSimplifiedDeclarationClientV3 {
     return soapAction;
   }
 
-  generateNonce() {
-    const nonceBytes = crypto.randomBytes(16);
-
-    return {
-      bytes: nonceBytes,
-      base64: nonceBytes.toString('base64')
-    };
-  }
-
-  getCurrentTimestamp() {
-    return new Date().toISOString();
-  }
-
-  getExpirationTimestamp(validityInSeconds) {
-    const expirationDate = new Date();
-    expirationDate.setSeconds(expirationDate.getSeconds() + validityInSeconds);
-    return expirationDate.toISOString();
-  }
-
-  generatePasswordDigest(nonce, created, password) {
-    const concatenated = Buffer.concat([
-      nonce,
-      Buffer.from(created),
-      Buffer.from(password)
-    ]);
-
-    return crypto.createHash('sha1').update(concatenated).digest('base64');
-  }
-
-  escapeXml(value) {
-    return String(value)
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&apos;');
-  }
-
-  createSecurityHeaderXml() {
-    const nonce = this.generateNonce();
-    const created = this.getCurrentTimestamp();
-    const expires = this.getExpirationTimestamp(this.config.timestampValidity);
-    const passwordDigest = this.generatePasswordDigest(nonce.bytes, created, this.config.password);
-    const timestampId = `TS-${uuidv4()}`;
-    const usernameTokenId = `UsernameToken-${uuidv4()}`;
-
-    return `
-        <wsse:Security xmlns:wsse="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-secext-1.0.xsd"
-                       xmlns:wsu="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-utility-1.0.xsd"
-                       soapenv:mustUnderstand="1">
-            <wsu:Timestamp wsu:Id="${timestampId}">
-                <wsu:Created>${created}</wsu:Created>
-                <wsu:Expires>${expires}</wsu:Expires>
-            </wsu:Timestamp>
-            <wsse:UsernameToken wsu:Id="${usernameTokenId}">
-                <wsse:Username>${this.escapeXml(this.config.username)}</wsse:Username>
-                <wsse:Password Type="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-username-token-profile-1.0#PasswordDigest">${passwordDigest}</wsse:Password>
-                <wsse:Nonce EncodingType="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-soap-message-security-1.0#Base64Binary">${nonce.base64}</wsse:Nonce>
-                <wsu:Created>${created}</wsu:Created>
-            </wsse:UsernameToken>
-        </wsse:Security>
-        <v4:WebServiceClientId>${this.escapeXml(this.config.webServiceClientId)}</v4:WebServiceClientId>`;
-  }
-
-  createSoapEnvelope(bodyXml) {
-    return `<?xml version="1.0" encoding="UTF-8"?>
-<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
-                  xmlns:v4="http://ec.europa.eu/sanco/tracesnt/base/v4"
-                  xmlns:sd="http://ec.europa.eu/tracesnt/certificate/eudr/simplified-declaration/v3"
-                  xmlns:eudrCommon="http://ec.europa.eu/tracesnt/certificate/eudr/common/v3">
-    <soapenv:Header>
-${this.createSecurityHeaderXml()}
-    </soapenv:Header>
-    <soapenv:Body>
-${bodyXml}
-    </soapenv:Body>
-</soapenv:Envelope>`;
-  }
-
   /**
-   * Build an EconomicOperatorIdentificationType element body (used for representedOperator).
-   * Per the V3 schema: operatorReferenceNumber is a structured {identifierType, identifierValue}
-   * pair, operatorAddress is a structured AddressType, and operatorName is mandatory.
+   * Content of an SD statement element (see utils/statement-xml.js)
+   * @param {Object} statement
+   * @returns {string}
    */
-  generateEconomicOperatorXml(operator) {
-    if (!operator.operatorName) {
-      throw new Error('representedOperator.operatorName is required');
-    }
-
-    let xml = '';
-
-    if (operator.operatorReferenceNumber) {
-      const ref = operator.operatorReferenceNumber;
-      if (!ref.identifierType || !ref.identifierValue) {
-        throw new Error('representedOperator.operatorReferenceNumber requires identifierType and identifierValue');
-      }
-      xml += '<eudrCommon:operatorReferenceNumber>';
-      xml += `<eudrCommon:identifierType>${this.escapeXml(ref.identifierType)}</eudrCommon:identifierType>`;
-      xml += `<eudrCommon:identifierValue>${this.escapeXml(ref.identifierValue)}</eudrCommon:identifierValue>`;
-      xml += '</eudrCommon:operatorReferenceNumber>';
-    }
-
-    if (operator.operatorAddress) {
-      const address = operator.operatorAddress;
-      if (!address.country || !address.street || !address.postalCode || !address.city) {
-        throw new Error('representedOperator.operatorAddress requires country, street, postalCode and city');
-      }
-      xml += '<eudrCommon:operatorAddress>';
-      xml += `<eudrCommon:country>${this.escapeXml(address.country)}</eudrCommon:country>`;
-      xml += `<eudrCommon:street>${this.escapeXml(address.street)}</eudrCommon:street>`;
-      xml += `<eudrCommon:postalCode>${this.escapeXml(address.postalCode)}</eudrCommon:postalCode>`;
-      xml += `<eudrCommon:city>${this.escapeXml(address.city)}</eudrCommon:city>`;
-      if (address.fullAddress) {
-        xml += `<eudrCommon:fullAddress>${this.escapeXml(address.fullAddress)}</eudrCommon:fullAddress>`;
-      }
-      xml += '</eudrCommon:operatorAddress>';
-    }
-
-    if (operator.operatorEmail) {
-      xml += `<eudrCommon:operatorEmail>${this.escapeXml(operator.operatorEmail)}</eudrCommon:operatorEmail>`;
-    }
-
-    if (operator.operatorPhone) {
-      xml += `<eudrCommon:operatorPhone>${this.escapeXml(operator.operatorPhone)}</eudrCommon:operatorPhone>`;
-    }
-
-    xml += `<eudrCommon:operatorName>${this.escapeXml(operator.operatorName)}</eudrCommon:operatorName>`;
-
-    return xml;
-  }
-
   generateSdStatementXml(statement) {
-    let xml = '';
-
-    if (!statement.internalReferenceNumber) {
-      const error = new Error('statement.internalReferenceNumber is required for Simplified Declarations (unlike DDS, it is mandatory).');
-      error.eudrErrorCode = 'EUDR_V3_SD_INTERNAL_REFERENCE_REQUIRED';
-      error.eudrSpecific = true;
-      throw error;
-    }
-    xml += `<sd:internalReferenceNumber>${this.escapeXml(statement.internalReferenceNumber)}</sd:internalReferenceNumber>`;
-
-    if (!statement.activityType) {
-      throw new Error('statement.activityType is required for SD operations');
-    }
-    if (!['DOMESTIC', 'IMPORT', 'EXPORT'].includes(statement.activityType)) {
-      const error = new Error(
-        `Invalid activityType '${statement.activityType}'. SD only allows: DOMESTIC, IMPORT, EXPORT.`
-      );
-      error.eudrErrorCode = 'EUDR_V3_SD_ACTIVITY_TYPE_INVALID';
-      error.eudrSpecific = true;
-      throw error;
-    }
-    xml += `<sd:activityType>${this.escapeXml(statement.activityType)}</sd:activityType>`;
-
-    if (statement.representedOperator) {
-      xml += `<sd:representedOperator>${this.generateEconomicOperatorXml(statement.representedOperator)}</sd:representedOperator>`;
-    }
-
-    if (statement.countryOfActivity) {
-      xml += `<sd:countryOfActivity>${this.escapeXml(statement.countryOfActivity)}</sd:countryOfActivity>`;
-    }
-
-    if (statement.borderCrossCountry) {
-      xml += `<sd:borderCrossCountry>${this.escapeXml(statement.borderCrossCountry)}</sd:borderCrossCountry>`;
-    }
-
-    if (statement.comment) {
-      xml += `<sd:comment>${this.escapeXml(statement.comment)}</sd:comment>`;
-    }
-
-    if (!statement.commodities) {
-      throw new Error('statement.commodities is required for SD operations');
-    }
-
-    const commodities = Array.isArray(statement.commodities) ? statement.commodities : [statement.commodities];
-    for (const commodity of commodities) {
-      xml += '<sd:commodities>';
-      xml += this.generateSdCommodityXml(commodity);
-      xml += '</sd:commodities>';
-    }
-
-    xml += `<sd:geoLocationConfidential>${statement.geoLocationConfidential === true ? 'true' : 'false'}</sd:geoLocationConfidential>`;
-
-    if (statement.groupedDeclarations) {
-      const groupedDeclarations = Array.isArray(statement.groupedDeclarations)
-        ? statement.groupedDeclarations
-        : [statement.groupedDeclarations];
-
-      for (const grouped of groupedDeclarations) {
-        const groupedValue = grouped.groupedDeclaration || grouped.referenceNumber || grouped;
-        xml += '<sd:groupedDeclarations>';
-        xml += `<eudrCommon:groupedDeclaration>${this.escapeXml(groupedValue)}</eudrCommon:groupedDeclaration>`;
-        xml += '</sd:groupedDeclarations>';
-      }
-    }
-
-    return xml;
-  }
-
-  generateSdCommodityXml(commodity) {
-    let xml = '';
-
-    if (commodity.position !== undefined) {
-      xml += `<sd:position>${this.escapeXml(commodity.position)}</sd:position>`;
-    }
-
-    if (!commodity.descriptors) {
-      throw new Error('commodity.descriptors is required for SD commodities');
-    }
-    xml += '<sd:descriptors>';
-    if (commodity.descriptors.descriptionOfGoods) {
-      xml += `<eudrCommon:descriptionOfGoods>${this.escapeXml(commodity.descriptors.descriptionOfGoods)}</eudrCommon:descriptionOfGoods>`;
-    }
-    if (commodity.descriptors.goodsMeasure) {
-      const measure = commodity.descriptors.goodsMeasure;
-      xml += '<eudrCommon:goodsMeasure>';
-      if (measure.percentageEstimationOrDeviation !== undefined) {
-        xml += `<eudrCommon:percentageEstimationOrDeviation>${this.escapeXml(measure.percentageEstimationOrDeviation)}</eudrCommon:percentageEstimationOrDeviation>`;
-      }
-      if (measure.netWeight !== undefined) {
-        xml += `<eudrCommon:netWeight>${this.escapeXml(measure.netWeight)}</eudrCommon:netWeight>`;
-      }
-      if (measure.supplementaryUnit !== undefined) {
-        xml += `<eudrCommon:supplementaryUnit>${this.escapeXml(measure.supplementaryUnit)}</eudrCommon:supplementaryUnit>`;
-      }
-      if (measure.supplementaryUnitQualifier) {
-        xml += `<eudrCommon:supplementaryUnitQualifier>${this.escapeXml(measure.supplementaryUnitQualifier)}</eudrCommon:supplementaryUnitQualifier>`;
-      }
-      xml += '</eudrCommon:goodsMeasure>';
-    }
-    xml += '</sd:descriptors>';
-
-    if (!commodity.hsHeading) {
-      throw new Error('commodity.hsHeading is required for SD commodities');
-    }
-    xml += `<sd:hsHeading>${this.escapeXml(commodity.hsHeading)}</sd:hsHeading>`;
-
-    if (commodity.producers) {
-      const producers = Array.isArray(commodity.producers) ? commodity.producers : [commodity.producers];
-      for (const producer of producers) {
-        xml += '<sd:producers>';
-        xml += this.generateSdProducerXml(producer);
-        xml += '</sd:producers>';
-      }
-    }
-
-    return xml;
-  }
-
-  generateSdProducerXml(producer) {
-    let xml = '';
-
-    if (producer.producerPosition !== undefined) {
-      xml += `<sd:producerPosition>${this.escapeXml(producer.producerPosition)}</sd:producerPosition>`;
-    }
-
-    if (!producer.producerCountry) {
-      const error = new Error('producer.producerCountry is required for SD producers');
-      error.eudrErrorCode = 'EUDR_V3_SD_PRODUCER_COUNTRY_REQUIRED';
-      error.eudrSpecific = true;
-      throw error;
-    }
-    xml += `<sd:producerCountry>${this.escapeXml(producer.producerCountry)}</sd:producerCountry>`;
-
-    if (producer.producerName) {
-      xml += `<sd:producerName>${this.escapeXml(producer.producerName)}</sd:producerName>`;
-    }
-
-    const location = producer.producerLocation || producer;
-    const choicesProvided = ['geometryGeojson', 'postalAddress', 'cadastralIdentifier']
-      .filter((key) => location[key] !== undefined);
-
-    if (choicesProvided.length !== 1) {
-      const error = new Error(
-        'producer.producerLocation must provide exactly one of: geometryGeojson, postalAddress, cadastralIdentifier ' +
-        `(found ${choicesProvided.length}: ${choicesProvided.join(', ') || 'none'}).`
-      );
-      error.eudrErrorCode = 'EUDR_V3_SD_PRODUCER_LOCATION_INVALID';
-      error.eudrSpecific = true;
-      throw error;
-    }
-
-    xml += '<sd:producerLocation>';
-    if (location.geometryGeojson !== undefined) {
-      xml += `<sd:geometryGeojson>${this.escapeXml(location.geometryGeojson)}</sd:geometryGeojson>`;
-    } else if (location.postalAddress !== undefined) {
-      const addresses = Array.isArray(location.postalAddress) ? location.postalAddress : [location.postalAddress];
-      for (const address of addresses) {
-        xml += '<sd:postalAddress>';
-        if (address.producerStreet) {
-          xml += `<sd:producerStreet>${this.escapeXml(address.producerStreet)}</sd:producerStreet>`;
-        }
-        if (!address.producerPostalCode) {
-          throw new Error('postalAddress.producerPostalCode is required');
-        }
-        xml += `<sd:producerPostalCode>${this.escapeXml(address.producerPostalCode)}</sd:producerPostalCode>`;
-        if (!address.producerCity) {
-          throw new Error('postalAddress.producerCity is required');
-        }
-        xml += `<sd:producerCity>${this.escapeXml(address.producerCity)}</sd:producerCity>`;
-        xml += '</sd:postalAddress>';
-      }
-    } else {
-      const identifiers = Array.isArray(location.cadastralIdentifier)
-        ? location.cadastralIdentifier
-        : [location.cadastralIdentifier];
-      for (const identifier of identifiers) {
-        xml += `<sd:cadastralIdentifier>${this.escapeXml(identifier)}</sd:cadastralIdentifier>`;
-      }
-    }
-    xml += '</sd:producerLocation>';
-
-    return xml;
+    return renderSdStatementXml(statement);
   }
 
   createSubmitSoapEnvelope(request) {
-    if (!request || !request.statement) {
-      throw new Error('submitSd requires request.statement');
-    }
-    if (!request.operatorRole) {
-      throw new Error('submitSd requires operatorRole (V3 SD)');
-    }
-    if (!['MICRO_OPERATOR', 'REPRESENTATIVE_MSPO', 'MEMBER_STATE'].includes(request.operatorRole)) {
-      const error = new Error(
-        `Invalid operatorRole '${request.operatorRole}'. SD only allows: MICRO_OPERATOR, REPRESENTATIVE_MSPO, MEMBER_STATE.`
-      );
-      error.eudrErrorCode = 'EUDR_V3_SD_OPERATOR_ROLE_INVALID';
-      error.eudrSpecific = true;
-      throw error;
-    }
-
-    const bodyXml = `        <sd:SubmitSdRequest>
-            <sd:operatorRole>${this.escapeXml(request.operatorRole)}</sd:operatorRole>
-            <sd:statement>
-                ${this.generateSdStatementXml(request.statement)}
-            </sd:statement>
-        </sd:SubmitSdRequest>`;
-
-    return this.createSoapEnvelope(bodyXml);
+    return this.createSoapEnvelope(renderSdSubmitBodyXml(request));
   }
 
   createUpdateSoapEnvelope(sdIdentifier, statement) {
@@ -631,7 +307,7 @@ ${bodyXml}
     return normalized;
   }
 
-  parseSdStatementResponse(xmlResponse) {
+  parseSdStatementResponse(xmlResponse, options = {}) {
     return new Promise((resolve, reject) => {
       parseString(xmlResponse, { explicitArray: false }, (err, result) => {
         if (err) {
@@ -645,12 +321,12 @@ ${bodyXml}
           const responseKey = Object.keys(body).find((key) => key.endsWith(':GetSdByIdentifiersResponse'));
           const response = responseKey ? body[responseKey] : null;
           const statementKey = response ? Object.keys(response).find((key) => key.endsWith(':statement')) : null;
-          const rawStatement = statementKey ? response[statementKey] : null;
+          const statement = statementKey ? this.normalizeSdStatement(response[statementKey]) : null;
 
           resolve({
             raw: xmlResponse,
             parsed: result,
-            statement: rawStatement ? this.normalizeSdStatement(rawStatement) : null
+            statement: statement && (options.typed ? toSdStatementModel(statement) : attachDecodedGeojson(statement))
           });
         } catch (error) {
           reject(new Error(`Failed to extract SD getSdByIdentifiers payload: ${error.message}`));
@@ -659,26 +335,56 @@ ${bodyXml}
     });
   }
 
-  async sendSoapRequest(soapEnvelope, soapAction) {
-    return axios({
-      method: 'post',
-      url: this.config.endpoint,
-      headers: {
-        'Content-Type': 'text/xml;charset=UTF-8',
-        SOAPAction: soapAction
-      },
-      data: soapEnvelope,
-      timeout: this.config.timeout,
-      httpsAgent: new https.Agent({
-        rejectUnauthorized: this.config.ssl
-      })
-    });
+  /**
+   * @param {Object} request
+   * @param {Object} [options]
+   * @param {boolean} [options.rawResponse=false] - Bypasses the journal
+   * @param {boolean} [options.journal=true] - false bypasses the journal, e.g. to submit an identical request twice on purpose
+   */
+  async submitSd(request, options = {}) {
+    if (this.journal && options.journal !== false && !options.rawResponse) {
+      return this.journal.submit('sd', request, this.journalHandlers(options));
+    }
+    return this.sendSubmitSd(request, options);
   }
 
-  async submitSd(request, options = {}) {
+  /**
+   * Look up every submission the journal still has pending (e.g. after a crash)
+   * and resubmit the ones TRACES did not create
+   * @param {Object} [options]
+   * @param {boolean} [options.resubmit=true] - false only looks them up
+   * @returns {Promise<Object[]>} See EudrSubmissionJournal#reconcile
+   */
+  async reconcileJournal(options = {}) {
+    if (!this.journal) {
+      throw new Error('reconcileJournal requires the journal option');
+    }
+    return this.journal.reconcile('sd', this.journalHandlers(), options);
+  }
+
+  /**
+   * @private
+   */
+  journalHandlers(options = {}) {
+    return {
+      send: (request) => this.sendSubmitSd(request, options),
+      lookup: async (internalReferenceNumber) => (await this.getSdByInternalReference(internalReferenceNumber)).sdInfo
+    };
+  }
+
+  /**
+   * @private
+   */
+  async sendSubmitSd(request, options = {}) {
     try {
-      const soapEnvelope = this.createSubmitSoapEnvelope(request);
-      const response = await this.sendSoapRequest(soapEnvelope, this.sdSoapActionFor('submitSd'));
+      enforceSchemaViolations(validateSdRequest(request), { mode: this.config.schemaValidation });
+      validateUnitsOfMeasure(request && request.statement, { mode: this.config.unitsValidation });
+      validateStatementGeometry(request && request.statement, { mode: this.config.geometryValidation });
+      const response = await this.sendWithRetry(
+        'submitSd',
+        () => this.createSubmitSoapEnvelope(request),
+        this.sdSoapActionFor('submitSd')
+      );
 
       if (options.rawResponse) {
         return {
@@ -695,15 +401,30 @@ ${bodyXml}
         ...parsedResponse
       };
     } catch (error) {
-      logger.debug({ error }, 'Error in SD submitSd');
-      throw EudrErrorHandler.handleError(error);
+      this.logger.debug({ error }, 'Error in SD submitSd');
+      throw EudrErrorHandler.handleError(error, { credentials: this.credentials });
     }
   }
 
+  /**
+   * @param {string} sdIdentifier
+   * @param {Object} statement
+   * @param {Object} [options]
+   * @param {boolean} [options.rawResponse=false]
+   * @param {string} [options.currentStatus] - Known lifecycle status; rejects the call client-side unless AVAILABLE
+   * @param {boolean} [options.precheckStatus=false] - Look the status up with getSd first and apply the same rule
+   */
   async updateSd(sdIdentifier, statement, options = {}) {
+    await precheckOperationStatus('update', sdIdentifier, options, (id) => this.fetchSdOverviewItem(id));
     try {
-      const soapEnvelope = this.createUpdateSoapEnvelope(sdIdentifier, statement);
-      const response = await this.sendSoapRequest(soapEnvelope, this.sdSoapActionFor('updateSd'));
+      enforceSchemaViolations(validateSdStatement(statement), { mode: this.config.schemaValidation });
+      validateUnitsOfMeasure(statement, { mode: this.config.unitsValidation });
+      validateStatementGeometry(statement, { mode: this.config.geometryValidation });
+      const response = await this.sendWithRetry(
+        'updateSd',
+        () => this.createUpdateSoapEnvelope(sdIdentifier, statement),
+        this.sdSoapActionFor('updateSd')
+      );
 
       if (options.rawResponse) {
         return {
@@ -720,15 +441,26 @@ ${bodyXml}
         ...parsedResponse
       };
     } catch (error) {
-      logger.debug({ error }, 'Error in SD updateSd');
-      throw EudrErrorHandler.handleError(error);
+      this.logger.debug({ error }, 'Error in SD updateSd');
+      throw EudrErrorHandler.handleError(error, { credentials: this.credentials });
     }
   }
 
+  /**
+   * @param {string} sdIdentifier
+   * @param {Object} [options]
+   * @param {boolean} [options.rawResponse=false]
+   * @param {string} [options.currentStatus] - Known lifecycle status; rejects the call client-side unless SUBMITTED or AVAILABLE
+   * @param {boolean} [options.precheckStatus=false] - Look the status up with getSd first and apply the same rule
+   */
   async withdrawSd(sdIdentifier, options = {}) {
+    await precheckOperationStatus('withdraw', sdIdentifier, options, (id) => this.fetchSdOverviewItem(id));
     try {
-      const soapEnvelope = this.createWithdrawSoapEnvelope(sdIdentifier);
-      const response = await this.sendSoapRequest(soapEnvelope, this.sdSoapActionFor('withdrawSd'));
+      const response = await this.sendWithRetry(
+        'withdrawSd',
+        () => this.createWithdrawSoapEnvelope(sdIdentifier),
+        this.sdSoapActionFor('withdrawSd')
+      );
 
       if (options.rawResponse) {
         return {
@@ -745,15 +477,35 @@ ${bodyXml}
         ...parsedResponse
       };
     } catch (error) {
-      logger.debug({ error }, 'Error in SD withdrawSd');
-      throw EudrErrorHandler.handleError(error);
+      this.logger.debug({ error }, 'Error in SD withdrawSd');
+      throw EudrErrorHandler.handleError(error, { credentials: this.credentials });
     }
   }
 
+  /**
+   * Retrieve SD overviews by UUID (optionally with a version number). Lists longer
+   * than `options.batchSize` (max and default 100, the API limit per call) are split
+   * into sequential calls and merged in input order, as in getDds.
+   * @param {string|Object|Array<string|{uuid: string, version?: number}>} uuids
+   * @param {Object} [options]
+   * @param {boolean} [options.rawResponse=false] - When batched, `data` is an array with one XML string per call
+   * @param {number} [options.batchSize=100]
+   * @returns {Promise<Object>} { httpStatus, status, raw, parsed, sdInfo, notFound }; batched results
+   *   carry `batches` ({ uuids, httpStatus, raw, parsed } per call) instead of `raw`/`parsed`
+   */
   async getSd(uuids, options = {}) {
+    const entries = Array.isArray(uuids) ? uuids : [uuids];
+    const batchSize = resolveBatchSize(options.batchSize);
+    if (entries.length > batchSize) {
+      return this.getSdInBatches(entries, batchSize, options);
+    }
+
     try {
-      const soapEnvelope = this.createGetSdSoapEnvelope(uuids);
-      const response = await this.sendSoapRequest(soapEnvelope, this.sdSoapActionFor('getSd'));
+      const response = await this.sendWithRetry(
+        'getSd',
+        () => this.createGetSdSoapEnvelope(uuids),
+        this.sdSoapActionFor('getSd')
+      );
 
       if (options.rawResponse) {
         return {
@@ -767,18 +519,85 @@ ${bodyXml}
       return {
         httpStatus: response.status,
         status: response.status,
-        ...parsedResponse
+        ...parsedResponse,
+        notFound: mergeOverviewBatches(this.sdEntryUuids(entries), [parsedResponse.sdInfo]).notFound
       };
     } catch (error) {
-      logger.debug({ error }, 'Error in SD getSd');
-      throw EudrErrorHandler.handleError(error);
+      this.logger.debug({ error }, 'Error in SD getSd');
+      throw EudrErrorHandler.handleError(error, { credentials: this.credentials });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async getSdInBatches(entries, batchSize, options) {
+    const batches = chunkList(entries, batchSize);
+    const results = [];
+
+    for (const [index, batch] of batches.entries()) {
+      this.logger.debug({ batch: index + 1, of: batches.length, size: batch.length }, 'SD getSd batch');
+      results.push(await this.getSd(batch, { ...options, batchSize }));
+    }
+
+    const last = results[results.length - 1];
+    if (options.rawResponse) {
+      return {
+        httpStatus: last.httpStatus,
+        status: last.status,
+        data: results.map((result) => result.data)
+      };
     }
+
+    const { info, notFound } = mergeOverviewBatches(this.sdEntryUuids(entries), results.map((result) => result.sdInfo));
+    return {
+      httpStatus: last.httpStatus,
+      status: last.status,
+      sdInfo: info,
+      notFound,
+      batches: results.map((result, index) => ({
+        uuids: this.sdEntryUuids(batches[index]),
+        httpStatus: result.httpStatus,
+        raw: result.raw,
+        parsed: result.parsed
+      }))
+    };
+  }
+
+  /**
+   * @private
+   */
+  sdEntryUuids(entries) {
+    return entries.map((entry) => (entry && typeof entry === 'object' ? entry.uuid : entry));
+  }
+
+  /**
+   * Poll getSd until a submitted SD reaches one of `targetStatuses`; same options
+   * and defaults as EudrRetrievalClientV3#waitForStatus.
+   * @param {string} uuid - The sdIdentifier returned by submitSd
+   * @param {Object} [options] - targetStatuses, minInitialDelay, interval, timeout (ms)
+   * @returns {Promise<Object>} The final sdInfo item, including rejectionReason and communicationToOperator
+   */
+  async waitForStatus(uuid, options = {}) {
+    return pollOverviewStatus((id) => this.fetchSdOverviewItem(id), uuid, options, 'waitForStatus');
+  }
+
+  /**
+   * @private
+   * @returns {Promise<Object|undefined>} The sdInfo item of a single SD
+   */
+  async fetchSdOverviewItem(uuid) {
+    const result = await this.getSd(uuid);
+    return result.sdInfo[0];
   }
 
   async getSdByInternalReference(internalReferenceNumber, options = {}) {
     try {
-      const soapEnvelope = this.createGetSdByInternalReferenceSoapEnvelope(internalReferenceNumber);
-      const response = await this.sendSoapRequest(soapEnvelope, this.sdSoapActionFor('getSdByInternalReference'));
+      const response = await this.sendWithRetry(
+        'getSdByInternalReference',
+        () => this.createGetSdByInternalReferenceSoapEnvelope(internalReferenceNumber),
+        this.sdSoapActionFor('getSdByInternalReference')
+      );
 
       if (options.rawResponse) {
         return {
@@ -795,15 +614,18 @@ ${bodyXml}
         ...parsedResponse
       };
     } catch (error) {
-      logger.debug({ error }, 'Error in SD getSdByInternalReference');
-      throw EudrErrorHandler.handleError(error);
+      this.logger.debug({ error }, 'Error in SD getSdByInternalReference');
+      throw EudrErrorHandler.handleError(error, { credentials: this.credentials });
     }
   }
 
   async getSdByIdentifiers(referenceNumber, verificationNumber, options = {}) {
     try {
-      const soapEnvelope = this.createGetSdByIdentifiersSoapEnvelope(referenceNumber, verificationNumber);
-      const response = await this.sendSoapRequest(soapEnvelope, this.sdSoapActionFor('getSdByIdentifiers'));
+      const response = await this.sendWithRetry(
+        'getSdByIdentifiers',
+        () => this.createGetSdByIdentifiersSoapEnvelope(referenceNumber, verificationNumber),
+        this.sdSoapActionFor('getSdByIdentifiers')
+      );
 
       if (options.rawResponse) {
         return {
@@ -813,15 +635,15 @@ ${bodyXml}
         };
       }
 
-      const parsedResponse = await this.parseSdStatementResponse(response.data);
+      const parsedResponse = await this.parseSdStatementResponse(response.data, options);
       return {
         httpStatus: response.status,
         status: response.status,
         ...parsedResponse
       };
     } catch (error) {
-      logger.debug({ error }, 'Error in SD getSdByIdentifiers');
-      throw EudrErrorHandler.handleError(error);
+      this.logger.debug({ error }, 'Error in SD getSdByIdentifiers');
+      throw EudrErrorHandler.handleError(error, { credentials: this.credentials });
     }
   }
 }
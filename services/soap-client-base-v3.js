@@ -0,0 +1,348 @@
+/**
+ * Shared SOAP core for the V3 clients.
+ *
+ * EudrDueDiligenceStatementServiceV3Transport, EudrSimplifiedDeclarationClientV3 and
+ * EudrVerifyDeclarationClientV3 extend this class for config bootstrap, the
+ * WS-Security UsernameToken header, the SOAP envelope and the HTTP round trip.
+ * V1/V2 clients keep their own self-contained implementations.
+ *
+ * The HTTP round trip goes through an injectable transport function (axios by
+ * default) and a request/response interceptor chain:
+ *
+ * @example
+ * const client = new EudrSimplifiedDeclarationClientV3({
+ *   ...config,
+ *   httpTransport: async (request) => myHttpStack.post(request.url, request.data, { headers: request.headers }),
+ *   interceptors: {
+ *     request: [(request) => ({ ...request, headers: { ...request.headers, 'X-Trace-Id': traceId() } })],
+ *     response: [(response, request) => { capture(request.data, response.data); return response; }]
+ *   }
+ * });
+ */
+
+const axios = require('axios');
+const crypto = require('node:crypto');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+const { validateAndGenerateEndpoint } = require('../utils/endpoint-utils');
+const { normalizeRetryPolicy, executeWithRetry } = require('../utils/retry-policy');
+const { getSharedRateLimiter } = require('../utils/rate-limiter');
+const { resolveCassette } = require('../utils/cassette');
+const { createHttpsAgent } = require('../utils/http-agent');
+const { resolveClockSkewTracker, correctedNow } = require('../utils/clock-skew');
+const { resolveCredentialProvider } = require('../utils/credentials');
+const { escapeXml } = require('../utils/statement-xml');
+const { logger } = require('../utils/logger');
+
+/**
+ * Default transport: POST the SOAP request with axios
+ * @param {Object} request - { method, url, headers, data, timeout, ssl, httpsAgent }
+ * @returns {Promise<{status: number, data: string, headers: Object}>}
+ */
+async function axiosTransport(request) {
+  return axios({
+    method: request.method,
+    url: request.url,
+    headers: request.headers,
+    data: request.data,
+    timeout: request.timeout,
+    httpsAgent: request.httpsAgent || new https.Agent({
+      rejectUnauthorized: request.ssl
+    }),
+    // Proxies are handled by the agent (config.proxy); axios would send HTTPS requests to the proxy without CONNECT
+    proxy: false
+  });
+}
+
+class EudrSoapClientBaseV3 {
+  /**
+   * @param {Object} config - Client configuration (see the subclass constructors)
+   * @param {EudrCredentialProvider|Function} [config.credentials] - Source of username and password, fetched
+   *   before each request and cached (see utils/credentials.js); replaces config.username / config.password
+   * @param {Function} [config.httpTransport] - async (request) => ({ status, data, headers }); defaults to axios
+   * @param {Object} [config.interceptors] - { request: Function[], response: Function[] }
+   * @param {Object|boolean} [config.retry] - Retry policy overrides (see utils/retry-policy.js), or false to disable
+   * @param {EudrRateLimiter|boolean} [config.rateLimiter] - Limiter shared with other clients, or true for the process-wide EUDR default
+   * @param {EudrCassette|Object} [config.cassette] - Record or replay the transport traffic (see utils/cassette.js)
+   * @param {https.Agent} [config.httpsAgent] - Agent for every request (e.g. shared between clients); a pooled
+   *   keep-alive agent owned by this client otherwise
+   * @param {Object} [config.agentOptions] - { maxSockets, maxFreeSockets, idleTimeout, keepAlive } for the owned agent
+   *   (see utils/http-agent.js)
+   * @param {Object} [config.tls] - TLS settings of the owned agent (see utils/http-agent.js)
+   * @param {boolean} [config.ssl] - Deprecated: maps onto tls.rejectUnauthorized
+   * @param {string|Object|boolean} [config.proxy] - Proxy of the owned agent (see utils/proxy.js)
+   * @param {EudrClockSkewTracker|boolean} [config.clockSkew] - Server clock offset tracker for the WS-Security
+   *   timestamps (see utils/clock-skew.js); the process-wide one by default, false to use the local clock as is
+   * @param {Object} [config.logger] - Pino-compatible logger for this client; the package logger by default
+   * @param {Object} service
+   * @param {string} service.name - Service key for endpoint generation (e.g. 'submission')
+   * @param {string} service.namespacePrefix - Body namespace prefix used by the subclass XML (e.g. 'dds')
+   * @param {string} service.namespaceUri - Body namespace URI
+   * @param {Object} [service.defaults] - Service-specific config defaults
+   * @param {string[]} [service.idempotentOperations] - Operations that are safe to retry on any transient failure
+   */
+  constructor(config, service) {
+    const validatedConfig = validateAndGenerateEndpoint(config, service.name, 'v3');
+
+    this.config = {
+      timestampValidity: 60,
+      timeout: 10000,
+      ...service.defaults,
+      ...validatedConfig
+    };
+
+    this.validateConfig();
+    this.credentials = resolveCredentialProvider(this.config);
+    this.endpoint = this.config.endpoint;
+    this.namespacePrefix = service.namespacePrefix;
+    this.namespaceUri = service.namespaceUri;
+    this.cassette = resolveCassette(this.config.cassette);
+    const transport = this.config.httpTransport || axiosTransport;
+    this.httpTransport = this.cassette ? this.cassette.wrapTransport(transport) : transport;
+
+    const interceptors = this.config.interceptors || {};
+    this.requestInterceptors = [...(interceptors.request || [])];
+    this.responseInterceptors = [...(interceptors.response || [])];
+
+    this.retryPolicy = normalizeRetryPolicy(this.config.retry);
+    this.idempotentOperations = service.idempotentOperations || [];
+    this.rateLimiter = this.config.rateLimiter === true ? getSharedRateLimiter() : (this.config.rateLimiter || null);
+    this.clockSkew = resolveClockSkewTracker(this.config.clockSkew);
+    this.logger = this.config.logger || logger;
+
+    this.ownsAgent = !this.config.httpsAgent;
+    this.httpsAgent = this.config.httpsAgent || createHttpsAgent({
+      ...this.config.agentOptions,
+      ssl: this.config.ssl,
+      tls: this.config.tls,
+      proxy: this.config.proxy,
+      logger: this.logger
+    });
+  }
+
+  /**
+   * Validate mandatory fields for V3 client bootstrap.
+   */
+  validateConfig() {
+    // username and password are checked with the credentials
+    const requiredFields = ['endpoint', 'webServiceClientId'];
+
+    for (const field of requiredFields) {
+      if (!this.config[field]) {
+        throw new Error(`Missing required configuration: ${field}`);
+      }
+    }
+
+    if (this.config.httpTransport !== undefined && typeof this.config.httpTransport !== 'function') {
+      throw new Error('httpTransport must be a function');
+    }
+
+    const { rateLimiter } = this.config;
+    if (rateLimiter && rateLimiter !== true && typeof rateLimiter.acquire !== 'function') {
+      throw new Error('rateLimiter must be true or an object with an acquire() method');
+    }
+  }
+
+  /**
+   * Close the pooled sockets of the agent this client created. An agent passed
+   * in config.httpsAgent belongs to the caller and is left alone.
+   */
+  close() {
+    if (this.ownsAgent) {
+      this.httpsAgent.destroy();
+    }
+  }
+
+  /**
+   * Add a request interceptor. Interceptors run in registration order and receive
+   * (request, context); they may return a replacement request or mutate it in place.
+   * @param {Function} interceptor
+   * @returns {this}
+   */
+  addRequestInterceptor(interceptor) {
+    this.requestInterceptors.push(interceptor);
+    return this;
+  }
+
+  /**
+   * Add a response interceptor. Interceptors run in registration order and receive
+   * (response, request, context); they also see HTTP error responses (e.g. SOAP faults)
+   * before the error is thrown.
+   * @param {Function} interceptor
+   * @returns {this}
+   */
+  addResponseInterceptor(interceptor) {
+    this.responseInterceptors.push(interceptor);
+    return this;
+  }
+
+  generateNonce() {
+    const nonceBytes = crypto.randomBytes(16);
+
+    return {
+      bytes: nonceBytes,
+      base64: nonceBytes.toString('base64')
+    };
+  }
+
+  /**
+   * Current time in epoch milliseconds, corrected by the measured server clock offset
+   * @returns {number}
+   */
+  now() {
+    return correctedNow(this.clockSkew, this.config.endpoint);
+  }
+
+  getCurrentTimestamp() {
+    return new Date(this.now()).toISOString();
+  }
+
+  getExpirationTimestamp(validityInSeconds) {
+    return new Date(this.now() + validityInSeconds * 1000).toISOString();
+  }
+
+  generatePasswordDigest(nonce, created, password) {
+    const concatenated = Buffer.concat([
+      nonce,
+      Buffer.from(created),
+      Buffer.from(password)
+    ]);
+
+    return crypto.createHash('sha1').update(concatenated).digest('base64');
+  }
+
+  escapeXml(value) {
+    return escapeXml(value);
+  }
+
+  createSecurityHeaderXml() {
+    const { username, password } = this.credentials.current();
+    const nonce = this.generateNonce();
+    const created = this.getCurrentTimestamp();
+    const expires = this.getExpirationTimestamp(this.config.timestampValidity);
+    const passwordDigest = this.generatePasswordDigest(nonce.bytes, created, password);
+    const timestampId = `TS-${uuidv4()}`;
+    const usernameTokenId = `UsernameToken-${uuidv4()}`;
+
+    return `
+        <wsse:Security xmlns:wsse="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-secext-1.0.xsd"
+                       xmlns:wsu="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-utility-1.0.xsd"
+                       soapenv:mustUnderstand="1">
+            <wsu:Timestamp wsu:Id="${timestampId}">
+                <wsu:Created>${created}</wsu:Created>
+                <wsu:Expires>${expires}</wsu:Expires>
+            </wsu:Timestamp>
+            <wsse:UsernameToken wsu:Id="${usernameTokenId}">
+                <wsse:Username>${this.escapeXml(username)}</wsse:Username>
+                <wsse:Password Type="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-username-token-profile-1.0#PasswordDigest">${passwordDigest}</wsse:Password>
+                <wsse:Nonce EncodingType="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-soap-message-security-1.0#Base64Binary">${nonce.base64}</wsse:Nonce>
+                <wsu:Created>${created}</wsu:Created>
+            </wsse:UsernameToken>
+        </wsse:Security>
+        <v4:WebServiceClientId>${this.escapeXml(this.config.webServiceClientId)}</v4:WebServiceClientId>`;
+  }
+
+  createSoapEnvelope(bodyXml) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
+                  xmlns:v4="http://ec.europa.eu/sanco/tracesnt/base/v4"
+                  xmlns:${this.namespacePrefix}="${this.namespaceUri}"
+                  xmlns:eudrCommon="http://ec.europa.eu/tracesnt/certificate/eudr/common/v3">
+    <soapenv:Header>
+${this.createSecurityHeaderXml()}
+    </soapenv:Header>
+    <soapenv:Body>
+${bodyXml}
+    </soapenv:Body>
+</soapenv:Envelope>`;
+  }
+
+  /**
+   * POST a SOAP envelope through the interceptor chain and the configured transport.
+   * @param {string} soapEnvelope
+   * @param {string} soapAction
+   * @returns {Promise<{status: number, data: string, headers: Object}>}
+   */
+  async sendSoapRequest(soapEnvelope, soapAction) {
+    const context = { soapAction, endpoint: this.config.endpoint };
+    let request = {
+      method: 'post',
+      url: this.config.endpoint,
+      headers: {
+        'Content-Type': 'text/xml;charset=UTF-8',
+        SOAPAction: soapAction
+      },
+      data: soapEnvelope,
+      timeout: this.config.timeout,
+      ssl: this.config.ssl,
+      httpsAgent: this.httpsAgent
+    };
+
+    for (const interceptor of this.requestInterceptors) {
+      request = (await interceptor(request, context)) || request;
+    }
+
+    // The envelope was stamped with the offset current at this point
+    const sent = this.clockSkew && this.clockSkew.startRequest(this.config.endpoint);
+    const observed = { timestampValidity: this.config.timestampValidity, logger: this.logger };
+    let response;
+    try {
+      response = await this.httpTransport(request);
+    } catch (error) {
+      if (error.response) {
+        error.response = await this.runResponseInterceptors(error.response, request, context);
+        const skewError = sent && this.clockSkew.observe(this.config.endpoint, error.response, sent, { ...observed, cause: error });
+        if (skewError) {
+          throw skewError;
+        }
+      }
+      throw error;
+    }
+
+    if (sent) {
+      this.clockSkew.observe(this.config.endpoint, response, sent, observed);
+    }
+    return this.runResponseInterceptors(response, request, context);
+  }
+
+  /**
+   * Build and send a request under the retry policy. The envelope is rebuilt for
+   * every attempt so that each one carries a fresh WS-Security nonce and timestamp
+   * and the current credentials, and every attempt takes its own rate limiter token.
+   * @param {string} operationName - e.g. 'getDds'; decides whether the call is idempotent
+   * @param {Function} createEnvelope - () => string
+   * @param {string} soapAction
+   * @returns {Promise<{status: number, data: string, headers: Object}>}
+   */
+  async sendWithRetry(operationName, createEnvelope, soapAction) {
+    return executeWithRetry(
+      async () => {
+        if (this.rateLimiter) {
+          await this.rateLimiter.acquire(operationName);
+        }
+        await this.credentials.get();
+        return this.sendSoapRequest(createEnvelope(), soapAction);
+      },
+      {
+        policy: this.retryPolicy,
+        idempotent: this.idempotentOperations.includes(operationName),
+        operation: operationName
+      }
+    );
+  }
+
+  /**
+   * @private
+   */
+  async runResponseInterceptors(response, request, context) {
+    let current = response;
+    for (const interceptor of this.responseInterceptors) {
+      current = (await interceptor(current, request, context)) || current;
+    }
+    return current;
+  }
+}
+
+EudrSoapClientBaseV3.axiosTransport = axiosTransport;
+
+module.exports = EudrSoapClientBaseV3;
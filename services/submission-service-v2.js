@@ -26,28 +26,9 @@ const { parseString } = require('xml2js');
 const EudrErrorHandler = require('../utils/error-handler');
 const { logger } = require('../utils/logger');
 const { validateAndGenerateEndpoint } = require('../utils/endpoint-utils');
-
-// Constants for Units of Measure validation based on economic_operators.md
-const HS_CODES_WITH_SUPPLEMENTARY_UNITS = {
-  // 4-digit codes (match on first 4 digits)
-  '4011': 'NAR',
-  '4013': 'NAR',
-  '4104': 'NAR',
-  '4403': 'MTQ',
-  '4406': 'MTQ',
-  '4408': 'MTQ',
-  '4410': 'MTQ',
-  '4411': 'MTQ',
-  '4412': 'MTQ',
-  '4413': 'MTQ',
-  '4701': 'KSD',
-  '4702': 'KSD',
-  '4704': 'KSD',
-  '4705': 'KSD'
-};
-
-// Valid supplementary unit types for Domestic/Trade activities
-const VALID_SUPPLEMENTARY_UNIT_TYPES = ['KSD', 'MTK', 'MTQ', 'MTR', 'NAR', 'NPR'];
+const { resolveCassette } = require('../utils/cassette');
+const { createHttpsAgent } = require('../utils/http-agent');
+const { HS_CODES_WITH_SUPPLEMENTARY_UNITS, VALID_SUPPLEMENTARY_UNIT_TYPES } = require('../utils/units-validator');
 
 /**
  * EUDR Submission Service Client V2 class
@@ -62,7 +43,14 @@ class EudrSubmissionClientV2 {
    * @param {string} config.webServiceClientId - Client ID ('eudr-repository', 'eudr-test', or custom)
    * @param {number} [config.timestampValidity=60] - Timestamp validity in seconds
    * @param {number} [config.timeout=10000] - Request timeout in milliseconds
-   * @param {boolean} [config.ssl=false] - SSL configuration: true for secure (default), false to allow unauthorized certificates
+   * @param {boolean} [config.ssl] - Deprecated boolean form of config.tls.rejectUnauthorized; false skips certificate verification
+   * @param {Object} [config.tls] - { rejectUnauthorized, ca, cert, key, pfx, passphrase, minVersion, pinnedPublicKeys }
+   *   (see utils/http-agent.js); certificates are verified by default
+   * @param {string|Object|boolean} [config.proxy] - HTTP(S) proxy for CONNECT tunnelling (see utils/proxy.js);
+   *   HTTPS_PROXY / NO_PROXY from the environment when omitted, none when false
+   * @param {EudrCassette|Object} [config.cassette] - Record or replay the SOAP traffic (see utils/cassette.js)
+   * @param {https.Agent} [config.httpsAgent] - Agent for every request, e.g. a pooled one from utils/http-agent.js
+   *   shared with the V3 clients; a non-keep-alive agent built from tls and proxy otherwise
    * 
    * @example
    * // Automatic endpoint generation for standard client IDs
@@ -89,12 +77,23 @@ class EudrSubmissionClientV2 {
       // Default configuration
       timestampValidity: 60, // 1 minute as per requirements
       timeout: 10000, // 10 seconds timeout
-      ssl: false, // Default to insecure for backward compatibility
       ...validatedConfig // Override with validated config (includes endpoint)
     };
 
     // Validate required configuration
     this.validateConfig();
+
+    // Opt-in record/replay of the SOAP traffic
+    this.cassette = resolveCassette(this.config.cassette);
+    this.httpRequest = this.cassette ? this.cassette.wrapTransport(axios) : axios;
+
+    // New connection per request (no keep-alive) unless the caller shares an agent
+    this.httpsAgent = this.config.httpsAgent || createHttpsAgent({
+      ssl: this.config.ssl,
+      tls: this.config.tls,
+      proxy: this.config.proxy,
+      keepAlive: false
+    });
   }
 
   /**
@@ -774,7 +773,7 @@ class EudrSubmissionClientV2 {
       logger.debug({ timeout: this.config.timeout }, 'Timeout:');
       logger.debug({ soapEnvelopePreview: soapEnvelope.substring(0, 200) }, 'SOAP envelope preview (first 200 chars):');
       
-      const response = await axios({
+      const response = await this.httpRequest({
         method: 'post',
         url: this.config.endpoint,
         headers: {
@@ -783,9 +782,8 @@ class EudrSubmissionClientV2 {
         },
         data: soapEnvelope,
         timeout: this.config.timeout,
-        httpsAgent: new (require('https').Agent)({
-          rejectUnauthorized: this.config.ssl
-        })
+        httpsAgent: this.httpsAgent,
+        proxy: false
       });
 
       logger.info({ status: response.status, data: response.data }, 'Response received');
@@ -893,7 +891,7 @@ class EudrSubmissionClientV2 {
       const soapEnvelope = this.createAmendSoapEnvelope(ddsIdentifier, statement);
 
       // Send the request
-      const response = await axios({
+      const response = await this.httpRequest({
         method: 'post',
         url: this.config.endpoint,
         headers: {
@@ -902,9 +900,8 @@ class EudrSubmissionClientV2 {
         },
         data: soapEnvelope,
         timeout: this.config.timeout,
-        httpsAgent: new (require('https').Agent)({
-          rejectUnauthorized: this.config.ssl
-        })
+        httpsAgent: this.httpsAgent,
+        proxy: false
       });
 
       // Return raw response if requested
@@ -1098,7 +1095,7 @@ class EudrSubmissionClientV2 {
       }
 
       // Send the request
-      const response = await axios({
+      const response = await this.httpRequest({
         method: 'post',
         url: this.config.endpoint,
         headers: {
@@ -1107,9 +1104,8 @@ class EudrSubmissionClientV2 {
         },
         data: soapEnvelope,
         timeout: this.config.timeout,
-        httpsAgent: new (require('https').Agent)({
-          rejectUnauthorized: this.config.ssl
-        })
+        httpsAgent: this.httpsAgent,
+        proxy: false
       });
 
       // Log response for debugging if requested
@@ -5,30 +5,91 @@
  */
 
 const EudrDueDiligenceStatementServiceV3Transport = require('./due-diligence-statement-service-v3');
+const { resolveJournal } = require('../utils/submission-journal');
 
 class EudrSubmissionClientV3 {
   /**
+   * Connection, TLS, proxy, clock and credential options shared by the V3 clients are
+   * described on the EudrSoapClientBaseV3 constructor.
    * @param {Object} config
    * @param {string} [config.endpoint]
-   * @param {string} config.username
-   * @param {string} config.password
+   * @param {string} [config.username] - Required unless config.credentials is given
+   * @param {string} [config.password] - Required unless config.credentials is given
    * @param {string} config.webServiceClientId
    * @param {number} [config.timestampValidity=60]
    * @param {number} [config.timeout=10000]
-   * @param {boolean} [config.ssl=false]
+   * @param {Function} [config.httpTransport] - Replaces the default axios transport (see EudrSoapClientBaseV3)
+   * @param {Object} [config.interceptors] - { request: Function[], response: Function[] }
+   * @param {Object|boolean} [config.retry] - Retry policy overrides (see utils/retry-policy.js), or false to disable
+   * @param {EudrRateLimiter|boolean} [config.rateLimiter] - Limiter shared with other clients, or true for the process-wide EUDR default
+   * @param {EudrCassette|Object} [config.cassette] - Record or replay the SOAP traffic (see utils/cassette.js)
+   * @param {Object} [config.logger] - Pino-compatible logger for this client; the package logger by default
+   * @param {EudrSubmissionJournal|Object} [config.journal] - Journal submitDds for crash-safe resubmission (see utils/submission-journal.js)
    */
   constructor(config) {
     this.transport = new EudrDueDiligenceStatementServiceV3Transport(config);
     this.config = this.transport.config;
     this.endpoint = this.transport.endpoint;
+    this.credentials = this.transport.credentials;
+    this.journal = resolveJournal(config && config.journal);
   }
 
   static createEndpointFromBaseUrl(baseUrl, serviceName = 'EUDRDueDiligenceStatementServiceV3') {
     return EudrDueDiligenceStatementServiceV3Transport.createEndpointFromBaseUrl(baseUrl, serviceName);
   }
 
+  addRequestInterceptor(interceptor) {
+    this.transport.addRequestInterceptor(interceptor);
+    return this;
+  }
+
+  addResponseInterceptor(interceptor) {
+    this.transport.addResponseInterceptor(interceptor);
+    return this;
+  }
+
+  /**
+   * Close the pooled sockets of the agent this client created (see EudrSoapClientBaseV3#close)
+   */
+  close() {
+    this.transport.close();
+  }
+
+  /**
+   * @param {Object} request
+   * @param {Object} [options]
+   * @param {boolean} [options.rawResponse=false] - Bypasses the journal
+   * @param {boolean} [options.journal=true] - false bypasses the journal, e.g. to submit an identical request twice on purpose
+   */
   async submitDds(request, options = {}) {
-    return this.transport.submitDds(request, options);
+    if (!this.journal || options.journal === false || options.rawResponse) {
+      return this.transport.submitDds(request, options);
+    }
+    return this.journal.submit('dds', request, this.journalHandlers(options));
+  }
+
+  /**
+   * Look up every submission the journal still has pending (e.g. after a crash)
+   * and resubmit the ones TRACES did not create
+   * @param {Object} [options]
+   * @param {boolean} [options.resubmit=true] - false only looks them up
+   * @returns {Promise<Object[]>} See EudrSubmissionJournal#reconcile
+   */
+  async reconcileJournal(options = {}) {
+    if (!this.journal) {
+      throw new Error('reconcileJournal requires the journal option');
+    }
+    return this.journal.reconcile('dds', this.journalHandlers(), options);
+  }
+
+  /**
+   * @private
+   */
+  journalHandlers(options = {}) {
+    return {
+      send: (request) => this.transport.submitDds(request, options),
+      lookup: async (internalReferenceNumber) => (await this.transport.getDdsByInternalReference(internalReferenceNumber)).ddsInfo
+    };
   }
 
   async amendDds(uuid, statement, options = {}) {
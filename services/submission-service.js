@@ -21,6 +21,8 @@ const { parseString } = require('xml2js');
 const EudrErrorHandler = require('../utils/error-handler');
 const { logger } = require('../utils/logger');
 const { validateAndGenerateEndpoint } = require('../utils/endpoint-utils');
+const { resolveCassette } = require('../utils/cassette');
+const { createHttpsAgent } = require('../utils/http-agent');
 
 /**
  * EUDR Submission Service Client class
@@ -35,7 +37,14 @@ class EudrSubmissionClient {
    * @param {string} config.webServiceClientId - Client ID ('eudr-repository', 'eudr-test', or custom)
    * @param {number} [config.timestampValidity=60] - Timestamp validity in seconds
    * @param {number} [config.timeout=10000] - Request timeout in milliseconds
-   * @param {boolean} [config.ssl=false] - SSL configuration: true for secure (default), false to allow unauthorized certificates
+   * @param {boolean} [config.ssl] - Deprecated boolean form of config.tls.rejectUnauthorized; false skips certificate verification
+   * @param {Object} [config.tls] - { rejectUnauthorized, ca, cert, key, pfx, passphrase, minVersion, pinnedPublicKeys }
+   *   (see utils/http-agent.js); certificates are verified by default
+   * @param {string|Object|boolean} [config.proxy] - HTTP(S) proxy for CONNECT tunnelling (see utils/proxy.js);
+   *   HTTPS_PROXY / NO_PROXY from the environment when omitted, none when false
+   * @param {EudrCassette|Object} [config.cassette] - Record or replay the SOAP traffic (see utils/cassette.js)
+   * @param {https.Agent} [config.httpsAgent] - Agent for every request, e.g. a pooled one from utils/http-agent.js
+   *   shared with the V3 clients; a non-keep-alive agent built from tls and proxy otherwise
    * 
    * @example
    * // Automatic endpoint generation for standard client IDs
@@ -62,12 +71,23 @@ class EudrSubmissionClient {
       // Default configuration
       timestampValidity: 60, // 1 minute as per requirements
       timeout: 10000, // 10 seconds timeout
-      ssl: false, // Default to insecure for backward compatibility
       ...validatedConfig // Override with validated config (includes endpoint)
     };
 
     // Validate required configuration
     this.validateConfig();
+
+    // Opt-in record/replay of the SOAP traffic
+    this.cassette = resolveCassette(this.config.cassette);
+    this.httpRequest = this.cassette ? this.cassette.wrapTransport(axios) : axios;
+
+    // New connection per request (no keep-alive) unless the caller shares an agent
+    this.httpsAgent = this.config.httpsAgent || createHttpsAgent({
+      ssl: this.config.ssl,
+      tls: this.config.tls,
+      proxy: this.config.proxy,
+      keepAlive: false
+    });
   }
 
   /**
@@ -562,7 +582,7 @@ class EudrSubmissionClient {
       logger.debug('DEBUG: Timeout:', this.config.timeout);
       logger.debug('DEBUG: SOAP envelope preview (first 200 chars):', soapEnvelope.substring(0, 200));
       
-      const response = await axios({
+      const response = await this.httpRequest({
         method: 'post',
         url: this.config.endpoint,
         headers: {
@@ -571,9 +591,8 @@ class EudrSubmissionClient {
         },
         data: soapEnvelope,
         timeout: this.config.timeout,
-        httpsAgent: new (require('https').Agent)({
-          rejectUnauthorized: this.config.ssl
-        })
+        httpsAgent: this.httpsAgent,
+        proxy: false
       });
 
       // Return raw response if requested
@@ -677,7 +696,7 @@ class EudrSubmissionClient {
       const soapEnvelope = this.createAmendSoapEnvelope(ddsIdentifier, statement);
 
       // Send the request
-      const response = await axios({
+      const response = await this.httpRequest({
         method: 'post',
         url: this.config.endpoint,
         headers: {
@@ -686,9 +705,8 @@ class EudrSubmissionClient {
         },
         data: soapEnvelope,
         timeout: this.config.timeout,
-        httpsAgent: new (require('https').Agent)({
-          rejectUnauthorized: this.config.ssl
-        })
+        httpsAgent: this.httpsAgent,
+        proxy: false
       });
 
       // Return raw response if requested
@@ -884,7 +902,7 @@ class EudrSubmissionClient {
       }
 
       // Send the request
-      const response = await axios({
+      const response = await this.httpRequest({
         method: 'post',
         url: this.config.endpoint,
         headers: {
@@ -893,9 +911,8 @@ class EudrSubmissionClient {
         },
         data: soapEnvelope,
         timeout: this.config.timeout,
-        httpsAgent: new (require('https').Agent)({
-          rejectUnauthorized: this.config.ssl
-        })
+        httpsAgent: this.httpsAgent,
+        proxy: false
       });
 
       // Log response for debugging if requested
@@ -4,50 +4,38 @@
  * Public V3 facade for declaration verification.
  */
 
-const axios = require('axios');
-const crypto = require('node:crypto');
-const https = require('https');
-const { v4: uuidv4 } = require('uuid');
 const { parseString } = require('xml2js');
+const EudrSoapClientBaseV3 = require('./soap-client-base-v3');
 const EudrErrorHandler = require('../utils/error-handler');
-const { logger } = require('../utils/logger');
-const { validateAndGenerateEndpoint } = require('../utils/endpoint-utils');
 
 const VERIFY_V3_NAMESPACE = 'http://ec.europa.eu/tracesnt/certificate/eudr/verification/v3';
+const VERIFY_DECLARATION_V3_NAMESPACE = 'http://ec.europa.eu/tracesnt/certificate/eudr/verify-declaration/v3';
 
-class EudrVerifyDeclarationClientV3 {
+class EudrVerifyDeclarationClientV3 extends EudrSoapClientBaseV3 {
   /**
+   * Connection, TLS, proxy, clock and credential options shared by the V3 clients are
+   * described on the EudrSoapClientBaseV3 constructor.
    * @param {Object} config
    * @param {string} [config.endpoint]
-   * @param {string} config.username
-   * @param {string} config.password
+   * @param {string} [config.username] - Required unless config.credentials is given
+   * @param {string} [config.password] - Required unless config.credentials is given
    * @param {string} config.webServiceClientId
    * @param {number} [config.timestampValidity=60]
    * @param {number} [config.timeout=10000]
-   * @param {boolean} [config.ssl=false]
+   * @param {Function} [config.httpTransport] - Replaces the default axios transport (see EudrSoapClientBaseV3)
+   * @param {Object} [config.interceptors] - { request: Function[], response: Function[] }
+   * @param {Object|boolean} [config.retry] - Retry policy overrides (see utils/retry-policy.js), or false to disable
+   * @param {EudrRateLimiter|boolean} [config.rateLimiter] - Limiter shared with other clients, or true for the process-wide EUDR default
+   * @param {EudrCassette|Object} [config.cassette] - Record or replay the SOAP traffic (see utils/cassette.js)
+   * @param {Object} [config.logger] - Pino-compatible logger for this client; the package logger by default
    */
   constructor(config) {
-    const validatedConfig = validateAndGenerateEndpoint(config, 'verification', 'v3');
-
-    this.config = {
-      timestampValidity: 60,
-      timeout: 10000,
-      ssl: false,
-      ...validatedConfig
-    };
-
-    this.validateConfig();
-    this.endpoint = this.config.endpoint;
-  }
-
-  validateConfig() {
-    const requiredFields = ['endpoint', 'username', 'password', 'webServiceClientId'];
-
-    for (const field of requiredFields) {
-      if (!this.config[field]) {
-        throw new Error(`Missing required configuration: ${field}`);
-      }
-    }
+    super(config, {
+      name: 'verification',
+      namespacePrefix: 'verify',
+      namespaceUri: VERIFY_DECLARATION_V3_NAMESPACE,
+      idempotentOperations: ['verifyDeclaration']
+    });
   }
 
   static createEndpointFromBaseUrl(baseUrl, serviceName = 'EUDRVerifyDeclarationServiceV3') {
@@ -62,85 +50,6 @@ class EudrVerifyDeclarationClientV3 {
     return `${VERIFY_V3_NAMESPACE}/verify-declaration`;
   }
 
-  generateNonce() {
-    const nonceBytes = crypto.randomBytes(16);
-
-    return {
-      bytes: nonceBytes,
-      base64: nonceBytes.toString('base64')
-    };
-  }
-
-  getCurrentTimestamp() {
-    return new Date().toISOString();
-  }
-
-  getExpirationTimestamp(validityInSeconds) {
-    const expirationDate = new Date();
-    expirationDate.setSeconds(expirationDate.getSeconds() + validityInSeconds);
-    return expirationDate.toISOString();
-  }
-
-  generatePasswordDigest(nonce, created, password) {
-    const concatenated = Buffer.concat([
-      nonce,
-      Buffer.from(created),
-      Buffer.from(password)
-    ]);
-
-    return crypto.createHash('sha1').update(concatenated).digest('base64');
-  }
-
-  escapeXml(value) {
-    return String(value)
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&apos;');
-  }
-
-  createSecurityHeaderXml() {
-    const nonce = this.generateNonce();
-    const created = this.getCurrentTimestamp();
-    const expires = this.getExpirationTimestamp(this.config.timestampValidity);
-    const passwordDigest = this.generatePasswordDigest(nonce.bytes, created, this.config.password);
-    const timestampId = `TS-${uuidv4()}`;
-    const usernameTokenId = `UsernameToken-${uuidv4()}`;
-
-    return `
-        <wsse:Security xmlns:wsse="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-secext-1.0.xsd"
-                       xmlns:wsu="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-utility-1.0.xsd"
-                       soapenv:mustUnderstand="1">
-            <wsu:Timestamp wsu:Id="${timestampId}">
-                <wsu:Created>${created}</wsu:Created>
-                <wsu:Expires>${expires}</wsu:Expires>
-            </wsu:Timestamp>
-            <wsse:UsernameToken wsu:Id="${usernameTokenId}">
-                <wsse:Username>${this.escapeXml(this.config.username)}</wsse:Username>
-                <wsse:Password Type="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-username-token-profile-1.0#PasswordDigest">${passwordDigest}</wsse:Password>
-                <wsse:Nonce EncodingType="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-soap-message-security-1.0#Base64Binary">${nonce.base64}</wsse:Nonce>
-                <wsu:Created>${created}</wsu:Created>
-            </wsse:UsernameToken>
-        </wsse:Security>
-        <v4:WebServiceClientId>${this.escapeXml(this.config.webServiceClientId)}</v4:WebServiceClientId>`;
-  }
-
-  createSoapEnvelope(bodyXml) {
-    return `<?xml version="1.0" encoding="UTF-8"?>
-<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
-                  xmlns:v4="http://ec.europa.eu/sanco/tracesnt/base/v4"
-                  xmlns:verify="http://ec.europa.eu/tracesnt/certificate/eudr/verify-declaration/v3"
-                  xmlns:eudrCommon="http://ec.europa.eu/tracesnt/certificate/eudr/common/v3">
-    <soapenv:Header>
-${this.createSecurityHeaderXml()}
-    </soapenv:Header>
-    <soapenv:Body>
-${bodyXml}
-    </soapenv:Body>
-</soapenv:Envelope>`;
-  }
-
   createVerifyDeclarationSoapEnvelope(referenceNumber, verificationNumber) {
     if (!referenceNumber || !verificationNumber) {
       throw new Error('verifyDeclaration requires referenceNumber and verificationNumber');
@@ -185,26 +94,13 @@ ${bodyXml}
     });
   }
 
-  async sendSoapRequest(soapEnvelope, soapAction) {
-    return axios({
-      method: 'post',
-      url: this.config.endpoint,
-      headers: {
-        'Content-Type': 'text/xml;charset=UTF-8',
-        SOAPAction: soapAction
-      },
-      data: soapEnvelope,
-      timeout: this.config.timeout,
-      httpsAgent: new https.Agent({
-        rejectUnauthorized: this.config.ssl
-      })
-    });
-  }
-
   async verifyDeclaration(referenceNumber, verificationNumber, options = {}) {
     try {
-      const soapEnvelope = this.createVerifyDeclarationSoapEnvelope(referenceNumber, verificationNumber);
-      const response = await this.sendSoapRequest(soapEnvelope, this.soapActionFor('verifyDeclaration'));
+      const response = await this.sendWithRetry(
+        'verifyDeclaration',
+        () => this.createVerifyDeclarationSoapEnvelope(referenceNumber, verificationNumber),
+        this.soapActionFor('verifyDeclaration')
+      );
 
       if (options.rawResponse) {
         return {
@@ -219,8 +115,8 @@ ${bodyXml}
         ...parsedResponse
       };
     } catch (error) {
-      logger.debug({ error }, 'Error in V3 verifyDeclaration');
-      throw EudrErrorHandler.handleError(error);
+      this.logger.debug({ error }, 'Error in V3 verifyDeclaration');
+      throw EudrErrorHandler.handleError(error, { credentials: this.credentials });
     }
   }
 }
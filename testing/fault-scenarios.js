@@ -0,0 +1,188 @@
+/**
+ * EUDR Fault Scenarios
+ *
+ * Declarative fault definitions for EudrMockServer.injectFault(), in the style
+ * of services/scenarios.js. Each entry names the client operation(s) it applies
+ * to and the fault the mock server returns instead of handling the request, so
+ * that EudrErrorHandler mappings, retries and timeouts can be rehearsed without
+ * a live account.
+ *
+ * Entries can be adjusted with spread syntax, e.g. fail only twice:
+ * server.injectFault({ ...faultScenarios.throttled, times: 2 });
+ */
+
+const { EUDR_ERROR_CODES } = require('../utils/error-handler');
+
+// Codes raised by the client itself; TRACES never returns them
+const CLIENT_SIDE_ERROR_CODES = [
+  'EUDR_DATA_TYPE_VALIDATION_ERROR',
+  'EUDR_SCHEMA_VALIDATION_ERROR',
+  'EUDR_RATE_LIMIT_EXCEEDED',
+  'EUDR_STATUS_WAIT_TIMEOUT',
+  'EUDR_IMPORT_INCONSISTENT_ROWS',
+  'EUDR_JOURNAL_MISSING_REFERENCE'
+];
+
+// Operations that return each amend/withdraw code; other codes default to submitDds
+const ERROR_CODE_OPERATIONS = {
+  EUDR_WEBSERVICE_USER_NOT_EUDR_OPERATOR: '*',
+  EUDR_WEBSERVICE_USER_FROM_MANY_OPERATOR: '*',
+  EUDR_WEBSERVICE_USER_ACTIVITY_NOT_ALLOWED: '*',
+  EUDR_API_AMEND_ACTIVITY_TYPE_CHANGE_NOT_ALLOWED: 'amendDds',
+  EUDR_API_AMEND_OR_WITHDRAW_DDS_NOT_POSSIBLE: ['amendDds', 'withdrawDds'],
+  EUDR_API_AMEND_NOT_ALLOWED_FOR_STATUS: 'amendDds',
+  EUDR_API_AMEND_OR_WITHDRAW_NOT_ALLOWED_FOR_STATUS: ['amendDds', 'withdrawDds'],
+  EUDR_API_NO_DDS: ['amendDds', 'withdrawDds']
+};
+
+/**
+ * BusinessRulesValidationException scenario for one EUDR error code
+ * @param {string} errorCode - e.g. 'EUDR_MAXIMUM_GEO_SIZE_REACHED'
+ * @param {Object} [options]
+ * @param {string|string[]} [options.operation] - Defaults to the operation that returns the code
+ * @param {string} [options.message] - Defaults to the documented message
+ * @param {string} [options.field]
+ * @returns {Object}
+ */
+function businessRuleFault(errorCode, options = {}) {
+  if (!EUDR_ERROR_CODES[errorCode] || CLIENT_SIDE_ERROR_CODES.includes(errorCode)) {
+    throw new Error(`${errorCode} is not a server-side EUDR error code`);
+  }
+
+  return {
+    operation: options.operation || ERROR_CODE_OPERATIONS[errorCode] || 'submitDds',
+    fault: {
+      type: 'businessRule',
+      errorCode,
+      message: options.message,
+      field: options.field
+    }
+  };
+}
+
+/**
+ * One businessRuleFault scenario per server-side code in EUDR_ERROR_CODES
+ * @returns {Object<string, Object>} Keyed by error code
+ */
+function businessRuleScenarios() {
+  const result = {};
+  for (const errorCode of Object.keys(EUDR_ERROR_CODES)) {
+    if (!CLIENT_SIDE_ERROR_CODES.includes(errorCode)) {
+      result[errorCode] = businessRuleFault(errorCode);
+    }
+  }
+  return result;
+}
+
+const faultScenarios = {
+  /**
+   * Wrong username or authentication key: HTTP 401 UnauthenticatedException on any call
+   */
+  unauthenticated: {
+    operation: '*',
+    fault: { type: 'unauthenticated', message: 'Authentication failed' }
+  },
+
+  /**
+   * Web service user without the operator role
+   */
+  userNotEudrOperator: businessRuleFault('EUDR_WEBSERVICE_USER_NOT_EUDR_OPERATOR'),
+
+  /**
+   * PermissionDeniedException, e.g. reading a DDS of another operator
+   */
+  permissionDenied: {
+    operation: '*',
+    fault: { type: 'permissionDenied', message: 'You are not authorized to perform this operation' }
+  },
+
+  /**
+   * REPRESENTATIVE_OPERATOR submission without the represented operator
+   */
+  behalfOperatorNotProvided: businessRuleFault('EUDR_BEHALF_OPERATOR_NOT_PROVIDED', { field: 'representedOperator' }),
+
+  /**
+   * DDS larger than the allowed file size (mostly geolocation)
+   */
+  maximumGeoSizeReached: businessRuleFault('EUDR_MAXIMUM_GEO_SIZE_REACHED'),
+
+  /**
+   * Amend/withdraw of a DDS that is referenced elsewhere or past its cutoff date
+   */
+  amendOrWithdrawNotPossible: businessRuleFault('EUDR_API_AMEND_OR_WITHDRAW_DDS_NOT_POSSIBLE'),
+
+  /**
+   * Several rule violations reported in one fault
+   */
+  multipleBusinessRules: {
+    operation: 'submitDds',
+    fault: {
+      type: 'businessRule',
+      errors: [
+        { errorCode: 'EUDR_COMMODITIES_HS_CODE_INVALID', field: 'hsHeading' },
+        { errorCode: 'EUDR_COMMODITIES_DESCRIPTOR_NET_MASS_EMPTY', field: 'netWeight' }
+      ]
+    }
+  },
+
+  /**
+   * getDds*ByIdentifiers / *ByInternalReference without a match
+   */
+  statementNotFound: {
+    operation: ['getDdsByIdentifiers', 'getDdsByInternalReference', 'getSdByIdentifiers', 'getSdByInternalReference'],
+    fault: { type: 'notFound', errorCode: 'EUDR_WEBSERVICE_STATEMENT_NOT_FOUND' }
+  },
+
+  /**
+   * XML schema (SAX) validation: a decimal where the schema expects an integer
+   */
+  dataTypeValidation: {
+    operation: ['submitDds', 'amendDds', 'submitSd', 'updateSd'],
+    fault: {
+      type: 'schema',
+      message: "cvc-datatype-valid.1.2.1: '12.5' is not a valid value for 'integer'."
+    }
+  },
+
+  /**
+   * XML schema (SAX) validation: a mandatory element is missing
+   */
+  missingElement: {
+    operation: ['submitDds', 'amendDds', 'submitSd', 'updateSd'],
+    fault: {
+      type: 'schema',
+      message: "cvc-complex-type.2.4.b: The content of element 'dds:statement' is not complete. One of '{\"http://ec.europa.eu/tracesnt/certificate/eudr/due-diligence-statement/v3\":activityType}' is expected."
+    }
+  },
+
+  /**
+   * Throttled: HTTP 429 with Retry-After (seconds)
+   */
+  throttled: {
+    operation: '*',
+    fault: { type: 'throttle', status: 429, retryAfter: 1 }
+  },
+
+  /**
+   * Maintenance window: HTTP 503 with Retry-After (seconds)
+   */
+  serviceUnavailable: {
+    operation: '*',
+    fault: { type: 'throttle', status: 503, retryAfter: 5, message: 'Service Unavailable' }
+  },
+
+  /**
+   * Slow response: held for longer than the default 10 s client timeout
+   */
+  timeout: {
+    operation: '*',
+    fault: { type: 'timeout', delayMs: 15000 }
+  }
+};
+
+module.exports = {
+  faultScenarios,
+  businessRuleFault,
+  businessRuleScenarios,
+  CLIENT_SIDE_ERROR_CODES
+};
@@ -0,0 +1,27 @@
+/**
+ * EUDR Testing Support
+ *
+ * Offline stand-ins for the TRACES endpoints, for development and CI without
+ * acceptance credentials or network access.
+ */
+
+const {
+  EudrMockServer,
+  DEFAULT_MOCK_USERS,
+  OPERATION_REQUEST_ELEMENTS,
+  FAULT_TYPES,
+  MOCK_SERVER_NAMESPACES
+} = require('./mock-eudr-server');
+const { faultScenarios, businessRuleFault, businessRuleScenarios, CLIENT_SIDE_ERROR_CODES } = require('./fault-scenarios');
+
+module.exports = {
+  EudrMockServer,
+  DEFAULT_MOCK_USERS,
+  OPERATION_REQUEST_ELEMENTS,
+  FAULT_TYPES,
+  MOCK_SERVER_NAMESPACES,
+  faultScenarios,
+  businessRuleFault,
+  businessRuleScenarios,
+  CLIENT_SIDE_ERROR_CODES
+};
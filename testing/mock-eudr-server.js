@@ -0,0 +1,998 @@
+/**
+ * EUDR Mock Server
+ *
+ * In-process stand-in for the TRACES SOAP endpoints, for offline development
+ * and CI. It speaks the Echo, DDS V3, SD V3 and Verify V3 contracts closely
+ * enough for the library clients to run unchanged against it through `endpoint`:
+ * - WS-Security UsernameToken with PasswordDigest is required; the digest, the
+ *   wsu:Created clock skew (5 minutes), nonce reuse and the timestamp expiry are
+ *   checked, and failures return HTTP 401 UnauthenticatedException
+ * - declarations are kept in memory per web service user and move from
+ *   SUBMITTED to AVAILABLE (or REJECTED, see `review`) once `processingDelayMs`
+ *   has elapsed, at which point reference and verification numbers are assigned
+ * - amend/update/withdraw follow the documented status rules and answer with
+ *   BusinessRulesValidationException / NotFoundException faults in the
+ *   <ns4:Error><ns4:ID>... shape parsed by EudrErrorHandler
+ *
+ * @example
+ * const { EudrMockServer } = require('eudr-api-client/testing');
+ * const server = new EudrMockServer({ users: { 'mock-user': 'mock-password' } });
+ * await server.start();
+ *
+ * const client = new EudrSubmissionClientV3({
+ *   endpoint: server.endpointFor('submission'),
+ *   username: 'mock-user',
+ *   password: 'mock-password',
+ *   webServiceClientId: 'eudr-test'
+ * });
+ * // ...
+ * await server.stop();
+ */
+
+const http = require('node:http');
+const crypto = require('node:crypto');
+const { v4: uuidv4 } = require('uuid');
+const { parseStringPromise, processors } = require('xml2js');
+const { SERVICE_PATHS } = require('../utils/endpoint-utils');
+const { EUDR_ERROR_CODES } = require('../utils/error-handler');
+const { EUDR_STATUS, canAmend, canWithdraw } = require('../utils/status-lifecycle');
+
+const NAMESPACES = {
+  echo: 'http://ec.europa.eu/tracesnt/eudr/echo',
+  dds: 'http://ec.europa.eu/tracesnt/certificate/eudr/due-diligence-statement/v3',
+  sd: 'http://ec.europa.eu/tracesnt/certificate/eudr/simplified-declaration/v3',
+  verify: 'http://ec.europa.eu/tracesnt/certificate/eudr/verify-declaration/v3',
+  common: 'http://ec.europa.eu/tracesnt/certificate/eudr/common/v3',
+  base: 'http://ec.europa.eu/sanco/tracesnt/base/v4',
+  error: 'http://ec.europa.eu/sanco/tracesnt/error/v01'
+};
+
+const WS_BASE_PATH = '/tracesnt/ws';
+const PASSWORD_DIGEST_TYPE = 'http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-username-token-profile-1.0#PasswordDigest';
+const REFERENCE_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+const DEFAULT_MOCK_USERS = { 'eudr-mock': 'eudr-mock-password' };
+
+// Client operation name -> SOAP body element, for fault rules
+const OPERATION_REQUEST_ELEMENTS = {
+  echo: 'EudrEchoRequest',
+  submitDds: 'SubmitDdsRequest',
+  amendDds: 'AmendDdsRequest',
+  withdrawDds: 'WithdrawDdsRequest',
+  getDds: 'GetDdsRequest',
+  getDdsByInternalReference: 'GetDdsByInternalReferenceRequest',
+  getDdsByIdentifiers: 'GetDdsByIdentifiersRequest',
+  submitSd: 'SubmitSdRequest',
+  updateSd: 'UpdateSdRequest',
+  withdrawSd: 'WithdrawSdRequest',
+  getSd: 'GetSdRequest',
+  getSdByInternalReference: 'GetSdByInternalReferenceRequest',
+  getSdByIdentifiers: 'GetSdByIdentifiersRequest',
+  verifyDeclaration: 'VerifyDeclarationRequest'
+};
+
+const FAULT_TYPES = ['businessRule', 'notFound', 'permissionDenied', 'unauthenticated', 'schema', 'throttle', 'timeout', 'http'];
+
+const OVERVIEW_FIELDS = [
+  'uuid',
+  'internalReferenceNumber',
+  'referenceNumber',
+  'verificationNumber',
+  'status',
+  'rejectionReason',
+  'communicationToOperator',
+  'date',
+  'updatedBy',
+  'version'
+];
+
+// Element text only; quotes stay literal as in TRACES faultstrings
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function textOf(node) {
+  if (node === undefined || node === null) {
+    return undefined;
+  }
+  return typeof node === 'object' ? node._ : String(node);
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function soapEnvelope(bodyXml) {
+  return `<?xml version='1.0' encoding='UTF-8'?>
+<S:Envelope xmlns:S="http://schemas.xmlsoap.org/soap/envelope/"><S:Body>${bodyXml}</S:Body></S:Envelope>`;
+}
+
+/**
+ * Build an error carrying a complete SOAP fault response
+ * @param {number} httpStatus
+ * @param {string} faultCode
+ * @param {string} faultString
+ * @param {string} [detailXml]
+ * @returns {Error}
+ */
+function soapFault(httpStatus, faultCode, faultString, detailXml = '') {
+  const error = new Error(faultString);
+  error.httpStatus = httpStatus;
+  error.faultXml = soapEnvelope(
+    `<S:Fault xmlns:ns4="${NAMESPACES.error}"><faultcode>${faultCode}</faultcode>` +
+    `<faultstring>${escapeXml(faultString)}</faultstring>` +
+    (detailXml ? `<detail>${detailXml}</detail>` : '') +
+    '</S:Fault>'
+  );
+  return error;
+}
+
+function errorDetailXml(errorCode, message, field) {
+  return '<ns4:Error>' +
+    `<ns4:ID>${errorCode.replace(/_/g, '-')}</ns4:ID>` +
+    `<ns4:Message languageID="en">${escapeXml(message || EUDR_ERROR_CODES[errorCode] || errorCode)}</ns4:Message>` +
+    (field ? `<ns4:Field languageID="en">${escapeXml(field)}</ns4:Field>` : '') +
+    '</ns4:Error>';
+}
+
+function businessRulesFault(namespace, errorCode, message, field) {
+  return soapFault(
+    500,
+    'S:Client',
+    'Some business rules are not met',
+    `<ns5:BusinessRulesValidationException xmlns:ns5="${namespace}">${errorDetailXml(errorCode, message, field)}</ns5:BusinessRulesValidationException>`
+  );
+}
+
+function notFoundFault(namespace, errorCode, message) {
+  return soapFault(
+    500,
+    'S:Client',
+    'Not found',
+    `<ns5:NotFoundException xmlns:ns5="${namespace}">${errorDetailXml(errorCode, message)}</ns5:NotFoundException>`
+  );
+}
+
+function unauthenticatedFault(reason) {
+  return soapFault(
+    401,
+    'S:Client',
+    'UnauthenticatedException',
+    `<ns2:UnauthenticatedException xmlns:ns2="${NAMESPACES.base}"><ns2:message>${escapeXml(reason)}</ns2:message></ns2:UnauthenticatedException>`
+  );
+}
+
+function permissionDeniedFault(namespace, message) {
+  return soapFault(
+    500,
+    'S:Client',
+    message,
+    `<ns5:PermissionDeniedException xmlns:ns5="${namespace}"><ns5:message>${escapeXml(message)}</ns5:message></ns5:PermissionDeniedException>`
+  );
+}
+
+/**
+ * Turn an injected fault definition into the error carrying its HTTP response
+ * @param {Object} fault - { type, ... } (see testing/fault-scenarios.js)
+ * @param {string} namespace - Namespace of the called service
+ * @returns {Error}
+ */
+function renderFault(fault, namespace) {
+  switch (fault.type) {
+    case 'businessRule': {
+      const errors = fault.errors || [{ errorCode: fault.errorCode, message: fault.message, field: fault.field }];
+      return soapFault(
+        500,
+        'S:Client',
+        'Some business rules are not met',
+        `<ns5:BusinessRulesValidationException xmlns:ns5="${namespace}">` +
+        errors.map((error) => errorDetailXml(error.errorCode, error.message, error.field)).join('') +
+        '</ns5:BusinessRulesValidationException>'
+      );
+    }
+    case 'notFound':
+      return notFoundFault(namespace, fault.errorCode || 'EUDR_WEBSERVICE_STATEMENT_NOT_FOUND', fault.message);
+    case 'permissionDenied':
+      return permissionDeniedFault(namespace, fault.message || 'You are not authorized to perform this operation');
+    case 'unauthenticated':
+      return unauthenticatedFault(fault.message || 'Authentication failed');
+    case 'schema':
+      return soapFault(500, 'S:Client', fault.message);
+    case 'throttle': {
+      const error = soapFault(fault.status || 429, 'S:Server', fault.message || 'Too many requests');
+      if (fault.retryAfter !== undefined) {
+        error.headers = { 'Retry-After': String(fault.retryAfter) };
+      }
+      return error;
+    }
+    case 'http': {
+      const error = new Error(`HTTP ${fault.status}`);
+      error.httpStatus = fault.status;
+      error.headers = fault.headers;
+      error.faultXml = fault.body === undefined ? '' : fault.body;
+      return error;
+    }
+    default:
+      throw new Error(`Unsupported fault type '${fault.type}'`);
+  }
+}
+
+function randomCode(length) {
+  return Array.from(crypto.randomBytes(length), (byte) => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]).join('');
+}
+
+/**
+ * Raw inner XML of the <prefix:statement> element, echoed back by getDdsByIdentifiers/getSdByIdentifiers
+ */
+function extractStatementXml(rawXml) {
+  const match = rawXml.match(/<((?:[\w-]+:)?)statement>([\s\S]*)<\/\1statement>/);
+  return match ? match[2].trim() : '';
+}
+
+class EudrMockServer {
+  /**
+   * @param {Object} [options]
+   * @param {Object<string, string>} [options.users] - Web service users: { username: authenticationKey }
+   * @param {number} [options.processingDelayMs=0] - Time a declaration stays SUBMITTED before it is processed
+   * @param {Function} [options.review] - (declaration) => undefined | { status: 'REJECTED', rejectionReason,
+   *   communicationToOperator }; decides the outcome of processing (AVAILABLE by default)
+   * @param {number} [options.clockSkewMs=300000] - Allowed difference between wsu:Created and the server clock
+   * @param {Function} [options.now] - () => epoch milliseconds, defaults to Date.now
+   * @param {Object[]} [options.faults] - Fault rules to inject from the start (see injectFault)
+   */
+  constructor(options = {}) {
+    this.users = { ...(options.users || DEFAULT_MOCK_USERS) };
+    this.processingDelayMs = options.processingDelayMs || 0;
+    this.review = options.review || null;
+    this.clockSkewMs = options.clockSkewMs === undefined ? 5 * 60 * 1000 : options.clockSkewMs;
+    this.now = options.now || Date.now;
+
+    this.declarations = new Map();
+    this.usedNonces = new Map();
+    this.requests = [];
+    this.faultRules = [];
+    this.pendingDelays = new Set();
+    this.server = null;
+    this.baseUrl = null;
+
+    this.routes = {
+      [`${WS_BASE_PATH}${SERVICE_PATHS.echo.v1}`]: {
+        namespace: NAMESPACES.echo,
+        handlers: {
+          EudrEchoRequest: (context) => this.handleEcho(context)
+        }
+      },
+      [`${WS_BASE_PATH}${SERVICE_PATHS.submission.v3}`]: {
+        namespace: NAMESPACES.dds,
+        handlers: {
+          SubmitDdsRequest: (context) => this.handleSubmit('dds', context),
+          AmendDdsRequest: (context) => this.handleAmend('dds', context),
+          WithdrawDdsRequest: (context) => this.handleWithdraw('dds', context),
+          GetDdsRequest: (context) => this.handleGetByUuids('dds', context),
+          GetDdsByInternalReferenceRequest: (context) => this.handleGetByInternalReference('dds', context),
+          GetDdsByIdentifiersRequest: (context) => this.handleGetByIdentifiers('dds', context)
+        }
+      },
+      [`${WS_BASE_PATH}${SERVICE_PATHS['simplified-declaration'].v3}`]: {
+        namespace: NAMESPACES.sd,
+        handlers: {
+          SubmitSdRequest: (context) => this.handleSubmit('sd', context),
+          UpdateSdRequest: (context) => this.handleAmend('sd', context),
+          WithdrawSdRequest: (context) => this.handleWithdraw('sd', context),
+          GetSdRequest: (context) => this.handleGetByUuids('sd', context),
+          GetSdByInternalReferenceRequest: (context) => this.handleGetByInternalReference('sd', context),
+          GetSdByIdentifiersRequest: (context) => this.handleGetByIdentifiers('sd', context)
+        }
+      },
+      [`${WS_BASE_PATH}${SERVICE_PATHS.verification.v3}`]: {
+        namespace: NAMESPACES.verify,
+        handlers: {
+          VerifyDeclarationRequest: (context) => this.handleVerify(context)
+        }
+      }
+    };
+
+    for (const rule of options.faults || []) {
+      this.injectFault(rule);
+    }
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port=0] - 0 picks a free port
+   * @param {string} [host='127.0.0.1']
+   * @returns {Promise<string>} Base URL, e.g. http://127.0.0.1:54321
+   */
+  start(port = 0, host = '127.0.0.1') {
+    if (this.server) {
+      return Promise.resolve(this.baseUrl);
+    }
+
+    this.server = http.createServer((req, res) => this.handleHttpRequest(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.baseUrl = `http://${host}:${this.server.address().port}`;
+        resolve(this.baseUrl);
+      });
+    });
+  }
+
+  /**
+   * Stop listening and close open connections
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    const server = this.server;
+    this.server = null;
+    this.baseUrl = null;
+    for (const timer of this.pendingDelays) {
+      clearTimeout(timer);
+    }
+    this.pendingDelays.clear();
+    return new Promise((resolve, reject) => {
+      server.close((error) => (error ? reject(error) : resolve()));
+      if (server.closeAllConnections) {
+        server.closeAllConnections();
+      }
+    });
+  }
+
+  /**
+   * Endpoint URL for a client, using the same service paths as utils/endpoint-utils.js
+   * @param {string} service - 'echo', 'submission', 'retrieval', 'simplified-declaration' or 'verification'
+   * @param {string} [version] - Defaults to 'v1' for echo and 'v3' otherwise
+   * @returns {string}
+   */
+  endpointFor(service, version = service === 'echo' ? 'v1' : 'v3') {
+    if (!this.baseUrl) {
+      throw new Error('EudrMockServer is not started');
+    }
+    const servicePath = SERVICE_PATHS[service] && SERVICE_PATHS[service][version];
+    if (!servicePath) {
+      throw new Error(`EudrMockServer does not serve ${service} ${version}`);
+    }
+    return `${this.baseUrl}${WS_BASE_PATH}${servicePath}`;
+  }
+
+  /**
+   * Add or replace a web service user
+   * @param {string} username
+   * @param {string} password - Authentication key
+   * @returns {this}
+   */
+  addUser(username, password) {
+    this.users[username] = password;
+    return this;
+  }
+
+  /**
+   * @param {string} uuid
+   * @returns {Object|undefined} Copy of the stored declaration (kind, owner, statement and overview fields)
+   */
+  getDeclaration(uuid) {
+    const record = this.declarations.get(uuid);
+    return record ? this.snapshot(this.settle(record)) : undefined;
+  }
+
+  /**
+   * @returns {Object[]} Copies of all stored declarations
+   */
+  listDeclarations() {
+    return [...this.declarations.values()].map((record) => this.snapshot(this.settle(record)));
+  }
+
+  /**
+   * Finish processing a SUBMITTED declaration now, regardless of processingDelayMs
+   * @param {string} uuid
+   * @param {Object} [outcome] - { status: 'AVAILABLE' | 'REJECTED', rejectionReason, communicationToOperator }
+   * @returns {Object} Copy of the processed declaration
+   */
+  process(uuid, outcome) {
+    const record = this.requireRecord(uuid);
+    if (record.status !== EUDR_STATUS.SUBMITTED) {
+      throw new Error(`Declaration ${uuid} is ${record.status}, not SUBMITTED`);
+    }
+    this.completeProcessing(record, outcome);
+    return this.snapshot(record);
+  }
+
+  /**
+   * Force a status, e.g. ARCHIVED, that the mock does not reach on its own
+   * @param {string} uuid
+   * @param {string} status
+   * @param {Object} [fields] - Overview fields to set alongside (rejectionReason, communicationToOperator, ...)
+   * @returns {Object} Copy of the updated declaration
+   */
+  setStatus(uuid, status, fields = {}) {
+    const record = this.settle(this.requireRecord(uuid));
+    if (!EUDR_STATUS[status]) {
+      throw new Error(`Unknown status '${status}'`);
+    }
+    Object.assign(record, fields, { status, date: this.timestamp() });
+    if (status === EUDR_STATUS.AVAILABLE && !record.referenceNumber) {
+      this.assignNumbers(record);
+    }
+    return this.snapshot(record);
+  }
+
+  /**
+   * Make matching requests fail. Rules are checked in injection order before
+   * authentication, and the first match with hits left wins.
+   * @param {Object} rule - A testing/fault-scenarios.js entry or a rule of the same shape
+   * @param {string|string[]} [rule.operation='*'] - Client operation name(s), e.g. 'submitDds', or '*'
+   * @param {Function} [rule.match] - (request) => boolean, with request = { operation, body, rawXml }
+   * @param {number} [rule.times=Infinity] - How many matching requests fail
+   * @param {Object} rule.fault - { type, ... }; type is one of FAULT_TYPES
+   * @returns {Object} The stored rule; its `hits` counts the requests it failed
+   */
+  injectFault(rule) {
+    if (!rule || !rule.fault || !FAULT_TYPES.includes(rule.fault.type)) {
+      throw new Error(`Fault rule requires fault.type, one of: ${FAULT_TYPES.join(', ')}`);
+    }
+
+    const operations = rule.operation === undefined || rule.operation === '*' ? null : asArray(rule.operation);
+    for (const operation of operations || []) {
+      if (!OPERATION_REQUEST_ELEMENTS[operation]) {
+        throw new Error(`Unknown operation '${operation}'. Known: ${Object.keys(OPERATION_REQUEST_ELEMENTS).join(', ')}`);
+      }
+    }
+
+    const stored = {
+      ...rule,
+      requestElements: operations ? operations.map((operation) => OPERATION_REQUEST_ELEMENTS[operation]) : null,
+      times: rule.times === undefined ? Infinity : rule.times,
+      hits: 0
+    };
+    this.faultRules.push(stored);
+    return stored;
+  }
+
+  /**
+   * Remove all injected fault rules
+   */
+  clearFaults() {
+    this.faultRules = [];
+  }
+
+  /**
+   * Drop all declarations, used nonces, fault rules and the request log
+   */
+  reset() {
+    this.declarations.clear();
+    this.usedNonces.clear();
+    this.faultRules = [];
+    this.requests = [];
+  }
+
+  /**
+   * @private
+   */
+  async handleHttpRequest(req, res) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const rawXml = Buffer.concat(chunks).toString('utf8');
+    const path = req.url.split('?')[0];
+    const entry = { path, soapAction: req.headers.soapaction, operation: null, username: null, fault: null, httpStatus: null };
+    this.requests.push(entry);
+
+    let httpStatus = 200;
+    let headers = {};
+    let responseXml;
+    try {
+      if (req.method !== 'POST') {
+        throw soapFault(405, 'S:Client', `Method ${req.method} not allowed`);
+      }
+      const route = this.routes[path];
+      if (!route) {
+        throw soapFault(404, 'S:Client', `No service at ${path}`);
+      }
+
+      const context = await this.parseRequest(rawXml);
+      entry.operation = context.operation;
+
+      const handler = route.handlers[context.operation];
+      if (!handler) {
+        throw soapFault(500, 'S:Client', `Cannot find dispatch method for ${context.operation}`);
+      }
+
+      const rule = this.matchFaultRule(context);
+      if (rule) {
+        entry.fault = rule.fault.type;
+        if (rule.fault.type === 'timeout') {
+          await this.delay(rule.fault.delayMs);
+        } else {
+          throw renderFault(rule.fault, route.namespace);
+        }
+      }
+
+      context.username = this.authenticate(context.header);
+      entry.username = context.username;
+      responseXml = handler(context);
+    } catch (error) {
+      const fault = error.faultXml !== undefined ? error : soapFault(500, 'S:Server', error.message);
+      httpStatus = fault.httpStatus;
+      headers = fault.headers || {};
+      responseXml = fault.faultXml;
+    }
+
+    entry.httpStatus = httpStatus;
+    // Date follows the mock clock so that clients can measure its skew
+    res.writeHead(httpStatus, { 'Content-Type': 'text/xml;charset=utf-8', Date: new Date(this.now()).toUTCString(), ...headers });
+    res.end(responseXml);
+  }
+
+  /**
+   * @private
+   */
+  matchFaultRule(context) {
+    const request = { operation: context.operation, body: context.body, rawXml: context.rawXml };
+    const rule = this.faultRules.find((candidate) =>
+      candidate.hits < candidate.times &&
+      (!candidate.requestElements || candidate.requestElements.includes(context.operation)) &&
+      (!candidate.match || candidate.match(request))
+    );
+    if (rule) {
+      rule.hits += 1;
+    }
+    return rule;
+  }
+
+  /**
+   * @private
+   */
+  delay(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.pendingDelays.delete(timer);
+        resolve();
+      }, ms);
+      this.pendingDelays.add(timer);
+    });
+  }
+
+  /**
+   * @private
+   */
+  async parseRequest(rawXml) {
+    let parsed;
+    try {
+      parsed = await parseStringPromise(rawXml, {
+        explicitArray: false,
+        tagNameProcessors: [processors.stripPrefix]
+      });
+    } catch (error) {
+      throw soapFault(500, 'S:Client', `Unable to parse request: ${error.message}`);
+    }
+
+    const envelope = parsed && parsed.Envelope;
+    const body = envelope && envelope.Body;
+    const operation = body && typeof body === 'object' ? Object.keys(body).find((key) => key !== '$') : null;
+    if (!operation) {
+      throw soapFault(500, 'S:Client', 'Missing SOAP body');
+    }
+
+    return {
+      rawXml,
+      header: envelope.Header || {},
+      operation,
+      body: body[operation] || {}
+    };
+  }
+
+  /**
+   * Check the WS-Security UsernameToken and WebServiceClientId headers
+   * @private
+   * @returns {string} The authenticated username
+   */
+  authenticate(header) {
+    const security = header.Security || {};
+    const token = security.UsernameToken;
+    if (!token) {
+      throw unauthenticatedFault('Missing UsernameToken');
+    }
+
+    const username = textOf(token.Username);
+    const digest = textOf(token.Password);
+    const nonce = textOf(token.Nonce);
+    const created = textOf(token.Created);
+    const passwordType = token.Password && token.Password.$ ? token.Password.$.Type : undefined;
+
+    if (!username || !digest || !nonce || !created) {
+      throw unauthenticatedFault('Incomplete UsernameToken');
+    }
+    if (passwordType !== PASSWORD_DIGEST_TYPE) {
+      throw unauthenticatedFault('PasswordDigest is required');
+    }
+
+    const now = this.now();
+    const createdAt = Date.parse(created);
+    if (Number.isNaN(createdAt) || Math.abs(now - createdAt) > this.clockSkewMs) {
+      throw unauthenticatedFault('Timestamp expired or not yet valid');
+    }
+    const expires = security.Timestamp ? Date.parse(textOf(security.Timestamp.Expires)) : NaN;
+    if (!Number.isNaN(expires) && expires < now - this.clockSkewMs) {
+      throw unauthenticatedFault('Timestamp expired');
+    }
+
+    const password = this.users[username];
+    const expected = password === undefined
+      ? null
+      : crypto.createHash('sha1')
+        .update(Buffer.concat([Buffer.from(nonce, 'base64'), Buffer.from(created), Buffer.from(password)]))
+        .digest('base64');
+    if (expected !== digest) {
+      throw unauthenticatedFault('Authentication failed');
+    }
+
+    this.pruneNonces(now);
+    if (this.usedNonces.has(nonce)) {
+      throw unauthenticatedFault('Nonce already used');
+    }
+    this.usedNonces.set(nonce, now);
+
+    if (!textOf(header.WebServiceClientId)) {
+      throw soapFault(500, 'S:Client', 'Missing WebServiceClientId');
+    }
+
+    return username;
+  }
+
+  /**
+   * @private
+   */
+  pruneNonces(now) {
+    for (const [nonce, seenAt] of this.usedNonces) {
+      if (now - seenAt > 2 * this.clockSkewMs) {
+        this.usedNonces.delete(nonce);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  handleEcho(context) {
+    return soapEnvelope(
+      `<ns3:EudrEchoResponse xmlns:ns3="${NAMESPACES.echo}"><ns3:status>${escapeXml(textOf(context.body.query) || '')}</ns3:status></ns3:EudrEchoResponse>`
+    );
+  }
+
+  /**
+   * @private
+   */
+  handleSubmit(kind, context) {
+    const namespace = NAMESPACES[kind];
+    const statement = context.body.statement || {};
+    const operatorRole = textOf(context.body.operatorRole);
+
+    if (operatorRole === 'REPRESENTATIVE_OPERATOR' && !statement.representedOperator) {
+      throw businessRulesFault(namespace, 'EUDR_BEHALF_OPERATOR_NOT_PROVIDED', undefined, 'representedOperator');
+    }
+    this.checkGroupedDeclarations(namespace, statement);
+
+    const now = this.now();
+    const record = {
+      kind,
+      uuid: uuidv4(),
+      owner: context.username,
+      operatorRole,
+      statement,
+      statementXml: extractStatementXml(context.rawXml),
+      internalReferenceNumber: textOf(statement.internalReferenceNumber) || '',
+      status: EUDR_STATUS.SUBMITTED,
+      version: 1,
+      submittedAt: now,
+      date: new Date(now).toISOString(),
+      updatedBy: context.username
+    };
+    this.declarations.set(record.uuid, record);
+
+    const response = kind === 'dds'
+      ? `<ns5:SubmitDdsResponse xmlns:ns5="${namespace}"><ns5:uuid>${record.uuid}</ns5:uuid></ns5:SubmitDdsResponse>`
+      : `<ns5:SubmitSdResponse xmlns:ns5="${namespace}"><ns5:sdIdentifier>${record.uuid}</ns5:sdIdentifier></ns5:SubmitSdResponse>`;
+    return soapEnvelope(response);
+  }
+
+  /**
+   * amendDds / updateSd
+   * @private
+   */
+  handleAmend(kind, context) {
+    const namespace = NAMESPACES[kind];
+    const record = this.findOwnedForModification(kind, context);
+    const statement = context.body.statement || {};
+
+    if (!canAmend(record.status)) {
+      throw businessRulesFault(namespace, 'EUDR_API_AMEND_NOT_ALLOWED_FOR_STATUS', undefined, 'status');
+    }
+    if (textOf(statement.activityType) !== textOf(record.statement.activityType)) {
+      throw businessRulesFault(namespace, 'EUDR_API_AMEND_ACTIVITY_TYPE_CHANGE_NOT_ALLOWED', undefined, 'activityType');
+    }
+    this.checkGroupedDeclarations(namespace, statement);
+
+    Object.assign(record, {
+      statement,
+      statementXml: extractStatementXml(context.rawXml),
+      internalReferenceNumber: textOf(statement.internalReferenceNumber) || record.internalReferenceNumber,
+      version: record.version + 1,
+      date: this.timestamp(),
+      updatedBy: context.username
+    });
+
+    const response = kind === 'dds'
+      ? `<ns5:AmendDdsResponse xmlns:ns5="${namespace}"><ns5:uuid>${record.uuid}</ns5:uuid><ns5:status>${record.status}</ns5:status></ns5:AmendDdsResponse>`
+      : `<ns5:UpdateSdResponse xmlns:ns5="${namespace}"><ns5:uuid>${record.uuid}</ns5:uuid><ns5:version>${record.version}</ns5:version><ns5:status>${record.status}</ns5:status></ns5:UpdateSdResponse>`;
+    return soapEnvelope(response);
+  }
+
+  /**
+   * withdrawDds / withdrawSd
+   * @private
+   */
+  handleWithdraw(kind, context) {
+    const namespace = NAMESPACES[kind];
+    const record = this.findOwnedForModification(kind, context);
+
+    if (!canWithdraw(record.status)) {
+      throw businessRulesFault(namespace, 'EUDR_API_AMEND_OR_WITHDRAW_NOT_ALLOWED_FOR_STATUS', undefined, 'status');
+    }
+    if (this.isReferencedByActiveDeclaration(record)) {
+      throw businessRulesFault(namespace, 'EUDR_API_AMEND_OR_WITHDRAW_DDS_NOT_POSSIBLE');
+    }
+
+    Object.assign(record, { status: EUDR_STATUS.WITHDRAWN, date: this.timestamp(), updatedBy: context.username });
+
+    const element = kind === 'dds' ? 'WithdrawDdsResponse' : 'WithdrawSdResponse';
+    const versionXml = kind === 'sd' ? `<ns5:version>${record.version}</ns5:version>` : '';
+    return soapEnvelope(
+      `<ns5:${element} xmlns:ns5="${namespace}"><ns5:uuid>${record.uuid}</ns5:uuid>${versionXml}<ns5:status>${record.status}</ns5:status></ns5:${element}>`
+    );
+  }
+
+  /**
+   * getDds / getSd: unknown or foreign UUIDs are left out of the overview list
+   * @private
+   */
+  handleGetByUuids(kind, context) {
+    const uuids = kind === 'dds'
+      ? asArray(context.body.uuidList).map(textOf)
+      : asArray(context.body.uuidAndVersionNumberList).map((entry) => textOf(entry.uuid));
+
+    const records = uuids
+      .map((uuid) => this.declarations.get(uuid))
+      .filter((record) => record && record.kind === kind && record.owner === context.username);
+
+    return this.overviewResponse(kind, kind === 'dds' ? 'GetDdsResponse' : 'GetSdResponse', records);
+  }
+
+  /**
+   * @private
+   */
+  handleGetByInternalReference(kind, context) {
+    const internalReference = textOf(context.body.internalReference);
+    const records = [...this.declarations.values()].filter((record) =>
+      record.kind === kind && record.owner === context.username && record.internalReferenceNumber === internalReference
+    );
+
+    if (records.length === 0) {
+      throw notFoundFault(NAMESPACES[kind], 'EUDR_WEBSERVICE_STATEMENT_NOT_FOUND', `No declaration with internal reference ${internalReference}`);
+    }
+    return this.overviewResponse(
+      kind,
+      kind === 'dds' ? 'GetDdsByInternalReferenceResponse' : 'GetSdByInternalReferenceResponse',
+      records
+    );
+  }
+
+  /**
+   * Full statement by reference + verification number; only AVAILABLE or ARCHIVED declarations are returned
+   * @private
+   */
+  handleGetByIdentifiers(kind, context) {
+    const namespace = NAMESPACES[kind];
+    const identifiers = context.body.referenceAndVerificationNumber || {};
+    const record = this.findByIdentifiers(textOf(identifiers.referenceNumber), textOf(identifiers.verificationNumber));
+
+    if (!record || record.kind !== kind || ![EUDR_STATUS.AVAILABLE, EUDR_STATUS.ARCHIVED].includes(record.status)) {
+      throw notFoundFault(namespace, 'EUDR_WEBSERVICE_STATEMENT_NOT_FOUND', 'DDS not found or not in AVAILABLE/ARCHIVED status');
+    }
+
+    const element = kind === 'dds' ? 'GetDdsByIdentifiersResponse' : 'GetSdByIdentifiersResponse';
+    return soapEnvelope(
+      `<ns5:${element} xmlns:ns5="${namespace}" xmlns:ns3="${NAMESPACES.common}" xmlns:${kind}="${namespace}" xmlns:eudrCommon="${NAMESPACES.common}">` +
+      `<ns5:statement>${record.statementXml}</ns5:statement></ns5:${element}>`
+    );
+  }
+
+  /**
+   * verifyDeclaration works across DDS and SD and across operators
+   * @private
+   */
+  handleVerify(context) {
+    const record = this.findByIdentifiers(textOf(context.body.referenceNumber), textOf(context.body.verificationNumber));
+    let result = 'NON_EXISTENT';
+    if (record) {
+      result = record.status === EUDR_STATUS.AVAILABLE ? 'EXISTING_USABLE' : 'EXISTING_NON_USABLE';
+    }
+
+    return soapEnvelope(
+      `<ns5:VerifyDeclarationResponse xmlns:ns5="${NAMESPACES.verify}">` +
+      `<ns5:result>${result}</ns5:result>` +
+      (record ? `<ns5:status>${record.status}</ns5:status>` : '') +
+      `<ns5:dateTime>${this.timestamp()}</ns5:dateTime>` +
+      `</ns5:VerifyDeclarationResponse>`
+    );
+  }
+
+  /**
+   * @private
+   */
+  overviewResponse(kind, element, records) {
+    const listElement = kind === 'dds' ? 'ddsOverviewList' : 'sdOverviewList';
+    const itemsXml = records.map((record) => {
+      this.settle(record);
+      const fieldsXml = OVERVIEW_FIELDS
+        .filter((field) => record[field] !== undefined && record[field] !== null)
+        .map((field) => `<ns3:${field}>${escapeXml(record[field])}</ns3:${field}>`)
+        .join('');
+      return `<ns5:${listElement}>${fieldsXml}</ns5:${listElement}>`;
+    }).join('');
+
+    return soapEnvelope(
+      `<ns5:${element} xmlns:ns3="${NAMESPACES.common}" xmlns:ns5="${NAMESPACES[kind]}">${itemsXml}</ns5:${element}>`
+    );
+  }
+
+  /**
+   * @private
+   */
+  findOwnedForModification(kind, context) {
+    const uuid = textOf(kind === 'dds' ? context.body.uuid : context.body.sdIdentifier);
+    const record = this.declarations.get(uuid);
+    if (!record || record.kind !== kind || record.owner !== context.username) {
+      throw businessRulesFault(NAMESPACES[kind], 'EUDR_API_NO_DDS', `No declaration corresponding to UUID ${uuid}`);
+    }
+    return this.settle(record);
+  }
+
+  /**
+   * @private
+   */
+  findByIdentifiers(referenceNumber, verificationNumber) {
+    for (const record of this.declarations.values()) {
+      this.settle(record);
+      if (record.referenceNumber && record.referenceNumber === referenceNumber && record.verificationNumber === verificationNumber) {
+        return record;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Grouped declarations must reference existing declarations by reference number
+   * @private
+   */
+  checkGroupedDeclarations(namespace, statement) {
+    for (const grouped of asArray(statement.groupedDeclarations)) {
+      const referenceNumber = textOf(grouped.groupedDeclaration);
+      const exists = [...this.declarations.values()].some((record) => record.referenceNumber === referenceNumber);
+      if (!exists) {
+        throw businessRulesFault(namespace, 'EUDR_REFERENCED_STATEMENT_NOT_FOUND', undefined, 'groupedDeclarations');
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  isReferencedByActiveDeclaration(target) {
+    if (!target.referenceNumber) {
+      return false;
+    }
+    return [...this.declarations.values()].some((record) =>
+      record !== target &&
+      [EUDR_STATUS.SUBMITTED, EUDR_STATUS.AVAILABLE].includes(record.status) &&
+      asArray(record.statement.groupedDeclarations).some((grouped) => textOf(grouped.groupedDeclaration) === target.referenceNumber)
+    );
+  }
+
+  /**
+   * Apply the processing outcome once processingDelayMs has elapsed
+   * @private
+   */
+  settle(record) {
+    if (record.status === EUDR_STATUS.SUBMITTED && this.now() - record.submittedAt >= this.processingDelayMs) {
+      this.completeProcessing(record, this.review ? this.review(this.snapshot(record)) : undefined);
+    }
+    return record;
+  }
+
+  /**
+   * @private
+   */
+  completeProcessing(record, outcome = {}) {
+    const status = outcome.status || EUDR_STATUS.AVAILABLE;
+    if (![EUDR_STATUS.AVAILABLE, EUDR_STATUS.REJECTED].includes(status)) {
+      throw new Error(`Processing outcome must be AVAILABLE or REJECTED, got '${status}'`);
+    }
+
+    record.status = status;
+    record.date = this.timestamp();
+    if (outcome.rejectionReason !== undefined) {
+      record.rejectionReason = outcome.rejectionReason;
+    }
+    if (outcome.communicationToOperator !== undefined) {
+      record.communicationToOperator = outcome.communicationToOperator;
+    }
+    if (status === EUDR_STATUS.AVAILABLE) {
+      this.assignNumbers(record);
+    }
+  }
+
+  /**
+   * Reference numbers follow the live format: DDS 25NLSN6LX69730, SD S26BECB39D2GRX
+   * @private
+   */
+  assignNumbers(record) {
+    const year = String(new Date(this.now()).getUTCFullYear()).slice(-2);
+    const country = String(textOf(record.statement.countryOfActivity) || 'EU').toUpperCase();
+    const taken = new Set([...this.declarations.values()].map((other) => other.referenceNumber));
+
+    let referenceNumber;
+    do {
+      referenceNumber = record.kind === 'dds'
+        ? `${year}${country}${randomCode(10)}`
+        : `S${year}${country}${randomCode(9)}`;
+    } while (taken.has(referenceNumber));
+
+    record.referenceNumber = referenceNumber;
+    record.verificationNumber = randomCode(8);
+  }
+
+  /**
+   * @private
+   */
+  requireRecord(uuid) {
+    const record = this.declarations.get(uuid);
+    if (!record) {
+      throw new Error(`Unknown declaration ${uuid}`);
+    }
+    return record;
+  }
+
+  /**
+   * @private
+   */
+  snapshot(record) {
+    const { statementXml, submittedAt, ...rest } = record;
+    return JSON.parse(JSON.stringify(rest));
+  }
+
+  /**
+   * @private
+   */
+  timestamp() {
+    return new Date(this.now()).toISOString();
+  }
+}
+
+module.exports = {
+  EudrMockServer,
+  DEFAULT_MOCK_USERS,
+  OPERATION_REQUEST_ELEMENTS,
+  FAULT_TYPES,
+  MOCK_SERVER_NAMESPACES: NAMESPACES
+};
@@ -0,0 +1,191 @@
+/**
+ * Tests for the `eudr` CLI, run against the bundled mock server.
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, parseArguments, resolveConfig, formatTable } = require('../../cli');
+const { EudrMockServer } = require('../../testing');
+
+describe('eudr CLI', function() {
+  const statement = {
+    internalReferenceNumber: 'CLI-1',
+    activityType: 'IMPORT',
+    commodities: [{
+      descriptors: {
+        descriptionOfGoods: 'Test goods',
+        goodsMeasure: { netWeight: 100 }
+      },
+      hsHeading: '1801'
+    }],
+    geoLocationConfidential: false
+  };
+
+  let server;
+  let directory;
+  let env;
+
+  const capture = () => {
+    const stream = { text: '', write: (chunk) => { stream.text += chunk; } };
+    return stream;
+  };
+
+  const eudr = async (...argv) => {
+    const stdout = capture();
+    const stderr = capture();
+    const exitCode = await run(argv, { env, stdout, stderr });
+    return { exitCode, stdout: stdout.text, stderr: stderr.text };
+  };
+
+  beforeEach(async function() {
+    server = new EudrMockServer({ users: { 'cli-user': 'cli-password' } });
+    const baseUrl = await server.start();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'eudr-cli-'));
+    fs.writeFileSync(path.join(directory, 'request.json'), JSON.stringify({ operatorRole: 'OPERATOR', statement }));
+    env = {
+      EUDR_TRACES_USERNAME: 'cli-user',
+      EUDR_TRACES_PASSWORD: 'cli-password',
+      EUDR_WEB_SERVICE_CLIENT_ID: 'eudr-test',
+      EUDR_TRACES_BASE_URL: baseUrl,
+      EUDR_PROFILE_FILE: path.join(directory, 'profiles.json')
+    };
+  });
+
+  afterEach(async function() {
+    await server.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should parse options, values and positionals', function() {
+    expect(parseArguments(['dds', 'get', '--uuid', 'a,b', '-o', 'json', '--timeout=500', '--json'])).to.deep.equal({
+      positionals: ['dds', 'get'],
+      options: { uuid: 'a,b', output: 'json', timeout: '500', json: true }
+    });
+    expect(() => parseArguments(['-x'])).to.throw('Unknown option -x');
+    expect(() => parseArguments(['dds', 'get', '--uuid'])).to.throw('requires a value');
+  });
+
+  it('should echo through the configured environment', async function() {
+    const result = await eudr('echo', 'ping', '--json');
+
+    expect(result.exitCode).to.equal(0);
+    expect(JSON.parse(result.stdout)).to.deep.equal({ status: 'ping' });
+    expect(server.requests[0].username).to.equal('cli-user');
+  });
+
+  it('should submit, get, fetch, verify, amend and withdraw a DDS', async function() {
+    const submitted = await eudr('dds', 'submit', path.join(directory, 'request.json'), '--json');
+    expect(submitted.exitCode).to.equal(0);
+    const { uuid } = JSON.parse(submitted.stdout);
+
+    const byUuid = JSON.parse((await eudr('dds', 'get', '--uuid', uuid, '-o', 'json')).stdout);
+    expect(byUuid.ddsInfo[0]).to.include({ uuid, status: 'AVAILABLE' });
+    const { referenceNumber, verificationNumber } = byUuid.ddsInfo[0];
+
+    const table = await eudr('dds', 'get', '--internal-ref', 'CLI-1');
+    expect(table.stdout.split('\n')[0]).to.match(/^uuid\s+/);
+    expect(table.stdout).to.include(referenceNumber);
+
+    const fetched = JSON.parse((await eudr('dds', 'fetch', '--ref', referenceNumber, '--verification', verificationNumber, '--json')).stdout);
+    expect(fetched.statement.internalReferenceNumber).to.equal('CLI-1');
+
+    const verified = await eudr('verify', referenceNumber, verificationNumber);
+    expect(verified.stdout).to.match(/^field\s+value/);
+    expect(verified.stdout).to.match(/result\s+EXISTING_USABLE/);
+
+    fs.writeFileSync(path.join(directory, 'amend.json'), JSON.stringify({ ...statement, internalReferenceNumber: 'CLI-2' }));
+    expect((await eudr('dds', 'amend', uuid, path.join(directory, 'amend.json'))).exitCode).to.equal(0);
+    expect(server.getDeclaration(uuid).internalReferenceNumber).to.equal('CLI-2');
+
+    expect((await eudr('dds', 'withdraw', uuid)).exitCode).to.equal(0);
+    expect(server.getDeclaration(uuid).status).to.equal('WITHDRAWN');
+  });
+
+  it('should submit and look up a simplified declaration', async function() {
+    fs.writeFileSync(path.join(directory, 'sd.json'), JSON.stringify({ operatorRole: 'MICRO_OPERATOR', statement }));
+
+    const submitted = JSON.parse((await eudr('sd', 'submit', path.join(directory, 'sd.json'), '--json')).stdout);
+    const found = JSON.parse((await eudr('sd', 'get', '--uuid', submitted.sdIdentifier, '--json')).stdout);
+
+    expect(found.sdInfo).to.have.lengthOf(1);
+    expect(found.notFound).to.deep.equal([]);
+  });
+
+  it('should import a CSV and print the per-row report', async function() {
+    const geometry = JSON.stringify({ type: 'Point', coordinates: [15.9, 45.8] }).replace(/"/g, '""');
+    fs.writeFileSync(path.join(directory, 'rows.csv'), [
+      'Order;activityType;hsHeading;descriptionOfGoods;netWeight;producerCountry;producerName;geometryGeojson',
+      `CSV-1;IMPORT;1801;Cocoa beans;10,5;HR;Farm A;"${geometry}"`,
+      `CSV-1;IMPORT;1801;Cocoa beans;10,5;HR;Farm B;"${geometry}"`,
+      `CSV-2;SHIPPING;1801;Cocoa beans;3;HR;Farm C;"${geometry}"`
+    ].join('\n'));
+    fs.writeFileSync(path.join(directory, 'mapping.json'), JSON.stringify({ 'statement.internalReferenceNumber': 'Order' }));
+
+    const result = await eudr('dds', 'import', path.join(directory, 'rows.csv'), '--mapping', path.join(directory, 'mapping.json'), '--json');
+    const report = JSON.parse(result.stdout);
+
+    expect(result.exitCode).to.equal(1);
+    expect(report.summary).to.include({ submitted: 1, invalid: 1 });
+    expect(report.rows[0]).to.include({ row: 2, internalReferenceNumber: 'CSV-1', status: 'submitted' });
+    expect(report.rows[1].uuid).to.equal(report.rows[0].uuid);
+    expect(report.rows[2]).to.include({ row: 4, status: 'invalid', errorCode: 'EUDR_SCHEMA_VALIDATION_ERROR' });
+
+    const validated = await eudr('dds', 'import', path.join(directory, 'rows.csv'), '--mapping', path.join(directory, 'mapping.json'), '--validate-only');
+    expect(validated.stdout).to.match(/^row\s+internalReferenceNumber\s+status/);
+    expect(server.requests).to.have.lengthOf(1);
+  });
+
+  it('should report EUDR errors with exit code 1', async function() {
+    const table = await eudr('dds', 'withdraw', '071874bd-8c62-4cac-8eb6-b2fbe003410c');
+    expect(table.exitCode).to.equal(1);
+    expect(table.stderr).to.include('EUDR_API_NO_DDS');
+
+    const json = await eudr('dds', 'withdraw', '071874bd-8c62-4cac-8eb6-b2fbe003410c', '--json');
+    expect(JSON.parse(json.stderr).error.eudrErrorCode).to.equal('EUDR_API_NO_DDS');
+  });
+
+  it('should exit with 2 on usage errors', async function() {
+    expect((await eudr('dds', 'publish')).exitCode).to.equal(2);
+    expect((await eudr('dds', 'get')).stderr).to.include('requires --uuid or --internal-ref');
+    expect((await eudr('verify', 'ABC', '--output', 'xml')).stderr).to.include("Invalid --output 'xml'");
+    expect((await eudr()).stdout).to.include('Usage: eudr');
+  });
+
+  describe('configuration', function() {
+    const writeProfiles = (profiles) => fs.writeFileSync(env.EUDR_PROFILE_FILE, JSON.stringify(profiles));
+
+    it('should use a named profile instead of the environment', async function() {
+      writeProfiles({ acceptance: { username: 'cli-user', password: 'cli-password', webServiceClientId: 'eudr-test', baseUrl: env.EUDR_TRACES_BASE_URL } });
+      env.EUDR_TRACES_PASSWORD = 'wrong-password';
+
+      expect((await eudr('echo', '--profile', 'acceptance')).exitCode).to.equal(0);
+      expect((await eudr('echo')).exitCode).to.equal(1);
+    });
+
+    it('should fall back to the default profile without environment credentials', function() {
+      writeProfiles({ default: { username: 'profile-user', password: 'secret', webServiceClientId: 'eudr-repository' } });
+
+      const config = resolveConfig({ timeout: '2500' }, { EUDR_PROFILE_FILE: env.EUDR_PROFILE_FILE });
+
+      expect(config).to.deep.equal({ username: 'profile-user', password: 'secret', webServiceClientId: 'eudr-repository', timeout: 2500 });
+    });
+
+    it('should fail without credentials or with an unknown profile', async function() {
+      expect(() => resolveConfig({}, { EUDR_PROFILE_FILE: env.EUDR_PROFILE_FILE })).to.throw('No credentials');
+      writeProfiles({});
+      expect((await eudr('echo', '--profile', 'missing')).stderr).to.include("Profile 'missing' not found");
+    });
+  });
+
+  it('should format tables with aligned columns', function() {
+    expect(formatTable([{ uuid: 'a', status: 'AVAILABLE' }, { uuid: 'bbb', status: null }])).to.equal(
+      'uuid  status\n' +
+      '----  ---------\n' +
+      'a     AVAILABLE\n' +
+      'bbb\n'
+    );
+    expect(formatTable([])).to.equal('(no results)\n');
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Tests for the EudrClient facade, run against the bundled mock server.
+ */
+
+const { expect } = require('chai');
+const https = require('https');
+const EudrClient = require('../../services/eudr-client');
+const { EudrRateLimiter } = require('../../utils/rate-limiter');
+const { EudrClockSkewTracker } = require('../../utils/clock-skew');
+const { EudrMockServer } = require('../../testing');
+
+describe('EudrClient', function() {
+  const credentials = { username: 'facade-user', password: 'facade-password', webServiceClientId: 'eudr-test' };
+
+  const statement = {
+    internalReferenceNumber: 'FACADE-1',
+    activityType: 'IMPORT',
+    commodities: [{
+      descriptors: {
+        descriptionOfGoods: 'Test goods',
+        goodsMeasure: { netWeight: 100 }
+      },
+      hsHeading: '1801'
+    }],
+    geoLocationConfidential: false
+  };
+
+  let server;
+  let baseUrl;
+  let eudr;
+
+  beforeEach(async function() {
+    server = new EudrMockServer({ users: { [credentials.username]: credentials.password } });
+    baseUrl = await server.start();
+    eudr = new EudrClient({ ...credentials, baseUrl, retry: false });
+  });
+
+  afterEach(async function() {
+    eudr.close();
+    await server.stop();
+  });
+
+  describe('configuration', function() {
+    it('should derive every endpoint once from webServiceClientId or baseUrl', function() {
+      const acceptance = new EudrClient(credentials);
+
+      expect(acceptance.endpoints).to.deep.equal({
+        echo: 'https://acceptance.eudr.webcloud.ec.europa.eu/tracesnt/ws/EudrEchoService',
+        dds: 'https://acceptance.eudr.webcloud.ec.europa.eu/tracesnt/ws/EUDRDueDiligenceStatementServiceV3',
+        sd: 'https://acceptance.eudr.webcloud.ec.europa.eu/tracesnt/ws/EUDRSimplifiedDeclarationServiceV3',
+        verification: 'https://acceptance.eudr.webcloud.ec.europa.eu/tracesnt/ws/EUDRVerifyDeclarationServiceV3'
+      });
+      expect(acceptance.clients.submission.endpoint).to.equal(acceptance.endpoints.dds);
+      expect(acceptance.clients.retrieval.endpoint).to.equal(acceptance.endpoints.dds);
+      expect(acceptance.clients.echo.config.endpoint).to.equal(acceptance.endpoints.echo);
+
+      const custom = new EudrClient({ ...credentials, webServiceClientId: 'acme', baseUrl: 'https://proxy.local/', endpoints: { echo: 'https://echo.local/ws' } });
+      expect(custom.endpoints.echo).to.equal('https://echo.local/ws');
+      expect(custom.endpoints.sd).to.equal('https://proxy.local/tracesnt/ws/EUDRSimplifiedDeclarationServiceV3');
+      acceptance.close();
+      custom.close();
+    });
+
+    it('should reject missing credentials and custom client ids without endpoints', function() {
+      expect(() => new EudrClient({ ...credentials, password: undefined })).to.throw('Missing required configuration: password');
+      expect(() => new EudrClient({ ...credentials, webServiceClientId: 'acme' })).to.throw('Provide baseUrl or endpoints.echo');
+    });
+
+    it('should share one agent, logger and rate limiter between the service clients', function() {
+      const logger = { debug() {}, warn() {} };
+      const shared = new EudrClient({ ...credentials, logger });
+      const { echo, submission, retrieval, sd, verification } = shared.clients;
+
+      expect(shared.httpsAgent).to.be.instanceOf(https.Agent);
+      expect(shared.httpsAgent.keepAlive).to.equal(true);
+      for (const config of [echo.config, submission.config, retrieval.config, sd.config, verification.config]) {
+        expect(config.httpsAgent).to.equal(shared.httpsAgent);
+      }
+      expect(sd.logger).to.equal(logger);
+      expect(submission.transport.logger).to.equal(logger);
+      expect(shared.rateLimiter).to.be.instanceOf(EudrRateLimiter);
+      expect(sd.rateLimiter).to.equal(shared.rateLimiter);
+      expect(verification.rateLimiter).to.equal(shared.rateLimiter);
+      expect(new EudrClient({ ...credentials, rateLimiter: false }).clients.sd.rateLimiter).to.equal(null);
+      shared.close();
+    });
+
+    it('should log echo warnings to the injected logger', async function() {
+      const warnings = [];
+      const logger = { debug() {}, warn: (details, message) => warnings.push({ details, message }) };
+      const aheadServer = new EudrMockServer({
+        users: { [credentials.username]: credentials.password },
+        now: () => Date.now() + 10 * 60 * 1000
+      });
+      const aheadBaseUrl = await aheadServer.start();
+      const shared = new EudrClient({ ...credentials, baseUrl: aheadBaseUrl, logger, clockSkew: new EudrClockSkewTracker() });
+
+      try {
+        expect(shared.clients.echo.logger).to.equal(logger);
+        try {
+          await shared.clients.echo.echo('ping');
+          expect.fail('Expected the timestamp to be rejected');
+        } catch (error) {
+          expect(error.eudrErrorCode).to.equal('EUDR_CLOCK_SKEW_EXCEEDED');
+        }
+        expect(warnings).to.have.lengthOf(1);
+        expect(warnings[0].details.endpoint).to.equal(shared.endpoints.echo);
+      } finally {
+        shared.close();
+        await aheadServer.stop();
+      }
+    });
+
+    it('should resolve the journal option once for all clients', function() {
+      const shared = new EudrClient({ ...credentials, journal: {} });
+
+      expect(shared.clients.submission.journal).to.equal(shared.clients.sd.journal);
+      shared.close();
+    });
+
+    it('should share one credential provider between the service clients', async function() {
+      let fetches = 0;
+      const { username, password, webServiceClientId } = credentials;
+      const shared = new EudrClient({
+        webServiceClientId,
+        baseUrl,
+        retry: false,
+        credentials: async () => {
+          fetches++;
+          return { username, password };
+        }
+      });
+      const { echo, submission, sd, verification } = shared.clients;
+
+      for (const client of [echo, submission, sd, verification]) {
+        expect(client.credentials).to.equal(shared.credentials);
+      }
+      const health = await shared.healthCheck();
+      expect(health.healthy).to.equal(true);
+      expect(fetches).to.equal(1);
+      shared.close();
+    });
+  });
+
+  it('should run DDS operations through the dds namespace', async function() {
+    const { uuid } = await eudr.dds.submit({ operatorRole: 'OPERATOR', statement });
+
+    const { ddsInfo } = await eudr.dds.get(uuid);
+    expect(ddsInfo[0]).to.include({ uuid, status: 'AVAILABLE' });
+    const { referenceNumber, verificationNumber } = ddsInfo[0];
+
+    expect((await eudr.dds.getByInternalReference('FACADE-1')).ddsInfo).to.have.lengthOf(1);
+    expect((await eudr.dds.getByIdentifiers(referenceNumber, verificationNumber)).statement.internalReferenceNumber).to.equal('FACADE-1');
+    expect((await eudr.verify(referenceNumber, verificationNumber)).result).to.equal('EXISTING_USABLE');
+
+    await eudr.dds.withdraw(uuid);
+    expect(server.getDeclaration(uuid).status).to.equal('WITHDRAWN');
+  });
+
+  it('should run simplified declarations through the sd namespace', async function() {
+    const { sdIdentifier } = await eudr.sd.submit({ operatorRole: 'MICRO_OPERATOR', statement });
+
+    expect((await eudr.sd.get(sdIdentifier)).sdInfo).to.have.lengthOf(1);
+    expect((await eudr.echo('ping')).status).to.equal('ping');
+  });
+
+  describe('healthCheck', function() {
+    const logger = { debug() {}, warn() {} };
+
+    it('should report every service healthy when reachable and authenticated', async function() {
+      const health = await eudr.healthCheck();
+
+      expect(health.healthy).to.equal(true);
+      expect(Object.keys(health.services)).to.deep.equal(['echo', 'dds', 'sd', 'verification']);
+      expect(health.services.dds).to.include({ healthy: true, endpoint: eudr.endpoints.dds });
+      expect(health.services.dds.latencyMs).to.be.a('number');
+    });
+
+    it('should report authentication failures per service', async function() {
+      const wrong = new EudrClient({ ...credentials, password: 'wrong', baseUrl, retry: false, logger });
+
+      const health = await wrong.healthCheck();
+      wrong.close();
+
+      expect(health.healthy).to.equal(false);
+      expect(health.services.verification.healthy).to.equal(false);
+      expect(health.services.verification.error.httpStatus).to.equal(401);
+    });
+
+    it('should report unreachable endpoints', async function() {
+      const unreachable = new EudrClient({ ...credentials, baseUrl, endpoints: { sd: 'http://127.0.0.1:9/ws' }, retry: false, logger });
+
+      const health = await unreachable.healthCheck();
+      unreachable.close();
+
+      expect(health.healthy).to.equal(false);
+      expect(health.services.sd.healthy).to.equal(false);
+      expect(health.services.dds.healthy).to.equal(true);
+    });
+  });
+});
@@ -188,5 +188,172 @@ describe('EudrRetrievalClientV3', function() {
       expect(parsed.statement.commodities[0].producers).to.be.an('array').with.lengthOf(1);
       expect(parsed.statement.commodities[0].producers[0].country).to.equal('FR');
     });
+
+    it('should expose decoded GeoJSON next to the Base64 geometryGeojson', async function() {
+      const client = new EudrRetrievalClientV3(baseConfig);
+      const point = { type: 'Point', coordinates: [2.35, 48.85] };
+      const pointBase64 = Buffer.from(JSON.stringify(point), 'utf-8').toString('base64');
+      const xmlResponse = `
+<S:Envelope xmlns:S="http://schemas.xmlsoap.org/soap/envelope/">
+  <S:Body>
+    <ns5:GetDdsByIdentifiersResponse xmlns:ns5="http://ec.europa.eu/tracesnt/certificate/eudr/due-diligence-statement/v3">
+      <ns5:statement>
+        <ns5:activityType>IMPORT</ns5:activityType>
+        <ns5:commodities>
+          <ns5:hsHeading>4410</ns5:hsHeading>
+          <ns5:producers>
+            <ns5:country>FR</ns5:country>
+            <ns5:geometryGeojson>${pointBase64}</ns5:geometryGeojson>
+          </ns5:producers>
+        </ns5:commodities>
+      </ns5:statement>
+    </ns5:GetDdsByIdentifiersResponse>
+  </S:Body>
+</S:Envelope>`;
+
+      const parsed = await client.transport.parseStatementResponse(xmlResponse);
+      const producer = parsed.statement.commodities[0].producers[0];
+      expect(producer.geometryGeojson).to.equal(pointBase64);
+      expect(producer.geometryGeojsonDecoded).to.deep.equal(point);
+    });
+
+    it('should map the statement onto the request model with options.typed', async function() {
+      const client = new EudrRetrievalClientV3(baseConfig);
+      const point = { type: 'Point', coordinates: [2.35, 48.85] };
+      const pointBase64 = Buffer.from(JSON.stringify(point), 'utf-8').toString('base64');
+      const xmlResponse = `
+<S:Envelope xmlns:S="http://schemas.xmlsoap.org/soap/envelope/">
+  <S:Body>
+    <ns5:GetDdsByIdentifiersResponse xmlns:ns3="http://ec.europa.eu/tracesnt/certificate/eudr/common/v3" xmlns:ns5="http://ec.europa.eu/tracesnt/certificate/eudr/due-diligence-statement/v3">
+      <ns5:statement>
+        <ns5:activityType>IMPORT</ns5:activityType>
+        <ns5:commodities>
+          <ns5:position>1</ns5:position>
+          <ns5:descriptors>
+            <ns3:descriptionOfGoods xml:lang="en">Oak boards</ns3:descriptionOfGoods>
+            <ns3:goodsMeasure>
+              <ns3:netWeight>300.000000</ns3:netWeight>
+            </ns3:goodsMeasure>
+          </ns5:descriptors>
+          <ns5:hsHeading>4410</ns5:hsHeading>
+          <ns5:producers>
+            <ns5:country>FR</ns5:country>
+            <ns5:geometryGeojson>${pointBase64}</ns5:geometryGeojson>
+          </ns5:producers>
+        </ns5:commodities>
+        <ns5:geoLocationConfidential>false</ns5:geoLocationConfidential>
+      </ns5:statement>
+    </ns5:GetDdsByIdentifiersResponse>
+  </S:Body>
+</S:Envelope>`;
+
+      const parsed = await client.transport.parseStatementResponse(xmlResponse, { typed: true });
+
+      expect(parsed.statement).to.deep.equal({
+        activityType: 'IMPORT',
+        commodities: [{
+          position: 1,
+          descriptors: { descriptionOfGoods: 'Oak boards', goodsMeasure: { netWeight: 300 } },
+          hsHeading: '4410',
+          producers: [{ country: 'FR', geometryGeojson: point }]
+        }],
+        geoLocationConfidential: false
+      });
+    });
+  });
+
+  describe('batched getDds', function() {
+    const uuidAt = (index) => `00000000-0000-4000-8000-${String(index).padStart(12, '0')}`;
+
+    const overviewTransport = (calls, missing = []) => async (request) => {
+      const uuids = [...request.data.matchAll(/<dds:uuidList>([^<]+)<\/dds:uuidList>/g)].map((match) => match[1]);
+      calls.push(uuids);
+      const items = uuids
+        .filter((uuid) => !missing.includes(uuid))
+        .reverse()
+        .map((uuid) => `<ns5:ddsOverviewList><ns3:uuid>${uuid}</ns3:uuid><ns3:status>AVAILABLE</ns3:status></ns5:ddsOverviewList>`)
+        .join('');
+      return {
+        status: 200,
+        headers: {},
+        data: `<S:Envelope xmlns:S="http://schemas.xmlsoap.org/soap/envelope/"><S:Body><ns5:GetDdsResponse xmlns:ns3="http://ec.europa.eu/tracesnt/certificate/eudr/common/v3" xmlns:ns5="http://ec.europa.eu/tracesnt/certificate/eudr/due-diligence-statement/v3">${items}</ns5:GetDdsResponse></S:Body></S:Envelope>`
+      };
+    };
+
+    it('should split more than 100 uuids into compliant calls and merge in input order', async function() {
+      const calls = [];
+      const uuids = Array.from({ length: 250 }, (_, index) => uuidAt(index));
+      const missing = [uuidAt(7), uuidAt(180)];
+      const client = new EudrRetrievalClientV3({ ...baseConfig, httpTransport: overviewTransport(calls, missing) });
+
+      const result = await client.getDds(uuids);
+
+      expect(calls.map((batch) => batch.length)).to.deep.equal([100, 100, 50]);
+      expect(result.httpStatus).to.equal(200);
+      expect(result.ddsInfo).to.have.lengthOf(248);
+      expect(result.ddsInfo.map((item) => item.uuid)).to.deep.equal(uuids.filter((uuid) => !missing.includes(uuid)));
+      expect(result.notFound).to.deep.equal(missing);
+      expect(result.batches).to.have.lengthOf(3);
+      expect(result.batches[2].uuids).to.deep.equal(uuids.slice(200));
+    });
+
+    it('should honour a smaller batchSize and return raw XML per call', async function() {
+      const calls = [];
+      const client = new EudrRetrievalClientV3({ ...baseConfig, httpTransport: overviewTransport(calls) });
+
+      const result = await client.getDds([uuidAt(1), uuidAt(2), uuidAt(3)], { batchSize: 2, rawResponse: true });
+
+      expect(calls).to.have.lengthOf(2);
+      expect(result.data).to.be.an('array').with.lengthOf(2);
+      expect(result.data[0]).to.include('GetDdsResponse');
+    });
+
+    it('should report not-found uuids for a single call', async function() {
+      const client = new EudrRetrievalClientV3({ ...baseConfig, httpTransport: overviewTransport([], [uuidAt(2)]) });
+
+      const result = await client.getDds([uuidAt(1), uuidAt(2)]);
+
+      expect(result.ddsInfo).to.have.lengthOf(1);
+      expect(result.notFound).to.deep.equal([uuidAt(2)]);
+    });
+
+    it('should reject an invalid batchSize', async function() {
+      const client = new EudrRetrievalClientV3(baseConfig);
+      try {
+        await client.getDds([uuidAt(1)], { batchSize: 500 });
+        expect.fail('Expected getDds to throw');
+      } catch (error) {
+        expect(error.message).to.equal('batchSize must be an integer between 1 and 100');
+      }
+    });
+  });
+
+  describe('waitForStatus', function() {
+    it('should poll getDds until the DDS leaves SUBMITTED', async function() {
+      const statuses = ['SUBMITTED', 'REJECTED'];
+      let calls = 0;
+      const client = new EudrRetrievalClientV3({
+        ...baseConfig,
+        httpTransport: async () => {
+          const status = statuses[calls++];
+          const details = status === 'REJECTED'
+            ? '<ns3:rejectionReason>Risk assessment</ns3:rejectionReason><ns3:communicationToOperator>Please contact the CA</ns3:communicationToOperator>'
+            : '';
+          return {
+            status: 200,
+            headers: {},
+            data: `<S:Envelope xmlns:S="http://schemas.xmlsoap.org/soap/envelope/"><S:Body><ns5:GetDdsResponse xmlns:ns3="http://ec.europa.eu/tracesnt/certificate/eudr/common/v3" xmlns:ns5="http://ec.europa.eu/tracesnt/certificate/eudr/due-diligence-statement/v3"><ns5:ddsOverviewList><ns3:uuid>071874bd-8c62-4cac-8eb6-b2fbe003410c</ns3:uuid><ns3:status>${status}</ns3:status>${details}</ns5:ddsOverviewList></ns5:GetDdsResponse></S:Body></S:Envelope>`
+          };
+        }
+      });
+
+      const result = await client.waitForStatus('071874bd-8c62-4cac-8eb6-b2fbe003410c', { wait: async () => {} });
+
+      expect(calls).to.equal(2);
+      expect(result.status).to.equal('REJECTED');
+      expect(result.rejectionReason).to.equal('Risk assessment');
+      expect(result.communicationToOperator).to.equal('Please contact the CA');
+    });
   });
 });
+
@@ -30,6 +30,11 @@ describe('EudrSimplifiedDeclarationClientV3', function() {
     geoLocationConfidential: false
   };
 
+  const pointProducers = [{
+    producerCountry: 'FR',
+    producerLocation: { geometryGeojson: { type: 'Point', coordinates: [2.35, 48.85], properties: { Area: 1 } } }
+  }];
+
   it('should initialize with automatic endpoint generation', function() {
     const client = new EudrSimplifiedDeclarationClientV3(baseConfig);
 
@@ -122,6 +127,25 @@ describe('EudrSimplifiedDeclarationClientV3', function() {
       expect(soapEnvelope).to.not.include('speciesInfo');
     });
 
+    it('should Base64-encode a raw GeoJSON string in producerLocation', function() {
+      const client = new EudrSimplifiedDeclarationClientV3(baseConfig);
+      const geometry = JSON.stringify({ type: 'Point', coordinates: [2.35, 48.85] });
+      const soapEnvelope = client.createSubmitSoapEnvelope({
+        operatorRole: 'MICRO_OPERATOR',
+        statement: {
+          ...validStatement,
+          commodities: [{
+            ...validStatement.commodities[0],
+            producers: [{ producerCountry: 'FR', producerLocation: { geometryGeojson: geometry } }]
+          }]
+        }
+      });
+
+      expect(soapEnvelope).to.include(
+        `<sd:geometryGeojson>${Buffer.from(geometry, 'utf-8').toString('base64')}</sd:geometryGeojson>`
+      );
+    });
+
     it('should generate update envelope using sdIdentifier (not uuid)', function() {
       const client = new EudrSimplifiedDeclarationClientV3(baseConfig);
       const soapEnvelope = client.createUpdateSoapEnvelope('071874bd-8c62-4cac-8eb6-b2fbe003410c', validStatement);
@@ -426,6 +450,52 @@ describe('EudrSimplifiedDeclarationClientV3', function() {
         expect(error.eudrErrorCode).to.equal('EUDR_V3_SD_PRODUCER_LOCATION_INVALID');
       }
     });
+
+    it('should reject invalid units of measure before sending updateSd', async function() {
+      const client = new EudrSimplifiedDeclarationClientV3(baseConfig);
+      let requestSent = false;
+      client.sendSoapRequest = async () => {
+        requestSent = true;
+      };
+
+      try {
+        await client.updateSd('SD-1', {
+          ...validStatement,
+          activityType: 'DOMESTIC',
+          commodities: [{
+            descriptors: {
+              descriptionOfGoods: 'Test cocoa',
+              goodsMeasure: { netWeight: 100, percentageEstimationOrDeviation: 30 }
+            },
+            hsHeading: '1801',
+            producers: pointProducers
+          }]
+        });
+        expect.fail('Expected updateSd to throw');
+      } catch (error) {
+        expect(error.eudrErrorCode).to.equal('EUDR_COMMODITIES_DESCRIPTOR_PERCENTAGE_ESTIMATION_INVALID');
+        expect(error.commodityIndex).to.equal(0);
+      }
+      expect(requestSent).to.be.false;
+    });
+
+    it('should send invalid units of measure when unitsValidation is warn', async function() {
+      const client = new EudrSimplifiedDeclarationClientV3({ ...baseConfig, unitsValidation: 'warn' });
+      let requestSent = false;
+      client.sendSoapRequest = async () => {
+        requestSent = true;
+        return { status: 200, data: '' };
+      };
+
+      await client.submitSd({
+        operatorRole: 'MICRO_OPERATOR',
+        statement: {
+          ...validStatement,
+          commodities: [{ ...validStatement.commodities[0], hsHeading: '4403', producers: pointProducers }]
+        }
+      }, { rawResponse: true });
+      expect(requestSent).to.be.true;
+    });
   });
 
   describe('response parsing', function() {
@@ -541,4 +611,41 @@ describe('EudrSimplifiedDeclarationClientV3', function() {
       expect(parsed.statement.commodities[0].speciesInfo).to.be.undefined;
     });
   });
+
+  describe('batched getSd', function() {
+    it('should split more than 100 entries into compliant calls and merge in input order', async function() {
+      const calls = [];
+      const entries = Array.from({ length: 120 }, (_, index) => ({
+        uuid: `00000000-0000-4000-8000-${String(index).padStart(12, '0')}`,
+        version: 1
+      }));
+      const client = new EudrSimplifiedDeclarationClientV3({
+        ...baseConfig,
+        httpTransport: async (request) => {
+          const uuids = [...request.data.matchAll(/<eudrCommon:uuid>([^<]+)<\/eudrCommon:uuid>/g)].map((match) => match[1]);
+          calls.push(uuids);
+          const items = uuids
+            .slice(1)
+            .reverse()
+            .map((uuid) => `<ns5:sdOverviewList><ns3:uuid>${uuid}</ns3:uuid></ns5:sdOverviewList>`)
+            .join('');
+          return {
+            status: 200,
+            headers: {},
+            data: `<S:Envelope xmlns:S="http://schemas.xmlsoap.org/soap/envelope/"><S:Body><ns5:GetSdResponse xmlns:ns3="http://ec.europa.eu/tracesnt/certificate/eudr/common/v3" xmlns:ns5="http://ec.europa.eu/tracesnt/certificate/eudr/simplified-declaration/v3">${items}</ns5:GetSdResponse></S:Body></S:Envelope>`
+          };
+        }
+      });
+
+      const result = await client.getSd(entries);
+
+      expect(calls.map((batch) => batch.length)).to.deep.equal([100, 20]);
+      expect(result.notFound).to.deep.equal([entries[0].uuid, entries[100].uuid]);
+      expect(result.sdInfo.map((item) => item.uuid)).to.deep.equal(
+        entries.map((entry) => entry.uuid).filter((uuid) => !result.notFound.includes(uuid))
+      );
+      expect(result.batches[1].uuids).to.deep.equal(entries.slice(100).map((entry) => entry.uuid));
+    });
+  });
 });
+
@@ -0,0 +1,351 @@
+/**
+ * Unit tests for EudrSoapClientBaseV3 and its use by the V3 clients.
+ */
+
+const { expect } = require('chai');
+const EudrSoapClientBaseV3 = require('../../services/soap-client-base-v3');
+const EudrSubmissionClientV3 = require('../../services/submission-service-v3');
+const EudrRetrievalClientV3 = require('../../services/retrieval-service-v3');
+const EudrSimplifiedDeclarationClientV3 = require('../../services/simplified-declaration-service-v3');
+const EudrVerifyDeclarationClientV3 = require('../../services/verification-service-v3');
+const { EudrRateLimiter, getSharedRateLimiter } = require('../../utils/rate-limiter');
+const { createHttpsAgent } = require('../../utils/http-agent');
+const EudrEchoClient = require('../../services/echo-service');
+const EudrRetrievalClientV2 = require('../../services/retrieval-service-v2');
+
+describe('EudrSoapClientBaseV3', function() {
+  const baseConfig = {
+    username: 'testuser',
+    password: 'testpass',
+    webServiceClientId: 'eudr-test'
+  };
+
+  const verifyResponseXml = `
+<S:Envelope xmlns:S="http://schemas.xmlsoap.org/soap/envelope/">
+  <S:Body>
+    <ns3:VerifyDeclarationResponse xmlns:ns3="http://ec.europa.eu/tracesnt/certificate/eudr/verify-declaration/v3">
+      <ns3:result>VALID</ns3:result>
+      <ns3:status>AVAILABLE</ns3:status>
+    </ns3:VerifyDeclarationResponse>
+  </S:Body>
+</S:Envelope>`;
+
+  it('should be the base class of every V3 client', function() {
+    expect(new EudrSubmissionClientV3(baseConfig).transport).to.be.an.instanceOf(EudrSoapClientBaseV3);
+    expect(new EudrRetrievalClientV3(baseConfig).transport).to.be.an.instanceOf(EudrSoapClientBaseV3);
+    expect(new EudrSimplifiedDeclarationClientV3(baseConfig)).to.be.an.instanceOf(EudrSoapClientBaseV3);
+    expect(new EudrVerifyDeclarationClientV3(baseConfig)).to.be.an.instanceOf(EudrSoapClientBaseV3);
+  });
+
+  it('should declare the service body namespace in the envelope', function() {
+    const envelope = new EudrSimplifiedDeclarationClientV3(baseConfig).createSoapEnvelope('<sd:Body/>');
+
+    expect(envelope).to.include('xmlns:sd="http://ec.europa.eu/tracesnt/certificate/eudr/simplified-declaration/v3"');
+    expect(envelope).to.include('xmlns:eudrCommon="http://ec.europa.eu/tracesnt/certificate/eudr/common/v3"');
+    expect(envelope).to.include('<wsse:UsernameToken');
+    expect(envelope).to.include('<v4:WebServiceClientId>eudr-test</v4:WebServiceClientId>');
+  });
+
+  it('should default to the axios transport', function() {
+    const client = new EudrVerifyDeclarationClientV3(baseConfig);
+    expect(client.httpTransport).to.equal(EudrSoapClientBaseV3.axiosTransport);
+  });
+
+  it('should reject a non-function httpTransport', function() {
+    expect(() => new EudrVerifyDeclarationClientV3({ ...baseConfig, httpTransport: 'axios' }))
+      .to.throw('httpTransport must be a function');
+  });
+
+  it('should route requests through an injected transport', async function() {
+    const requests = [];
+    const client = new EudrVerifyDeclarationClientV3({
+      ...baseConfig,
+      timeout: 5000,
+      httpTransport: async (request) => {
+        requests.push(request);
+        return { status: 200, data: verifyResponseXml, headers: {} };
+      }
+    });
+
+    const result = await client.verifyDeclaration('25HRABCDEFGHIJ', 'VERIFY123');
+
+    expect(result.result).to.equal('VALID');
+    expect(requests).to.have.length(1);
+    expect(requests[0].method).to.equal('post');
+    expect(requests[0].url).to.equal(client.config.endpoint);
+    expect(requests[0].timeout).to.equal(5000);
+    expect(requests[0].headers.SOAPAction).to.equal('http://ec.europa.eu/tracesnt/certificate/eudr/verification/v3/verify-declaration');
+    expect(requests[0].data).to.include('<verify:referenceNumber>25HRABCDEFGHIJ</verify:referenceNumber>');
+  });
+
+  it('should run request and response interceptors in order', async function() {
+    const calls = [];
+    let sentHeaders;
+    const client = new EudrVerifyDeclarationClientV3({
+      ...baseConfig,
+      httpTransport: async (request) => {
+        sentHeaders = request.headers;
+        return { status: 200, data: verifyResponseXml, headers: {} };
+      },
+      interceptors: {
+        request: [(request) => {
+          calls.push('request-1');
+          return { ...request, headers: { ...request.headers, 'X-Trace-Id': 'trace-1' } };
+        }]
+      }
+    });
+
+    client.addRequestInterceptor((request, context) => {
+      calls.push(`request-2:${context.soapAction.split('/').pop()}`);
+    });
+    client.addResponseInterceptor((response, request) => {
+      calls.push(`response:${request.headers['X-Trace-Id']}`);
+      return { ...response, data: response.data.replace('VALID', 'INVALID') };
+    });
+
+    const result = await client.verifyDeclaration('25HRABCDEFGHIJ', 'VERIFY123');
+
+    expect(calls).to.deep.equal(['request-1', 'request-2:verify-declaration', 'response:trace-1']);
+    expect(sentHeaders['X-Trace-Id']).to.equal('trace-1');
+    expect(result.result).to.equal('INVALID');
+  });
+
+  it('should show HTTP error responses to response interceptors before throwing', async function() {
+    const captured = [];
+    const fault = '<S:Envelope><S:Body><S:Fault><faultcode>S:Client</faultcode><faultstring>Bad request</faultstring></S:Fault></S:Body></S:Envelope>';
+    const client = new EudrRetrievalClientV3({
+      ...baseConfig,
+      httpTransport: async () => {
+        const error = new Error('Request failed with status code 500');
+        error.response = { status: 500, statusText: 'Internal Server Error', data: fault };
+        throw error;
+      }
+    });
+    client.addResponseInterceptor((response) => {
+      captured.push(response.status);
+    });
+
+    try {
+      await client.getDds('071874bd-8c62-4cac-8eb6-b2fbe003410c');
+      expect.fail('Expected getDds to throw');
+    } catch (error) {
+      expect(error.details.status).to.equal(500);
+    }
+    expect(captured).to.deep.equal([500]);
+  });
+
+  describe('retry', function() {
+    const fastRetry = { maxAttempts: 3, initialDelayMs: 1, jitter: 'none' };
+    const transientFailure = (status, headers = {}) => {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = { status, statusText: 'Service Unavailable', headers, data: '' };
+      return error;
+    };
+
+    it('should retry idempotent operations with a fresh envelope per attempt', async function() {
+      const envelopes = [];
+      const client = new EudrVerifyDeclarationClientV3({
+        ...baseConfig,
+        retry: fastRetry,
+        httpTransport: async (request) => {
+          envelopes.push(request.data);
+          if (envelopes.length < 3) {
+            throw transientFailure(503);
+          }
+          return { status: 200, data: verifyResponseXml, headers: {} };
+        }
+      });
+
+      const result = await client.verifyDeclaration('25HRABCDEFGHIJ', 'VERIFY123');
+
+      expect(result.result).to.equal('VALID');
+      expect(envelopes).to.have.length(3);
+      const nonces = envelopes.map((envelope) => envelope.match(/<wsse:Nonce[^>]*>([^<]+)</)[1]);
+      expect(new Set(nonces).size).to.equal(3);
+    });
+
+    it('should not retry submitDds on a transient server error', async function() {
+      let calls = 0;
+      const client = new EudrSubmissionClientV3({
+        ...baseConfig,
+        retry: fastRetry,
+        httpTransport: async () => {
+          calls++;
+          throw transientFailure(503);
+        }
+      });
+
+      try {
+        await client.submitDds({
+          operatorRole: 'OPERATOR',
+          statement: {
+            internalReferenceNumber: 'INT-REF-1',
+            activityType: 'IMPORT',
+            commodities: [{
+              descriptors: { descriptionOfGoods: 'Test goods', goodsMeasure: { netWeight: 100 } },
+              hsHeading: '1801'
+            }],
+            geoLocationConfidential: false
+          }
+        });
+        expect.fail('Expected submitDds to throw');
+      } catch (error) {
+        expect(error.details.status).to.equal(503);
+      }
+      expect(calls).to.equal(1);
+    });
+
+    it('should honour Retry-After on a throttled getDds', async function() {
+      let calls = 0;
+      const client = new EudrRetrievalClientV3({
+        ...baseConfig,
+        retry: fastRetry,
+        httpTransport: async () => {
+          calls++;
+          throw transientFailure(429, { 'retry-after': '0' });
+        }
+      });
+
+      try {
+        await client.getDds('071874bd-8c62-4cac-8eb6-b2fbe003410c');
+        expect.fail('Expected getDds to throw');
+      } catch (error) {
+        expect(error.details.status).to.equal(429);
+      }
+      expect(calls).to.equal(3);
+    });
+
+    it('should send a single attempt when retry is disabled', async function() {
+      let calls = 0;
+      const client = new EudrRetrievalClientV3({
+        ...baseConfig,
+        retry: false,
+        httpTransport: async () => {
+          calls++;
+          throw transientFailure(503);
+        }
+      });
+
+      try {
+        await client.getDds('071874bd-8c62-4cac-8eb6-b2fbe003410c');
+        expect.fail('Expected getDds to throw');
+      } catch (error) {
+        expect(error.details.status).to.equal(503);
+      }
+      expect(calls).to.equal(1);
+    });
+  });
+
+  describe('rate limiting', function() {
+    const okTransport = async () => ({ status: 200, data: verifyResponseXml, headers: {} });
+
+    it('should accept true for the process-wide limiter', function() {
+      const client = new EudrVerifyDeclarationClientV3({ ...baseConfig, rateLimiter: true });
+      expect(client.rateLimiter).to.equal(getSharedRateLimiter());
+    });
+
+    it('should reject a rateLimiter without acquire()', function() {
+      expect(() => new EudrVerifyDeclarationClientV3({ ...baseConfig, rateLimiter: {} }))
+        .to.throw('rateLimiter must be true or an object with an acquire() method');
+    });
+
+    it('should share one budget between clients', async function() {
+      const limiter = new EudrRateLimiter({ limits: [{ tokens: 2, intervalMs: 60000 }], maxWaitMs: 0 });
+      const verify = new EudrVerifyDeclarationClientV3({ ...baseConfig, rateLimiter: limiter, httpTransport: okTransport });
+      const retrieval = new EudrRetrievalClientV3({ ...baseConfig, rateLimiter: limiter, httpTransport: okTransport });
+      let sent = 0;
+      retrieval.transport.httpTransport = async () => {
+        sent++;
+        throw new Error('should not be sent');
+      };
+
+      await verify.verifyDeclaration('25HRABCDEFGHIJ', 'VERIFY123');
+      await verify.verifyDeclaration('25HRABCDEFGHIJ', 'VERIFY123');
+
+      try {
+        await retrieval.getDds('071874bd-8c62-4cac-8eb6-b2fbe003410c');
+        expect.fail('Expected getDds to throw');
+      } catch (error) {
+        expect(error.eudrErrorCode).to.equal('EUDR_RATE_LIMIT_EXCEEDED');
+      }
+      expect(sent).to.equal(0);
+    });
+  });
+
+  describe('connection pooling', function() {
+    const recordingClient = (config = {}) => {
+      const agents = [];
+      const client = new EudrVerifyDeclarationClientV3({
+        ...baseConfig,
+        ...config,
+        httpTransport: async (request) => {
+          agents.push(request.httpsAgent);
+          return { status: 200, data: verifyResponseXml, headers: {} };
+        }
+      });
+      return { client, agents };
+    };
+
+    it('should send every request through one owned keep-alive agent', async function() {
+      const { client, agents } = recordingClient({ agentOptions: { maxSockets: 4, idleTimeout: 2000 } });
+
+      await client.verifyDeclaration('25HRABCDEFGHIJ', 'VERIFY123');
+      await client.verifyDeclaration('25HRABCDEFGHIJ', 'VERIFY123');
+
+      expect(client.ownsAgent).to.equal(true);
+      expect(agents).to.deep.equal([client.httpsAgent, client.httpsAgent]);
+      expect(client.httpsAgent.keepAlive).to.equal(true);
+      expect(client.httpsAgent.maxSockets).to.equal(4);
+      expect(client.httpsAgent.options.timeout).to.equal(2000);
+      client.close();
+    });
+
+    it('should verify certificates unless ssl or tls turns it off, with a warning', function() {
+      const warnings = [];
+      const logger = { debug() {}, info() {}, warn: (context, message) => warnings.push(message) };
+
+      const secure = new EudrVerifyDeclarationClientV3({ ...baseConfig, logger, tls: { minVersion: 'TLSv1.3' } });
+      const insecure = new EudrVerifyDeclarationClientV3({ ...baseConfig, logger, ssl: false });
+
+      expect(secure.httpsAgent.options).to.include({ rejectUnauthorized: true, minVersion: 'TLSv1.3' });
+      expect(insecure.httpsAgent.options.rejectUnauthorized).to.equal(false);
+      expect(warnings).to.have.lengthOf(1);
+      expect(warnings[0]).to.include('TLS CERTIFICATE VERIFICATION IS DISABLED');
+      secure.close();
+      insecure.close();
+    });
+
+    it('should destroy only the agent it owns on close()', function() {
+      const shared = createHttpsAgent();
+      let destroyed = 0;
+      shared.destroy = () => { destroyed += 1; };
+
+      const owning = new EudrSubmissionClientV3(baseConfig);
+      let ownDestroyed = 0;
+      owning.transport.httpsAgent.destroy = () => { ownDestroyed += 1; };
+      owning.close();
+
+      new EudrRetrievalClientV3({ ...baseConfig, httpsAgent: shared }).close();
+      new EudrEchoClient({ ...baseConfig, httpsAgent: shared }).close();
+
+      expect(ownDestroyed).to.equal(1);
+      expect(destroyed).to.equal(0);
+    });
+
+    it('should let the legacy clients send through a shared agent', async function() {
+      const shared = createHttpsAgent();
+      const client = new EudrRetrievalClientV2({ ...baseConfig, httpsAgent: shared });
+      const agents = [];
+      client.httpRequest = async (request) => {
+        agents.push(request.httpsAgent);
+        return { status: 200, data: '' };
+      };
+
+      await client.getDdsInfo('uuid-1', { rawResponse: true });
+      await client.getDdsInfo('uuid-2', { rawResponse: true });
+
+      expect(agents).to.deep.equal([shared, shared]);
+      shared.destroy();
+    });
+  });
+});
@@ -418,4 +418,206 @@ describe('EudrSubmissionClientV3', function() {
       );
     });
   });
+
+  describe('GeoJSON encoding', function() {
+    const point = { type: 'Point', coordinates: [15.9665, 45.815] };
+    const pointBase64 = Buffer.from(JSON.stringify(point), 'utf-8').toString('base64');
+
+    const statementWithGeometry = (geometryGeojson) => ({
+      activityType: 'IMPORT',
+      commodities: [{
+        descriptors: { descriptionOfGoods: 'Test goods', goodsMeasure: { netWeight: 100 } },
+        hsHeading: '1801',
+        producers: [{ country: 'HR', geometryGeojson }]
+      }],
+      geoLocationConfidential: false
+    });
+
+    it('should Base64-encode GeoJSON objects and raw GeoJSON strings', function() {
+      const client = new EudrSubmissionClientV3(baseConfig);
+
+      for (const geometry of [point, JSON.stringify(point)]) {
+        const soapEnvelope = client.transport.createSubmitSoapEnvelope({
+          operatorRole: 'OPERATOR',
+          statement: statementWithGeometry(geometry)
+        });
+        expect(soapEnvelope).to.include(`<dds:geometryGeojson>${pointBase64}</dds:geometryGeojson>`);
+      }
+    });
+
+    it('should pass already Base64-encoded GeoJSON through unchanged on amend', function() {
+      const client = new EudrSubmissionClientV3(baseConfig);
+      const soapEnvelope = client.transport.createAmendSoapEnvelope(
+        '071874bd-8c62-4cac-8eb6-b2fbe003410c',
+        statementWithGeometry(pointBase64)
+      );
+
+      expect(soapEnvelope).to.include(`<dds:geometryGeojson>${pointBase64}</dds:geometryGeojson>`);
+    });
+
+    it('should not mutate the caller request', function() {
+      const client = new EudrSubmissionClientV3(baseConfig);
+      const statement = statementWithGeometry(point);
+      client.transport.createSubmitSoapEnvelope({ operatorRole: 'OPERATOR', statement });
+
+      expect(statement.commodities[0].producers[0].geometryGeojson).to.equal(point);
+    });
+  });
+
+  describe('geometry validation', function() {
+    const requestWithGeometry = (geometryGeojson) => ({
+      operatorRole: 'OPERATOR',
+      statement: {
+        activityType: 'IMPORT',
+        commodities: [{
+          descriptors: { descriptionOfGoods: 'Test goods', goodsMeasure: { netWeight: 100 } },
+          hsHeading: '1801',
+          producers: [{ country: 'HR', geometryGeojson }]
+        }],
+        geoLocationConfidential: false
+      }
+    });
+
+    it('should reject an invalid geometry before sending, naming the producer', async function() {
+      const client = new EudrSubmissionClientV3(baseConfig);
+      let requestSent = false;
+      client.transport.sendSoapRequest = async () => {
+        requestSent = true;
+      };
+
+      try {
+        await client.submitDds(requestWithGeometry({ type: 'Point', coordinates: [200, 45] }));
+        expect.fail('Expected submitDds to throw');
+      } catch (error) {
+        expect(error.eudrErrorCode).to.equal('EUDR_COMMODITIES_PRODUCER_GEO_LONGITUDE_INVALID');
+        expect(error.commodityIndex).to.equal(0);
+        expect(error.producerIndex).to.equal(0);
+        expect(error.field).to.equal('commodities[0].producers[0].geometryGeojson');
+      }
+      expect(requestSent).to.be.false;
+    });
+
+    it('should send invalid geometries when geometryValidation is off', async function() {
+      const client = new EudrSubmissionClientV3({ ...baseConfig, geometryValidation: 'off' });
+      let requestSent = false;
+      client.transport.sendSoapRequest = async () => {
+        requestSent = true;
+        return { status: 200, data: '' };
+      };
+
+      await client.submitDds(requestWithGeometry({ type: 'Point', coordinates: [200, 45] }), { rawResponse: true });
+      expect(requestSent).to.be.true;
+    });
+  });
+
+  describe('units of measure validation', function() {
+    it('should reject a missing supplementary unit before sending amendDds', async function() {
+      const client = new EudrSubmissionClientV3(baseConfig);
+      let requestSent = false;
+      client.transport.sendSoapRequest = async () => {
+        requestSent = true;
+      };
+
+      try {
+        await client.amendDds('uuid-1', {
+          activityType: 'EXPORT',
+          commodities: [{
+            descriptors: { descriptionOfGoods: 'Logs', goodsMeasure: { netWeight: 100 } },
+            hsHeading: '440311',
+            producers: [{ country: 'HR', geometryGeojson: { type: 'Point', coordinates: [15.96, 45.81], properties: {} } }]
+          }],
+          geoLocationConfidential: false
+        });
+        expect.fail('Expected amendDds to throw');
+      } catch (error) {
+        expect(error.eudrErrorCode).to.equal('EUDR_COMMODITIES_DESCRIPTOR_SUPPLEMENTARY_UNIT_MISSING');
+        expect(error.field).to.equal('commodities[0].descriptors.goodsMeasure');
+      }
+      expect(requestSent).to.be.false;
+    });
+  });
+
+  describe('schema validation', function() {
+    it('should reject schema violations before sending, listing every path', async function() {
+      const client = new EudrSubmissionClientV3(baseConfig);
+      let requestSent = false;
+      client.transport.sendSoapRequest = async () => {
+        requestSent = true;
+      };
+
+      try {
+        await client.submitDds({
+          operatorRole: 'OPERATOR',
+          statement: {
+            internalReferenceNumber: 'R'.repeat(36),
+            activityType: 'IMPORT',
+            commodities: [{
+              descriptors: { descriptionOfGoods: 'D'.repeat(151), goodsMeasure: { netWeight: 100 } },
+              hsHeading: '1801',
+              producers: [{ country: 'HR', geometryGeojson: { type: 'Point', coordinates: [15.96, 45.81], properties: { Area: 1 } } }]
+            }],
+            geoLocationConfidential: false
+          }
+        });
+        expect.fail('Expected submitDds to throw');
+      } catch (error) {
+        expect(error.eudrErrorCode).to.equal('EUDR_SCHEMA_VALIDATION_ERROR');
+        expect(error.field).to.equal('statement.internalReferenceNumber');
+        expect(error.violations.map((violation) => violation.path)).to.deep.equal([
+          'statement.internalReferenceNumber',
+          'statement.commodities[0].descriptors.descriptionOfGoods'
+        ]);
+      }
+      expect(requestSent).to.be.false;
+    });
+  });
+
+  describe('lifecycle status pre-check', function() {
+    const overviewXml = (status) => `
+<S:Envelope xmlns:S="http://schemas.xmlsoap.org/soap/envelope/">
+  <S:Body>
+    <ns5:GetDdsResponse xmlns:ns3="http://ec.europa.eu/tracesnt/certificate/eudr/common/v3" xmlns:ns5="http://ec.europa.eu/tracesnt/certificate/eudr/due-diligence-statement/v3">
+      <ns5:ddsOverviewList>
+        <ns3:uuid>071874bd-8c62-4cac-8eb6-b2fbe003410c</ns3:uuid>
+        <ns3:status>${status}</ns3:status>
+      </ns5:ddsOverviewList>
+    </ns5:GetDdsResponse>
+  </S:Body>
+</S:Envelope>`;
+
+    it('should reject amendDds client-side when currentStatus does not allow it', async function() {
+      const client = new EudrSubmissionClientV3(baseConfig);
+      let requestSent = false;
+      client.transport.sendSoapRequest = async () => {
+        requestSent = true;
+      };
+
+      try {
+        await client.amendDds('071874bd-8c62-4cac-8eb6-b2fbe003410c', {}, { currentStatus: 'GROUPED' });
+        expect.fail('Expected amendDds to throw');
+      } catch (error) {
+        expect(error.eudrErrorCode).to.equal('EUDR_API_AMEND_NOT_ALLOWED_FOR_STATUS');
+      }
+      expect(requestSent).to.be.false;
+    });
+
+    it('should look the status up before withdrawDds when precheckStatus is set', async function() {
+      const client = new EudrSubmissionClientV3(baseConfig);
+      const actions = [];
+      client.transport.sendSoapRequest = async (envelope, soapAction) => {
+        actions.push(soapAction.split('/').pop());
+        return { status: 200, data: overviewXml('WITHDRAWN') };
+      };
+
+      try {
+        await client.withdrawDds('071874bd-8c62-4cac-8eb6-b2fbe003410c', { precheckStatus: true });
+        expect.fail('Expected withdrawDds to throw');
+      } catch (error) {
+        expect(error.eudrErrorCode).to.equal('EUDR_API_AMEND_OR_WITHDRAW_NOT_ALLOWED_FOR_STATUS');
+        expect(error.message).to.include('in status WITHDRAWN');
+      }
+      expect(actions).to.deep.equal(['getDds']);
+    });
+  });
 });
+
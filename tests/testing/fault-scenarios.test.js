@@ -0,0 +1,233 @@
+/**
+ * Tests for fault injection on EudrMockServer and the EudrErrorHandler mapping of each fault.
+ */
+
+const { expect } = require('chai');
+const {
+  EudrMockServer,
+  faultScenarios,
+  businessRuleFault,
+  businessRuleScenarios,
+  CLIENT_SIDE_ERROR_CODES
+} = require('../../testing');
+const EudrSubmissionClientV3 = require('../../services/submission-service-v3');
+const EudrRetrievalClientV3 = require('../../services/retrieval-service-v3');
+const EudrSimplifiedDeclarationClientV3 = require('../../services/simplified-declaration-service-v3');
+const { EUDR_ERROR_CODES } = require('../../utils/error-handler');
+
+describe('EudrMockServer fault injection', function() {
+  const credentials = {
+    username: 'mock-user',
+    password: 'mock-password',
+    webServiceClientId: 'eudr-test'
+  };
+
+  const request = {
+    operatorRole: 'OPERATOR',
+    statement: {
+      internalReferenceNumber: 'FAULT-1',
+      activityType: 'IMPORT',
+      commodities: [{
+        descriptors: {
+          descriptionOfGoods: 'Test goods',
+          goodsMeasure: { netWeight: 100 }
+        },
+        hsHeading: '1801'
+      }],
+      geoLocationConfidential: false
+    }
+  };
+
+  const uuid = '071874bd-8c62-4cac-8eb6-b2fbe003410c';
+  let server;
+  let submission;
+
+  const expectFailure = async (promise) => {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    return expect.fail('Expected the call to fail');
+  };
+
+  beforeEach(async function() {
+    server = new EudrMockServer({ users: { [credentials.username]: credentials.password } });
+    await server.start();
+    submission = new EudrSubmissionClientV3({ ...credentials, endpoint: server.endpointFor('submission'), retry: false });
+  });
+
+  afterEach(async function() {
+    await server.stop();
+  });
+
+  describe('business rule faults', function() {
+    const scenarios = businessRuleScenarios();
+
+    it('should cover every server-side EUDR error code', function() {
+      const expected = Object.keys(EUDR_ERROR_CODES).filter((code) => !CLIENT_SIDE_ERROR_CODES.includes(code));
+      expect(Object.keys(scenarios)).to.deep.equal(expected);
+    });
+
+    Object.keys(scenarios).forEach((errorCode) => {
+      it(`should map ${errorCode}`, async function() {
+        const scenario = scenarios[errorCode];
+        const operation = scenario.operation === '*' ? 'submitDds' : [].concat(scenario.operation)[0];
+        server.injectFault(scenario);
+
+        const calls = {
+          submitDds: () => submission.submitDds(request),
+          amendDds: () => submission.amendDds(uuid, request.statement),
+          withdrawDds: () => submission.withdrawDds(uuid)
+        };
+        const error = await expectFailure(calls[operation]());
+
+        expect(error.eudrErrorCode).to.equal(errorCode);
+        expect(error.eudrErrorMessage).to.equal(EUDR_ERROR_CODES[errorCode]);
+        expect(error.wellKnownError).to.be.true;
+      });
+    });
+
+    it('should report every error of a multi-error fault', async function() {
+      server.injectFault(faultScenarios.multipleBusinessRules);
+
+      const error = await expectFailure(submission.submitDds(request));
+
+      expect(error.httpStatus).to.equal(400);
+      expect(error.eudrErrors.map((item) => item.code)).to.deep.equal([
+        'EUDR_COMMODITIES_HS_CODE_INVALID',
+        'EUDR_COMMODITIES_DESCRIPTOR_NET_MASS_EMPTY'
+      ]);
+      expect(error.eudrErrors[0].field).to.equal('hsHeading');
+    });
+
+    it('should reject codes that are only raised client-side', function() {
+      expect(() => businessRuleFault('EUDR_RATE_LIMIT_EXCEEDED')).to.throw('not a server-side EUDR error code');
+    });
+  });
+
+  it('should map unauthenticated to HTTP 401', async function() {
+    server.injectFault(faultScenarios.unauthenticated);
+
+    const error = await expectFailure(submission.submitDds(request));
+
+    expect(error.httpStatus).to.equal(401);
+    expect(error.details.soapFault.faultString).to.equal('UnauthenticatedException');
+  });
+
+  it('should map permissionDenied to HTTP 403', async function() {
+    server.injectFault(faultScenarios.permissionDenied);
+
+    const error = await expectFailure(submission.withdrawDds(uuid));
+
+    expect(error.httpStatus).to.equal(403);
+  });
+
+  it('should map a cvc datatype fault to EUDR_DATA_TYPE_VALIDATION_ERROR', async function() {
+    server.injectFault(faultScenarios.dataTypeValidation);
+
+    const error = await expectFailure(submission.submitDds(request));
+
+    expect(error.eudrErrorCode).to.equal('EUDR_DATA_TYPE_VALIDATION_ERROR');
+    expect(error.eudrErrors[0]).to.include({ invalidValue: '12.5', expectedType: 'integer' });
+  });
+
+  it('should parse a cvc missing element fault as an XML validation error', async function() {
+    const sd = new EudrSimplifiedDeclarationClientV3({
+      ...credentials,
+      endpoint: server.endpointFor('simplified-declaration'),
+      schemaValidation: 'off',
+      unitsValidation: 'off',
+      geometryValidation: 'off'
+    });
+    server.injectFault(faultScenarios.missingElement);
+
+    const error = await expectFailure(sd.submitSd({
+      operatorRole: 'MICRO_OPERATOR',
+      statement: { ...request.statement, commodities: [] }
+    }));
+
+    expect(error.details.soapFault.errorDetails[0]).to.include({ errorCode: 'XML_VALIDATION_ERROR', type: 'SAXParseException' });
+  });
+
+  it('should map statementNotFound on retrieval', async function() {
+    const retrieval = new EudrRetrievalClientV3({ ...credentials, endpoint: server.endpointFor('retrieval') });
+    server.injectFault(faultScenarios.statementNotFound);
+
+    const error = await expectFailure(retrieval.getDdsByInternalReference('FAULT-1'));
+
+    expect(error.eudrErrors[0].code).to.equal('EUDR_WEBSERVICE_STATEMENT_NOT_FOUND');
+  });
+
+  it('should send Retry-After on throttling and let the retry policy recover', async function() {
+    const client = new EudrRetrievalClientV3({
+      ...credentials,
+      endpoint: server.endpointFor('retrieval'),
+      retry: { maxAttempts: 2, initialDelayMs: 0 }
+    });
+    const rule = server.injectFault({
+      ...faultScenarios.throttled,
+      times: 1,
+      fault: { ...faultScenarios.throttled.fault, retryAfter: 0 }
+    });
+
+    const result = await client.getDds(uuid);
+
+    expect(result.ddsInfo).to.deep.equal([]);
+    expect(rule.hits).to.equal(1);
+    expect(server.requests.map((entry) => [entry.fault, entry.httpStatus])).to.deep.equal([
+      ['throttle', 429],
+      [null, 200]
+    ]);
+  });
+
+  it('should hold the response past the client timeout', async function() {
+    const client = new EudrSubmissionClientV3({
+      ...credentials,
+      endpoint: server.endpointFor('submission'),
+      timeout: 100,
+      retry: false
+    });
+    server.injectFault({ ...faultScenarios.timeout, fault: { type: 'timeout', delayMs: 1000 } });
+
+    const error = await expectFailure(client.submitDds(request));
+
+    expect(error.details.request).to.equal('Request sent but no response received');
+  });
+
+  it('should only fail requests accepted by match, and only `times` times', async function() {
+    server.injectFault({
+      operation: 'submitDds',
+      match: ({ rawXml }) => rawXml.includes('FAIL-ME'),
+      times: 1,
+      fault: { type: 'businessRule', errorCode: 'EUDR_COMMODITIES_HS_CODE_INVALID' }
+    });
+    const failing = { ...request, statement: { ...request.statement, internalReferenceNumber: 'FAIL-ME' } };
+
+    expect((await submission.submitDds(request)).uuid).to.be.a('string');
+    const error = await expectFailure(submission.submitDds(failing));
+    expect(error.eudrErrorCode).to.equal('EUDR_COMMODITIES_HS_CODE_INVALID');
+    expect((await submission.submitDds(failing)).uuid).to.be.a('string');
+  });
+
+  it('should reject rules with unknown operations or fault types', function() {
+    expect(() => server.injectFault({ operation: 'submitDDS', fault: { type: 'schema' } })).to.throw("Unknown operation 'submitDDS'");
+    expect(() => server.injectFault({ fault: { type: 'explode' } })).to.throw('fault.type');
+  });
+
+  it('should apply faults passed to the constructor and drop them on clearFaults', async function() {
+    await server.stop();
+    server = new EudrMockServer({
+      users: { [credentials.username]: credentials.password },
+      faults: [faultScenarios.maximumGeoSizeReached]
+    });
+    await server.start();
+    submission = new EudrSubmissionClientV3({ ...credentials, endpoint: server.endpointFor('submission'), retry: false });
+
+    const error = await expectFailure(submission.submitDds(request));
+    expect(error.eudrErrorCode).to.equal('EUDR_MAXIMUM_GEO_SIZE_REACHED');
+
+    server.clearFaults();
+    expect((await submission.submitDds(request)).uuid).to.be.a('string');
+  });
+});
@@ -0,0 +1,341 @@
+/**
+ * Tests for the in-process EUDR mock server, driven through the real clients.
+ */
+
+const { expect } = require('chai');
+const axios = require('axios');
+const { EudrMockServer } = require('../../testing');
+const EudrEchoClient = require('../../services/echo-service');
+const EudrSubmissionClientV3 = require('../../services/submission-service-v3');
+const EudrRetrievalClientV3 = require('../../services/retrieval-service-v3');
+const EudrSimplifiedDeclarationClientV3 = require('../../services/simplified-declaration-service-v3');
+const EudrVerifyDeclarationClientV3 = require('../../services/verification-service-v3');
+
+describe('EudrMockServer', function() {
+  const credentials = {
+    username: 'mock-user',
+    password: 'mock-password',
+    webServiceClientId: 'eudr-test'
+  };
+
+  const ddsStatement = {
+    internalReferenceNumber: 'MOCK-DDS-1',
+    activityType: 'IMPORT',
+    countryOfActivity: 'HR',
+    commodities: [{
+      descriptors: {
+        descriptionOfGoods: 'Test goods',
+        goodsMeasure: { netWeight: 100 }
+      },
+      hsHeading: '1801'
+    }],
+    geoLocationConfidential: false
+  };
+
+  const sdStatement = {
+    internalReferenceNumber: 'MOCK-SD-1',
+    activityType: 'IMPORT',
+    countryOfActivity: 'BE',
+    commodities: [{
+      descriptors: {
+        descriptionOfGoods: 'Test cocoa',
+        goodsMeasure: { netWeight: 100 }
+      },
+      hsHeading: '1801',
+      producers: [{
+        producerCountry: 'FR',
+        producerName: 'Producer Name',
+        producerLocation: { geometryGeojson: { type: 'Point', coordinates: [2.35, 48.85], properties: { Area: 1 } } }
+      }]
+    }],
+    geoLocationConfidential: false
+  };
+
+  let server;
+
+  const clientConfig = (service, overrides = {}) => ({
+    ...credentials,
+    endpoint: server.endpointFor(service),
+    ...overrides
+  });
+
+  beforeEach(async function() {
+    server = new EudrMockServer({ users: { [credentials.username]: credentials.password } });
+    await server.start();
+  });
+
+  afterEach(async function() {
+    await server.stop();
+  });
+
+  it('should answer the echo client', async function() {
+    const client = new EudrEchoClient(clientConfig('echo'));
+
+    const result = await client.echo('hello');
+
+    expect(result.status).to.equal('hello');
+  });
+
+  describe('WS-Security', function() {
+    it('should reject a wrong password with 401 UnauthenticatedException', async function() {
+      const client = new EudrRetrievalClientV3(clientConfig('retrieval', { password: 'wrong', retry: false }));
+
+      try {
+        await client.getDds('071874bd-8c62-4cac-8eb6-b2fbe003410c');
+        expect.fail('Expected getDds to throw');
+      } catch (error) {
+        expect(error.httpStatus).to.equal(401);
+        expect(error.details.soapFault.faultString).to.equal('UnauthenticatedException');
+      }
+    });
+
+    it('should reject a Created timestamp outside the allowed clock skew', async function() {
+      const client = new EudrRetrievalClientV3(clientConfig('retrieval', { retry: false }));
+      client.transport.getCurrentTimestamp = () => new Date(Date.now() - 10 * 60 * 1000).toISOString();
+
+      try {
+        await client.getDds('071874bd-8c62-4cac-8eb6-b2fbe003410c');
+        expect.fail('Expected getDds to throw');
+      } catch (error) {
+        expect(error.httpStatus).to.equal(401);
+        expect(error.details.rawData).to.include('Timestamp expired');
+      }
+    });
+
+    it('should reject a replayed nonce', async function() {
+      const client = new EudrSubmissionClientV3(clientConfig('submission'));
+      const envelope = client.transport.createSubmitSoapEnvelope({ operatorRole: 'OPERATOR', statement: ddsStatement });
+      const post = () => axios.post(server.endpointFor('submission'), envelope, {
+        headers: { 'Content-Type': 'text/xml;charset=UTF-8' },
+        validateStatus: () => true
+      });
+
+      expect((await post()).status).to.equal(200);
+      const replay = await post();
+      expect(replay.status).to.equal(401);
+      expect(replay.data).to.include('Nonce already used');
+    });
+
+    it('should log requests with their operation, user and HTTP status', async function() {
+      const client = new EudrVerifyDeclarationClientV3(clientConfig('verification'));
+
+      await client.verifyDeclaration('25HRXXXXXXXXXX', 'ABCDEFGH');
+
+      expect(server.requests).to.have.lengthOf(1);
+      expect(server.requests[0]).to.include({
+        operation: 'VerifyDeclarationRequest',
+        username: credentials.username,
+        httpStatus: 200
+      });
+    });
+  });
+
+  describe('DDS lifecycle', function() {
+    it('should submit, assign numbers, retrieve and verify a DDS', async function() {
+      const submission = new EudrSubmissionClientV3(clientConfig('submission'));
+      const retrieval = new EudrRetrievalClientV3(clientConfig('retrieval'));
+      const verification = new EudrVerifyDeclarationClientV3(clientConfig('verification'));
+
+      const { uuid } = await submission.submitDds({ operatorRole: 'OPERATOR', statement: ddsStatement });
+      expect(uuid).to.be.a('string');
+
+      const overview = await retrieval.getDds(uuid);
+      const [info] = overview.ddsInfo;
+      expect(info.status).to.equal('AVAILABLE');
+      expect(info.internalReferenceNumber).to.equal('MOCK-DDS-1');
+      expect(info.referenceNumber).to.match(/^\d{2}HR[A-Z0-9]{10}$/);
+      expect(info.verificationNumber).to.match(/^[A-Z0-9]{8}$/);
+
+      const byReference = await retrieval.getDdsByInternalReference('MOCK-DDS-1');
+      expect(byReference.ddsInfo.map((item) => item.uuid)).to.deep.equal([uuid]);
+
+      const full = await retrieval.getDdsByIdentifiers(info.referenceNumber, info.verificationNumber);
+      expect(full.statement.activityType).to.equal('IMPORT');
+      expect(full.statement.commodities[0].hsHeading).to.equal('1801');
+
+      const verified = await verification.verifyDeclaration(info.referenceNumber, info.verificationNumber);
+      expect(verified.result).to.equal('EXISTING_USABLE');
+      expect(verified.status).to.equal('AVAILABLE');
+    });
+
+    it('should keep a DDS SUBMITTED until processingDelayMs has elapsed', async function() {
+      let now = Date.now();
+      await server.stop();
+      server = new EudrMockServer({
+        users: { [credentials.username]: credentials.password },
+        processingDelayMs: 60000,
+        now: () => now
+      });
+      await server.start();
+      const submission = new EudrSubmissionClientV3(clientConfig('submission'));
+      const retrieval = new EudrRetrievalClientV3(clientConfig('retrieval'));
+
+      const { uuid } = await submission.submitDds({ operatorRole: 'OPERATOR', statement: ddsStatement });
+      const pending = (await retrieval.getDds(uuid)).ddsInfo[0];
+      expect(pending.status).to.equal('SUBMITTED');
+      expect(pending).to.not.have.property('referenceNumber');
+
+      now += 60000;
+      const settled = (await retrieval.getDds(uuid)).ddsInfo[0];
+      expect(settled.status).to.equal('AVAILABLE');
+      expect(settled.referenceNumber).to.be.a('string');
+    });
+
+    it('should apply the review outcome when processing', async function() {
+      await server.stop();
+      server = new EudrMockServer({
+        users: { [credentials.username]: credentials.password },
+        review: () => ({ status: 'REJECTED', rejectionReason: 'Incomplete geolocation' })
+      });
+      await server.start();
+      const submission = new EudrSubmissionClientV3(clientConfig('submission'));
+      const retrieval = new EudrRetrievalClientV3(clientConfig('retrieval'));
+
+      const { uuid } = await submission.submitDds({ operatorRole: 'OPERATOR', statement: ddsStatement });
+      const [info] = (await retrieval.getDds(uuid)).ddsInfo;
+
+      expect(info.status).to.equal('REJECTED');
+      expect(info.rejectionReason).to.equal('Incomplete geolocation');
+      expect(info).to.not.have.property('referenceNumber');
+    });
+
+    it('should amend an AVAILABLE DDS and withdraw it afterwards', async function() {
+      const submission = new EudrSubmissionClientV3(clientConfig('submission'));
+
+      const { uuid } = await submission.submitDds({ operatorRole: 'OPERATOR', statement: ddsStatement });
+      const amended = await submission.amendDds(uuid, { ...ddsStatement, comment: 'Amended' });
+      expect(amended.status).to.equal('AVAILABLE');
+      expect(server.getDeclaration(uuid).version).to.equal(2);
+
+      const withdrawn = await submission.withdrawDds(uuid);
+      expect(withdrawn.status).to.equal('WITHDRAWN');
+    });
+
+    it('should return EUDR_API_AMEND_NOT_ALLOWED_FOR_STATUS when amending a withdrawn DDS', async function() {
+      const submission = new EudrSubmissionClientV3(clientConfig('submission'));
+      const { uuid } = await submission.submitDds({ operatorRole: 'OPERATOR', statement: ddsStatement });
+      await submission.withdrawDds(uuid);
+
+      try {
+        await submission.amendDds(uuid, ddsStatement);
+        expect.fail('Expected amendDds to throw');
+      } catch (error) {
+        expect(error.eudrErrorCode).to.equal('EUDR_API_AMEND_NOT_ALLOWED_FOR_STATUS');
+        expect(error.details.soapFault.faultString).to.equal('Some business rules are not met');
+      }
+    });
+
+    it('should return EUDR_API_AMEND_ACTIVITY_TYPE_CHANGE_NOT_ALLOWED when the activity changes', async function() {
+      const submission = new EudrSubmissionClientV3(clientConfig('submission'));
+      const { uuid } = await submission.submitDds({ operatorRole: 'OPERATOR', statement: ddsStatement });
+
+      try {
+        await submission.amendDds(uuid, { ...ddsStatement, activityType: 'EXPORT' });
+        expect.fail('Expected amendDds to throw');
+      } catch (error) {
+        expect(error.eudrErrorCode).to.equal('EUDR_API_AMEND_ACTIVITY_TYPE_CHANGE_NOT_ALLOWED');
+      }
+    });
+
+    it('should return EUDR_API_NO_DDS for another user\'s DDS', async function() {
+      server.addUser('other-user', 'other-password');
+      const owner = new EudrSubmissionClientV3(clientConfig('submission'));
+      const other = new EudrSubmissionClientV3(clientConfig('submission', { username: 'other-user', password: 'other-password' }));
+      const { uuid } = await owner.submitDds({ operatorRole: 'OPERATOR', statement: ddsStatement });
+
+      try {
+        await other.withdrawDds(uuid);
+        expect.fail('Expected withdrawDds to throw');
+      } catch (error) {
+        expect(error.eudrErrorCode).to.equal('EUDR_API_NO_DDS');
+      }
+    });
+
+    it('should return EUDR_REFERENCED_STATEMENT_NOT_FOUND for unknown grouped declarations', async function() {
+      const submission = new EudrSubmissionClientV3(clientConfig('submission'));
+
+      try {
+        await submission.submitDds({
+          operatorRole: 'OPERATOR',
+          statement: { ...ddsStatement, groupedDeclarations: [{ groupedDeclaration: '25HRZZZZZZZZZZ' }] }
+        });
+        expect.fail('Expected submitDds to throw');
+      } catch (error) {
+        expect(error.eudrErrorCode).to.equal('EUDR_REFERENCED_STATEMENT_NOT_FOUND');
+      }
+    });
+
+    it('should return a NotFoundException for unknown identifiers and NON_EXISTENT from verify', async function() {
+      const retrieval = new EudrRetrievalClientV3(clientConfig('retrieval'));
+      const verification = new EudrVerifyDeclarationClientV3(clientConfig('verification'));
+
+      try {
+        await retrieval.getDdsByIdentifiers('25HRZZZZZZZZZZ', 'ZZZZZZZZ');
+        expect.fail('Expected getDdsByIdentifiers to throw');
+      } catch (error) {
+        expect(error.details.rawData).to.include('NotFoundException');
+        expect(error.eudrErrors[0].code).to.equal('EUDR_WEBSERVICE_STATEMENT_NOT_FOUND');
+      }
+
+      const verified = await verification.verifyDeclaration('25HRZZZZZZZZZZ', 'ZZZZZZZZ');
+      expect(verified.result).to.equal('NON_EXISTENT');
+      expect(verified.status).to.equal(null);
+    });
+
+    it('should report EXISTING_NON_USABLE for a DDS forced to ARCHIVED', async function() {
+      const submission = new EudrSubmissionClientV3(clientConfig('submission'));
+      const verification = new EudrVerifyDeclarationClientV3(clientConfig('verification'));
+      const { uuid } = await submission.submitDds({ operatorRole: 'OPERATOR', statement: ddsStatement });
+
+      const archived = server.setStatus(uuid, 'ARCHIVED');
+      const verified = await verification.verifyDeclaration(archived.referenceNumber, archived.verificationNumber);
+
+      expect(verified.result).to.equal('EXISTING_NON_USABLE');
+      expect(verified.status).to.equal('ARCHIVED');
+    });
+  });
+
+  describe('SD lifecycle', function() {
+    it('should submit, update, retrieve and withdraw an SD', async function() {
+      const client = new EudrSimplifiedDeclarationClientV3(clientConfig('simplified-declaration'));
+
+      const { sdIdentifier } = await client.submitSd({ operatorRole: 'MICRO_OPERATOR', statement: sdStatement });
+      const [info] = (await client.getSd(sdIdentifier)).sdInfo;
+      expect(info.status).to.equal('AVAILABLE');
+      expect(info.referenceNumber).to.match(/^S\d{2}BE[A-Z0-9]{9}$/);
+
+      const updated = await client.updateSd(sdIdentifier, { ...sdStatement, comment: 'Updated' });
+      expect(updated).to.include({ uuid: sdIdentifier, version: '2', status: 'AVAILABLE' });
+
+      const full = await client.getSdByIdentifiers(info.referenceNumber, info.verificationNumber);
+      expect(full.statement.comment).to.equal('Updated');
+
+      const withdrawn = await client.withdrawSd(sdIdentifier);
+      expect(withdrawn.status).to.equal('WITHDRAWN');
+
+      const byReference = await client.getSdByInternalReference('MOCK-SD-1');
+      expect(byReference.sdInfo[0].status).to.equal('WITHDRAWN');
+    });
+
+    it('should keep DDS and SD declarations apart', async function() {
+      const submission = new EudrSubmissionClientV3(clientConfig('submission'));
+      const sdClient = new EudrSimplifiedDeclarationClientV3(clientConfig('simplified-declaration'));
+      const { uuid } = await submission.submitDds({ operatorRole: 'OPERATOR', statement: ddsStatement });
+
+      const result = await sdClient.getSd(uuid);
+
+      expect(result.sdInfo).to.deep.equal([]);
+      expect(result.notFound).to.deep.equal([uuid]);
+    });
+  });
+
+  it('should answer unknown operations with a SOAP fault', async function() {
+    const response = await axios.post(server.endpointFor('verification'), '<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"><soapenv:Body><x:Unknown xmlns:x="urn:x"/></soapenv:Body></soapenv:Envelope>', {
+      headers: { 'Content-Type': 'text/xml;charset=UTF-8' },
+      validateStatus: () => true
+    });
+
+    expect(response.status).to.equal(500);
+    expect(response.data).to.include('<faultstring>Cannot find dispatch method for Unknown</faultstring>');
+  });
+});
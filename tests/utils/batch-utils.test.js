@@ -0,0 +1,59 @@
+/**
+ * Tests for batch-utils.js
+ */
+
+const { expect } = require('chai');
+const {
+  MAX_UUIDS_PER_CALL,
+  resolveBatchSize,
+  chunkList,
+  mergeOverviewBatches
+} = require('../../utils/batch-utils');
+
+describe('Batch Utils', function() {
+  describe('resolveBatchSize', function() {
+    it('should default to the 100-per-call API limit', function() {
+      expect(MAX_UUIDS_PER_CALL).to.equal(100);
+      expect(resolveBatchSize()).to.equal(100);
+      expect(resolveBatchSize(25)).to.equal(25);
+    });
+
+    it('should reject sizes outside 1..100', function() {
+      expect(() => resolveBatchSize(0)).to.throw('batchSize must be an integer between 1 and 100');
+      expect(() => resolveBatchSize(101)).to.throw('batchSize must be an integer between 1 and 100');
+      expect(() => resolveBatchSize(2.5)).to.throw('batchSize must be an integer between 1 and 100');
+    });
+  });
+
+  describe('chunkList', function() {
+    it('should split a list into consecutive chunks', function() {
+      expect(chunkList([1, 2, 3, 4, 5], 2)).to.deep.equal([[1, 2], [3, 4], [5]]);
+      expect(chunkList([], 2)).to.deep.equal([]);
+    });
+  });
+
+  describe('mergeOverviewBatches', function() {
+    it('should order results by the requested uuids and report the missing ones', function() {
+      const { info, notFound } = mergeOverviewBatches(
+        ['a', 'b', 'c', 'd'],
+        [[{ uuid: 'b', status: 'AVAILABLE' }], [{ uuid: 'd' }, { uuid: 'a' }]]
+      );
+
+      expect(info.map((item) => item.uuid)).to.deep.equal(['a', 'b', 'd']);
+      expect(notFound).to.deep.equal(['c']);
+    });
+
+    it('should match uuids case-insensitively and ignore duplicate requests', function() {
+      const { info, notFound } = mergeOverviewBatches(['ABC', 'abc', 'def'], [[{ uuid: 'abc' }]]);
+
+      expect(info).to.deep.equal([{ uuid: 'abc' }]);
+      expect(notFound).to.deep.equal(['def']);
+    });
+
+    it('should keep entries for unrequested or missing uuids at the end', function() {
+      const { info } = mergeOverviewBatches(['a'], [[{ status: 'ARCHIVED' }, { uuid: 'x' }, { uuid: 'a' }]]);
+
+      expect(info).to.deep.equal([{ uuid: 'a' }, { uuid: 'x' }, { status: 'ARCHIVED' }]);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Tests for EudrCassette record/replay, run against the bundled mock server.
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EudrCassette, resolveCassette, redactSecurityHeader, getBodyOperation, REDACTED } = require('../../utils/cassette');
+const { EudrMockServer, faultScenarios } = require('../../testing');
+const EudrSubmissionClientV3 = require('../../services/submission-service-v3');
+const EudrRetrievalClientV3 = require('../../services/retrieval-service-v3');
+const EudrEchoClient = require('../../services/echo-service');
+
+describe('EudrCassette', function() {
+  const credentials = {
+    username: 'mock-user',
+    password: 'mock-password',
+    webServiceClientId: 'eudr-test'
+  };
+
+  const request = {
+    operatorRole: 'OPERATOR',
+    statement: {
+      internalReferenceNumber: 'CASSETTE-1',
+      activityType: 'IMPORT',
+      commodities: [{
+        descriptors: {
+          descriptionOfGoods: 'Test goods',
+          goodsMeasure: { netWeight: 100 }
+        },
+        hsHeading: '1801'
+      }],
+      geoLocationConfidential: false
+    }
+  };
+
+  let directory;
+  let cassettePath;
+  let server;
+
+  const expectFailure = async (promise) => {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    return expect.fail('Expected the call to fail');
+  };
+
+  beforeEach(async function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'eudr-cassette-'));
+    cassettePath = path.join(directory, 'nested', 'session.json');
+    server = new EudrMockServer({ users: { [credentials.username]: credentials.password } });
+    await server.start();
+  });
+
+  afterEach(async function() {
+    await server.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should validate its options', function() {
+    expect(() => new EudrCassette()).to.throw('requires a path');
+    expect(() => new EudrCassette({ path: cassettePath, mode: 'rewind' })).to.throw("Invalid cassette mode 'rewind'");
+    expect(() => resolveCassette('session.json')).to.throw('cassette must be');
+    expect(resolveCassette(undefined)).to.equal(null);
+  });
+
+  it('should redact the username, password digest and nonce', function() {
+    const envelope = new EudrSubmissionClientV3(credentials).transport.createSoapEnvelope('<dds:SubmitDdsRequest/>');
+    const redacted = redactSecurityHeader(envelope);
+
+    expect(redacted).to.include(`<wsse:Username>${REDACTED}</wsse:Username>`);
+    expect(redacted).to.match(/<wsse:Password Type="[^"]+">\[REDACTED\]<\/wsse:Password>/);
+    expect(redacted).to.match(/<wsse:Nonce EncodingType="[^"]+">\[REDACTED\]<\/wsse:Nonce>/);
+    expect(redacted).not.to.include(credentials.username);
+    expect(redacted).to.include('<wsu:Created>');
+    expect(getBodyOperation(redacted)).to.equal('SubmitDdsRequest');
+  });
+
+  it('should only redact whole-text occurrences of a username that appears inside other values', async function() {
+    const recorder = new EudrCassette({ path: cassettePath, mode: 'record' });
+    const client = new EudrSubmissionClientV3({ ...credentials, username: 'eudr', endpoint: server.endpointFor('submission') });
+    const transport = recorder.wrapTransport(async () => ({
+      status: 200,
+      data: '<S:Envelope><S:Body><ns2:Info><ns2:updatedBy>eudr</ns2:updatedBy><ns2:reference>eudr-2024-7</ns2:reference></ns2:Info></S:Body></S:Envelope>'
+    }));
+    const envelope = client.transport.createSoapEnvelope('<dds:SubmitDdsRequest><dds:statement><dds:internalReferenceNumber>eudr-2024-7</dds:internalReferenceNumber></dds:statement></dds:SubmitDdsRequest>');
+
+    await transport({ url: server.endpointFor('submission'), headers: {}, data: envelope });
+    await recorder.flush();
+
+    const [interaction] = JSON.parse(fs.readFileSync(cassettePath, 'utf8')).interactions;
+    expect(interaction.request).to.include(`<wsse:Username>${REDACTED}</wsse:Username>`);
+    expect(interaction.request).to.include('xmlns:dds="http://ec.europa.eu/tracesnt/certificate/eudr/due-diligence-statement/v3"');
+    expect(interaction.request).to.include('<dds:internalReferenceNumber>eudr-2024-7</dds:internalReferenceNumber>');
+    expect(interaction.response.data).to.include(`<ns2:updatedBy>${REDACTED}</ns2:updatedBy>`);
+    expect(interaction.response.data).to.include('<ns2:reference>eudr-2024-7</ns2:reference>');
+    client.close();
+  });
+
+  it('should record V3 traffic and replay it without the server', async function() {
+    const recorder = new EudrCassette({ path: cassettePath, mode: 'record' });
+    const submission = new EudrSubmissionClientV3({ ...credentials, endpoint: server.endpointFor('submission'), cassette: recorder });
+    const retrieval = new EudrRetrievalClientV3({ ...credentials, endpoint: server.endpointFor('retrieval'), cassette: recorder });
+
+    const { uuid } = await submission.submitDds(request);
+    const recorded = await retrieval.getDds(uuid);
+    await recorder.flush();
+
+    const file = JSON.parse(fs.readFileSync(cassettePath, 'utf8'));
+    expect(file.version).to.equal(1);
+    expect(file.interactions.map((interaction) => interaction.operation)).to.deep.equal(['SubmitDdsRequest', 'GetDdsRequest']);
+    expect(file.interactions[0].response.status).to.equal(200);
+    expect(JSON.stringify(file)).not.to.include(credentials.username);
+
+    const endpoint = server.endpointFor('retrieval');
+    await server.stop();
+    const replaying = new EudrRetrievalClientV3({
+      ...credentials,
+      endpoint,
+      cassette: { path: cassettePath, mode: 'replay' },
+      retry: false
+    });
+
+    const replayed = await replaying.getDds(uuid);
+    expect(replayed.ddsInfo[0]).to.include({ uuid, status: recorded.ddsInfo[0].status, updatedBy: REDACTED });
+    expect(recorded.ddsInfo[0].updatedBy).to.equal(credentials.username);
+  });
+
+  it('should record and replay SOAP faults', async function() {
+    server.injectFault(faultScenarios.maximumGeoSizeReached);
+    const recorder = new EudrCassette({ path: cassettePath, mode: 'record' });
+    const submission = new EudrSubmissionClientV3({
+      ...credentials,
+      endpoint: server.endpointFor('submission'),
+      cassette: recorder,
+      retry: false
+    });
+
+    const recordedError = await expectFailure(submission.submitDds(request));
+    await recorder.flush();
+
+    const replaying = new EudrSubmissionClientV3({
+      ...credentials,
+      endpoint: server.endpointFor('submission'),
+      cassette: { path: cassettePath },
+      retry: false
+    });
+    const replayedError = await expectFailure(replaying.submitDds(request));
+
+    expect(replayedError.eudrErrorCode).to.equal('EUDR_MAXIMUM_GEO_SIZE_REACHED');
+    expect(replayedError.httpStatus).to.equal(recordedError.httpStatus);
+    expect(server.requests).to.have.lengthOf(1);
+  });
+
+  it('should replay repeated calls in recorded order and then repeat the last response', async function() {
+    const cassette = new EudrCassette({ path: cassettePath, mode: 'record' });
+    const transport = cassette.wrapTransport(async (req) => ({ status: 200, headers: {}, data: `<S:Body><Reply>${req.data.match(/<GetRequest>(\w+)/)[1]}</Reply></S:Body>` }));
+    const call = (body) => transport({ url: 'http://localhost/ws', headers: { SOAPAction: 'get' }, data: `<S:Body><GetRequest>${body}</GetRequest></S:Body>` });
+
+    await call('a');
+    await call('b');
+    await cassette.flush();
+
+    const replay = new EudrCassette({ path: cassettePath }).wrapTransport(() => expect.fail('transport must not be called'));
+    const replayCall = (body) => replay({ url: 'http://localhost/ws', headers: { SOAPAction: 'get' }, data: `<S:Body><GetRequest>${body}</GetRequest></S:Body>` });
+
+    const responses = [await replayCall('x'), await replayCall('x'), await replayCall('x')];
+    expect(responses.map((response) => response.data)).to.deep.equal([
+      '<S:Body><Reply>a</Reply></S:Body>',
+      '<S:Body><Reply>b</Reply></S:Body>',
+      '<S:Body><Reply>b</Reply></S:Body>'
+    ]);
+  });
+
+  it('should match on the SOAP body when matchBody is set', async function() {
+    const cassette = new EudrCassette({ path: cassettePath, mode: 'record' });
+    const transport = cassette.wrapTransport(async (req) => ({ status: 200, headers: {}, data: req.data.toUpperCase() }));
+    const envelope = (body) => ({ url: 'http://localhost/ws', headers: { SOAPAction: 'get' }, data: `<S:Body>\n  <GetRequest>${body}</GetRequest>\n</S:Body>` });
+
+    await transport(envelope('a'));
+    await transport(envelope('b'));
+    await cassette.flush();
+
+    const replay = new EudrCassette({ path: cassettePath, matchBody: true }).wrapTransport(null);
+    expect((await replay(envelope('b'))).data).to.include('<GETREQUEST>B</GETREQUEST>');
+
+    const error = await expectFailure(replay(envelope('c')));
+    expect(error.message).to.include('No recorded response for GetRequest');
+  });
+
+  it('should fail clearly when the cassette file is missing', async function() {
+    const replay = new EudrCassette({ path: path.join(directory, 'missing.json') }).wrapTransport(null);
+
+    const error = await expectFailure(replay({ url: 'http://localhost/ws', headers: {}, data: '' }));
+
+    expect(error.message).to.include('Cannot read cassette');
+  });
+
+  it('should record and replay the axios-based clients', async function() {
+    const recorder = new EudrCassette({ path: cassettePath, mode: 'record' });
+    const echo = new EudrEchoClient({ ...credentials, endpoint: server.endpointFor('echo'), cassette: recorder });
+
+    const recorded = await echo.echo('Hello');
+    await recorder.flush();
+    const endpoint = server.endpointFor('echo');
+    await server.stop();
+
+    const replaying = new EudrEchoClient({ ...credentials, endpoint, cassette: { path: cassettePath } });
+    expect(await replaying.echo('Hello')).to.deep.equal(recorded);
+    expect(recorded.status).to.equal('Hello');
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Tests for clock-skew.js
+ */
+
+const { expect } = require('chai');
+const {
+  EudrClockSkewTracker,
+  getSharedClockSkewTracker,
+  resolveClockSkewTracker,
+  createClockSkewError
+} = require('../../utils/clock-skew');
+const { EudrMockServer, faultScenarios } = require('../../testing');
+const EudrSubmissionClientV3 = require('../../services/submission-service-v3');
+const EudrRetrievalClientV3 = require('../../services/retrieval-service-v3');
+const { EudrEchoClient } = require('../../services');
+
+describe('Clock Skew', function() {
+  const endpoint = 'https://eudr.example.test/tracesnt/ws/EUDRSubmissionServiceV3';
+  const localTime = Date.parse('2026-03-02T10:00:00.000Z');
+
+  it('should measure the server offset against the middle of the round trip', function() {
+    const tracker = new EudrClockSkewTracker({ now: () => localTime });
+    const serverDate = new Date(localTime + 90000).toUTCString();
+
+    const skew = tracker.record(endpoint, { Date: serverDate }, localTime - 200, localTime + 200);
+
+    expect(skew).to.deep.equal({ offsetMs: 90500, previousOffsetMs: 0, changed: true });
+    expect(tracker.getOffset(endpoint)).to.equal(90500);
+    expect(tracker.now(endpoint)).to.equal(localTime + 90500);
+  });
+
+  it('should ignore measurements within the tolerance and responses without a Date header', function() {
+    const tracker = new EudrClockSkewTracker();
+    tracker.record(endpoint, { date: new Date(localTime + 60000).toUTCString() }, localTime, localTime);
+
+    const skew = tracker.record(endpoint, { date: new Date(localTime + 61000).toUTCString() }, localTime, localTime);
+
+    expect(skew.changed).to.equal(false);
+    expect(tracker.getOffset(endpoint)).to.equal(60500);
+    expect(tracker.record(endpoint, {}, localTime, localTime)).to.equal(null);
+    expect(tracker.record(endpoint, { date: 'not a date' }, localTime, localTime)).to.equal(null);
+  });
+
+  it('should keep offsets per endpoint host', function() {
+    const tracker = new EudrClockSkewTracker();
+    tracker.record(endpoint, { date: new Date(localTime - 30000).toUTCString() }, localTime, localTime);
+
+    expect(tracker.getOffset('https://eudr.example.test/tracesnt/ws/EUDRRetrievalServiceV3')).to.equal(-29500);
+    expect(tracker.getOffset('https://acceptance.example.test/tracesnt/ws/EUDRSubmissionServiceV3')).to.equal(0);
+
+    tracker.reset(endpoint);
+    expect(tracker.getOffset(endpoint)).to.equal(0);
+  });
+
+  it('should warn about offset changes and report skew beyond the validity window', function() {
+    let time = localTime;
+    const tracker = new EudrClockSkewTracker({ now: () => time });
+    const warnings = [];
+    const logger = { warn: (details, message) => warnings.push({ details, message }) };
+    const cause = new Error('Request failed with status code 401');
+    cause.response = { status: 401 };
+    const ahead = { headers: { date: new Date(localTime + 120000).toUTCString() } };
+
+    const sent = tracker.startRequest(endpoint);
+    const error = tracker.observe(endpoint, ahead, sent, { timestampValidity: 60, logger, cause });
+
+    expect(sent).to.deep.equal({ sentAt: localTime, appliedOffsetMs: 0 });
+    expect(error.eudrErrorCode).to.equal('EUDR_CLOCK_SKEW_EXCEEDED');
+    expect(error.clockSkewMs).to.equal(120500);
+    expect(error.cause).to.equal(cause);
+    expect(warnings).to.have.lengthOf(1);
+    expect(warnings[0].details).to.deep.equal({ endpoint, offsetMs: 120500, previousOffsetMs: 0 });
+
+    // Stamped with the measured offset: accepted, nothing to report
+    time += 1000;
+    const corrected = tracker.startRequest(endpoint);
+    expect(tracker.observe(endpoint, { headers: { date: new Date(time + 120000).toUTCString() } }, corrected, { timestampValidity: 60, logger })).to.equal(null);
+    expect(tracker.observe(endpoint, { headers: {} }, corrected, { timestampValidity: 60, logger })).to.equal(null);
+    expect(warnings).to.have.lengthOf(1);
+  });
+
+  it('should resolve the clockSkew option', function() {
+    const tracker = new EudrClockSkewTracker();
+
+    expect(resolveClockSkewTracker(undefined)).to.equal(getSharedClockSkewTracker());
+    expect(resolveClockSkewTracker(true)).to.equal(getSharedClockSkewTracker());
+    expect(resolveClockSkewTracker(false)).to.equal(null);
+    expect(resolveClockSkewTracker(tracker)).to.equal(tracker);
+    expect(() => resolveClockSkewTracker({ now: () => 0 })).to.throw('clockSkew must be');
+  });
+
+  it('should describe the direction and size of the skew', function() {
+    const cause = new Error('Request failed with status code 401');
+    cause.response = { status: 401 };
+
+    const error = createClockSkewError({ endpoint, skewMs: -125000, timestampValidity: 60, cause });
+
+    expect(error.eudrErrorCode).to.equal('EUDR_CLOCK_SKEW_EXCEEDED');
+    expect(error.clockSkewMs).to.equal(-125000);
+    expect(error.response).to.equal(cause.response);
+    expect(error.message).to.include('125s ahead of the EUDR server at https://eudr.example.test');
+  });
+
+  describe('against the mock server', function() {
+    const credentials = { username: 'skew-user', password: 'skew-password', webServiceClientId: 'eudr-test' };
+    const serverAhead = 10 * 60 * 1000;
+    let server;
+
+    beforeEach(async function() {
+      server = new EudrMockServer({
+        users: { [credentials.username]: credentials.password },
+        now: () => Date.now() + serverAhead
+      });
+      await server.start();
+    });
+
+    afterEach(async function() {
+      await server.stop();
+    });
+
+    const statement = {
+      internalReferenceNumber: 'SKEW-1',
+      activityType: 'IMPORT',
+      countryOfActivity: 'HR',
+      commodities: [{
+        position: 1,
+        descriptors: { descriptionOfGoods: 'Cocoa beans', goodsMeasure: { netWeight: 10 } },
+        hsHeading: '1801',
+        producers: [{ country: 'CI', name: 'Cooperative', geometryGeojson: { type: 'Point', coordinates: [15.96, 45.81], properties: { Area: 1 } } }]
+      }],
+      geoLocationConfidential: false
+    };
+
+    it('should report the skew on the first rejection and stamp later requests with the server time', async function() {
+      const clockSkew = new EudrClockSkewTracker();
+      const client = new EudrSubmissionClientV3({ ...credentials, endpoint: server.endpointFor('submission'), retry: false, clockSkew });
+
+      try {
+        await client.submitDds({ operatorRole: 'OPERATOR', statement });
+        expect.fail('Expected the timestamp to be rejected');
+      } catch (error) {
+        expect(error.eudrErrorCode).to.equal('EUDR_CLOCK_SKEW_EXCEEDED');
+        expect(error.clockSkewMs).to.be.closeTo(serverAhead, 2000);
+        expect(error.httpStatus).to.equal(401);
+      }
+
+      const { uuid } = await client.submitDds({ operatorRole: 'OPERATOR', statement });
+      expect(uuid).to.be.a('string');
+      client.close();
+    });
+
+    it('should keep the code of a fault that is not an authentication failure', async function() {
+      const clockSkew = new EudrClockSkewTracker();
+      const client = new EudrRetrievalClientV3({ ...credentials, endpoint: server.endpointFor('retrieval'), retry: false, clockSkew });
+      server.injectFault(faultScenarios.statementNotFound);
+
+      try {
+        await client.getDdsByInternalReference('SKEW-1');
+        expect.fail('Expected the statement not to be found');
+      } catch (error) {
+        expect(error.eudrErrorCode).to.not.equal('EUDR_CLOCK_SKEW_EXCEEDED');
+        expect(error.eudrErrors[0].code).to.equal('EUDR_WEBSERVICE_STATEMENT_NOT_FOUND');
+      }
+      expect(clockSkew.getOffset(server.endpointFor('retrieval'))).to.be.closeTo(serverAhead, 2000);
+      client.close();
+    });
+
+    it('should leave timestamps alone with clockSkew: false', async function() {
+      const client = new EudrSubmissionClientV3({ ...credentials, endpoint: server.endpointFor('submission'), retry: false, clockSkew: false });
+
+      for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+          await client.submitDds({ operatorRole: 'OPERATOR', statement });
+          expect.fail('Expected the timestamp to be rejected');
+        } catch (error) {
+          expect(error.eudrErrorCode).to.not.equal('EUDR_CLOCK_SKEW_EXCEEDED');
+          expect(error.httpStatus).to.equal(401);
+        }
+      }
+      client.close();
+    });
+
+    it('should compensate echo requests', async function() {
+      const clockSkew = new EudrClockSkewTracker();
+      const client = new EudrEchoClient({ ...credentials, endpoint: server.endpointFor('echo'), clockSkew });
+
+      try {
+        await client.echo('ping');
+        expect.fail('Expected the timestamp to be rejected');
+      } catch (error) {
+        expect(error.eudrErrorCode).to.equal('EUDR_CLOCK_SKEW_EXCEEDED');
+        expect(error.clockSkewMs).to.be.closeTo(serverAhead, 2000);
+      }
+
+      const response = await client.echo('ping');
+      expect(response.status).to.equal('ping');
+      client.close();
+    });
+  });
+});
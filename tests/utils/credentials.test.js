@@ -0,0 +1,237 @@
+/**
+ * Tests for credentials.js
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EudrCredentialProvider, fromEnv, fromFile, resolveCredentialProvider } = require('../../utils/credentials');
+const EudrErrorHandler = require('../../utils/error-handler');
+const { EudrMockServer } = require('../../testing');
+const EudrSubmissionClientV3 = require('../../services/submission-service-v3');
+const EudrRetrievalClientV3 = require('../../services/retrieval-service-v3');
+const { EudrEchoClient } = require('../../services');
+
+describe('Credentials', function() {
+  it('should cache credentials and share one fetch between concurrent calls', async function() {
+    let fetches = 0;
+    const provider = new EudrCredentialProvider(async () => {
+      fetches++;
+      return { username: 'svc-eudr', password: `key-${fetches}` };
+    });
+
+    const [first, second] = await Promise.all([provider.get(), provider.get()]);
+
+    expect(first).to.deep.equal({ username: 'svc-eudr', password: 'key-1' });
+    expect(second).to.equal(first);
+    expect(provider.current()).to.equal(first);
+    expect(fetches).to.equal(1);
+
+    provider.invalidate();
+    expect(() => provider.current()).to.throw('not been fetched');
+    expect((await provider.get()).password).to.equal('key-2');
+  });
+
+  it('should fetch again after ttlMs or the reported expiresAt', async function() {
+    let time = 0;
+    let fetches = 0;
+    const provider = new EudrCredentialProvider(async () => {
+      fetches++;
+      return { username: 'svc-eudr', password: 'key', expiresAt: fetches === 1 ? 500 : undefined };
+    }, { ttlMs: 1000, now: () => time });
+
+    await provider.get();
+    time = 499;
+    await provider.get();
+    expect(fetches).to.equal(1);
+
+    time = 500;
+    await provider.get();
+    expect(fetches).to.equal(2);
+
+    time = 1499;
+    await provider.get();
+    time = 1500;
+    await provider.get();
+    expect(fetches).to.equal(3);
+  });
+
+  it('should reject what a provider function cannot supply', async function() {
+    const failing = new EudrCredentialProvider(async () => {
+      throw new Error('secret manager unavailable');
+    });
+    const incomplete = new EudrCredentialProvider(async () => ({ username: 'svc-eudr' }));
+
+    for (const [provider, message, field] of [
+      [failing, 'Credential provider failed: secret manager unavailable', 'credentials'],
+      [incomplete, 'Credential provider returned no password', 'credentials.password']
+    ]) {
+      try {
+        await provider.get();
+        expect.fail('Expected the provider to fail');
+      } catch (error) {
+        expect(error.eudrErrorCode).to.equal('EUDR_CREDENTIALS_UNAVAILABLE');
+        expect(error.message).to.equal(message);
+        expect(error.field).to.equal(field);
+      }
+    }
+  });
+
+  it('should read the environment and files at every fetch', async function() {
+    const env = { EUDR_TRACES_USERNAME: 'svc-eudr', EUDR_TRACES_PASSWORD: 'env-key' };
+    expect(await fromEnv({ env })()).to.deep.equal({ username: 'svc-eudr', password: 'env-key' });
+    expect(await fromEnv({ env: { KEY: 'k', USER: 'u' }, usernameVar: 'USER', passwordVar: 'KEY' })()).to.deep.equal({ username: 'u', password: 'k' });
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'eudr-credentials-'));
+    try {
+      const keyPath = path.join(directory, 'key');
+      const jsonPath = path.join(directory, 'credentials.json');
+      fs.writeFileSync(keyPath, 'file-key\n');
+      fs.writeFileSync(jsonPath, JSON.stringify({ username: 'svc-eudr', password: 'json-key' }));
+
+      expect(await fromFile(keyPath, { username: 'svc-eudr' })()).to.deep.equal({ username: 'svc-eudr', password: 'file-key' });
+      expect(await fromFile(jsonPath)()).to.deep.equal({ username: 'svc-eudr', password: 'json-key' });
+      try {
+        await fromFile(keyPath)();
+        expect.fail('Expected the key file to be rejected as JSON');
+      } catch (error) {
+        expect(error.message).to.include('is not JSON { username, password }');
+      }
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('should resolve the credentials option', function() {
+    const provider = new EudrCredentialProvider(async () => ({ username: 'u', password: 'p' }));
+
+    expect(resolveCredentialProvider({ credentials: provider })).to.equal(provider);
+    expect(resolveCredentialProvider({ credentials: async () => ({}) })).to.be.instanceOf(EudrCredentialProvider);
+    expect(resolveCredentialProvider({ username: 'u', password: 'p' }).current()).to.deep.equal({ username: 'u', password: 'p' });
+    expect(() => resolveCredentialProvider({ credentials: 'u:p' })).to.throw('credentials must be');
+    expect(() => resolveCredentialProvider({ username: 'u' })).to.throw('Missing required configuration: password');
+  });
+
+  it('should invalidate the credentials when handleError maps a 401', async function() {
+    const provider = EudrCredentialProvider.fromStatic('u', 'p');
+    const error = new Error('Request failed with status code 401');
+    error.response = { status: 401, data: '' };
+
+    const handled = EudrErrorHandler.handleError(error, { credentials: provider });
+
+    expect(handled.httpStatus).to.equal(401);
+    expect(() => provider.current()).to.throw('not been fetched');
+    expect(await provider.get()).to.deep.equal({ username: 'u', password: 'p' });
+  });
+
+  it('should report a failing provider in the same shape from V3 and echo clients', async function() {
+    const credentials = new EudrCredentialProvider(async () => {
+      throw new Error('secret manager unavailable');
+    });
+    const endpoint = 'https://eudr.example.test/tracesnt/ws/';
+    const clients = [
+      new EudrRetrievalClientV3({ webServiceClientId: 'eudr-test', endpoint: `${endpoint}EUDRRetrievalServiceV3`, retry: false, credentials }),
+      new EudrEchoClient({ webServiceClientId: 'eudr-test', endpoint: `${endpoint}EudrEchoService`, credentials })
+    ];
+
+    const errors = [];
+    for (const call of [() => clients[0].getDdsByInternalReference('CRED-1'), () => clients[1].echo('ping')]) {
+      try {
+        await call();
+        expect.fail('Expected the provider to fail');
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+
+    for (const error of errors) {
+      expect(error.httpStatus).to.equal(500);
+      expect(error.eudrErrorCode).to.equal('EUDR_CREDENTIALS_UNAVAILABLE');
+      expect(error.field).to.equal('credentials');
+      expect(error.details.setupError).to.equal('Credential provider failed: secret manager unavailable');
+    }
+    clients.forEach((client) => client.close());
+  });
+
+  describe('against the mock server', function() {
+    const username = 'rotating-user';
+    let server;
+    let directory;
+    let keyPath;
+
+    beforeEach(async function() {
+      server = new EudrMockServer({ users: { [username]: 'key-1' } });
+      await server.start();
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'eudr-credentials-'));
+      keyPath = path.join(directory, 'key');
+      fs.writeFileSync(keyPath, 'key-1');
+    });
+
+    afterEach(async function() {
+      await server.stop();
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should pick up a rotated key after the old one is rejected', async function() {
+      const client = new EudrSubmissionClientV3({
+        webServiceClientId: 'eudr-test',
+        endpoint: server.endpointFor('submission'),
+        retry: false,
+        credentials: fromFile(keyPath, { username })
+      });
+      const statement = {
+        internalReferenceNumber: 'ROTATE-1',
+        activityType: 'DOMESTIC',
+        countryOfActivity: 'HR',
+        commodities: [{
+          position: 1,
+          descriptors: { descriptionOfGoods: 'Cocoa beans', goodsMeasure: { netWeight: 10, percentageEstimationOrDeviation: 5 } },
+          hsHeading: '1801',
+          producers: [{ country: 'CI', name: 'Cooperative', geometryGeojson: { type: 'Point', coordinates: [15.96, 45.81], properties: { Area: 1 } } }]
+        }],
+        geoLocationConfidential: false
+      };
+
+      await client.submitDds({ operatorRole: 'OPERATOR', statement });
+      expect(client.config.password).to.equal(undefined);
+
+      server.addUser(username, 'key-2');
+      fs.writeFileSync(keyPath, 'key-2');
+
+      try {
+        await client.submitDds({ operatorRole: 'OPERATOR', statement });
+        expect.fail('Expected the cached key to be rejected');
+      } catch (error) {
+        expect(error.httpStatus).to.equal(401);
+      }
+
+      const { uuid } = await client.submitDds({ operatorRole: 'OPERATOR', statement });
+      expect(uuid).to.be.a('string');
+      client.close();
+    });
+
+    it('should refresh echo credentials the same way', async function() {
+      const client = new EudrEchoClient({
+        webServiceClientId: 'eudr-test',
+        endpoint: server.endpointFor('echo'),
+        credentials: fromFile(keyPath, { username })
+      });
+
+      expect((await client.echo('ping')).status).to.equal('ping');
+
+      server.addUser(username, 'key-2');
+      fs.writeFileSync(keyPath, 'key-2');
+
+      try {
+        await client.echo('ping');
+        expect.fail('Expected the cached key to be rejected');
+      } catch (error) {
+        expect(error.code).to.equal('UNAUTHENTICATED');
+      }
+
+      expect((await client.echo('ping')).status).to.equal('ping');
+      client.close();
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Tests for the flat-file DDS importer, submitting against the bundled mock server.
+ */
+
+const { expect } = require('chai');
+const {
+  parseCsv,
+  groupRowsIntoRequests,
+  importDdsRows,
+  importDdsFromCsv
+} = require('../../utils/dds-importer');
+const { EudrMockServer, faultScenarios } = require('../../testing');
+const EudrSubmissionClientV3 = require('../../services/submission-service-v3');
+
+describe('DDS flat-file importer', function() {
+  const point = (longitude, latitude) => JSON.stringify({
+    type: 'FeatureCollection',
+    features: [{ type: 'Feature', geometry: { type: 'Point', coordinates: [longitude, latitude] }, properties: {} }]
+  });
+
+  const quote = (value) => (/[",;\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  const toCsv = (rows, delimiter = ',') => rows.map((row) => row.map((value) => quote(String(value))).join(delimiter)).join('\n');
+
+  const header = ['internalReferenceNumber', 'activityType', 'hsHeading', 'descriptionOfGoods', 'netWeight', 'producerCountry', 'producerName', 'geometryGeojson', 'geoLocationConfidential'];
+  const shipments = [
+    header,
+    ['PO-1', 'IMPORT', '1801', 'Cocoa beans', '1200', 'CI', 'Farm A', point(-5.5, 7.5), 'false'],
+    ['PO-1', 'IMPORT', '1801', 'Cocoa beans', '1200', 'GH', 'Farm B', point(-1.5, 6.5), 'false'],
+    ['PO-2', 'IMPORT', '0901', 'Coffee', '50', 'BR', 'Fazenda', point(-47.1, -21.2), 'false']
+  ];
+
+  describe('parseCsv', function() {
+    it('should parse quoted fields, CRLF line ends and a BOM', function() {
+      const text = '\uFEFFname,comment\r\n"Farm ""A""","first, second"\r\nFarm B,"multi\nline"\r\n\r\n';
+
+      expect(parseCsv(text)).to.deep.equal([
+        { name: 'Farm "A"', comment: 'first, second' },
+        { name: 'Farm B', comment: 'multi\nline' }
+      ]);
+    });
+
+    it('should detect semicolon and tab delimiters', function() {
+      expect(parseCsv('a;b\n1,5;2')).to.deep.equal([{ a: '1,5', b: '2' }]);
+      expect(parseCsv('a\tb\n1\t2')).to.deep.equal([{ a: '1', b: '2' }]);
+      expect(parseCsv('a;b\n1;2', { delimiter: ',' })).to.deep.equal([{ 'a;b': '1;2' }]);
+    });
+  });
+
+  describe('groupRowsIntoRequests', function() {
+    it('should group rows into one DDS per reference, one commodity per distinct goods and one producer per row', function() {
+      const rows = parseCsv(toCsv([
+        ['internalReferenceNumber', 'activityType', 'hsHeading', 'descriptionOfGoods', 'netWeight', 'producerCountry', 'producerName', 'geoLocationConfidential', 'scientificName'],
+        ['PO-1', 'IMPORT', '4403', 'Logs', '10,5', 'HR', 'Forest A', 'yes', 'Quercus robur'],
+        ['PO-1', 'IMPORT', '4403', 'Logs', '10,5', 'HR', 'Forest B', 'yes', 'Quercus robur'],
+        ['PO-1', 'IMPORT', '4407', 'Boards', '3', 'HR', 'Forest A', 'yes', 'Quercus robur']
+      ], ';'));
+
+      const [group] = groupRowsIntoRequests(rows);
+
+      expect(group.rows).to.deep.equal([2, 3, 4]);
+      expect(group.request.operatorRole).to.equal('OPERATOR');
+      expect(group.request.statement).to.include({ internalReferenceNumber: 'PO-1', activityType: 'IMPORT', geoLocationConfidential: true });
+      expect(group.request.statement.commodities).to.have.lengthOf(2);
+      expect(group.request.statement.commodities[0]).to.deep.equal({
+        hsHeading: '4403',
+        descriptors: { descriptionOfGoods: 'Logs', goodsMeasure: { netWeight: 10.5 } },
+        speciesInfo: [{ scientificName: 'Quercus robur' }],
+        producers: [{ country: 'HR', name: 'Forest A' }, { country: 'HR', name: 'Forest B' }]
+      });
+      expect(group.request.statement.commodities[1].producers).to.deep.equal([{ country: 'HR', name: 'Forest A' }]);
+    });
+
+    it('should accept custom column names and functions in the mapping', function() {
+      const mapping = {
+        'request.operatorRole': () => 'REPRESENTATIVE_OPERATOR',
+        'statement.internalReferenceNumber': 'Order',
+        'statement.activityType': () => 'EXPORT',
+        'commodity.hsHeading': 'HS code'
+      };
+
+      const [group] = groupRowsIntoRequests([{ Order: 'SO-9', 'HS code': '0901' }], { mapping, groupBy: 'Order', firstRowNumber: 1 });
+
+      expect(group).to.deep.include({ key: 'SO-9', rows: [1], error: null });
+      expect(group.request).to.deep.equal({
+        operatorRole: 'REPRESENTATIVE_OPERATOR',
+        statement: { internalReferenceNumber: 'SO-9', activityType: 'EXPORT', commodities: [{ hsHeading: '0901' }] }
+      });
+      expect(() => groupRowsIntoRequests([], { mapping: { 'shipment.id': 'id' } })).to.throw("Invalid mapping target 'shipment.id'");
+    });
+
+    it('should reject rows that disagree on statement-level values', function() {
+      const rows = [
+        { internalReferenceNumber: 'PO-1', activityType: 'IMPORT', hsHeading: '1801' },
+        { internalReferenceNumber: 'PO-1', activityType: 'EXPORT', hsHeading: '1801' }
+      ];
+
+      const [group] = groupRowsIntoRequests(rows);
+
+      expect(group.request).to.equal(null);
+      expect(group.error).to.include({ eudrErrorCode: 'EUDR_IMPORT_INCONSISTENT_ROWS', field: 'statement.activityType', row: 3 });
+    });
+  });
+
+  describe('importDdsRows', function() {
+    const credentials = { username: 'import-user', password: 'import-password', webServiceClientId: 'eudr-test' };
+    let server;
+    let client;
+
+    beforeEach(async function() {
+      server = new EudrMockServer({ users: { [credentials.username]: credentials.password } });
+      await server.start();
+      client = new EudrSubmissionClientV3({ ...credentials, endpoint: server.endpointFor('submission'), retry: false });
+    });
+
+    afterEach(async function() {
+      await server.stop();
+    });
+
+    it('should submit one DDS per group and report the UUID on every row', async function() {
+      const seen = [];
+      const report = await importDdsFromCsv(toCsv(shipments), { client, onDeclaration: (result) => seen.push(result.key) });
+
+      expect(seen).to.deep.equal(['PO-1', 'PO-2']);
+      expect(report.summary).to.deep.equal({ declarations: 2, submitted: 2, valid: 0, invalid: 0, failed: 0 });
+      expect(report.rows.map((row) => [row.row, row.internalReferenceNumber, row.status])).to.deep.equal([
+        [2, 'PO-1', 'submitted'],
+        [3, 'PO-1', 'submitted'],
+        [4, 'PO-2', 'submitted']
+      ]);
+      expect(report.rows[0].uuid).to.equal(report.rows[1].uuid);
+      expect(server.getDeclaration(report.rows[0].uuid).internalReferenceNumber).to.equal('PO-1');
+      expect(server.getDeclaration(report.rows[2].uuid).internalReferenceNumber).to.equal('PO-2');
+    });
+
+    it('should mark invalid groups without submitting them', async function() {
+      const rows = parseCsv(toCsv([
+        ...shipments,
+        ['PO-3', 'SHIPPING', '1801', 'Cocoa beans', '5', 'CI', 'Farm C', point(-5.5, 7.5), 'false'],
+        ['PO-2', 'EXPORT', '0901', 'Coffee', '50', 'BR', 'Fazenda', point(-47.1, -21.2), 'false']
+      ]));
+
+      const report = await importDdsRows(rows, { client });
+
+      expect(report.summary).to.deep.equal({ declarations: 3, submitted: 1, valid: 0, invalid: 2, failed: 0 });
+      expect(report.rows.find((row) => row.row === 4)).to.include({ status: 'invalid', errorCode: 'EUDR_IMPORT_INCONSISTENT_ROWS', uuid: null });
+      expect(report.rows.find((row) => row.row === 6)).to.include({ status: 'invalid', key: 'PO-2', internalReferenceNumber: null });
+      expect(report.rows.find((row) => row.row === 5).errorCode).to.equal('EUDR_SCHEMA_VALIDATION_ERROR');
+      expect(server.requests).to.have.lengthOf(1);
+    });
+
+    it('should report server-side failures per row and continue', async function() {
+      server.injectFault({ ...faultScenarios.maximumGeoSizeReached, times: 1 });
+
+      const report = await importDdsFromCsv(toCsv(shipments), { client });
+
+      expect(report.rows.map((row) => [row.row, row.status, row.errorCode])).to.deep.equal([
+        [2, 'failed', 'EUDR_MAXIMUM_GEO_SIZE_REACHED'],
+        [3, 'failed', 'EUDR_MAXIMUM_GEO_SIZE_REACHED'],
+        [4, 'submitted', null]
+      ]);
+      expect(report.summary.failed).to.equal(1);
+    });
+
+    it('should only validate with validateOnly', async function() {
+      const report = await importDdsFromCsv(toCsv(shipments), { validateOnly: true });
+
+      expect(report.summary).to.deep.equal({ declarations: 2, submitted: 0, valid: 2, invalid: 0, failed: 0 });
+      expect(report.declarations[0].request.statement.commodities[0].producers).to.have.lengthOf(2);
+      await expectRejection(importDdsRows([]), 'requires a client');
+    });
+  });
+
+  async function expectRejection(promise, message) {
+    try {
+      await promise;
+    } catch (error) {
+      expect(error.message).to.include(message);
+      return;
+    }
+    expect.fail('Expected a rejection');
+  }
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests for geojson-utils.js
+ */
+
+const { expect } = require('chai');
+const geojsonUtils = require('../../utils/geojson-utils');
+
+describe('GeoJSON Utils', function() {
+  const point = { type: 'Point', coordinates: [15.9665, 45.815] };
+  const pointJson = JSON.stringify(point);
+  const pointBase64 = Buffer.from(pointJson, 'utf-8').toString('base64');
+
+  describe('encodeGeojson', function() {
+    it('should encode a GeoJSON object to Base64', function() {
+      expect(geojsonUtils.encodeGeojson(point)).to.equal(pointBase64);
+    });
+
+    it('should encode a raw GeoJSON string to Base64', function() {
+      expect(geojsonUtils.encodeGeojson(pointJson)).to.equal(pointBase64);
+    });
+
+    it('should pass an already Base64-encoded value through unchanged', function() {
+      expect(geojsonUtils.encodeGeojson(pointBase64)).to.equal(pointBase64);
+    });
+
+    it('should leave unrecognized strings unchanged', function() {
+      expect(geojsonUtils.encodeGeojson('BASE64_GEOJSON')).to.equal('BASE64_GEOJSON');
+      expect(geojsonUtils.encodeGeojson('{not json')).to.equal('{not json');
+    });
+  });
+
+  describe('decodeGeojson', function() {
+    it('should decode Base64 GeoJSON into an object', function() {
+      expect(geojsonUtils.decodeGeojson(pointBase64)).to.deep.equal(point);
+    });
+
+    it('should return null for values that are not Base64-encoded JSON', function() {
+      expect(geojsonUtils.decodeGeojson('BASE64_ENCODED_GEOJSON')).to.be.null;
+      expect(geojsonUtils.decodeGeojson(pointJson)).to.be.null;
+      expect(geojsonUtils.decodeGeojson(undefined)).to.be.null;
+    });
+  });
+
+  describe('isBase64Geojson', function() {
+    it('should detect Base64-encoded GeoJSON', function() {
+      expect(geojsonUtils.isBase64Geojson(pointBase64)).to.be.true;
+      expect(geojsonUtils.isBase64Geojson(pointJson)).to.be.false;
+      expect(geojsonUtils.isBase64Geojson(point)).to.be.false;
+    });
+  });
+
+  describe('attachDecodedGeojson', function() {
+    it('should decode DDS producer geometry next to the Base64 string', function() {
+      const statement = {
+        commodities: [{ producers: [{ country: 'HR', geometryGeojson: pointBase64 }] }]
+      };
+
+      geojsonUtils.attachDecodedGeojson(statement);
+      expect(statement.commodities[0].producers[0].geometryGeojson).to.equal(pointBase64);
+      expect(statement.commodities[0].producers[0].geometryGeojsonDecoded).to.deep.equal(point);
+    });
+
+    it('should decode SD producerLocation geometry', function() {
+      const statement = {
+        commodities: [{ producers: [{ producerCountry: 'FR', producerLocation: { geometryGeojson: pointBase64 } }] }]
+      };
+
+      geojsonUtils.attachDecodedGeojson(statement);
+      expect(statement.commodities[0].producers[0].producerLocation.geometryGeojsonDecoded).to.deep.equal(point);
+    });
+
+    it('should set null when the geometry cannot be decoded', function() {
+      const statement = {
+        commodities: [{ producers: [{ geometryGeojson: 'BASE64_ENCODED_GEOJSON' }] }]
+      };
+
+      geojsonUtils.attachDecodedGeojson(statement);
+      expect(statement.commodities[0].producers[0].geometryGeojsonDecoded).to.be.null;
+    });
+  });
+});
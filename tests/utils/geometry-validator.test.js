@@ -0,0 +1,154 @@
+/**
+ * Tests for geometry-validator.js
+ */
+
+const { expect } = require('chai');
+const {
+  validateGeometry,
+  validateStatementGeometry,
+  isCattleHsHeading
+} = require('../../utils/geometry-validator');
+
+describe('Geometry Validator', function() {
+  const square = {
+    type: 'Polygon',
+    coordinates: [[[15.0, 45.0], [15.01, 45.0], [15.01, 45.01], [15.0, 45.01], [15.0, 45.0]]]
+  };
+
+  const codesOf = (issues) => issues.map((issue) => issue.eudrErrorCode);
+
+  describe('validateGeometry', function() {
+    it('should accept valid Point, Polygon and FeatureCollection geometries', function() {
+      expect(validateGeometry({ type: 'Point', coordinates: [15.9665, 45.815] })).to.be.empty;
+      expect(validateGeometry(square)).to.be.empty;
+      expect(validateGeometry({
+        type: 'FeatureCollection',
+        features: [{ type: 'Feature', properties: { Area: 2 }, geometry: { type: 'Point', coordinates: [15, 45] } }]
+      })).to.be.empty;
+    });
+
+    it('should accept raw JSON strings and Base64-encoded GeoJSON', function() {
+      const json = JSON.stringify(square);
+      expect(validateGeometry(json)).to.be.empty;
+      expect(validateGeometry(Buffer.from(json, 'utf-8').toString('base64'))).to.be.empty;
+    });
+
+    it('should reject values that are not GeoJSON', function() {
+      expect(codesOf(validateGeometry('BASE64_GEOJSON'))).to.deep.equal(['EUDR_COMMODITIES_PRODUCER_GEO_INVALID']);
+    });
+
+    it('should reject out-of-range latitude and longitude', function() {
+      expect(codesOf(validateGeometry({ type: 'Point', coordinates: [15, 95] })))
+        .to.deep.equal(['EUDR_COMMODITIES_PRODUCER_GEO_LATITUDE_INVALID']);
+      expect(codesOf(validateGeometry({ type: 'Point', coordinates: [-181, 45] })))
+        .to.deep.equal(['EUDR_COMMODITIES_PRODUCER_GEO_LONGITUDE_INVALID']);
+    });
+
+    it('should reject unsupported geometry types', function() {
+      expect(codesOf(validateGeometry({ type: 'LineString', coordinates: [[15, 45], [16, 46]] })))
+        .to.deep.equal(['EUDR_COMMODITIES_PRODUCER_GEO_INVALID_GEOMETRY']);
+    });
+
+    it('should reject open polygons and polygons with fewer than 4 positions', function() {
+      const open = { type: 'Polygon', coordinates: [[[15, 45], [15.01, 45], [15.01, 45.01], [15, 45.01]]] };
+      const triangle = { type: 'Polygon', coordinates: [[[15, 45], [15.01, 45], [15, 45]]] };
+
+      expect(codesOf(validateGeometry(open))).to.deep.equal(['EUDR_COMMODITIES_PRODUCER_GEO_POLYGON_INVALID']);
+      expect(codesOf(validateGeometry(triangle))).to.deep.equal(['EUDR_COMMODITIES_PRODUCER_GEO_POLYGON_INVALID']);
+    });
+
+    it('should reject self-intersecting (figure eight) polygons', function() {
+      const bowtie = { type: 'Polygon', coordinates: [[[15, 45], [15.01, 45.01], [15.01, 45], [15, 45.01], [15, 45]]] };
+
+      expect(codesOf(validateGeometry(bowtie))).to.deep.equal(['EUDR_COMMODITIES_PRODUCER_GEO_POLYGON_INVALID']);
+    });
+
+    it('should reject straight-line polygons', function() {
+      const line = { type: 'Polygon', coordinates: [[[15, 45], [15.01, 45], [15.02, 45], [15, 45]]] };
+
+      expect(codesOf(validateGeometry(line))).to.deep.equal(['EUDR_COMMODITIES_PRODUCER_GEO_POLYGON_INVALID']);
+    });
+
+    it('should reject vertices that collapse after truncation to 6 decimals', function() {
+      const polygon = {
+        type: 'Polygon',
+        coordinates: [[[144.2567071234, -5.8227391234], [144.2567074567, -5.8227394567], [144.26, -5.82], [144.25, -5.81], [144.2567071234, -5.8227391234]]]
+      };
+
+      const issues = validateGeometry(polygon);
+      expect(codesOf(issues)).to.deep.equal(['EUDR_COMMODITIES_PRODUCER_GEO_POLYGON_INVALID']);
+      expect(issues[0].message).to.include('6 decimal places');
+    });
+
+    it('should enforce Point area bounds for non-cattle commodities only', function() {
+      const pointWithArea = (Area) => ({
+        type: 'Feature',
+        properties: { Area },
+        geometry: { type: 'Point', coordinates: [15, 45] }
+      });
+
+      expect(codesOf(validateGeometry(pointWithArea(5)))).to.deep.equal(['EUDR_COMMODITIES_PRODUCER_GEO_AREA_INVALID']);
+      expect(codesOf(validateGeometry(pointWithArea(0.00001)))).to.deep.equal(['EUDR_COMMODITIES_PRODUCER_GEO_AREA_INVALID']);
+      expect(codesOf(validateGeometry(pointWithArea('3')))).to.deep.equal(['EUDR_COMMODITIES_PRODUCER_GEO_AREA_INVALID']);
+      expect(validateGeometry(pointWithArea(5), { hsHeading: '0102' })).to.be.empty;
+    });
+  });
+
+  describe('isCattleHsHeading', function() {
+    it('should detect cattle HS headings by prefix', function() {
+      expect(isCattleHsHeading('010221')).to.be.true;
+      expect(isCattleHsHeading('4101')).to.be.true;
+      expect(isCattleHsHeading('1801')).to.be.false;
+      expect(isCattleHsHeading(undefined)).to.be.false;
+    });
+  });
+
+  describe('validateStatementGeometry', function() {
+    const statement = {
+      commodities: [
+        { hsHeading: '4407', producers: [{ country: 'HR', geometryGeojson: square }] },
+        {
+          hsHeading: '4407',
+          producers: [
+            { country: 'HR', geometryGeojson: square },
+            { country: 'HR', geometryGeojson: { type: 'Point', coordinates: [15, 95] } }
+          ]
+        }
+      ]
+    };
+
+    it('should throw in strict mode with the commodity and producer index', function() {
+      try {
+        validateStatementGeometry(statement);
+        expect.fail('Expected validateStatementGeometry to throw');
+      } catch (error) {
+        expect(error.eudrErrorCode).to.equal('EUDR_COMMODITIES_PRODUCER_GEO_LATITUDE_INVALID');
+        expect(error.eudrSpecific).to.be.true;
+        expect(error.commodityIndex).to.equal(1);
+        expect(error.producerIndex).to.equal(1);
+        expect(error.field).to.equal('commodities[1].producers[1].geometryGeojson');
+        expect(error.message).to.include('commodities[1].producers[1]');
+      }
+    });
+
+    it('should return the problems instead of throwing in warn mode', function() {
+      const errors = validateStatementGeometry(statement, { mode: 'warn' });
+      expect(errors).to.have.lengthOf(1);
+      expect(errors[0].eudrErrorCode).to.equal('EUDR_COMMODITIES_PRODUCER_GEO_LATITUDE_INVALID');
+    });
+
+    it('should skip validation in off mode', function() {
+      expect(validateStatementGeometry(statement, { mode: 'off' })).to.be.empty;
+    });
+
+    it('should locate SD producerLocation geometries', function() {
+      expect(() => validateStatementGeometry({
+        commodities: [{ producers: [{ producerCountry: 'FR', producerLocation: { geometryGeojson: 'X' } }] }]
+      })).to.throw('commodities[0].producers[0].producerLocation.geometryGeojson');
+    });
+
+    it('should reject an unknown mode', function() {
+      expect(() => validateStatementGeometry(statement, { mode: 'loud' })).to.throw("Invalid geometry validation mode 'loud'");
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Tests for http-agent.js
+ */
+
+const { expect } = require('chai');
+const https = require('https');
+const crypto = require('node:crypto');
+const { createHttpsAgent, resolveTlsOptions, getPublicKeyPin, DEFAULT_AGENT_OPTIONS } = require('../../utils/http-agent');
+
+describe('HTTP Agent', function() {
+  const silentLogger = () => {
+    const warnings = [];
+    return { warnings, warn: (...args) => warnings.push(args) };
+  };
+
+  it('should create a pooled keep-alive agent that verifies certificates by default', function() {
+    const logger = silentLogger();
+    const agent = createHttpsAgent({ logger });
+
+    expect(agent).to.be.instanceOf(https.Agent);
+    expect(agent.keepAlive).to.equal(true);
+    expect(agent.maxSockets).to.equal(DEFAULT_AGENT_OPTIONS.maxSockets);
+    expect(agent.maxFreeSockets).to.equal(DEFAULT_AGENT_OPTIONS.maxFreeSockets);
+    expect(agent.options.timeout).to.equal(DEFAULT_AGENT_OPTIONS.idleTimeout);
+    expect(agent.options.rejectUnauthorized).to.equal(true);
+    expect(agent.options.minVersion).to.equal('TLSv1.2');
+    expect(logger.warnings).to.have.lengthOf(0);
+    agent.destroy();
+  });
+
+  it('should apply the pool options', function() {
+    const agent = createHttpsAgent({ maxSockets: 25, maxFreeSockets: 5, idleTimeout: 5000 });
+
+    expect(agent.maxSockets).to.equal(25);
+    expect(agent.maxFreeSockets).to.equal(5);
+    expect(agent.options.timeout).to.equal(5000);
+    agent.destroy();
+  });
+
+  it('should reject invalid pool sizes and timeouts', function() {
+    expect(() => createHttpsAgent({ maxSockets: 0 })).to.throw('maxSockets must be a positive integer');
+    expect(() => createHttpsAgent({ idleTimeout: '30s' })).to.throw('idleTimeout must be a positive integer');
+  });
+
+  describe('resolveTlsOptions', function() {
+    it('should map the boolean ssl option and let tls.rejectUnauthorized win', function() {
+      expect(resolveTlsOptions({ ssl: true }).rejectUnauthorized).to.equal(true);
+      expect(resolveTlsOptions({ ssl: false }, silentLogger()).rejectUnauthorized).to.equal(false);
+      expect(resolveTlsOptions({ ssl: false, tls: { rejectUnauthorized: true } }).rejectUnauthorized).to.equal(true);
+    });
+
+    it('should warn when certificate verification is turned off', function() {
+      const logger = silentLogger();
+
+      resolveTlsOptions({ tls: { rejectUnauthorized: false } }, logger);
+
+      expect(logger.warnings).to.have.lengthOf(1);
+      expect(logger.warnings[0][1]).to.include('TLS CERTIFICATE VERIFICATION IS DISABLED');
+    });
+
+    it('should pass the CA bundle, client certificate and minimum version through', function() {
+      const options = resolveTlsOptions({ tls: { ca: 'CA PEM', cert: 'CERT PEM', key: 'KEY PEM', passphrase: 'secret', minVersion: 'TLSv1.3' } });
+
+      expect(options).to.deep.equal({
+        rejectUnauthorized: true,
+        minVersion: 'TLSv1.3',
+        ca: 'CA PEM',
+        cert: 'CERT PEM',
+        key: 'KEY PEM',
+        passphrase: 'secret'
+      });
+    });
+
+    it('should reject invalid TLS settings', function() {
+      const fieldOf = (config) => {
+        try {
+          resolveTlsOptions(config, silentLogger());
+        } catch (error) {
+          expect(error.eudrErrorCode).to.equal('EUDR_TLS_CONFIG_INVALID');
+          return error.field;
+        }
+        return expect.fail('Expected resolveTlsOptions to throw');
+      };
+
+      expect(fieldOf({ ssl: 'false' })).to.equal('ssl');
+      expect(fieldOf({ tls: { verify: false } })).to.equal('tls.verify');
+      expect(fieldOf({ tls: { minVersion: 'SSLv3' } })).to.equal('tls.minVersion');
+      expect(fieldOf({ tls: { cert: 'CERT PEM' } })).to.equal('tls.key');
+      expect(fieldOf({ tls: { pinnedPublicKeys: ['not-a-digest'] } })).to.equal('tls.pinnedPublicKeys[0]');
+      expect(fieldOf({ tls: { rejectUnauthorized: false, pinnedPublicKeys: [getPublicKeyPin({ pubkey: Buffer.from('key') })] } }))
+        .to.equal('tls.pinnedPublicKeys');
+    });
+  });
+
+  describe('public key pinning', function() {
+    const hostname = 'webgate.ec.europa.eu';
+    const root = { subject: { CN: 'Root CA' }, pubkey: crypto.randomBytes(64) };
+    root.issuerCertificate = root;
+    const intermediate = { subject: { CN: 'Intermediate CA' }, pubkey: crypto.randomBytes(64), issuerCertificate: root };
+    const leaf = {
+      subject: { CN: hostname },
+      subjectaltname: `DNS:${hostname}`,
+      pubkey: crypto.randomBytes(64),
+      issuerCertificate: intermediate
+    };
+    const checkFor = (pins) => resolveTlsOptions({ tls: { pinnedPublicKeys: pins } }).checkServerIdentity;
+
+    it('should accept a chain that contains a pinned key', function() {
+      expect(checkFor([getPublicKeyPin(leaf)])(hostname, leaf)).to.equal(undefined);
+      expect(checkFor([`sha256/${getPublicKeyPin(intermediate)}`])(hostname, leaf)).to.equal(undefined);
+    });
+
+    it('should fail the handshake when no key in the chain is pinned', function() {
+      const error = checkFor([getPublicKeyPin({ pubkey: Buffer.from('other') })])(hostname, leaf);
+
+      expect(error.code).to.equal('EUDR_TLS_PIN_MISMATCH');
+      expect(error.message).to.include(`got sha256/${getPublicKeyPin(leaf)}`);
+    });
+
+    it('should still check the hostname', function() {
+      const error = checkFor([getPublicKeyPin(leaf)])('attacker.example.com', leaf);
+
+      expect(error.code).to.equal('ERR_TLS_CERT_ALTNAME_INVALID');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for legacy-migration.js
+ */
+
+const { expect } = require('chai');
+const { migrateV2RequestToV3 } = require('../../utils/legacy-migration');
+const { validateDdsRequest } = require('../../utils/schema-constraints');
+const scenariosV2 = require('../../services/scenarios-v2');
+
+describe('Legacy Migration', function() {
+  const paths = (unconvertible) => unconvertible.map((entry) => entry.path);
+
+  it('should convert a V2 operator request into a valid V3 request', function() {
+    const { request, unconvertible } = migrateV2RequestToV3(scenariosV2.operator);
+
+    expect(request.operatorRole).to.equal('OPERATOR');
+    expect(request).not.to.have.property('operatorType');
+    expect(request.statement).not.to.have.property('operator');
+    expect(request.statement.commodities).to.deep.equal(scenariosV2.operator.statement.commodities);
+    expect(paths(unconvertible)).to.deep.equal(['statement.operator']);
+    expect(unconvertible[0].reason).to.include('web service credentials');
+    expect(validateDdsRequest(request)).to.deep.equal([]);
+  });
+
+  it('should turn the operator block of a representative into representedOperator', function() {
+    const { request, unconvertible } = migrateV2RequestToV3(scenariosV2.representative);
+
+    expect(request.operatorRole).to.equal('REPRESENTATIVE_OPERATOR');
+    expect(request.statement.representedOperator).to.deep.equal({
+      operatorReferenceNumber: { identifierType: 'eori', identifierValue: 'HR09876356' },
+      operatorAddress: {
+        country: 'HR',
+        street: 'Trg Republike 15',
+        postalCode: '10000',
+        city: 'Zagreb',
+        fullAddress: 'Trg Republike 15, 10000 Zagreb'
+      },
+      operatorEmail: 'info@greenwood-solutions.hr',
+      operatorPhone: '+385 (001) 480-4111',
+      operatorName: 'GreenWood Solutions Ltd.'
+    });
+    expect(unconvertible).to.deep.equal([]);
+    expect(validateDdsRequest(request)).to.deep.equal([]);
+  });
+
+  it('should report TRADE, trader roles and associated statements with reasons', function() {
+    const { request, unconvertible } = migrateV2RequestToV3(scenariosV2.trade);
+
+    expect(paths(unconvertible)).to.deep.equal([
+      'operatorType',
+      'statement.activityType',
+      'statement.operator',
+      'statement.associatedStatements'
+    ]);
+    expect(unconvertible[0]).to.include({ value: 'TRADER' });
+    expect(unconvertible[3].reason).to.include('GROUPED');
+    expect(request).not.to.have.property('operatorRole');
+    expect(request.statement).not.to.have.any.keys('activityType', 'associatedStatements');
+    expect(scenariosV2.trade.statement.activityType).to.equal('TRADE');
+  });
+
+  it('should convert associated statements to grouped declarations on request', function() {
+    const { request, unconvertible } = migrateV2RequestToV3(scenariosV2.trade, { groupAssociatedStatements: true });
+
+    expect(request.statement.groupedDeclarations).to.deep.equal([
+      { groupedDeclaration: '25NLSN6LX69730' },
+      { groupedDeclaration: '25NLWPAZWQ8865' }
+    ]);
+    expect(paths(unconvertible)).not.to.include('statement.associatedStatements');
+  });
+
+  it('should report V1 fields without a V3 counterpart', function() {
+    const v1Request = {
+      operatorType: 'REPRESENTATIVE_OPERATOR',
+      statement: {
+        activityType: 'IMPORT',
+        operator: {
+          referenceNumber: [{ identifierType: 'EORI', identifierValue: 'BE0001' }, { identifierType: 'vat', identifierValue: 'BE0002' }],
+          nameAndAddress: { name: 'Legacy NV', country: 'BE', address: 'Rue 1, 1000 Brussels' }
+        },
+        commodities: [{
+          descriptors: { descriptionOfGoods: 'Logs', goodsMeasure: { volume: 5, netWeight: 100 } },
+          hsHeading: '4401'
+        }]
+      }
+    };
+
+    const { request, unconvertible } = migrateV2RequestToV3(v1Request);
+
+    expect(request.statement.representedOperator).to.deep.equal({
+      operatorReferenceNumber: { identifierType: 'eori', identifierValue: 'BE0001' },
+      operatorName: 'Legacy NV'
+    });
+    expect(request.statement.commodities[0].descriptors.goodsMeasure).to.deep.equal({ netWeight: 100 });
+    expect(paths(unconvertible)).to.deep.equal([
+      'statement.operator.referenceNumber[1]',
+      'statement.operator.nameAndAddress',
+      'statement.commodities[0].descriptors.goodsMeasure.volume'
+    ]);
+  });
+
+  it('should reject requests without a statement', function() {
+    expect(() => migrateV2RequestToV3({ operatorType: 'OPERATOR' })).to.throw('requires a request with a statement object');
+  });
+});
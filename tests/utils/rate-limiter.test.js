@@ -0,0 +1,147 @@
+/**
+ * Tests for rate-limiter.js
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  EudrRateLimiter,
+  MemoryRateLimitStore,
+  FileRateLimitStore,
+  getSharedRateLimiter,
+  EUDR_RATE_LIMITS
+} = require('../../utils/rate-limiter');
+
+describe('Rate Limiter', function() {
+  describe('EudrRateLimiter', function() {
+    it('should default to the documented EUDR limits', function() {
+      const limiter = new EudrRateLimiter();
+      expect(limiter.limits).to.deep.equal(EUDR_RATE_LIMITS);
+      expect(EUDR_RATE_LIMITS).to.deep.equal([
+        { tokens: 5, intervalMs: 1000 },
+        { tokens: 10000, intervalMs: 60000 }
+      ]);
+    });
+
+    it('should reject invalid options', function() {
+      expect(() => new EudrRateLimiter({ limits: [] })).to.throw('rateLimiter.limits must be a non-empty array');
+      expect(() => new EudrRateLimiter({ limits: [{ tokens: 0, intervalMs: 1000 }] })).to.throw('positive tokens and intervalMs');
+      expect(() => new EudrRateLimiter({ store: {} })).to.throw('rateLimiter.store must implement update(key, updater)');
+    });
+
+    it('should grant a burst up to the bucket size, then compute the wait for the next token', function() {
+      const limiter = new EudrRateLimiter({ limits: [{ tokens: 2, intervalMs: 1000 }] });
+      let state = null;
+      const results = [];
+      for (let i = 0; i < 3; i++) {
+        const step = limiter.take(state, 0);
+        state = step.state;
+        results.push(step.result);
+      }
+      expect(results).to.deep.equal([0, 0, 500]);
+      expect(limiter.take(state, 500).result).to.equal(0);
+    });
+
+    it('should require a token from every bucket', function() {
+      const limiter = new EudrRateLimiter({ limits: [{ tokens: 10, intervalMs: 1000 }, { tokens: 1, intervalMs: 60000 }] });
+      const first = limiter.take(null, 0);
+      expect(first.result).to.equal(0);
+      expect(limiter.take(first.state, 100).result).to.equal(59900);
+    });
+
+    it('should queue callers until tokens are refilled', async function() {
+      const limiter = new EudrRateLimiter({ limits: [{ tokens: 1, intervalMs: 30 }] });
+      const order = [];
+      const startedAt = Date.now();
+
+      await Promise.all([1, 2, 3].map((n) => limiter.acquire().then(() => order.push(n))));
+
+      expect(order).to.deep.equal([1, 2, 3]);
+      expect(Date.now() - startedAt).to.be.at.least(55);
+    });
+
+    it('should throw EUDR_RATE_LIMIT_EXCEEDED when the wait would exceed maxWaitMs', async function() {
+      const limiter = new EudrRateLimiter({ limits: [{ tokens: 1, intervalMs: 60000 }], maxWaitMs: 50 });
+      await limiter.acquire('getDds');
+
+      try {
+        await limiter.acquire('getDds');
+        expect.fail('Expected acquire to throw');
+      } catch (error) {
+        expect(error.eudrErrorCode).to.equal('EUDR_RATE_LIMIT_EXCEEDED');
+        expect(error.eudrSpecific).to.be.true;
+        expect(error.message).to.include('getDds');
+      }
+    });
+
+    it('should keep serving the queue after a caller times out', async function() {
+      const limiter = new EudrRateLimiter({ limits: [{ tokens: 1, intervalMs: 40 }], maxWaitMs: 10 });
+      await limiter.acquire();
+      const rejected = await limiter.acquire().catch((error) => error);
+      expect(rejected.eudrErrorCode).to.equal('EUDR_RATE_LIMIT_EXCEEDED');
+
+      await new Promise((resolve) => setTimeout(resolve, 45));
+      expect(await limiter.acquire()).to.be.a('number');
+    });
+
+    it('should return one process-wide shared limiter', function() {
+      expect(getSharedRateLimiter()).to.equal(getSharedRateLimiter());
+    });
+  });
+
+  describe('MemoryRateLimitStore', function() {
+    it('should keep state per key', async function() {
+      const store = new MemoryRateLimitStore();
+      await store.update('a', () => ({ state: 1, result: null }));
+      const seen = await store.update('a', (state) => ({ state, result: state }));
+      const fresh = await store.update('b', (state) => ({ state, result: state }));
+      expect(seen).to.equal(1);
+      expect(fresh).to.be.null;
+    });
+  });
+
+  describe('FileRateLimitStore', function() {
+    let dir;
+
+    beforeEach(function() {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eudr-rate-limit-'));
+    });
+
+    afterEach(function() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should require a file path', function() {
+      expect(() => new FileRateLimitStore()).to.throw('FileRateLimitStore requires a filePath');
+    });
+
+    it('should share one budget between limiter instances', async function() {
+      const filePath = path.join(dir, 'state.json');
+      const limits = [{ tokens: 2, intervalMs: 60000 }];
+      const workerA = new EudrRateLimiter({ limits, maxWaitMs: 0, store: new FileRateLimitStore(filePath) });
+      const workerB = new EudrRateLimiter({ limits, maxWaitMs: 0, store: new FileRateLimitStore(filePath) });
+
+      await workerA.acquire();
+      await workerB.acquire();
+      const error = await workerA.acquire().catch((err) => err);
+
+      expect(error.eudrErrorCode).to.equal('EUDR_RATE_LIMIT_EXCEEDED');
+      expect(fs.existsSync(`${filePath}.lock`)).to.be.false;
+    });
+
+    it('should break a stale lock', async function() {
+      const filePath = path.join(dir, 'state.json');
+      fs.writeFileSync(`${filePath}.lock`, '');
+      const past = new Date(Date.now() - 10000);
+      fs.utimesSync(`${filePath}.lock`, past, past);
+
+      const store = new FileRateLimitStore(filePath, { staleLockMs: 1000 });
+      const result = await store.update('eudr', () => ({ state: { ok: true }, result: 'done' }));
+
+      expect(result).to.equal('done');
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).to.deep.equal({ eudr: { ok: true } });
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for response-models.js
+ */
+
+const { expect } = require('chai');
+const { toDdsStatementModel, toSdStatementModel } = require('../../utils/response-models');
+const { EudrMockServer } = require('../../testing');
+const EudrSubmissionClientV3 = require('../../services/submission-service-v3');
+const EudrRetrievalClientV3 = require('../../services/retrieval-service-v3');
+const EudrSimplifiedDeclarationClientV3 = require('../../services/simplified-declaration-service-v3');
+
+describe('Response Models', function() {
+  const point = { type: 'Point', coordinates: [15.96, 45.81], properties: { Area: 1 } };
+
+  it('should coerce numbers and booleans, drop attributes and keep unknown fields', function() {
+    const model = toDdsStatementModel({
+      $: { 'xmlns:ns3': 'http://ec.europa.eu/tracesnt/certificate/eudr/common/v3' },
+      status: { _: 'AVAILABLE', $: { code: '1' } },
+      geoLocationConfidential: 'true',
+      activityType: 'EXPORT',
+      commodities: [{
+        descriptors: {
+          descriptionOfGoods: { _: 'Coffee', $: { lang: 'en' } },
+          goodsMeasure: { netWeight: '12.500000', supplementaryUnit: 'n/a', percentageEstimationOrDeviation: '5' }
+        },
+        hsHeading: '0901',
+        speciesInfo: { scientificName: 'Coffea arabica' },
+        producers: { position: '2', country: 'BR', geometryGeojson: 'not-base64' }
+      }],
+      groupedDeclarations: [{ groupedDeclaration: '25HRAB12345678' }]
+    });
+
+    expect(model).to.deep.equal({
+      activityType: 'EXPORT',
+      commodities: [{
+        descriptors: {
+          descriptionOfGoods: 'Coffee',
+          goodsMeasure: { percentageEstimationOrDeviation: 5, netWeight: 12.5, supplementaryUnit: 'n/a' }
+        },
+        hsHeading: '0901',
+        speciesInfo: [{ scientificName: 'Coffea arabica' }],
+        producers: [{ position: 2, country: 'BR', geometryGeojson: 'not-base64' }]
+      }],
+      geoLocationConfidential: true,
+      groupedDeclarations: [{ groupedDeclaration: '25HRAB12345678' }],
+      status: 'AVAILABLE'
+    });
+    expect(toDdsStatementModel(null)).to.equal(null);
+  });
+
+  it('should map SD producer locations to arrays', function() {
+    const model = toSdStatementModel({
+      internalReferenceNumber: 'SD-1',
+      commodities: {
+        hsHeading: '1801',
+        producers: {
+          producerPosition: '1',
+          producerCountry: 'HR',
+          producerLocation: { postalAddress: { producerPostalCode: '10000', producerCity: 'Zagreb' } }
+        }
+      }
+    });
+
+    expect(model.commodities[0].producers[0]).to.deep.equal({
+      producerPosition: 1,
+      producerCountry: 'HR',
+      producerLocation: { postalAddress: [{ producerPostalCode: '10000', producerCity: 'Zagreb' }] }
+    });
+  });
+
+  describe('against the mock server', function() {
+    const credentials = { username: 'model-user', password: 'model-password', webServiceClientId: 'eudr-test' };
+    let server;
+    let config;
+
+    beforeEach(async function() {
+      server = new EudrMockServer({ users: { [credentials.username]: credentials.password } });
+      await server.start();
+      config = (service) => ({ ...credentials, endpoint: server.endpointFor(service), retry: false });
+    });
+
+    afterEach(async function() {
+      await server.stop();
+    });
+
+    it('should return a DDS statement that amendDds accepts unchanged', async function() {
+      const submission = new EudrSubmissionClientV3(config('submission'));
+      const retrieval = new EudrRetrievalClientV3(config('submission'));
+      const statement = {
+        internalReferenceNumber: 'MODEL-1',
+        activityType: 'IMPORT',
+        countryOfActivity: 'HR',
+        commodities: [{
+          position: 1,
+          descriptors: { descriptionOfGoods: 'Cocoa beans', goodsMeasure: { netWeight: 100.25 } },
+          hsHeading: '1801',
+          producers: [{ country: 'CI', name: 'Cooperative', geometryGeojson: point }]
+        }],
+        geoLocationConfidential: false
+      };
+
+      const { uuid } = await submission.submitDds({ operatorRole: 'OPERATOR', statement });
+      const { referenceNumber, verificationNumber } = server.getDeclaration(uuid);
+      const retrieved = await retrieval.getDdsByIdentifiers(referenceNumber, verificationNumber, { typed: true });
+
+      expect(retrieved.statement).to.deep.equal(statement);
+
+      await submission.amendDds(uuid, { ...retrieved.statement, comment: 'Amended' });
+      const amended = await retrieval.getDdsByIdentifiers(referenceNumber, verificationNumber, { typed: true });
+      expect(amended.statement).to.deep.equal({ ...statement, comment: 'Amended' });
+    });
+
+    it('should type SD statements from getSdByIdentifiers', async function() {
+      const client = new EudrSimplifiedDeclarationClientV3(config('simplified-declaration'));
+      const statement = {
+        internalReferenceNumber: 'SD-MODEL-1',
+        activityType: 'DOMESTIC',
+        commodities: [{
+          descriptors: { descriptionOfGoods: 'Cocoa beans', goodsMeasure: { netWeight: 10 } },
+          hsHeading: '1801',
+          producers: [{ producerCountry: 'HR', producerLocation: { geometryGeojson: point } }]
+        }],
+        geoLocationConfidential: true
+      };
+
+      const { sdIdentifier } = await client.submitSd({ operatorRole: 'MICRO_OPERATOR', statement });
+      const { referenceNumber, verificationNumber } = server.getDeclaration(sdIdentifier);
+      const retrieved = await client.getSdByIdentifiers(referenceNumber, verificationNumber, { typed: true });
+
+      expect(retrieved.statement).to.deep.equal(statement);
+    });
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Tests for retry-policy.js
+ */
+
+const { expect } = require('chai');
+const {
+  normalizeRetryPolicy,
+  executeWithRetry,
+  isRetryableError,
+  computeBackoffDelay,
+  parseRetryAfter,
+  DEFAULT_RETRY_POLICY
+} = require('../../utils/retry-policy');
+
+describe('Retry Policy', function() {
+  const httpError = (status, headers = {}) => {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers, data: '' };
+    return error;
+  };
+
+  const networkError = (code) => {
+    const error = new Error(code);
+    error.code = code;
+    return error;
+  };
+
+  describe('normalizeRetryPolicy', function() {
+    it('should return the defaults when no config is given', function() {
+      expect(normalizeRetryPolicy()).to.deep.equal(DEFAULT_RETRY_POLICY);
+    });
+
+    it('should disable retries when config is false', function() {
+      expect(normalizeRetryPolicy(false).maxAttempts).to.equal(1);
+    });
+
+    it('should merge partial overrides', function() {
+      const policy = normalizeRetryPolicy({ maxAttempts: 5, jitter: 'none' });
+      expect(policy.maxAttempts).to.equal(5);
+      expect(policy.jitter).to.equal('none');
+      expect(policy.initialDelayMs).to.equal(DEFAULT_RETRY_POLICY.initialDelayMs);
+    });
+
+    it('should reject invalid options', function() {
+      expect(() => normalizeRetryPolicy({ maxAttempts: 0 })).to.throw('retry.maxAttempts must be a positive integer');
+      expect(() => normalizeRetryPolicy({ jitter: 'random' })).to.throw("Invalid retry.jitter 'random'");
+      expect(() => normalizeRetryPolicy({ shouldRetry: true })).to.throw('retry.shouldRetry must be a function');
+    });
+  });
+
+  describe('computeBackoffDelay', function() {
+    const policy = normalizeRetryPolicy({ initialDelayMs: 100, maxDelayMs: 1000, multiplier: 2, jitter: 'none' });
+
+    it('should grow exponentially up to maxDelayMs', function() {
+      expect(computeBackoffDelay(1, policy)).to.equal(100);
+      expect(computeBackoffDelay(2, policy)).to.equal(200);
+      expect(computeBackoffDelay(3, policy)).to.equal(400);
+      expect(computeBackoffDelay(10, policy)).to.equal(1000);
+    });
+
+    it('should apply full and equal jitter', function() {
+      expect(computeBackoffDelay(2, { ...policy, jitter: 'full' }, () => 0.5)).to.equal(100);
+      expect(computeBackoffDelay(2, { ...policy, jitter: 'equal' }, () => 0.5)).to.equal(150);
+    });
+  });
+
+  describe('parseRetryAfter', function() {
+    it('should parse delta-seconds', function() {
+      expect(parseRetryAfter('3')).to.equal(3000);
+      expect(parseRetryAfter(2)).to.equal(2000);
+    });
+
+    it('should parse an HTTP-date relative to now', function() {
+      const now = Date.parse('Mon, 19 Oct 2026 10:00:00 GMT');
+      expect(parseRetryAfter('Mon, 19 Oct 2026 10:00:05 GMT', now)).to.equal(5000);
+      expect(parseRetryAfter('Mon, 19 Oct 2026 09:59:00 GMT', now)).to.equal(0);
+    });
+
+    it('should return null for missing or unparseable values', function() {
+      expect(parseRetryAfter(undefined)).to.be.null;
+      expect(parseRetryAfter('')).to.be.null;
+      expect(parseRetryAfter('soon')).to.be.null;
+    });
+  });
+
+  describe('isRetryableError', function() {
+    const policy = normalizeRetryPolicy();
+
+    it('should retry transient failures of idempotent operations', function() {
+      expect(isRetryableError(httpError(503), policy, true)).to.be.true;
+      expect(isRetryableError(httpError(429), policy, true)).to.be.true;
+      expect(isRetryableError(networkError('ECONNRESET'), policy, true)).to.be.true;
+      expect(isRetryableError(networkError('ETIMEDOUT'), policy, true)).to.be.true;
+    });
+
+    it('should not retry client errors, SOAP faults or validation errors', function() {
+      expect(isRetryableError(httpError(400), policy, true)).to.be.false;
+      expect(isRetryableError(httpError(500), policy, true)).to.be.false;
+      const validationError = new Error('invalid');
+      validationError.eudrSpecific = true;
+      expect(isRetryableError(validationError, policy, true)).to.be.false;
+    });
+
+    it('should only retry non-idempotent operations when the request was not processed', function() {
+      expect(isRetryableError(httpError(503), policy, false)).to.be.false;
+      expect(isRetryableError(networkError('ECONNRESET'), policy, false)).to.be.false;
+      expect(isRetryableError(networkError('ETIMEDOUT'), policy, false)).to.be.false;
+      expect(isRetryableError(httpError(429), policy, false)).to.be.true;
+      expect(isRetryableError(networkError('ECONNREFUSED'), policy, false)).to.be.true;
+    });
+
+    it('should retry non-idempotent operations like idempotent ones when retryNonIdempotent is set', function() {
+      const lenient = normalizeRetryPolicy({ retryNonIdempotent: true });
+      expect(isRetryableError(httpError(503), lenient, false)).to.be.true;
+    });
+
+    it('should let shouldRetry override the built-in rules', function() {
+      const custom = normalizeRetryPolicy({ shouldRetry: (error, { idempotent }) => idempotent && error.response.status === 500 });
+      expect(isRetryableError(httpError(500), custom, true)).to.be.true;
+      expect(isRetryableError(httpError(503), custom, true)).to.be.false;
+      expect(isRetryableError(httpError(500), custom, false)).to.be.false;
+    });
+
+    it('should not let shouldRetry repeat a write that may have been processed', function() {
+      const custom = normalizeRetryPolicy({ shouldRetry: (error) => error.response?.status === 503 || error.code === 'ECONNREFUSED' });
+      expect(isRetryableError(httpError(503), custom, false)).to.be.false;
+      expect(isRetryableError(networkError('ECONNREFUSED'), custom, false)).to.be.true;
+      expect(isRetryableError(httpError(429), custom, false)).to.be.false;
+      expect(isRetryableError(httpError(503), normalizeRetryPolicy({ ...custom, retryNonIdempotent: true }), false)).to.be.true;
+    });
+  });
+
+  describe('executeWithRetry', function() {
+    const policy = normalizeRetryPolicy({ maxAttempts: 3, initialDelayMs: 100, jitter: 'none' });
+
+    it('should retry until the attempt succeeds', async function() {
+      const delays = [];
+      let calls = 0;
+      const result = await executeWithRetry(async (attemptNumber) => {
+        calls++;
+        if (attemptNumber < 3) {
+          throw httpError(503);
+        }
+        return 'ok';
+      }, { policy, idempotent: true, wait: async (ms) => delays.push(ms) });
+
+      expect(result).to.equal('ok');
+      expect(calls).to.equal(3);
+      expect(delays).to.deep.equal([100, 200]);
+    });
+
+    it('should rethrow the last error once attempts are exhausted', async function() {
+      let calls = 0;
+      try {
+        await executeWithRetry(async () => {
+          calls++;
+          throw httpError(504);
+        }, { policy, idempotent: true, wait: async () => {} });
+        expect.fail('Expected executeWithRetry to throw');
+      } catch (error) {
+        expect(error.response.status).to.equal(504);
+      }
+      expect(calls).to.equal(3);
+    });
+
+    it('should not retry non-retryable errors', async function() {
+      let calls = 0;
+      try {
+        await executeWithRetry(async () => {
+          calls++;
+          throw httpError(503);
+        }, { policy, idempotent: false, wait: async () => {} });
+        expect.fail('Expected executeWithRetry to throw');
+      } catch (error) {
+        expect(error.response.status).to.equal(503);
+      }
+      expect(calls).to.equal(1);
+    });
+
+    it('should not repeat a non-idempotent call when shouldRetry accepts the error', async function() {
+      let calls = 0;
+      try {
+        await executeWithRetry(async () => {
+          calls++;
+          throw httpError(503);
+        }, { policy: normalizeRetryPolicy({ ...policy, shouldRetry: () => true }), idempotent: false, operation: 'submitDds', wait: async () => {} });
+        expect.fail('Expected executeWithRetry to throw');
+      } catch (error) {
+        expect(error.response.status).to.equal(503);
+      }
+      expect(calls).to.equal(1);
+    });
+
+    it('should wait at least as long as Retry-After', async function() {
+      const delays = [];
+      let calls = 0;
+      await executeWithRetry(async () => {
+        if (++calls === 1) {
+          throw httpError(429, { 'Retry-After': '2' });
+        }
+        return 'ok';
+      }, { policy, idempotent: false, wait: async (ms) => delays.push(ms) });
+
+      expect(delays).to.deep.equal([2000]);
+    });
+
+    it('should give up when Retry-After exceeds maxRetryAfterMs', async function() {
+      let calls = 0;
+      try {
+        await executeWithRetry(async () => {
+          calls++;
+          throw httpError(429, { 'retry-after': '120' });
+        }, { policy, idempotent: true, wait: async () => {} });
+        expect.fail('Expected executeWithRetry to throw');
+      } catch (error) {
+        expect(error.response.status).to.equal(429);
+      }
+      expect(calls).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Tests for schema-constraints.js
+ */
+
+const { expect } = require('chai');
+const {
+  validateDdsRequest,
+  validateDdsStatement,
+  validateSdRequest,
+  validateSdStatement,
+  enforceSchemaViolations
+} = require('../../utils/schema-constraints');
+
+describe('Schema Constraints', function() {
+  const point = { type: 'Point', coordinates: [15.96, 45.81], properties: { Area: 1 } };
+
+  const ddsRequest = () => ({
+    operatorRole: 'OPERATOR',
+    statement: {
+      internalReferenceNumber: 'INT-REF-1',
+      activityType: 'IMPORT',
+      countryOfActivity: 'HR',
+      commodities: [{
+        descriptors: { descriptionOfGoods: 'Cocoa beans', goodsMeasure: { netWeight: 100.5 } },
+        hsHeading: '1801',
+        speciesInfo: [{ scientificName: 'Theobroma cacao', commonName: 'Cocoa' }],
+        producers: [{ country: 'CI', name: 'Producer', geometryGeojson: point }]
+      }],
+      geoLocationConfidential: false
+    }
+  });
+
+  const sdRequest = () => ({
+    operatorRole: 'MICRO_OPERATOR',
+    statement: {
+      internalReferenceNumber: 'SD-REF-1',
+      activityType: 'DOMESTIC',
+      commodities: [{
+        descriptors: { descriptionOfGoods: 'Cocoa beans', goodsMeasure: { netWeight: 10 } },
+        hsHeading: '1801',
+        producers: [{
+          producerCountry: 'FR',
+          producerLocation: { postalAddress: [{ producerPostalCode: '75001', producerCity: 'Paris' }] }
+        }]
+      }]
+    }
+  });
+
+  const pathsOf = (violations) => violations.map((violation) => violation.path);
+
+  describe('validateDdsRequest', function() {
+    it('should accept a valid request', function() {
+      expect(validateDdsRequest(ddsRequest())).to.be.empty;
+    });
+
+    it('should report every length violation with its JSON path', function() {
+      const request = ddsRequest();
+      request.statement.internalReferenceNumber = 'R'.repeat(36);
+      request.statement.commodities[0].descriptors.descriptionOfGoods = 'D'.repeat(151);
+      request.statement.commodities[0].speciesInfo[0].scientificName = 'S'.repeat(201);
+      request.statement.representedOperator = { operatorName: 'N'.repeat(201) };
+      request.statement.groupedDeclarations = [{ groupedDeclaration: '25HRXXXXXXXXXXX' }];
+
+      const violations = validateDdsRequest(request);
+      expect(pathsOf(violations)).to.have.members([
+        'statement.internalReferenceNumber',
+        'statement.commodities[0].descriptors.descriptionOfGoods',
+        'statement.commodities[0].speciesInfo[0].scientificName',
+        'statement.representedOperator.operatorName',
+        'statement.groupedDeclarations[0].groupedDeclaration'
+      ]);
+      expect(violations.every((violation) => violation.constraint === 'maxLength')).to.be.true;
+    });
+
+    it('should report missing required fields', function() {
+      const request = ddsRequest();
+      delete request.operatorRole;
+      delete request.statement.commodities[0].hsHeading;
+      delete request.statement.commodities[0].producers[0].geometryGeojson;
+
+      expect(pathsOf(validateDdsRequest(request))).to.have.members([
+        'operatorRole',
+        'statement.commodities[0].hsHeading',
+        'statement.commodities[0].producers[0].geometryGeojson'
+      ]);
+    });
+
+    it('should check patterns, enumerations and decimal facets', function() {
+      const request = ddsRequest();
+      request.statement.countryOfActivity = 'US';
+      request.statement.commodities[0].hsHeading = '18A1';
+      request.statement.commodities[0].descriptors.goodsMeasure = {
+        netWeight: '1.1234567',
+        percentageEstimationOrDeviation: 'ten'
+      };
+
+      const byPath = Object.fromEntries(validateDdsRequest(request).map((violation) => [violation.path, violation.constraint]));
+      expect(byPath).to.deep.equal({
+        'statement.countryOfActivity': 'enumeration',
+        'statement.commodities[0].hsHeading': 'pattern',
+        'statement.commodities[0].descriptors.goodsMeasure.netWeight': 'fractionDigits',
+        'statement.commodities[0].descriptors.goodsMeasure.percentageEstimationOrDeviation': 'decimal'
+      });
+    });
+
+    it('should accept bare reference numbers in groupedDeclarations', function() {
+      const request = ddsRequest();
+      request.statement.groupedDeclarations = ['25HRXXXXXXXXXX'];
+      expect(validateDdsRequest(request)).to.be.empty;
+    });
+  });
+
+  describe('validateDdsStatement', function() {
+    it('should prefix paths with statement', function() {
+      const { statement } = ddsRequest();
+      statement.comment = 'C'.repeat(2001);
+      expect(pathsOf(validateDdsStatement(statement))).to.deep.equal(['statement.comment']);
+    });
+  });
+
+  describe('validateSdRequest', function() {
+    it('should accept a valid request', function() {
+      expect(validateSdRequest(sdRequest())).to.be.empty;
+    });
+
+    it('should limit the SD internalReferenceNumber to 14 characters', function() {
+      const request = sdRequest();
+      request.statement.internalReferenceNumber = 'SD-REFERENCE-15';
+      expect(pathsOf(validateSdRequest(request))).to.deep.equal(['statement.internalReferenceNumber']);
+    });
+
+    it('should check producer location choices', function() {
+      const { statement } = sdRequest();
+      statement.commodities[0].producers = [
+        { producerCountry: 'FR', producerLocation: { postalAddress: { producerCity: 'Paris' } } },
+        { producerCountry: 'FR', cadastralIdentifier: ['CAD-1', 'C'.repeat(81)] }
+      ];
+
+      expect(pathsOf(validateSdStatement(statement))).to.deep.equal([
+        'statement.commodities[0].producers[0].producerLocation.postalAddress[0].producerPostalCode',
+        'statement.commodities[0].producers[1].cadastralIdentifier[1]'
+      ]);
+    });
+  });
+
+  describe('enforceSchemaViolations', function() {
+    const violations = [
+      { path: 'statement.comment', constraint: 'maxLength', message: 'must be at most 2000 characters long, got 2001' },
+      { path: 'operatorRole', constraint: 'required', message: 'is required' }
+    ];
+
+    it('should throw with the first path and every violation in strict mode', function() {
+      try {
+        enforceSchemaViolations(violations);
+        expect.fail('Expected enforceSchemaViolations to throw');
+      } catch (error) {
+        expect(error.eudrErrorCode).to.equal('EUDR_SCHEMA_VALIDATION_ERROR');
+        expect(error.eudrSpecific).to.be.true;
+        expect(error.field).to.equal('statement.comment');
+        expect(error.violations).to.have.length(2);
+        expect(error.message).to.include('(and 1 more)');
+      }
+    });
+
+    it('should return violations in warn mode and nothing in off mode', function() {
+      expect(enforceSchemaViolations(violations, { mode: 'warn' })).to.have.length(2);
+      expect(enforceSchemaViolations(violations, { mode: 'off' })).to.be.empty;
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Tests for statement-builder.js
+ */
+
+const { expect } = require('chai');
+const { DdsBuilder, SdBuilder } = require('../../utils/statement-builder');
+const { EudrMockServer } = require('../../testing');
+const EudrSubmissionClientV3 = require('../../services/submission-service-v3');
+
+describe('Statement Builders', function() {
+  const point = { type: 'Point', coordinates: [15.96, 45.81], properties: { Area: 1 } };
+  const operator = { operatorName: 'Represented d.o.o.', operatorReferenceNumber: { identifierType: 'eori', identifierValue: 'HR123456789' } };
+
+  const catchError = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    return expect.fail('Expected the call to throw');
+  };
+
+  const ddsBuilder = () => new DdsBuilder()
+    .internalReference('PO-1')
+    .activity('IMPORT')
+    .country('HR')
+    .addCommodity('1801', 'Cocoa beans')
+    .withNetWeight(1200)
+    .withSpecies('Theobroma cacao', 'Cocoa')
+    .addProducer({ country: 'CI', name: 'Cooperative', geometryGeojson: point });
+
+  describe('DdsBuilder', function() {
+    it('should build the request object the V3 transport expects', function() {
+      const request = ddsBuilder().geoLocationConfidential().build();
+
+      expect(request).to.deep.equal({
+        operatorRole: 'OPERATOR',
+        statement: {
+          internalReferenceNumber: 'PO-1',
+          activityType: 'IMPORT',
+          countryOfActivity: 'HR',
+          commodities: [{
+            descriptors: { descriptionOfGoods: 'Cocoa beans', goodsMeasure: { netWeight: 1200 } },
+            hsHeading: '1801',
+            speciesInfo: [{ scientificName: 'Theobroma cacao', commonName: 'Cocoa' }],
+            producers: [{ country: 'CI', name: 'Cooperative', geometryGeojson: point }]
+          }],
+          geoLocationConfidential: true
+        }
+      });
+    });
+
+    it('should reject a bad value at the call that sets it and keep the builder usable', function() {
+      const builder = ddsBuilder();
+
+      const error = catchError(() => builder.country('US'));
+      expect(error.eudrErrorCode).to.equal('EUDR_SCHEMA_VALIDATION_ERROR');
+      expect(error.field).to.equal('statement.countryOfActivity');
+
+      expect(catchError(() => builder.activity('TRADE')).field).to.equal('statement.activityType');
+      expect(catchError(() => builder.withNetWeight('1.1234567')).field)
+        .to.equal('statement.commodities[0].descriptors.goodsMeasure.netWeight');
+      expect(catchError(() => builder.addProducer({ country: 'CI' })).field)
+        .to.equal('statement.commodities[0].producers[1].geometryGeojson');
+
+      expect(builder.build().statement.countryOfActivity).to.equal('HR');
+      expect(builder.build().statement.commodities[0].producers).to.have.lengthOf(1);
+    });
+
+    it('should require addCommodity() before commodity-level calls', function() {
+      expect(() => new DdsBuilder().withNetWeight(10)).to.throw('addCommodity() must be called before withNetWeight()');
+      expect(() => new DdsBuilder().addProducer({ country: 'CI', geometryGeojson: point }))
+        .to.throw('addCommodity() must be called before addProducer()');
+    });
+
+    it('should require representedOperator for REPRESENTATIVE_OPERATOR', function() {
+      const builder = ddsBuilder().operatorRole('REPRESENTATIVE_OPERATOR');
+
+      const error = catchError(() => builder.build());
+      expect(error.field).to.equal('statement.representedOperator');
+      expect(error.message).to.include('is required when operatorRole is REPRESENTATIVE_OPERATOR');
+
+      expect(catchError(() => builder.representedOperator({ operatorEmail: 'x@example.com' })).field)
+        .to.equal('statement.representedOperator.operatorName');
+      expect(builder.representedOperator(operator).build().statement.representedOperator).to.deep.equal(operator);
+    });
+
+    it('should report every remaining violation at once from build()', function() {
+      const error = catchError(() => new DdsBuilder().addCommodity('1801', 'Cocoa beans').build());
+
+      expect(error.violations.map((violation) => violation.path)).to.deep.equal([
+        'statement.activityType',
+        'statement.commodities[0].descriptors.goodsMeasure'
+      ]);
+    });
+
+    it('should apply the units-of-measure check in build()', function() {
+      const builder = new DdsBuilder().activity('IMPORT').addCommodity('4403', 'Logs').withNetWeight(100);
+
+      expect(catchError(() => builder.build()).eudrErrorCode).to.equal('EUDR_COMMODITIES_DESCRIPTOR_SUPPLEMENTARY_UNIT_MISSING');
+      expect(builder.withSupplementaryUnit(2.5, 'MTQ').build().statement.commodities[0].descriptors.goodsMeasure)
+        .to.deep.equal({ netWeight: 100, supplementaryUnit: 2.5, supplementaryUnitQualifier: 'MTQ' });
+      expect(new DdsBuilder({ unitsValidation: 'off' }).activity('IMPORT').addCommodity('4403', 'Logs').withNetWeight(100).build())
+        .to.have.nested.property('statement.commodities[0].hsHeading', '4403');
+    });
+
+    it('should render the SubmitDdsRequest body element', function() {
+      const xml = ddsBuilder().groupWith('25HRAB12345678').toXml();
+
+      expect(xml).to.match(/^\s*<dds:SubmitDdsRequest>/);
+      expect(xml).to.include('<dds:operatorRole>OPERATOR</dds:operatorRole>');
+      expect(xml).to.include('<eudrCommon:netWeight>1200</eudrCommon:netWeight>');
+      expect(xml).to.include('<eudrCommon:groupedDeclaration>25HRAB12345678</eudrCommon:groupedDeclaration>');
+      expect(xml).not.to.include('soapenv:Envelope');
+    });
+
+    it('should produce a request the mock server accepts', async function() {
+      const credentials = { username: 'builder-user', password: 'builder-password', webServiceClientId: 'eudr-test' };
+      const server = new EudrMockServer({ users: { [credentials.username]: credentials.password } });
+      await server.start();
+      try {
+        const client = new EudrSubmissionClientV3({ ...credentials, endpoint: server.endpointFor('submission'), retry: false });
+        const { uuid } = await client.submitDds(ddsBuilder().build());
+        expect(server.getDeclaration(uuid).internalReferenceNumber).to.equal('PO-1');
+      } finally {
+        await server.stop();
+      }
+    });
+  });
+
+  describe('SdBuilder', function() {
+    const sdBuilder = () => new SdBuilder()
+      .operatorRole('MICRO_OPERATOR')
+      .internalReference('SD-1')
+      .activity('DOMESTIC')
+      .addCommodity('1801', 'Cocoa beans')
+      .withNetWeight(10);
+
+    it('should nest the producer location and require exactly one location type', function() {
+      const builder = sdBuilder().addProducer({ country: 'HR', name: 'Farm', cadastralIdentifier: 'HR-123' });
+
+      expect(builder.build().statement.commodities[0].producers).to.deep.equal([
+        { producerCountry: 'HR', producerName: 'Farm', producerLocation: { cadastralIdentifier: 'HR-123' } }
+      ]);
+
+      const none = catchError(() => builder.addProducer({ country: 'HR' }));
+      expect(none.field).to.equal('statement.commodities[0].producers[1].producerLocation');
+      expect(none.message).to.include('got none');
+
+      const two = catchError(() => builder.addProducer({ country: 'HR', geometryGeojson: point, cadastralIdentifier: 'HR-1' }));
+      expect(two.message).to.include('got geometryGeojson, cadastralIdentifier');
+    });
+
+    it('should require the SD internal reference and representedOperator for REPRESENTATIVE_MSPO', function() {
+      const builder = new SdBuilder()
+        .operatorRole('REPRESENTATIVE_MSPO')
+        .activity('DOMESTIC')
+        .addCommodity('1801', 'Cocoa beans')
+        .withNetWeight(10);
+
+      expect(catchError(() => builder.build()).violations.map((violation) => violation.path)).to.deep.equal([
+        'statement.internalReferenceNumber',
+        'statement.representedOperator'
+      ]);
+      expect(catchError(() => new SdBuilder().operatorRole('OPERATOR')).field).to.equal('operatorRole');
+    });
+
+    it('should render the SubmitSdRequest body element', function() {
+      const xml = sdBuilder().addProducer({ country: 'HR', postalAddress: { producerPostalCode: '10000', producerCity: 'Zagreb' } }).toXml();
+
+      expect(xml).to.match(/^\s*<sd:SubmitSdRequest>/);
+      expect(xml).to.include('<sd:producerLocation><sd:postalAddress>');
+      expect(xml).to.include('<sd:producerCity>Zagreb</sd:producerCity>');
+    });
+  });
+});
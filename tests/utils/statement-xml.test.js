@@ -0,0 +1,63 @@
+/**
+ * Tests for statement-xml.js
+ */
+
+const { expect } = require('chai');
+const {
+  escapeXml,
+  renderDdsSubmitBodyXml,
+  renderSdStatementXml,
+  renderSdSubmitBodyXml
+} = require('../../utils/statement-xml');
+const EudrDueDiligenceStatementServiceV3Transport = require('../../services/due-diligence-statement-service-v3');
+const EudrSimplifiedDeclarationClientV3 = require('../../services/simplified-declaration-service-v3');
+
+describe('Statement XML', function() {
+  const config = { endpoint: 'https://eudr.example.test/tracesnt/ws/EUDRSubmissionServiceV3', username: 'u', password: 'p', webServiceClientId: 'eudr-test' };
+  const commodity = {
+    descriptors: { descriptionOfGoods: 'Cocoa & beans', goodsMeasure: { netWeight: 10 } },
+    hsHeading: '1801'
+  };
+
+  it('should escape XML special characters', function() {
+    expect(escapeXml(`<a href="x">Tom & Jerry's</a>`)).to.equal('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+    expect(escapeXml(12.5)).to.equal('12.5');
+  });
+
+  it('should render the DDS submit body that the transport wraps in its envelope', function() {
+    const request = {
+      operatorRole: 'REPRESENTATIVE_OPERATOR',
+      statement: {
+        internalReferenceNumber: 'PO-1',
+        activityType: 'IMPORT',
+        representedOperator: { operatorName: 'Represented d.o.o.' },
+        commodities: [{ ...commodity, producers: [{ country: 'CI', name: 'Cooperative' }] }],
+        geoLocationConfidential: false
+      }
+    };
+    const transport = new EudrDueDiligenceStatementServiceV3Transport(config);
+
+    const xml = renderDdsSubmitBodyXml(request);
+
+    expect(xml).to.include('<dds:operatorRole>REPRESENTATIVE_OPERATOR</dds:operatorRole>');
+    expect(xml).to.include('<dds:representedOperator><eudrCommon:operatorName>Represented d.o.o.</eudrCommon:operatorName></dds:representedOperator>');
+    expect(xml).to.include('<eudrCommon:descriptionOfGoods>Cocoa &amp; beans</eudrCommon:descriptionOfGoods>');
+    expect(transport.createSubmitSoapEnvelope(request)).to.include(xml);
+    transport.close();
+  });
+
+  it('should render SD producer locations and reject what the schema does not allow', function() {
+    const statement = {
+      internalReferenceNumber: 'SD-1',
+      activityType: 'DOMESTIC',
+      commodities: [{ ...commodity, producers: [{ producerCountry: 'HR', producerLocation: { cadastralIdentifier: ['HR-1', 'HR-2'] } }] }]
+    };
+    const client = new EudrSimplifiedDeclarationClientV3({ ...config, endpoint: 'https://eudr.example.test/tracesnt/ws/EUDRSimplifiedDeclarationServiceV3' });
+
+    expect(renderSdStatementXml(statement)).to.include('<sd:producerLocation><sd:cadastralIdentifier>HR-1</sd:cadastralIdentifier><sd:cadastralIdentifier>HR-2</sd:cadastralIdentifier></sd:producerLocation>');
+    expect(client.createSubmitSoapEnvelope({ operatorRole: 'MICRO_OPERATOR', statement })).to.include(renderSdSubmitBodyXml({ operatorRole: 'MICRO_OPERATOR', statement }));
+    expect(() => renderSdSubmitBodyXml({ operatorRole: 'OPERATOR', statement })).to.throw("Invalid operatorRole 'OPERATOR'");
+    expect(() => renderSdStatementXml({ ...statement, internalReferenceNumber: undefined })).to.throw('internalReferenceNumber is required');
+    client.close();
+  });
+});
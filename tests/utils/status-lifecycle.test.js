@@ -0,0 +1,106 @@
+/**
+ * Tests for status-lifecycle.js
+ */
+
+const { expect } = require('chai');
+const {
+  EUDR_STATUS,
+  TERMINAL_STATUSES,
+  isKnownStatus,
+  canAmend,
+  canWithdraw,
+  isTerminal,
+  isUsable,
+  isPending,
+  allowedOperations,
+  assertOperationAllowed,
+  precheckOperationStatus
+} = require('../../utils/status-lifecycle');
+
+describe('Status Lifecycle', function() {
+  it('should expose every EudrStatusType value', function() {
+    expect(Object.values(EUDR_STATUS)).to.deep.equal([
+      'SUBMITTED', 'AVAILABLE', 'REJECTED', 'WITHDRAWN', 'ARCHIVED', 'SUSPENDED', 'UPDATED', 'GROUPED', 'OBSOLETE'
+    ]);
+    expect(Object.isFrozen(EUDR_STATUS)).to.be.true;
+    expect(isKnownStatus('AVAILABLE')).to.be.true;
+    expect(isKnownStatus('CANCELLED')).to.be.false;
+  });
+
+  it('should only allow amending an AVAILABLE declaration', function() {
+    expect(canAmend(EUDR_STATUS.AVAILABLE)).to.be.true;
+    for (const status of ['SUBMITTED', 'GROUPED', 'REJECTED', 'WITHDRAWN', 'ARCHIVED']) {
+      expect(canAmend(status), status).to.be.false;
+    }
+  });
+
+  it('should only allow withdrawing a SUBMITTED or AVAILABLE declaration', function() {
+    expect(canWithdraw(EUDR_STATUS.SUBMITTED)).to.be.true;
+    expect(canWithdraw(EUDR_STATUS.AVAILABLE)).to.be.true;
+    expect(canWithdraw(EUDR_STATUS.GROUPED)).to.be.false;
+    expect(canWithdraw(EUDR_STATUS.WITHDRAWN)).to.be.false;
+  });
+
+  it('should classify terminal, usable and pending statuses', function() {
+    expect(TERMINAL_STATUSES).to.have.members(['REJECTED', 'WITHDRAWN', 'ARCHIVED', 'OBSOLETE']);
+    expect(isTerminal('REJECTED')).to.be.true;
+    expect(isTerminal('GROUPED')).to.be.false;
+    expect(isUsable('AVAILABLE')).to.be.true;
+    expect(isUsable('ARCHIVED')).to.be.false;
+    expect(isPending('SUBMITTED')).to.be.true;
+    expect(isPending('AVAILABLE')).to.be.false;
+  });
+
+  it('should list the operations allowed in a status', function() {
+    expect(allowedOperations('AVAILABLE')).to.deep.equal(['amend', 'update', 'withdraw']);
+    expect(allowedOperations('SUBMITTED')).to.deep.equal(['withdraw']);
+    expect(allowedOperations('ARCHIVED')).to.deep.equal([]);
+  });
+
+  describe('assertOperationAllowed', function() {
+    it('should use the documented EUDR error codes', function() {
+      expect(() => assertOperationAllowed('amend', 'SUBMITTED', 'uuid-1'))
+        .to.throw('Cannot amend uuid-1 in status SUBMITTED; allowed: AVAILABLE')
+        .with.property('eudrErrorCode', 'EUDR_API_AMEND_NOT_ALLOWED_FOR_STATUS');
+      expect(() => assertOperationAllowed('withdraw', 'GROUPED'))
+        .to.throw()
+        .with.property('eudrErrorCode', 'EUDR_API_AMEND_OR_WITHDRAW_NOT_ALLOWED_FOR_STATUS');
+      expect(() => assertOperationAllowed('withdraw', 'AVAILABLE')).to.not.throw();
+    });
+
+    it('should reject unknown operations', function() {
+      expect(() => assertOperationAllowed('delete', 'AVAILABLE')).to.throw("Unknown lifecycle operation 'delete'");
+    });
+  });
+
+  describe('precheckOperationStatus', function() {
+    const neverFetch = async () => {
+      throw new Error('should not fetch');
+    };
+
+    it('should do nothing unless a status or precheck is requested', async function() {
+      await precheckOperationStatus('amend', 'uuid-1', {}, neverFetch);
+    });
+
+    it('should check a known status without fetching', async function() {
+      try {
+        await precheckOperationStatus('amend', 'uuid-1', { currentStatus: 'GROUPED' }, neverFetch);
+        expect.fail('Expected precheckOperationStatus to throw');
+      } catch (error) {
+        expect(error.eudrErrorCode).to.equal('EUDR_API_AMEND_NOT_ALLOWED_FOR_STATUS');
+        expect(error.field).to.equal('status');
+      }
+    });
+
+    it('should fetch the status when precheckStatus is set', async function() {
+      await precheckOperationStatus('withdraw', 'uuid-1', { precheckStatus: true }, async (uuid) => ({ uuid, status: 'SUBMITTED' }));
+
+      try {
+        await precheckOperationStatus('withdraw', 'uuid-1', { precheckStatus: true }, async () => undefined);
+        expect.fail('Expected precheckOperationStatus to throw');
+      } catch (error) {
+        expect(error.eudrErrorCode).to.equal('EUDR_API_NO_DDS');
+      }
+    });
+  });
+});
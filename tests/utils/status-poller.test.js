@@ -0,0 +1,90 @@
+/**
+ * Tests for status-poller.js
+ */
+
+const { expect } = require('chai');
+const { pollOverviewStatus, normalizeWaitOptions, DEFAULT_WAIT_OPTIONS } = require('../../utils/status-poller');
+
+describe('Status Poller', function() {
+  const noWait = async () => {};
+
+  describe('normalizeWaitOptions', function() {
+    it('should default to the documented 30 minute initial wait', function() {
+      expect(DEFAULT_WAIT_OPTIONS.minInitialDelay).to.equal(30 * 60 * 1000);
+      expect(DEFAULT_WAIT_OPTIONS.targetStatuses).to.include.members(['AVAILABLE', 'REJECTED']);
+      expect(DEFAULT_WAIT_OPTIONS.targetStatuses).to.not.include('SUBMITTED');
+    });
+
+    it('should reject invalid options', function() {
+      expect(() => normalizeWaitOptions({ targetStatuses: [] })).to.throw('targetStatuses must be a non-empty array');
+      expect(() => normalizeWaitOptions({ interval: -1 })).to.throw('interval must be a non-negative number of milliseconds');
+      expect(() => normalizeWaitOptions({ interval: 0 })).to.throw('interval must be greater than 0');
+      expect(() => normalizeWaitOptions({ minInitialDelay: 1000, timeout: 500 })).to.throw('timeout must not be shorter than minInitialDelay');
+    });
+  });
+
+  describe('pollOverviewStatus', function() {
+    it('should wait the initial delay, then poll until a target status is reached', async function() {
+      const waits = [];
+      const statuses = [undefined, 'SUBMITTED', 'AVAILABLE'];
+      let calls = 0;
+
+      const result = await pollOverviewStatus(
+        async (uuid) => {
+          const status = statuses[calls++];
+          return status ? { uuid, status, referenceNumber: '26HRABCDEFGHIJ' } : undefined;
+        },
+        'uuid-1',
+        { minInitialDelay: 1000, interval: 200, timeout: 60000, wait: async (ms) => waits.push(ms) }
+      );
+
+      expect(result).to.deep.equal({ uuid: 'uuid-1', status: 'AVAILABLE', referenceNumber: '26HRABCDEFGHIJ' });
+      expect(waits).to.deep.equal([1000, 200, 200]);
+    });
+
+    it('should resolve with a rejected item and its rejection details', async function() {
+      const result = await pollOverviewStatus(
+        async (uuid) => ({ uuid, status: 'REJECTED', rejectionReason: 'Risk', communicationToOperator: 'Contact CA' }),
+        'uuid-1',
+        { wait: noWait }
+      );
+
+      expect(result.rejectionReason).to.equal('Risk');
+      expect(result.communicationToOperator).to.equal('Contact CA');
+    });
+
+    it('should honour custom target statuses', async function() {
+      const result = await pollOverviewStatus(
+        async (uuid) => ({ uuid, status: 'SUBMITTED' }),
+        'uuid-1',
+        { targetStatuses: ['SUBMITTED'], wait: noWait }
+      );
+
+      expect(result.status).to.equal('SUBMITTED');
+    });
+
+    it('should throw EUDR_STATUS_WAIT_TIMEOUT with the last overview', async function() {
+      try {
+        await pollOverviewStatus(
+          async (uuid) => ({ uuid, status: 'SUBMITTED' }),
+          'uuid-1',
+          { minInitialDelay: 0, interval: 5, timeout: 20 }
+        );
+        expect.fail('Expected pollOverviewStatus to throw');
+      } catch (error) {
+        expect(error.eudrErrorCode).to.equal('EUDR_STATUS_WAIT_TIMEOUT');
+        expect(error.message).to.include('uuid-1 is still SUBMITTED');
+        expect(error.lastOverview).to.deep.equal({ uuid: 'uuid-1', status: 'SUBMITTED' });
+      }
+    });
+
+    it('should require a uuid', async function() {
+      try {
+        await pollOverviewStatus(async () => undefined, '', { wait: noWait });
+        expect.fail('Expected pollOverviewStatus to throw');
+      } catch (error) {
+        expect(error.message).to.equal('waitForStatus requires a uuid');
+      }
+    });
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * Tests for the submission journal, run against the bundled mock server.
+ */
+
+const { expect } = require('chai');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  EudrSubmissionJournal,
+  FileJournalStore,
+  MemoryJournalStore,
+  hashRequest,
+  isOutcomeUnknown
+} = require('../../utils/submission-journal');
+const { EudrMockServer, faultScenarios } = require('../../testing');
+const EudrSubmissionClientV3 = require('../../services/submission-service-v3');
+const EudrSimplifiedDeclarationClientV3 = require('../../services/simplified-declaration-service-v3');
+
+describe('EudrSubmissionJournal', function() {
+  const credentials = { username: 'journal-user', password: 'journal-password', webServiceClientId: 'eudr-test' };
+
+  const request = (internalReferenceNumber = 'JOURNAL-1') => ({
+    operatorRole: 'OPERATOR',
+    statement: {
+      internalReferenceNumber,
+      activityType: 'IMPORT',
+      commodities: [{
+        descriptors: {
+          descriptionOfGoods: 'Test goods',
+          goodsMeasure: { netWeight: 100 }
+        },
+        hsHeading: '1801'
+      }],
+      geoLocationConfidential: false
+    }
+  });
+
+  let server;
+
+  const submitRequests = () => server.requests.filter((entry) => entry.operation === 'SubmitDdsRequest');
+
+  const createClient = (journal, overrides = {}) => new EudrSubmissionClientV3({
+    ...credentials,
+    endpoint: server.endpointFor('submission'),
+    retry: false,
+    journal,
+    ...overrides
+  });
+
+  // Fails the first call before anything reaches the server, as a dropped connection would
+  const flakyTransport = () => {
+    let calls = 0;
+    return async (req) => {
+      calls += 1;
+      if (calls === 1) {
+        throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET', request: {} });
+      }
+      return axios({ method: req.method, url: req.url, headers: req.headers, data: req.data, timeout: req.timeout });
+    };
+  };
+
+  const expectFailure = async (promise) => {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    return expect.fail('Expected the call to fail');
+  };
+
+  beforeEach(async function() {
+    server = new EudrMockServer({ users: { [credentials.username]: credentials.password } });
+    await server.start();
+  });
+
+  afterEach(async function() {
+    await server.stop();
+  });
+
+  it('should hash requests independently of key order', function() {
+    expect(hashRequest({ a: 1, b: { c: [1, 2], d: 'x' } })).to.equal(hashRequest({ b: { d: 'x', c: [1, 2] }, a: 1 }));
+    expect(hashRequest({ a: 1 })).not.to.equal(hashRequest({ a: 2 }));
+  });
+
+  it('should classify outcomes as unknown only when the request may have been processed', function() {
+    expect(isOutcomeUnknown({ message: 'timeout', details: { status: null, request: 'Request sent but no response received' } })).to.equal(true);
+    expect(isOutcomeUnknown({ message: 'Bad Gateway', details: { status: 502 } })).to.equal(true);
+    expect(isOutcomeUnknown({ message: 'Gateway Timeout', details: { status: 504 } })).to.equal(true);
+    expect(isOutcomeUnknown({ message: 'fault', details: { status: 500 } })).to.equal(false);
+    expect(isOutcomeUnknown({ message: 'setup', details: { status: null, setupError: 'statement.activityType is required' } })).to.equal(false);
+    expect(isOutcomeUnknown({ message: 'invalid', eudrSpecific: true, details: { status: null } })).to.equal(false);
+  });
+
+  it('should return the journaled UUID instead of submitting an identical request twice', async function() {
+    const journal = new EudrSubmissionJournal();
+    const client = createClient(journal);
+
+    const first = await client.submitDds(request());
+    const second = await client.submitDds(request());
+
+    expect(second).to.deep.equal({ uuid: first.uuid, fromJournal: true });
+    expect(submitRequests()).to.have.lengthOf(1);
+    expect(await journal.entries({ status: 'completed' })).to.have.lengthOf(1);
+
+    const forced = await client.submitDds(request(), { journal: false });
+    expect(forced.uuid).not.to.equal(first.uuid);
+    expect((await client.submitDds(request('JOURNAL-2'))).fromJournal).to.equal(undefined);
+  });
+
+  it('should share one attempt between identical concurrent calls', async function() {
+    const client = createClient(new EudrSubmissionJournal());
+
+    const [a, b] = await Promise.all([client.submitDds(request()), client.submitDds(request())]);
+
+    expect(a.uuid).to.equal(b.uuid);
+    expect(submitRequests()).to.have.lengthOf(1);
+  });
+
+  it('should reconcile a timed-out submission that TRACES created instead of resubmitting it', async function() {
+    server.injectFault({ ...faultScenarios.timeout, fault: { type: 'timeout', delayMs: 300 }, times: 1 });
+    const journal = new EudrSubmissionJournal();
+    const client = createClient(journal, { timeout: 100 });
+
+    await expectFailure(client.submitDds(request()));
+    const [pending] = await journal.entries({ status: 'pending' });
+    expect(pending).to.include({ kind: 'dds', internalReferenceNumber: 'JOURNAL-1', attempts: 1 });
+
+    await new Promise((resolve) => setTimeout(resolve, 400));
+    const [created] = server.listDeclarations();
+    const result = await client.submitDds(request());
+
+    expect(result).to.deep.equal({ uuid: created.uuid, fromJournal: true, reconciled: true });
+    expect(server.listDeclarations()).to.have.lengthOf(1);
+    expect(await journal.store.get(pending.id)).to.include({ status: 'completed', identifier: created.uuid, reconciled: true });
+  });
+
+  it('should resubmit a pending submission that TRACES does not have', async function() {
+    const journal = new EudrSubmissionJournal();
+    const client = createClient(journal, { httpTransport: flakyTransport() });
+
+    await expectFailure(client.submitDds(request()));
+    const result = await client.submitDds(request());
+
+    expect(result.fromJournal).to.equal(undefined);
+    expect(server.getDeclaration(result.uuid).internalReferenceNumber).to.equal('JOURNAL-1');
+    expect(server.requests.map((entry) => entry.operation)).to.deep.equal(['GetDdsByInternalReferenceRequest', 'SubmitDdsRequest']);
+    expect((await journal.entries())[0]).to.include({ status: 'completed', attempts: 2, reconciled: false });
+  });
+
+  it('should not count declarations claimed by other entries or dated before the attempt', async function() {
+    const journal = new EudrSubmissionJournal({ reconcileToleranceMs: 0 });
+    const client = createClient(journal, { httpTransport: flakyTransport() });
+    await expectFailure(client.submitDds(request()));
+    const [pending] = await journal.entries();
+
+    const lookup = async () => [
+      { uuid: 'older', date: new Date(Date.parse(pending.startedAt) - 60000).toISOString() },
+      { uuid: 'claimed', date: new Date().toISOString() }
+    ];
+    await journal.store.put({ id: 'dds:other', kind: 'dds', status: 'completed', identifier: 'claimed' });
+
+    const result = await journal.submit('dds', request(), { lookup, send: async () => ({ uuid: 'fresh' }) });
+    expect(result).to.deep.equal({ uuid: 'fresh' });
+  });
+
+  it('should record definitive failures and allow a later attempt', async function() {
+    server.injectFault({ ...faultScenarios.maximumGeoSizeReached, times: 1 });
+    const journal = new EudrSubmissionJournal();
+    const client = createClient(journal);
+
+    const error = await expectFailure(client.submitDds(request()));
+    const [failed] = await journal.entries();
+    expect(failed.status).to.equal('failed');
+    expect(failed.error).to.deep.equal({ code: error.eudrErrorCode, message: error.message });
+
+    const result = await client.submitDds(request());
+    expect(server.getDeclaration(result.uuid)).to.not.equal(undefined);
+    expect(server.requests.map((entry) => entry.operation)).to.deep.equal(['SubmitDdsRequest', 'SubmitDdsRequest']);
+  });
+
+  it('should record a request that failed before it was sent as failed', async function() {
+    const journal = new EudrSubmissionJournal();
+    const client = createClient(journal, { schemaValidation: 'off' });
+    const incomplete = request('JOURNAL-SETUP');
+    delete incomplete.statement.activityType;
+
+    const error = await expectFailure(client.submitDds(incomplete));
+    const [failed] = await journal.entries();
+
+    expect(error.details.setupError).to.include('activityType is required');
+    expect(failed.status).to.equal('failed');
+    expect(await journal.entries({ status: 'pending' })).to.have.lengthOf(0);
+    expect(server.requests).to.have.lengthOf(0);
+  });
+
+  it('should look up a submission answered by a gateway timeout before resubmitting it', async function() {
+    server.injectFault({ operation: 'submitDds', fault: { type: 'http', status: 504, body: 'Gateway Timeout' }, times: 1 });
+    const journal = new EudrSubmissionJournal();
+    const client = createClient(journal);
+
+    const error = await expectFailure(client.submitDds(request()));
+    expect(error.details.status).to.equal(504);
+    expect((await journal.entries())[0].status).to.equal('pending');
+
+    await client.submitDds(request());
+    expect(server.requests.map((entry) => entry.operation)).to.deep.equal(['SubmitDdsRequest', 'GetDdsByInternalReferenceRequest', 'SubmitDdsRequest']);
+  });
+
+  it('should require an internal reference number', async function() {
+    const client = createClient(new EudrSubmissionJournal());
+    const withoutReference = request();
+    delete withoutReference.statement.internalReferenceNumber;
+
+    const error = await expectFailure(client.submitDds(withoutReference));
+
+    expect(error.eudrErrorCode).to.equal('EUDR_JOURNAL_MISSING_REFERENCE');
+    expect(server.requests).to.have.lengthOf(0);
+  });
+
+  describe('FileJournalStore', function() {
+    let directory;
+    let journalPath;
+
+    beforeEach(function() {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'eudr-journal-'));
+      journalPath = path.join(directory, 'nested', 'journal.json');
+    });
+
+    afterEach(function() {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should let a restarted process reconcile what the previous one left pending', async function() {
+      const crashed = createClient({ path: journalPath }, { httpTransport: flakyTransport() });
+      await expectFailure(crashed.submitDds(request('JOURNAL-A')));
+      await expectFailure(createClient(crashed.journal, { timeout: 100, httpTransport: async () => { throw Object.assign(new Error('timeout of 100ms exceeded'), { code: 'ECONNABORTED', request: {} }); } }).submitDds(request('JOURNAL-B')));
+      await crashed.submitDds(request('JOURNAL-C'));
+
+      const saved = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+      expect(saved.version).to.equal(1);
+      expect(Object.values(saved.entries).map((entry) => entry.status)).to.deep.equal(['pending', 'pending', 'completed']);
+      expect(JSON.stringify(saved)).not.to.include(credentials.password);
+
+      const restarted = createClient(new EudrSubmissionJournal({ store: new FileJournalStore({ path: journalPath }) }));
+      const lookedUp = await restarted.reconcileJournal({ resubmit: false });
+      expect(lookedUp.map((outcome) => outcome.status)).to.deep.equal(['pending', 'pending']);
+
+      const outcomes = await restarted.reconcileJournal();
+      expect(outcomes.map((outcome) => [outcome.internalReferenceNumber, outcome.status])).to.deep.equal([
+        ['JOURNAL-A', 'completed'],
+        ['JOURNAL-B', 'completed']
+      ]);
+      expect(server.listDeclarations().map((declaration) => declaration.internalReferenceNumber).sort())
+        .to.deep.equal(['JOURNAL-A', 'JOURNAL-B', 'JOURNAL-C']);
+      expect(await restarted.reconcileJournal()).to.deep.equal([]);
+    });
+
+    it('should reject unreadable files and incomplete stores', async function() {
+      fs.mkdirSync(path.dirname(journalPath));
+      fs.writeFileSync(journalPath, '{ not json');
+
+      const error = await expectFailure(new FileJournalStore({ path: journalPath }).list());
+
+      expect(error.message).to.include('Cannot read submission journal');
+      expect(() => new EudrSubmissionJournal({ store: { get() {}, put() {} } })).to.throw('must implement list()');
+      expect(() => new FileJournalStore()).to.throw('requires a path');
+    });
+  });
+
+  it('should journal simplified declarations by sdIdentifier', async function() {
+    const journal = new EudrSubmissionJournal({ store: new MemoryJournalStore() });
+    const client = new EudrSimplifiedDeclarationClientV3({
+      ...credentials,
+      endpoint: server.endpointFor('simplified-declaration'),
+      retry: false,
+      journal
+    });
+    const sdRequest = { ...request('SD-JOURNAL-1'), operatorRole: 'MICRO_OPERATOR' };
+
+    const first = await client.submitSd(sdRequest);
+    const second = await client.submitSd(sdRequest);
+
+    expect(second).to.deep.equal({ sdIdentifier: first.sdIdentifier, fromJournal: true });
+    expect(server.listDeclarations()).to.have.lengthOf(1);
+    expect((await journal.entries({ kind: 'sd' }))[0].identifier).to.equal(first.sdIdentifier);
+  });
+});
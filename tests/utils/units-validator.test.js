@@ -0,0 +1,142 @@
+/**
+ * Tests for units-validator.js
+ */
+
+const { expect } = require('chai');
+const {
+  validateUnitsOfMeasure,
+  validateImportExportUnits,
+  validateDomesticUnits,
+  getRequiredSupplementaryUnit
+} = require('../../utils/units-validator');
+
+describe('Units of Measure Validator', function() {
+  const codesOf = (issues) => issues.map((issue) => issue.eudrErrorCode);
+
+  const statementWith = (activityType, hsHeading, goodsMeasure) => ({
+    activityType,
+    commodities: [{
+      descriptors: { descriptionOfGoods: 'Test goods', goodsMeasure },
+      hsHeading
+    }]
+  });
+
+  describe('getRequiredSupplementaryUnit', function() {
+    it('should match on the first four digits of the HS heading', function() {
+      expect(getRequiredSupplementaryUnit('4403')).to.equal('MTQ');
+      expect(getRequiredSupplementaryUnit('440311')).to.equal('MTQ');
+      expect(getRequiredSupplementaryUnit('4011')).to.equal('NAR');
+      expect(getRequiredSupplementaryUnit('4701')).to.equal('KSD');
+      expect(getRequiredSupplementaryUnit('1801')).to.be.null;
+      expect(getRequiredSupplementaryUnit(undefined)).to.be.null;
+    });
+  });
+
+  describe('validateImportExportUnits', function() {
+    it('should accept a net weight without supplementary unit for HS codes that do not need one', function() {
+      expect(validateImportExportUnits({ netWeight: 100 }, '1801')).to.be.empty;
+    });
+
+    it('should require net weight', function() {
+      expect(codesOf(validateImportExportUnits({}, '1801'))).to.deep.equal([
+        'EUDR_COMMODITIES_DESCRIPTOR_NET_MASS_EMPTY'
+      ]);
+    });
+
+    it('should reject a percentage estimate', function() {
+      expect(codesOf(validateImportExportUnits({ netWeight: 100, percentageEstimationOrDeviation: 5 }, '1801'))).to.deep.equal([
+        'EUDR_COMMODITIES_DESCRIPTOR_PERCENTAGE_ESTIMATION_NOT_ALLOWED'
+      ]);
+    });
+
+    it('should require the matching supplementary unit for listed HS codes', function() {
+      expect(codesOf(validateImportExportUnits({ netWeight: 100 }, '4403'))).to.deep.equal([
+        'EUDR_COMMODITIES_DESCRIPTOR_SUPPLEMENTARY_UNIT_MISSING'
+      ]);
+      expect(codesOf(validateImportExportUnits(
+        { netWeight: 100, supplementaryUnit: 5, supplementaryUnitQualifier: 'NAR' },
+        '4403'
+      ))).to.deep.equal(['EUDR_COMMODITIES_DESCRIPTOR_SUPPLEMENTARY_UNIT_QUALIFIER_NOT_COMPATIBLE']);
+      expect(validateImportExportUnits(
+        { netWeight: 100, supplementaryUnit: 5, supplementaryUnitQualifier: 'MTQ' },
+        '4403'
+      )).to.be.empty;
+    });
+
+    it('should reject a supplementary unit for HS codes that do not allow one', function() {
+      expect(codesOf(validateImportExportUnits(
+        { netWeight: 100, supplementaryUnit: 5, supplementaryUnitQualifier: 'MTQ' },
+        '1801'
+      ))).to.deep.equal(['EUDR_COMMODITIES_DESCRIPTOR_SUPPLEMENTARY_UNIT_NOT_ALLOWED']);
+    });
+  });
+
+  describe('validateDomesticUnits', function() {
+    it('should accept a percentage estimate between 0 and 25', function() {
+      expect(validateDomesticUnits({ netWeight: 100, percentageEstimationOrDeviation: 25 })).to.be.empty;
+      expect(codesOf(validateDomesticUnits({ netWeight: 100, percentageEstimationOrDeviation: 30 }))).to.deep.equal([
+        'EUDR_COMMODITIES_DESCRIPTOR_PERCENTAGE_ESTIMATION_INVALID'
+      ]);
+    });
+
+    it('should accept a supplementary unit on its own', function() {
+      expect(validateDomesticUnits({ supplementaryUnit: 10, supplementaryUnitQualifier: 'NAR' })).to.be.empty;
+    });
+
+    it('should reject unknown qualifiers and incomplete supplementary units', function() {
+      expect(codesOf(validateDomesticUnits({ netWeight: 1, supplementaryUnit: 10, supplementaryUnitQualifier: 'KGM' }))).to.deep.equal([
+        'EUDR_COMMODITIES_DESCRIPTOR_SUPPLEMENTARY_UNIT_QUALIFIER_INVALID'
+      ]);
+      expect(codesOf(validateDomesticUnits({ netWeight: 1, supplementaryUnitQualifier: 'NAR' }))).to.deep.equal([
+        'EUDR_COMMODITIES_DESCRIPTOR_NUMBER_OF_UNITS_MISSING'
+      ]);
+      expect(codesOf(validateDomesticUnits({ netWeight: 1, supplementaryUnit: 10 }))).to.deep.equal([
+        'EUDR_COMMODITIES_DESCRIPTOR_SUPPLEMENTARY_UNIT_MISSING'
+      ]);
+    });
+
+    it('should require at least one quantity', function() {
+      expect(codesOf(validateDomesticUnits({}))).to.deep.equal([
+        'EUDR_COMMODITIES_DESCRIPTOR_QUANTITY_MISSING'
+      ]);
+    });
+  });
+
+  describe('validateUnitsOfMeasure', function() {
+    it('should throw the first problem in strict mode, naming the commodity', function() {
+      const statement = statementWith('IMPORT', '1801', { netWeight: 100 });
+      statement.commodities.push({
+        descriptors: { descriptionOfGoods: 'Logs', goodsMeasure: { netWeight: 100 } },
+        hsHeading: '4403'
+      });
+
+      try {
+        validateUnitsOfMeasure(statement);
+        expect.fail('Expected validateUnitsOfMeasure to throw');
+      } catch (error) {
+        expect(error.eudrErrorCode).to.equal('EUDR_COMMODITIES_DESCRIPTOR_SUPPLEMENTARY_UNIT_MISSING');
+        expect(error.eudrSpecific).to.be.true;
+        expect(error.commodityIndex).to.equal(1);
+        expect(error.field).to.equal('commodities[1].descriptors.goodsMeasure');
+      }
+    });
+
+    it('should return problems instead of throwing in warn mode', function() {
+      const errors = validateUnitsOfMeasure(statementWith('EXPORT', '1801', {}), { mode: 'warn' });
+      expect(codesOf(errors)).to.deep.equal(['EUDR_COMMODITIES_DESCRIPTOR_NET_MASS_EMPTY']);
+    });
+
+    it('should skip validation in off mode', function() {
+      expect(validateUnitsOfMeasure(statementWith('IMPORT', '1801', {}), { mode: 'off' })).to.be.empty;
+    });
+
+    it('should ignore activity types without unit rules', function() {
+      expect(validateUnitsOfMeasure(statementWith('TRADE', '1801', {}))).to.be.empty;
+    });
+
+    it('should reject an unknown mode', function() {
+      expect(() => validateUnitsOfMeasure(statementWith('IMPORT', '1801', {}), { mode: 'loose' }))
+        .to.throw("Invalid units validation mode 'loose'");
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * EUDR Batch Utilities
+ *
+ * Helpers for splitting UUID retrievals into calls that respect the API limit
+ * of 100 DDS/SD per getDds/getSd request, and for merging the per-batch
+ * overview lists back into one result in input order.
+ */
+
+const MAX_UUIDS_PER_CALL = 100;
+
+/**
+ * Resolve and validate the `batchSize` retrieval option
+ * @param {number} [batchSize] - Defaults to MAX_UUIDS_PER_CALL
+ * @returns {number}
+ */
+function resolveBatchSize(batchSize) {
+  if (batchSize === undefined) {
+    return MAX_UUIDS_PER_CALL;
+  }
+  if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_UUIDS_PER_CALL) {
+    throw new Error(`batchSize must be an integer between 1 and ${MAX_UUIDS_PER_CALL}`);
+  }
+  return batchSize;
+}
+
+/**
+ * Split a list into consecutive chunks
+ * @param {Array} list
+ * @param {number} size
+ * @returns {Array<Array>}
+ */
+function chunkList(list, size) {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) {
+    chunks.push(list.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Merge overview lists (ddsInfo/sdInfo) from several calls, ordered by the
+ * requested UUIDs. Entries the server returned for UUIDs that were not
+ * requested, or without a uuid, are kept at the end.
+ * @param {string[]} requestedUuids - In input order; duplicates are ignored
+ * @param {Array<Object[]>} infoLists - One overview list per call
+ * @returns {{info: Object[], notFound: string[]}}
+ */
+function mergeOverviewBatches(requestedUuids, infoLists) {
+  const byUuid = new Map();
+  const unmatched = [];
+
+  for (const item of [].concat(...infoLists)) {
+    if (item && item.uuid) {
+      const key = String(item.uuid).toLowerCase();
+      if (!byUuid.has(key)) {
+        byUuid.set(key, []);
+      }
+      byUuid.get(key).push(item);
+    } else {
+      unmatched.push(item);
+    }
+  }
+
+  const info = [];
+  const notFound = [];
+  const seen = new Set();
+
+  for (const uuid of requestedUuids) {
+    const key = String(uuid).toLowerCase();
+    if (seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+
+    if (byUuid.has(key)) {
+      info.push(...byUuid.get(key));
+      byUuid.delete(key);
+    } else {
+      notFound.push(uuid);
+    }
+  }
+
+  for (const items of byUuid.values()) {
+    info.push(...items);
+  }
+
+  return { info: info.concat(unmatched), notFound };
+}
+
+module.exports = {
+  MAX_UUIDS_PER_CALL,
+  resolveBatchSize,
+  chunkList,
+  mergeOverviewBatches
+};
@@ -0,0 +1,274 @@
+/**
+ * EUDR Cassette
+ *
+ * Record-and-replay of SOAP traffic. In `record` mode every request/response
+ * envelope pair that goes through a client is written to a JSON file, with the
+ * WS-Security username, password digest and nonce redacted. In `replay` mode the
+ * recorded responses are served for matching operations without any network
+ * access, so regression tests run deterministically against captured payloads.
+ *
+ * Any client accepts a cassette through the `cassette` option, either as an
+ * EudrCassette instance (to share one file between clients) or as its options.
+ *
+ * @example
+ * // Capture a session against acceptance
+ * const cassette = new EudrCassette({ path: 'tests/cassettes/submit.json', mode: 'record' });
+ * const submission = new EudrSubmissionClientV3({ ...config, cassette });
+ * const retrieval = new EudrRetrievalClientV3({ ...config, cassette });
+ *
+ * // Later, in CI
+ * const retrieval = new EudrRetrievalClientV3({ ...config, cassette: { path: 'tests/cassettes/submit.json', mode: 'replay' } });
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CASSETTE_MODES = ['record', 'replay'];
+const CASSETTE_FORMAT_VERSION = 1;
+const REDACTED = '[REDACTED]';
+
+// WS-Security values that identify the account or could be replayed
+const REDACTED_ELEMENTS = ['Username', 'Password', 'Nonce'];
+
+/**
+ * Replace the content of the WS-Security Username, Password and Nonce elements,
+ * and of any other element whose whole text is the username (e.g. `updatedBy`
+ * in responses). Text that merely contains the username (namespaces, references)
+ * is left alone.
+ * @param {string} xml
+ * @param {string} [username] - Literal username to redact elsewhere in the document
+ * @returns {string}
+ */
+function redactSecurityHeader(xml, username) {
+  if (typeof xml !== 'string') {
+    return xml;
+  }
+  const redacted = REDACTED_ELEMENTS.reduce((result, element) => result.replace(
+    new RegExp(`(<((?:[\\w-]+:)?)${element}\\b[^>]*>)[\\s\\S]*?(</\\2${element}>)`, 'g'),
+    `$1${REDACTED}$3`
+  ), xml);
+  if (!username) {
+    return redacted;
+  }
+  const escaped = username.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return redacted.replace(new RegExp(`>(\\s*)${escaped}(\\s*)<`, 'g'), `>$1${REDACTED}$2<`);
+}
+
+/**
+ * Content of the WS-Security Username element
+ * @param {string} xml
+ * @returns {string|null}
+ */
+function getUsername(xml) {
+  const match = typeof xml === 'string' && xml.match(/<((?:[\w-]+:)?)Username\b[^>]*>([\s\S]*?)<\/\1Username>/);
+  return match ? match[2].trim() : null;
+}
+
+/**
+ * Local name of the first element in the SOAP body, e.g. 'SubmitDdsRequest'
+ * @param {string} xml
+ * @returns {string|null}
+ */
+function getBodyOperation(xml) {
+  const match = typeof xml === 'string' && xml.match(/<(?:[\w-]+:)?Body\b[^>]*>\s*<(?:[\w-]+:)?([\w-]+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * SOAP body with insignificant whitespace removed, for exact request matching
+ * @param {string} xml
+ * @returns {string}
+ */
+function getNormalizedBody(xml) {
+  const match = typeof xml === 'string' && xml.match(/<((?:[\w-]+:)?)Body\b[^>]*>([\s\S]*)<\/\1Body>/);
+  return match ? match[2].replace(/>\s+</g, '><').trim() : '';
+}
+
+function getHeader(headers, name) {
+  const key = Object.keys(headers || {}).find((header) => header.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+}
+
+class EudrCassette {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - JSON cassette file
+   * @param {string} [options.mode='replay'] - 'record' or 'replay'
+   * @param {boolean} [options.matchBody=false] - Replay: also require the SOAP body to equal the recorded one
+   */
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('EudrCassette requires a path');
+    }
+    const mode = options.mode || 'replay';
+    if (!CASSETTE_MODES.includes(mode)) {
+      throw new Error(`Invalid cassette mode '${mode}'. Allowed: ${CASSETTE_MODES.join(', ')}`);
+    }
+
+    this.path = options.path;
+    this.mode = mode;
+    this.matchBody = options.matchBody === true;
+    this.interactions = [];
+    this.cursors = new Map();
+    this.loaded = mode === 'record';
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Wrap a transport so that its traffic is recorded or replayed. The wrapped
+   * function keeps the transport contract: it resolves with { status, statusText,
+   * headers, data } and rejects with an axios-style error (error.response) for
+   * non-2xx responses.
+   * @param {Function} transport - async (request) => response
+   * @returns {Function}
+   */
+  wrapTransport(transport) {
+    return (request) => (this.mode === 'record' ? this.record(transport, request) : this.replay(request));
+  }
+
+  /**
+   * @private
+   */
+  async record(transport, request) {
+    let response;
+    try {
+      response = await transport(request);
+    } catch (error) {
+      if (error.response) {
+        this.append(request, error.response);
+      }
+      throw error;
+    }
+    this.append(request, response);
+    return response;
+  }
+
+  /**
+   * @private
+   */
+  append(request, response) {
+    const username = getUsername(request.data);
+    this.interactions.push({
+      operation: getBodyOperation(request.data),
+      soapAction: getHeader(request.headers, 'SOAPAction') || null,
+      url: request.url,
+      recordedAt: new Date().toISOString(),
+      request: redactSecurityHeader(request.data, username),
+      response: {
+        status: response.status,
+        statusText: response.statusText || '',
+        headers: { ...(response.headers || {}) },
+        data: redactSecurityHeader(response.data, username)
+      }
+    });
+
+    const content = JSON.stringify({ version: CASSETTE_FORMAT_VERSION, interactions: this.interactions }, null, 2);
+    this.writing = this.writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+      await fs.promises.writeFile(this.path, content);
+    });
+  }
+
+  /**
+   * Wait until every recorded interaction has been written to disk
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.writing;
+  }
+
+  /**
+   * Serve the next recorded response for the request's SOAPAction and body
+   * operation. Repeated calls walk through the recorded responses in order and
+   * then keep returning the last one, so polling loops replay as captured.
+   * @private
+   */
+  async replay(request) {
+    await this.load();
+
+    const operation = getBodyOperation(request.data);
+    const soapAction = getHeader(request.headers, 'SOAPAction') || null;
+    const body = this.matchBody ? getNormalizedBody(request.data) : null;
+    const key = `${soapAction} ${operation}${this.matchBody ? ` ${body}` : ''}`;
+
+    const candidates = this.interactions.filter((interaction) =>
+      interaction.soapAction === soapAction &&
+      interaction.operation === operation &&
+      (!this.matchBody || getNormalizedBody(interaction.request) === body)
+    );
+    if (candidates.length === 0) {
+      throw new Error(`No recorded response for ${operation || 'request'} (SOAPAction ${soapAction}) in cassette ${this.path}`);
+    }
+
+    const index = Math.min(this.cursors.get(key) || 0, candidates.length - 1);
+    this.cursors.set(key, index + 1);
+
+    const { status, statusText, headers, data } = candidates[index].response;
+    // The recorded Date is stale and would be taken for server clock skew
+    const replayedHeaders = Object.fromEntries(Object.entries(headers || {}).filter(([name]) => name.toLowerCase() !== 'date'));
+    const response = { status, statusText, headers: replayedHeaders, data };
+    if (status < 200 || status >= 300) {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = response;
+      error.request = request;
+      throw error;
+    }
+    return response;
+  }
+
+  /**
+   * @private
+   */
+  async load() {
+    if (this.loaded) {
+      return;
+    }
+    let content;
+    try {
+      content = JSON.parse(await fs.promises.readFile(this.path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read cassette ${this.path}: ${error.message}`);
+    }
+    if (!content || !Array.isArray(content.interactions)) {
+      throw new Error(`Cassette ${this.path} has no interactions`);
+    }
+    this.interactions = content.interactions;
+    this.loaded = true;
+  }
+
+  /**
+   * Start replaying every operation from its first recorded response again
+   * @returns {this}
+   */
+  rewind() {
+    this.cursors.clear();
+    return this;
+  }
+}
+
+/**
+ * Resolve the `cassette` client option
+ * @param {EudrCassette|Object|undefined} option - Instance, constructor options, or undefined
+ * @returns {EudrCassette|null}
+ */
+function resolveCassette(option) {
+  if (!option) {
+    return null;
+  }
+  if (typeof option.wrapTransport === 'function') {
+    return option;
+  }
+  if (typeof option === 'object') {
+    return new EudrCassette(option);
+  }
+  throw new Error('cassette must be an EudrCassette or its options ({ path, mode })');
+}
+
+module.exports = {
+  EudrCassette,
+  resolveCassette,
+  redactSecurityHeader,
+  getBodyOperation,
+  CASSETTE_MODES,
+  REDACTED
+};
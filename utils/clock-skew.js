@@ -0,0 +1,246 @@
+/**
+ * EUDR Clock Skew
+ *
+ * TRACES rejects WS-Security headers whose wsu:Created / wsu:Expires do not fit
+ * its own clock, which makes a drifting local clock look like an authentication
+ * failure. The tracker estimates the offset of the server clock from the `Date`
+ * header of every response (faults included) and the clients stamp their
+ * timestamps with the corrected time.
+ *
+ * Offsets are kept per endpoint host. The `Date` header has one-second
+ * resolution, so measurements within `toleranceMs` of the current offset do not
+ * move it. One tracker is shared by all clients in the process unless a client
+ * is given its own (`clockSkew`) or none (`clockSkew: false`).
+ *
+ * @example
+ * const tracker = getSharedClockSkewTracker();
+ * tracker.getOffset('https://eudr.webcloud.ec.europa.eu/tracesnt/ws/EUDRDueDiligenceStatementServiceV3'); // e.g. 94000
+ */
+
+const DEFAULT_TOLERANCE_MS = 2000;
+
+/**
+ * Host part of an endpoint, the key offsets are kept under
+ * @private
+ */
+function endpointKey(endpoint) {
+  try {
+    return new URL(endpoint).origin;
+  } catch (error) {
+    return String(endpoint);
+  }
+}
+
+/**
+ * Value of the Date header, whatever its case
+ * @private
+ */
+function getDateHeader(headers) {
+  if (!headers) {
+    return undefined;
+  }
+  if (typeof headers.get === 'function') {
+    return headers.get('date') || undefined;
+  }
+  const name = Object.keys(headers).find((key) => key.toLowerCase() === 'date');
+  return name ? headers[name] : undefined;
+}
+
+/**
+ * Whether a failed request was rejected as unauthenticated, which is how the
+ * server answers a WS-Security timestamp outside its validity window
+ * @private
+ */
+function isAuthenticationFailure(error) {
+  const response = error && error.response;
+  if (!response) {
+    return false;
+  }
+  return response.status === 401 || (typeof response.data === 'string' && response.data.includes('UnauthenticatedException'));
+}
+
+class EudrClockSkewTracker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.toleranceMs=2000] - Measurements closer than this to the current offset are ignored
+   * @param {Function} [options.now] - () => epoch milliseconds of the local clock, defaults to Date.now
+   */
+  constructor(options = {}) {
+    this.toleranceMs = options.toleranceMs === undefined ? DEFAULT_TOLERANCE_MS : options.toleranceMs;
+    this.clock = options.now || Date.now;
+    this.offsets = new Map();
+  }
+
+  /**
+   * Estimated server time minus local time for an endpoint host
+   * @param {string} endpoint
+   * @returns {number} Milliseconds; 0 until a response has been seen
+   */
+  getOffset(endpoint) {
+    return this.offsets.get(endpointKey(endpoint)) || 0;
+  }
+
+  /**
+   * Local time corrected by the offset of an endpoint
+   * @param {string} endpoint
+   * @returns {number} Epoch milliseconds
+   */
+  now(endpoint) {
+    return this.clock() + this.getOffset(endpoint);
+  }
+
+  /**
+   * Measure the offset from a response
+   * @param {string} endpoint
+   * @param {Object} headers - Response headers
+   * @param {number} sentAt - Local epoch milliseconds when the request was sent
+   * @param {number} receivedAt - Local epoch milliseconds when the response arrived
+   * @returns {{offsetMs: number, previousOffsetMs: number, changed: boolean}|null} null without a usable Date header
+   */
+  record(endpoint, headers, sentAt, receivedAt) {
+    const serverTime = Date.parse(getDateHeader(headers));
+    if (Number.isNaN(serverTime)) {
+      return null;
+    }
+
+    // The header is truncated to the second: assume the middle of it, against the middle of the round trip
+    const offsetMs = Math.round(serverTime + 500 - (sentAt + receivedAt) / 2);
+    const previousOffsetMs = this.getOffset(endpoint);
+    const changed = Math.abs(offsetMs - previousOffsetMs) > this.toleranceMs;
+    if (changed) {
+      this.offsets.set(endpointKey(endpoint), offsetMs);
+    }
+    return { offsetMs, previousOffsetMs, changed };
+  }
+
+  /**
+   * Note when a request is sent and the offset its timestamps were stamped with
+   * @param {string} endpoint
+   * @returns {{sentAt: number, appliedOffsetMs: number}} To pass to observe()
+   */
+  startRequest(endpoint) {
+    return { sentAt: this.clock(), appliedOffsetMs: this.getOffset(endpoint) };
+  }
+
+  /**
+   * Record the server clock of a response, warn when the offset moves, and tell
+   * whether the skew explains a rejected request. Used by the clients after
+   * every response, successful or not. Only an authentication failure can be a
+   * rejected timestamp; other faults keep their own error.
+   * @param {string} endpoint
+   * @param {Object} response - { headers }
+   * @param {{sentAt: number, appliedOffsetMs: number}} request - From startRequest()
+   * @param {Object} context
+   * @param {number} context.timestampValidity - Seconds
+   * @param {Object} context.logger - Receives the warning when the offset changes
+   * @param {Error} [context.cause] - The failure, attached to the returned error
+   * @returns {Error|null} EUDR_CLOCK_SKEW_EXCEEDED when an authentication failure was stamped outside the validity window
+   */
+  observe(endpoint, response, { sentAt, appliedOffsetMs }, { timestampValidity, logger, cause }) {
+    const skew = this.record(endpoint, response.headers, sentAt, this.clock());
+    if (!skew) {
+      return null;
+    }
+    if (skew.changed) {
+      logger.warn(
+        { endpoint, offsetMs: skew.offsetMs, previousOffsetMs: skew.previousOffsetMs },
+        'Local clock differs from the EUDR server clock; WS-Security timestamps are adjusted by the measured offset'
+      );
+    }
+
+    const skewMs = skew.offsetMs - appliedOffsetMs;
+    return isAuthenticationFailure(cause) && Math.abs(skewMs) > timestampValidity * 1000
+      ? createClockSkewError({ endpoint, skewMs, timestampValidity, cause })
+      : null;
+  }
+
+  /**
+   * Forget the offset of one endpoint host, or of all
+   * @param {string} [endpoint]
+   */
+  reset(endpoint) {
+    if (endpoint === undefined) {
+      this.offsets.clear();
+    } else {
+      this.offsets.delete(endpointKey(endpoint));
+    }
+  }
+}
+
+let sharedTracker = null;
+
+/**
+ * Local time corrected by the offset of an endpoint, or the local time without a tracker
+ * @param {EudrClockSkewTracker|null} tracker
+ * @param {string} endpoint
+ * @returns {number} Epoch milliseconds
+ */
+function correctedNow(tracker, endpoint) {
+  return tracker ? tracker.now(endpoint) : Date.now();
+}
+
+/**
+ * Process-wide tracker used by clients without a `clockSkew` option
+ * @returns {EudrClockSkewTracker}
+ */
+function getSharedClockSkewTracker() {
+  if (!sharedTracker) {
+    sharedTracker = new EudrClockSkewTracker();
+  }
+  return sharedTracker;
+}
+
+/**
+ * Resolve the `clockSkew` client option
+ * @param {EudrClockSkewTracker|boolean} [option] - Tracker, true/undefined for the shared one, false for none
+ * @returns {EudrClockSkewTracker|null}
+ */
+function resolveClockSkewTracker(option) {
+  if (option === false) {
+    return null;
+  }
+  if (option === undefined || option === true) {
+    return getSharedClockSkewTracker();
+  }
+  if (!option || ['now', 'getOffset', 'startRequest', 'observe'].some((method) => typeof option[method] !== 'function')) {
+    throw new Error('clockSkew must be a boolean or an object with now(), getOffset(), startRequest() and observe() methods');
+  }
+  return option;
+}
+
+/**
+ * Error for a failed request whose timestamps were outside the server's validity window
+ * @param {Object} details
+ * @param {string} details.endpoint
+ * @param {number} details.skewMs - Server time minus the time the request was stamped with
+ * @param {number} details.timestampValidity - Seconds
+ * @param {Error} [details.cause] - The failure as received
+ * @returns {Error} EUDR_CLOCK_SKEW_EXCEEDED, with the response of the cause
+ */
+function createClockSkewError({ endpoint, skewMs, timestampValidity, cause }) {
+  const seconds = Math.round(Math.abs(skewMs) / 1000);
+  const direction = skewMs > 0 ? 'behind' : 'ahead of';
+  const error = new Error(
+    `Local clock is ${seconds}s ${direction} the EUDR server at ${endpointKey(endpoint)}, more than the ` +
+    `${timestampValidity}s timestampValidity, so the WS-Security timestamp was rejected. ` +
+    'The offset has been recorded and later requests are stamped with the server time; synchronize the system clock (NTP) to fix the cause.'
+  );
+  error.eudrErrorCode = 'EUDR_CLOCK_SKEW_EXCEEDED';
+  error.eudrSpecific = true;
+  error.clockSkewMs = skewMs;
+  if (cause) {
+    error.cause = cause;
+    error.response = cause.response;
+    error.request = cause.request;
+  }
+  return error;
+}
+
+module.exports = {
+  EudrClockSkewTracker,
+  getSharedClockSkewTracker,
+  resolveClockSkewTracker,
+  createClockSkewError,
+  correctedNow,
+  DEFAULT_TOLERANCE_MS
+};
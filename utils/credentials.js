@@ -0,0 +1,222 @@
+/**
+ * EUDR Credentials
+ *
+ * Supplies the username and authentication key for the WS-Security
+ * UsernameToken. Instead of a fixed `username` / `password` in the client
+ * configuration, a client can be given `credentials`: an async function that
+ * returns { username, password } (e.g. from a secret manager), or an
+ * EudrCredentialProvider built around one.
+ *
+ * The provider caches what the function returned, for `ttlMs` or until the
+ * `expiresAt` the function reported, and fetches again afterwards. A request
+ * rejected with 401 UnauthenticatedException invalidates the cache when the
+ * error is mapped by EudrErrorHandler.handleError, so the next request picks up
+ * a rotated key without rebuilding the client.
+ *
+ * @example
+ * const credentials = new EudrCredentialProvider(async () => {
+ *   const secret = await secretManager.getSecret('traces/eudr');
+ *   return { username: secret.username, password: secret.authenticationKey };
+ * }, { ttlMs: 15 * 60 * 1000 });
+ * const eudr = new EudrClient({ webServiceClientId: 'eudr-repository', credentials });
+ */
+
+const fs = require('fs').promises;
+
+/**
+ * @private
+ */
+function credentialsError(message, field) {
+  const error = new Error(message);
+  error.eudrErrorCode = 'EUDR_CREDENTIALS_UNAVAILABLE';
+  error.eudrSpecific = true;
+  error.field = field;
+  return error;
+}
+
+/**
+ * Check what a provider function returned
+ * @private
+ */
+function validateCredentials(value) {
+  if (!value || typeof value !== 'object') {
+    throw credentialsError('Credential provider must return { username, password }', 'credentials');
+  }
+  for (const field of ['username', 'password']) {
+    if (typeof value[field] !== 'string' || value[field] === '') {
+      throw credentialsError(`Credential provider returned no ${field}`, `credentials.${field}`);
+    }
+  }
+  return value;
+}
+
+class EudrCredentialProvider {
+  /**
+   * @param {Function} fetchCredentials - async () => ({ username, password, expiresAt? });
+   *   expiresAt (Date or epoch milliseconds) ends the caching early
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs] - Fetch again after this long; cached until invalidated when omitted
+   * @param {Function} [options.now] - () => epoch milliseconds, defaults to Date.now
+   */
+  constructor(fetchCredentials, options = {}) {
+    if (typeof fetchCredentials !== 'function') {
+      throw new Error('EudrCredentialProvider needs a function that returns { username, password }');
+    }
+    if (options.ttlMs !== undefined && (!Number.isInteger(options.ttlMs) || options.ttlMs <= 0)) {
+      throw new Error('ttlMs must be a positive integer');
+    }
+    this.fetchCredentials = fetchCredentials;
+    this.ttlMs = options.ttlMs;
+    this.clock = options.now || Date.now;
+    this.cached = null;
+    this.expiresAt = Infinity;
+    this.pending = null;
+  }
+
+  /**
+   * Fixed credentials, as given in the client configuration
+   * @param {string} username
+   * @param {string} password
+   * @returns {EudrCredentialProvider}
+   */
+  static fromStatic(username, password) {
+    const credentials = validateCredentials({ username, password });
+    const provider = new EudrCredentialProvider(async () => credentials);
+    provider.cached = credentials;
+    return provider;
+  }
+
+  /**
+   * Current credentials, fetched when there are none or they have expired.
+   * Concurrent calls share one fetch.
+   * @returns {Promise<{username: string, password: string}>}
+   * @throws {Error} EUDR_CREDENTIALS_UNAVAILABLE
+   */
+  async get() {
+    if (this.cached && this.clock() < this.expiresAt) {
+      return this.cached;
+    }
+    if (!this.pending) {
+      this.pending = this.refresh().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  /**
+   * The cached credentials, for building an envelope synchronously after get()
+   * @returns {{username: string, password: string}}
+   * @throws {Error} EUDR_CREDENTIALS_UNAVAILABLE when none are cached
+   */
+  current() {
+    if (!this.cached || this.clock() >= this.expiresAt) {
+      throw credentialsError('Credentials have not been fetched yet; await get() before building a request', 'credentials');
+    }
+    return this.cached;
+  }
+
+  /**
+   * Drop the cached credentials so that the next get() fetches them again
+   */
+  invalidate() {
+    this.cached = null;
+    this.expiresAt = Infinity;
+  }
+
+  /**
+   * @private
+   */
+  async refresh() {
+    let value;
+    try {
+      value = await this.fetchCredentials();
+    } catch (error) {
+      const wrapped = credentialsError(`Credential provider failed: ${error.message}`, 'credentials');
+      wrapped.cause = error;
+      throw wrapped;
+    }
+
+    const { username, password, expiresAt } = validateCredentials(value);
+    const now = this.clock();
+    const limits = [this.ttlMs === undefined ? Infinity : now + this.ttlMs];
+    if (expiresAt !== undefined) {
+      limits.push(expiresAt instanceof Date ? expiresAt.getTime() : Number(expiresAt));
+    }
+    this.cached = { username, password };
+    this.expiresAt = Math.min(...limits);
+    return this.cached;
+  }
+}
+
+/**
+ * Provider function reading the environment at every fetch
+ * @param {Object} [options]
+ * @param {string} [options.usernameVar='EUDR_TRACES_USERNAME']
+ * @param {string} [options.passwordVar='EUDR_TRACES_PASSWORD']
+ * @param {Object} [options.env=process.env]
+ * @returns {Function} async () => ({ username, password })
+ */
+function fromEnv(options = {}) {
+  const { usernameVar = 'EUDR_TRACES_USERNAME', passwordVar = 'EUDR_TRACES_PASSWORD', env = process.env } = options;
+  return async () => ({ username: env[usernameVar], password: env[passwordVar] });
+}
+
+/**
+ * Provider function reading a file at every fetch, e.g. a secret mounted by
+ * Kubernetes or written by a secret manager agent. The file holds JSON
+ * { username, password }, or only the key when `username` is given.
+ * @param {string} path
+ * @param {Object} [options]
+ * @param {string} [options.username] - Username; the file then holds the key alone (trailing newline ignored)
+ * @returns {Function} async () => ({ username, password })
+ */
+function fromFile(path, options = {}) {
+  return async () => {
+    const content = await fs.readFile(path, 'utf8');
+    if (options.username !== undefined) {
+      return { username: options.username, password: content.replace(/\r?\n$/, '') };
+    }
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`${path} is not JSON { username, password }: ${error.message}`);
+    }
+  };
+}
+
+/**
+ * Resolve the credentials of a client configuration
+ * @param {Object} config
+ * @param {EudrCredentialProvider|Function} [config.credentials] - Provider, or the function to build one around
+ * @param {string} [config.username] - Used with password when credentials is not given
+ * @param {string} [config.password]
+ * @returns {EudrCredentialProvider}
+ * @throws {Error} When neither credentials nor username and password are given
+ */
+function resolveCredentialProvider(config) {
+  const { credentials } = config;
+  if (credentials instanceof EudrCredentialProvider) {
+    return credentials;
+  }
+  if (typeof credentials === 'function') {
+    return new EudrCredentialProvider(credentials);
+  }
+  if (credentials !== undefined) {
+    throw new Error('credentials must be an EudrCredentialProvider or an async function returning { username, password }');
+  }
+
+  for (const field of ['username', 'password']) {
+    if (!config[field]) {
+      throw new Error(`Missing required configuration: ${field}`);
+    }
+  }
+  return EudrCredentialProvider.fromStatic(config.username, config.password);
+}
+
+module.exports = {
+  EudrCredentialProvider,
+  fromEnv,
+  fromFile,
+  resolveCredentialProvider
+};
@@ -0,0 +1,388 @@
+/**
+ * EUDR Flat-File DDS Importer
+ *
+ * Turns flat ERP exports (one row per commodity and producer, e.g. CSV saved
+ * from Excel) into V3 SubmitDdsRequest objects, validates each one with the
+ * client-side schema, units and geometry checks, and submits the valid ones
+ * through EudrSubmissionClientV3 one after another (so a shared rate limiter
+ * and the retry policy apply as usual).
+ *
+ * Rows are grouped into one DDS per `groupBy` value (the internal reference
+ * number column by default). Within a DDS, rows with the same commodity fields share
+ * one commodity, and every row's producer fields add a producer to it.
+ *
+ * The column mapping maps target paths to column names (or to functions of the
+ * row). Paths start with `request.`, `statement.`, `commodity.` or `producer.`
+ * and may be nested, e.g. 'commodity.descriptors.goodsMeasure.netWeight'.
+ *
+ * @example
+ * const csv = fs.readFileSync('shipments.csv', 'utf8');
+ * const report = await importDdsFromCsv(csv, {
+ *   client: new EudrSubmissionClientV3(config),
+ *   mapping: { ...DEFAULT_DDS_COLUMN_MAPPING, 'commodity.hsHeading': 'HS code' }
+ * });
+ * report.rows; // [{ row: 2, internalReferenceNumber: 'PO-1', status: 'submitted', uuid: '...', errorCode: null, message: null }, ...]
+ */
+
+const { validateDdsRequest, enforceSchemaViolations } = require('./schema-constraints');
+const { validateUnitsOfMeasure } = require('./units-validator');
+const { validateStatementGeometry } = require('./geometry-validator');
+
+const DEFAULT_DDS_COLUMN_MAPPING = {
+  'request.operatorRole': 'operatorRole',
+  'statement.internalReferenceNumber': 'internalReferenceNumber',
+  'statement.activityType': 'activityType',
+  'statement.countryOfActivity': 'countryOfActivity',
+  'statement.borderCrossCountry': 'borderCrossCountry',
+  'statement.comment': 'comment',
+  'statement.geoLocationConfidential': 'geoLocationConfidential',
+  'commodity.hsHeading': 'hsHeading',
+  'commodity.descriptors.descriptionOfGoods': 'descriptionOfGoods',
+  'commodity.descriptors.goodsMeasure.netWeight': 'netWeight',
+  'commodity.descriptors.goodsMeasure.supplementaryUnit': 'supplementaryUnit',
+  'commodity.descriptors.goodsMeasure.supplementaryUnitQualifier': 'supplementaryUnitQualifier',
+  'commodity.descriptors.goodsMeasure.percentageEstimationOrDeviation': 'percentageEstimationOrDeviation',
+  'commodity.speciesInfo.scientificName': 'scientificName',
+  'commodity.speciesInfo.commonName': 'commonName',
+  'producer.country': 'producerCountry',
+  'producer.name': 'producerName',
+  'producer.geometryGeojson': 'geometryGeojson'
+};
+
+// Leaf names converted from cell text
+const NUMERIC_FIELDS = ['netWeight', 'supplementaryUnit', 'percentageEstimationOrDeviation'];
+const BOOLEAN_FIELDS = ['geoLocationConfidential'];
+const MAPPING_LEVELS = ['request', 'statement', 'commodity', 'producer'];
+
+/**
+ * Parse delimited text with a header line (RFC 4180 quoting, CRLF or LF line
+ * ends, optional UTF-8 BOM). The delimiter is detected from the header line
+ * unless given; Excel exports use ';' in locales with a decimal comma.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - ',', ';' or '\t'; detected when omitted
+ * @returns {Object[]} One object per data line, keyed by the trimmed header names
+ */
+function parseCsv(text, options = {}) {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = options.delimiter || [',', ';', '\t']
+    .map((candidate) => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < source.length; index++) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[index + 1] === '\n') {
+        index++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...lines] = records;
+  const columns = header.map((name) => name.trim());
+  return lines
+    .filter((line) => line.some((value) => value.trim() !== ''))
+    .map((line) => Object.fromEntries(columns.map((column, index) => [column, line[index] === undefined ? '' : line[index]])));
+}
+
+/**
+ * @private
+ */
+function convertCell(leaf, value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const text = value.trim();
+  if (text === '') {
+    return undefined;
+  }
+  if (NUMERIC_FIELDS.includes(leaf)) {
+    const number = Number(/^-?\d+,\d+$/.test(text) ? text.replace(',', '.') : text);
+    return Number.isFinite(number) ? number : text;
+  }
+  if (BOOLEAN_FIELDS.includes(leaf)) {
+    if (/^(true|yes|y|1)$/i.test(text)) {
+      return true;
+    }
+    if (/^(false|no|n|0)$/i.test(text)) {
+      return false;
+    }
+  }
+  return text;
+}
+
+/**
+ * @private
+ */
+function setPath(target, segments, value) {
+  let current = target;
+  segments.slice(0, -1).forEach((segment) => {
+    current[segment] = current[segment] || {};
+    current = current[segment];
+  });
+  current[segments[segments.length - 1]] = value;
+}
+
+/**
+ * Apply the mapping to one row
+ * @private
+ * @returns {{request: Object, statement: Object, commodity: Object, producer: Object}}
+ */
+function mapRow(row, mapping) {
+  const mapped = { request: {}, statement: {}, commodity: {}, producer: {} };
+
+  for (const [targetPath, source] of Object.entries(mapping)) {
+    const [level, ...segments] = targetPath.split('.');
+    const raw = typeof source === 'function' ? source(row) : row[source];
+    const value = convertCell(segments[segments.length - 1], raw);
+    if (value !== undefined && value !== null) {
+      setPath(mapped[level], segments, value);
+    }
+  }
+
+  return mapped;
+}
+
+/**
+ * @private
+ */
+function mergeInto(target, values, context) {
+  for (const [key, value] of Object.entries(values)) {
+    if (target[key] === undefined) {
+      target[key] = value;
+    } else if (JSON.stringify(target[key]) !== JSON.stringify(value)) {
+      const error = new Error(`Row ${context.row} has ${context.level}.${key} ${JSON.stringify(value)}, but an earlier row of the same DDS has ${JSON.stringify(target[key])}`);
+      error.eudrErrorCode = 'EUDR_IMPORT_INCONSISTENT_ROWS';
+      error.eudrSpecific = true;
+      error.field = `${context.level}.${key}`;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Group flat rows into SubmitDdsRequest objects
+ * @param {Object[]} rows - Row objects, e.g. from parseCsv
+ * @param {Object} [options]
+ * @param {Object} [options.mapping=DEFAULT_DDS_COLUMN_MAPPING] - Target path -> column name or (row) => value
+ * @param {string|Function} [options.groupBy] - Column (or function) identifying the DDS of a row; defaults to
+ *   the source of 'statement.internalReferenceNumber' in the mapping
+ * @param {string} [options.operatorRole='OPERATOR'] - Used when the mapping yields no request.operatorRole
+ * @param {number} [options.firstRowNumber=2] - Number reported for rows[0] (2 = first line below the header)
+ * @returns {Array<{key: string, rows: number[], request: Object|null, error: Error|null}>} In order of first appearance
+ */
+function groupRowsIntoRequests(rows, options = {}) {
+  const mapping = options.mapping || DEFAULT_DDS_COLUMN_MAPPING;
+  const groupBy = options.groupBy || mapping['statement.internalReferenceNumber'] || 'internalReferenceNumber';
+  const firstRowNumber = options.firstRowNumber === undefined ? 2 : options.firstRowNumber;
+  const groups = new Map();
+
+  for (const targetPath of Object.keys(mapping)) {
+    const [level, ...segments] = targetPath.split('.');
+    if (!MAPPING_LEVELS.includes(level) || segments.length === 0) {
+      throw new Error(`Invalid mapping target '${targetPath}'. Paths start with: ${MAPPING_LEVELS.map((name) => `${name}.`).join(', ')}`);
+    }
+  }
+
+  rows.forEach((row, index) => {
+    const rowNumber = firstRowNumber + index;
+    const rawKey = typeof groupBy === 'function' ? groupBy(row) : row[groupBy];
+    const key = rawKey === undefined || rawKey === null || String(rawKey).trim() === ''
+      ? `#row-${rowNumber}`
+      : String(rawKey).trim();
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        rows: [],
+        request: { statement: { commodities: [] } },
+        commodityKeys: [],
+        error: null
+      });
+    }
+    const group = groups.get(key);
+    group.rows.push(rowNumber);
+    if (group.error) {
+      return;
+    }
+
+    try {
+      const mapped = mapRow(row, mapping);
+      mergeInto(group.request, mapped.request, { row: rowNumber, level: 'request' });
+      const { commodities, ...statementFields } = group.request.statement;
+      mergeInto(statementFields, mapped.statement, { row: rowNumber, level: 'statement' });
+      group.request.statement = { ...statementFields, commodities };
+
+      const commodityKey = JSON.stringify(mapped.commodity);
+      let commodityIndex = group.commodityKeys.indexOf(commodityKey);
+      if (commodityIndex === -1) {
+        const commodity = { ...mapped.commodity };
+        if (commodity.speciesInfo) {
+          commodity.speciesInfo = [commodity.speciesInfo];
+        }
+        commodities.push(commodity);
+        group.commodityKeys.push(commodityKey);
+        commodityIndex = commodities.length - 1;
+      }
+      if (Object.keys(mapped.producer).length > 0) {
+        const commodity = commodities[commodityIndex];
+        commodity.producers = commodity.producers || [];
+        commodity.producers.push(mapped.producer);
+      }
+    } catch (error) {
+      error.row = rowNumber;
+      group.error = error;
+    }
+  });
+
+  return [...groups.values()].map(({ key, rows: rowNumbers, request, error }) => ({
+    key,
+    rows: rowNumbers,
+    request: error ? null : { operatorRole: options.operatorRole || 'OPERATOR', ...request },
+    error
+  }));
+}
+
+/**
+ * Run the client-side checks that submitDds applies, without sending anything
+ * @param {Object} request - SubmitDdsRequest
+ * @param {Object} [modes] - { schemaValidation, unitsValidation, geometryValidation }, 'strict' by default
+ * @throws {Error} The first problem, with eudrErrorCode and field
+ */
+function validateImportedRequest(request, modes = {}) {
+  enforceSchemaViolations(validateDdsRequest(request), { mode: modes.schemaValidation || 'strict' });
+  validateUnitsOfMeasure(request.statement, { mode: modes.unitsValidation || 'strict' });
+  validateStatementGeometry(request.statement, { mode: modes.geometryValidation || 'strict' });
+}
+
+/**
+ * @private
+ */
+function errorCodeOf(error) {
+  return error.eudrErrorCode || (error.eudrErrors && error.eudrErrors[0] && error.eudrErrors[0].code) || null;
+}
+
+/**
+ * Group, validate and submit flat rows
+ * @param {Object[]} rows - Row objects, e.g. from parseCsv
+ * @param {Object} options - groupRowsIntoRequests options, plus:
+ * @param {EudrSubmissionClientV3} [options.client] - Required unless validateOnly; its validation modes apply
+ * @param {boolean} [options.validateOnly=false] - Group and validate, but do not submit
+ * @param {Function} [options.onDeclaration] - Called with each declaration result as soon as it is known
+ * @returns {Promise<Object>} { declarations, rows, summary }. Each declaration is { key, rows, request,
+ *   status, uuid, errorCode, message }, status being 'submitted', 'valid' (validateOnly), 'invalid' or 'failed';
+ *   `rows` repeats that outcome for every input row number
+ */
+async function importDdsRows(rows, options = {}) {
+  const { client, validateOnly = false, onDeclaration } = options;
+  if (!validateOnly && (!client || typeof client.submitDds !== 'function')) {
+    throw new Error('importDdsRows requires a client with submitDds(), or validateOnly: true');
+  }
+  const modes = (client && client.config) || {};
+  const declarations = [];
+
+  for (const group of groupRowsIntoRequests(rows, options)) {
+    const result = {
+      key: group.key,
+      rows: group.rows,
+      request: group.request,
+      status: null,
+      uuid: null,
+      errorCode: null,
+      message: null
+    };
+
+    let error = group.error;
+    if (!error) {
+      try {
+        validateImportedRequest(group.request, modes);
+      } catch (validationError) {
+        error = validationError;
+      }
+    }
+
+    if (error) {
+      Object.assign(result, { status: 'invalid', errorCode: errorCodeOf(error), message: error.message });
+    } else if (validateOnly) {
+      result.status = 'valid';
+    } else {
+      try {
+        const response = await client.submitDds(group.request);
+        Object.assign(result, { status: 'submitted', uuid: response.uuid });
+      } catch (submitError) {
+        Object.assign(result, { status: 'failed', errorCode: errorCodeOf(submitError), message: submitError.message });
+      }
+    }
+
+    declarations.push(result);
+    if (onDeclaration) {
+      onDeclaration(result);
+    }
+  }
+
+  const rowResults = declarations
+    .flatMap((declaration) => declaration.rows.map((row) => ({
+      row,
+      key: declaration.key,
+      internalReferenceNumber: declaration.request ? declaration.request.statement.internalReferenceNumber || null : null,
+      status: declaration.status,
+      uuid: declaration.uuid,
+      errorCode: declaration.errorCode,
+      message: declaration.message
+    })))
+    .sort((a, b) => a.row - b.row);
+
+  const summary = { declarations: declarations.length, submitted: 0, valid: 0, invalid: 0, failed: 0 };
+  declarations.forEach((declaration) => { summary[declaration.status]++; });
+
+  return { declarations, rows: rowResults, summary };
+}
+
+/**
+ * parseCsv followed by importDdsRows
+ * @param {string} text - CSV/TSV content with a header line
+ * @param {Object} options - importDdsRows options, plus `delimiter`
+ * @returns {Promise<Object>} See importDdsRows
+ */
+async function importDdsFromCsv(text, options = {}) {
+  return importDdsRows(parseCsv(text, options), options);
+}
+
+module.exports = {
+  parseCsv,
+  groupRowsIntoRequests,
+  validateImportedRequest,
+  importDdsRows,
+  importDdsFromCsv,
+  DEFAULT_DDS_COLUMN_MAPPING
+};
@@ -66,7 +66,20 @@ const EUDR_ERROR_CODES = {
   EUDR_API_NO_DDS: 'No DDS corresponding to the provided UUID.',
 
   // Data validation errors
-  EUDR_DATA_TYPE_VALIDATION_ERROR: 'Data type validation error - the provided value does not match the expected format.'
+  EUDR_DATA_TYPE_VALIDATION_ERROR: 'Data type validation error - the provided value does not match the expected format.',
+  EUDR_SCHEMA_VALIDATION_ERROR: 'The request does not match the V3 schema (detected client-side, before sending).',
+
+  // Client-side throttling
+  EUDR_RATE_LIMIT_EXCEEDED: 'No request slot became available under the client-side rate limit within the configured wait.',
+
+  // Status polling
+  EUDR_STATUS_WAIT_TIMEOUT: 'The declaration did not reach a target status before the wait timed out.',
+
+  // Flat-file import
+  EUDR_IMPORT_INCONSISTENT_ROWS: 'Rows grouped into the same DDS disagree on a statement-level value.',
+
+  // Submission journal
+  EUDR_JOURNAL_MISSING_REFERENCE: 'Journaled submissions need an internal reference number to be reconciled after a crash.'
 };
 
 // Add at the top with other constants
@@ -258,9 +271,11 @@ class EudrErrorHandler {
   /**
    * Handle error response from EUDR API
    * @param {Object} error - Error object from axios or other source
+   * @param {Object} [options]
+   * @param {EudrCredentialProvider} [options.credentials] - Invalidated on 401 UnauthenticatedException
    * @returns {Error} Error object with additional EUDR-specific properties
    */
-  static handleError(error) {
+  static handleError(error, options = {}) {
     logger.trace("Starting handleError with error:", error.message);
 
     // Create a proper Error object
@@ -388,6 +403,10 @@ class EudrErrorHandler {
     // Special handling for authentication errors
     if (error.response && error.response.status === 401) {
       errorResponse.httpStatus = 401; // Unauthorized
+      // The key may have been rotated: make the next request fetch the credentials again
+      if (options.credentials) {
+        options.credentials.invalidate();
+      }
       // Create a default soapFault for authentication errors if one wasn't parsed
       if (!errorResponse.details.soapFault) {
         errorResponse.details.soapFault = {
@@ -403,6 +422,14 @@ class EudrErrorHandler {
       errorResponse.eudrSpecific = true;
       errorResponse.eudrErrorCode = error.eudrErrorCode;
       errorResponse.eudrErrorMessage = error.eudrErrorMessage;
+
+      // Client-side validation errors carry the location of the offending field;
+      // transport-level errors carry what was measured (proxy status, clock skew)
+      for (const key of ['field', 'commodityIndex', 'producerIndex', 'violations', 'lastOverview', 'proxyStatus', 'clockSkewMs']) {
+        if (error[key] !== undefined) {
+          errorResponse[key] = error[key];
+        }
+      }
     }
 
     // logger.trace("Final errorResponse:", errorResponse);
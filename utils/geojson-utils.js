@@ -0,0 +1,117 @@
+/**
+ * EUDR GeoJSON Utilities
+ *
+ * Helpers for the `geometryGeojson` producer field, which the EUDR API
+ * transports as Base64-encoded GeoJSON. V3 clients accept the value in any
+ * of the following shapes and normalize it before building XML:
+ * - a GeoJSON object
+ * - a raw GeoJSON string (e.g. '{"type":"Point","coordinates":[15.96,45.81]}')
+ * - an already Base64-encoded GeoJSON string (passed through unchanged)
+ */
+
+const { logger } = require('./logger');
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * Try to parse a JSON string, returning null instead of throwing
+ * @private
+ * @param {string} value
+ * @returns {*|null}
+ */
+function tryParseJson(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Decode a Base64 string into a GeoJSON object
+ * @param {string} value - Base64-encoded GeoJSON
+ * @returns {Object|null} Decoded GeoJSON object, or null if the value is not Base64-encoded JSON
+ */
+function decodeGeojson(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  if (trimmed.length === 0 || trimmed.length % 4 !== 0 || !BASE64_PATTERN.test(trimmed)) {
+    return null;
+  }
+
+  const decoded = tryParseJson(Buffer.from(trimmed, 'base64').toString('utf-8'));
+  return decoded && typeof decoded === 'object' ? decoded : null;
+}
+
+/**
+ * Check whether a value is Base64-encoded GeoJSON
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isBase64Geojson(value) {
+  return decodeGeojson(value) !== null;
+}
+
+/**
+ * Normalize a geometryGeojson value to its Base64-encoded wire form
+ * @param {Object|string} value - GeoJSON object, raw GeoJSON string or Base64 string
+ * @returns {string} Base64-encoded GeoJSON; unrecognized strings are returned unchanged
+ *   so that the server can report them with its own error code
+ */
+function encodeGeojson(value) {
+  if (value && typeof value === 'object') {
+    return Buffer.from(JSON.stringify(value), 'utf-8').toString('base64');
+  }
+
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  if (isBase64Geojson(value)) {
+    return value.trim();
+  }
+
+  const parsed = tryParseJson(value);
+  if (parsed && typeof parsed === 'object') {
+    return Buffer.from(value, 'utf-8').toString('base64');
+  }
+
+  logger.debug('geometryGeojson is neither GeoJSON nor Base64-encoded GeoJSON, sending as-is');
+  return value;
+}
+
+/**
+ * Add a decoded `geometryGeojsonDecoded` object next to every Base64
+ * `geometryGeojson` string of a normalized (namespace-stripped) statement.
+ * Handles both DDS producers (`producer.geometryGeojson`) and SD producers
+ * (`producer.producerLocation.geometryGeojson`).
+ * @param {Object} statement - Normalized statement from a getDdsByIdentifiers/getSdByIdentifiers response
+ * @returns {Object} The same statement, for chaining
+ */
+function attachDecodedGeojson(statement) {
+  if (!statement || !Array.isArray(statement.commodities)) {
+    return statement;
+  }
+
+  for (const commodity of statement.commodities) {
+    const producers = commodity && Array.isArray(commodity.producers) ? commodity.producers : [];
+    for (const producer of producers) {
+      const target = producer && producer.producerLocation ? producer.producerLocation : producer;
+      if (target && target.geometryGeojson !== undefined) {
+        target.geometryGeojsonDecoded = decodeGeojson(target.geometryGeojson);
+      }
+    }
+  }
+
+  return statement;
+}
+
+module.exports = {
+  encodeGeojson,
+  decodeGeojson,
+  isBase64Geojson,
+  attachDecodedGeojson
+};
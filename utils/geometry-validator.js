@@ -0,0 +1,431 @@
+/**
+ * EUDR Geometry Validator
+ *
+ * Client-side checks for producer `geometryGeojson` values, mirroring the
+ * geolocation rules of the EUDR information system (Operator API Reference,
+ * sections 9 "GeoJSON" and 10 "API and UI Validation Rules"). Each problem is
+ * reported with the same error code the server would return, so a request
+ * can be rejected before it is sent to TRACES.
+ */
+
+const { logger } = require('./logger');
+const { decodeGeojson } = require('./geojson-utils');
+
+const SUPPORTED_GEOMETRY_TYPES = ['Point', 'MultiPoint', 'Polygon', 'MultiPolygon'];
+
+// Coordinates are truncated to 6 decimal places by the EUDR system before storing
+const COORDINATE_PRECISION = 6;
+
+// Point area bounds in hectares; the upper bound does not apply to cattle
+const MIN_POINT_AREA = 0.0001;
+const MAX_POINT_AREA = 4;
+
+// Total size of geolocation data per statement (presently set to 25Mb)
+const MAX_GEOLOCATION_SIZE_BYTES = 25 * 1024 * 1024;
+
+// HS codes of the cattle commodity (Annex I), matched as prefixes of hsHeading
+const CATTLE_HS_CODE_PREFIXES = ['0102', '0201', '0202', '020610', '020629', '160250', '4101', '4104', '4107'];
+
+const VALIDATION_MODES = ['strict', 'warn', 'off'];
+
+/**
+ * Check if an HS heading belongs to the cattle commodity
+ * @param {string} hsHeading - The HS heading code
+ * @returns {boolean}
+ */
+function isCattleHsHeading(hsHeading) {
+  if (!hsHeading) return false;
+  const code = String(hsHeading);
+  return CATTLE_HS_CODE_PREFIXES.some((prefix) => code.startsWith(prefix));
+}
+
+/**
+ * Resolve a geometryGeojson value (object, raw JSON string or Base64) to a GeoJSON object
+ * @private
+ * @param {Object|string} value
+ * @returns {Object|null}
+ */
+function toGeojsonObject(value) {
+  if (value && typeof value === 'object') {
+    return value;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const decoded = decodeGeojson(value);
+  if (decoded) {
+    return decoded;
+  }
+
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function truncate(value) {
+  const factor = Math.pow(10, COORDINATE_PRECISION);
+  return Math.trunc(value * factor) / factor;
+}
+
+function isPosition(value) {
+  return Array.isArray(value) && value.length >= 2 && typeof value[0] === 'number' && typeof value[1] === 'number';
+}
+
+/**
+ * Orientation of the ordered triplet (p, q, r): 0 collinear, 1 clockwise, -1 counter-clockwise
+ * @private
+ */
+function orientation(p, q, r) {
+  const value = (q[1] - p[1]) * (r[0] - q[0]) - (q[0] - p[0]) * (r[1] - q[1]);
+  if (value === 0) return 0;
+  return value > 0 ? 1 : -1;
+}
+
+function onSegment(p, q, r) {
+  return Math.min(p[0], r[0]) <= q[0] && q[0] <= Math.max(p[0], r[0]) &&
+    Math.min(p[1], r[1]) <= q[1] && q[1] <= Math.max(p[1], r[1]);
+}
+
+function segmentsIntersect(p1, q1, p2, q2) {
+  const o1 = orientation(p1, q1, p2);
+  const o2 = orientation(p1, q1, q2);
+  const o3 = orientation(p2, q2, p1);
+  const o4 = orientation(p2, q2, q1);
+
+  if (o1 !== o2 && o3 !== o4) return true;
+  if (o1 === 0 && onSegment(p1, p2, q1)) return true;
+  if (o2 === 0 && onSegment(p1, q2, q1)) return true;
+  if (o3 === 0 && onSegment(p2, p1, q2)) return true;
+  if (o4 === 0 && onSegment(p2, q1, q2)) return true;
+  return false;
+}
+
+/**
+ * Check whether any two non-adjacent edges of a closed ring intersect
+ * @private
+ * @param {Array<Array<number>>} ring - Closed ring (first position equals last)
+ * @returns {boolean}
+ */
+function ringSelfIntersects(ring) {
+  const edgeCount = ring.length - 1;
+  for (let i = 0; i < edgeCount; i++) {
+    for (let j = i + 1; j < edgeCount; j++) {
+      const adjacent = j === i + 1 || (i === 0 && j === edgeCount - 1);
+      if (adjacent) continue;
+      if (segmentsIntersect(ring[i], ring[i + 1], ring[j], ring[j + 1])) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+function ringArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return Math.abs(area / 2);
+}
+
+/**
+ * Validate a single position and its coordinate ranges
+ * @private
+ */
+function validatePosition(position, issues) {
+  if (!isPosition(position)) {
+    issues.push({
+      eudrErrorCode: 'EUDR_COMMODITIES_PRODUCER_GEO_INVALID',
+      message: `Invalid position ${JSON.stringify(position)}: expected [longitude, latitude] numbers.`
+    });
+    return false;
+  }
+
+  const [longitude, latitude] = position;
+  let valid = true;
+  if (longitude < -180 || longitude > 180) {
+    issues.push({
+      eudrErrorCode: 'EUDR_COMMODITIES_PRODUCER_GEO_LONGITUDE_INVALID',
+      message: `Longitude ${longitude} is outside the range -180 to +180.`
+    });
+    valid = false;
+  }
+  if (latitude < -90 || latitude > 90) {
+    issues.push({
+      eudrErrorCode: 'EUDR_COMMODITIES_PRODUCER_GEO_LATITUDE_INVALID',
+      message: `Latitude ${latitude} is outside the range -90 to +90.`
+    });
+    valid = false;
+  }
+  return valid;
+}
+
+/**
+ * Validate a polygon's coordinates (outer ring only; holes are not supported by EUDR)
+ * @private
+ */
+function validatePolygon(coordinates, issues) {
+  const polygonError = (message) => issues.push({
+    eudrErrorCode: 'EUDR_COMMODITIES_PRODUCER_GEO_POLYGON_INVALID',
+    message
+  });
+
+  if (!Array.isArray(coordinates) || coordinates.length === 0 || !Array.isArray(coordinates[0])) {
+    issues.push({
+      eudrErrorCode: 'EUDR_COMMODITIES_PRODUCER_GEO_INVALID',
+      message: 'Polygon coordinates must be an array of linear rings.'
+    });
+    return;
+  }
+  if (coordinates.length > 1) {
+    polygonError('Polygons with holes are not supported; provide the outer boundary only.');
+    return;
+  }
+
+  const ring = coordinates[0];
+  if (!ring.every((position) => validatePosition(position, issues))) {
+    return;
+  }
+
+  if (ring.length < 4) {
+    polygonError(`A polygon must have at least 4 positions (found ${ring.length}).`);
+    return;
+  }
+
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    polygonError('A polygon must be closed (the first and last positions must be the same).');
+    return;
+  }
+
+  const truncated = ring.map(([longitude, latitude]) => [truncate(longitude), truncate(latitude)]);
+  for (let i = 1; i < truncated.length; i++) {
+    if (truncated[i][0] === truncated[i - 1][0] && truncated[i][1] === truncated[i - 1][1]) {
+      polygonError(
+        `Positions ${i - 1} and ${i} are identical after truncation to ${COORDINATE_PRECISION} decimal places.`
+      );
+      return;
+    }
+  }
+
+  if (ringArea(truncated) === 0) {
+    polygonError('A polygon must have at least 4 non-aligned points.');
+    return;
+  }
+
+  if (ringSelfIntersects(truncated)) {
+    polygonError('Polygon sides must not intersect.');
+  }
+}
+
+/**
+ * Validate the "Area" property of a Point/MultiPoint feature
+ * @private
+ */
+function validatePointArea(properties, isCattle, issues) {
+  if (!properties || properties.Area === undefined) {
+    return; // Defaults to 4 ha server-side
+  }
+
+  const area = properties.Area;
+  if (typeof area !== 'number' || Number.isNaN(area)) {
+    issues.push({
+      eudrErrorCode: 'EUDR_COMMODITIES_PRODUCER_GEO_AREA_INVALID',
+      message: `Point Area must be a number (found ${JSON.stringify(area)}).`
+    });
+    return;
+  }
+
+  if (area < MIN_POINT_AREA || (!isCattle && area > MAX_POINT_AREA)) {
+    issues.push({
+      eudrErrorCode: 'EUDR_COMMODITIES_PRODUCER_GEO_AREA_INVALID',
+      message: isCattle
+        ? `Point Area ${area} must be at least ${MIN_POINT_AREA} ha.`
+        : `Point Area ${area} must be between ${MIN_POINT_AREA} and ${MAX_POINT_AREA} ha for non-cattle commodities.`
+    });
+  }
+}
+
+/**
+ * Validate a geometry object (recursing into GeometryCollection)
+ * @private
+ */
+function validateGeometryObject(geometry, properties, isCattle, issues) {
+  if (!geometry || typeof geometry !== 'object' || typeof geometry.type !== 'string') {
+    issues.push({
+      eudrErrorCode: 'EUDR_COMMODITIES_PRODUCER_GEO_INVALID',
+      message: 'Geometry must be an object with a "type" member.'
+    });
+    return;
+  }
+
+  if (geometry.type === 'GeometryCollection') {
+    const geometries = Array.isArray(geometry.geometries) ? geometry.geometries : [];
+    geometries.forEach((child) => validateGeometryObject(child, properties, isCattle, issues));
+    return;
+  }
+
+  if (!SUPPORTED_GEOMETRY_TYPES.includes(geometry.type)) {
+    issues.push({
+      eudrErrorCode: 'EUDR_COMMODITIES_PRODUCER_GEO_INVALID_GEOMETRY',
+      message: `Geometry type '${geometry.type}' is not supported. Supported types: ${SUPPORTED_GEOMETRY_TYPES.join(', ')}.`
+    });
+    return;
+  }
+
+  const coordinates = geometry.coordinates;
+  switch (geometry.type) {
+    case 'Point':
+      if (validatePosition(coordinates, issues)) {
+        validatePointArea(properties, isCattle, issues);
+      }
+      break;
+    case 'MultiPoint':
+      if (!Array.isArray(coordinates) || coordinates.length === 0) {
+        issues.push({ eudrErrorCode: 'EUDR_COMMODITIES_PRODUCER_GEO_INVALID', message: 'MultiPoint coordinates must be a non-empty array of positions.' });
+        break;
+      }
+      if (coordinates.every((position) => validatePosition(position, issues))) {
+        validatePointArea(properties, isCattle, issues);
+      }
+      break;
+    case 'Polygon':
+      validatePolygon(coordinates, issues);
+      break;
+    case 'MultiPolygon':
+      if (!Array.isArray(coordinates) || coordinates.length === 0) {
+        issues.push({ eudrErrorCode: 'EUDR_COMMODITIES_PRODUCER_GEO_INVALID', message: 'MultiPolygon coordinates must be a non-empty array of polygons.' });
+        break;
+      }
+      coordinates.forEach((polygon) => validatePolygon(polygon, issues));
+      break;
+  }
+}
+
+/**
+ * Validate a single geometryGeojson value
+ * @param {Object|string} geojson - GeoJSON object, raw GeoJSON string or Base64-encoded GeoJSON
+ * @param {Object} [options]
+ * @param {string} [options.hsHeading] - Commodity HS heading, used to detect cattle for the Point area rule
+ * @returns {Array<{eudrErrorCode: string, message: string}>} All problems found (empty when valid)
+ */
+function validateGeometry(geojson, options = {}) {
+  const issues = [];
+  const isCattle = isCattleHsHeading(options.hsHeading);
+  const document = toGeojsonObject(geojson);
+
+  if (!document || typeof document.type !== 'string') {
+    issues.push({
+      eudrErrorCode: 'EUDR_COMMODITIES_PRODUCER_GEO_INVALID',
+      message: 'geometryGeojson is not valid GeoJSON.'
+    });
+    return issues;
+  }
+
+  if (document.type === 'FeatureCollection') {
+    const features = Array.isArray(document.features) ? document.features : [];
+    if (features.length === 0) {
+      issues.push({ eudrErrorCode: 'EUDR_COMMODITIES_PRODUCER_GEO_INVALID', message: 'FeatureCollection has no features.' });
+    }
+    features.forEach((feature) => {
+      validateGeometryObject(feature && feature.geometry, feature && feature.properties, isCattle, issues);
+    });
+  } else if (document.type === 'Feature') {
+    validateGeometryObject(document.geometry, document.properties, isCattle, issues);
+  } else {
+    validateGeometryObject(document, null, isCattle, issues);
+  }
+
+  return issues;
+}
+
+/**
+ * Create an error carrying an EUDR error code and the location of the offending producer
+ * @private
+ */
+function createGeometryError(issue, commodityIndex, producerIndex, field) {
+  const error = new Error(`${field}: ${issue.message}`);
+  error.eudrErrorCode = issue.eudrErrorCode;
+  error.eudrSpecific = true;
+  error.field = field;
+  error.commodityIndex = commodityIndex;
+  error.producerIndex = producerIndex;
+  return error;
+}
+
+/**
+ * Validate every producer geometry of a DDS or SD statement
+ * @param {Object} statement - DDS or SD statement (DDS: producer.geometryGeojson, SD: producer.producerLocation.geometryGeojson)
+ * @param {Object} [options]
+ * @param {string} [options.mode='strict'] - 'strict' throws on the first problem, 'warn' logs every problem, 'off' skips validation
+ * @returns {Array<Error>} Problems found (only returned in 'warn' mode; 'strict' throws instead)
+ * @throws {Error} In 'strict' mode, an error with eudrErrorCode, field, commodityIndex and producerIndex
+ */
+function validateStatementGeometry(statement, options = {}) {
+  const mode = options.mode || 'strict';
+  if (!VALIDATION_MODES.includes(mode)) {
+    throw new Error(`Invalid geometry validation mode '${mode}'. Allowed: ${VALIDATION_MODES.join(', ')}`);
+  }
+  if (mode === 'off' || !statement || !statement.commodities) {
+    return [];
+  }
+
+  const errors = [];
+  let totalSize = 0;
+  const commodities = Array.isArray(statement.commodities) ? statement.commodities : [statement.commodities];
+
+  commodities.forEach((commodity, commodityIndex) => {
+    if (!commodity || !commodity.producers) return;
+    const producers = Array.isArray(commodity.producers) ? commodity.producers : [commodity.producers];
+
+    producers.forEach((producer, producerIndex) => {
+      if (!producer) return;
+      const location = producer.producerLocation || producer;
+      if (location.geometryGeojson === undefined) return;
+
+      const value = location.geometryGeojson;
+      totalSize += Buffer.byteLength(typeof value === 'string' ? value : JSON.stringify(value), 'utf-8');
+
+      const field = producer.producerLocation
+        ? `commodities[${commodityIndex}].producers[${producerIndex}].producerLocation.geometryGeojson`
+        : `commodities[${commodityIndex}].producers[${producerIndex}].geometryGeojson`;
+
+      for (const issue of validateGeometry(value, { hsHeading: commodity.hsHeading })) {
+        errors.push(createGeometryError(issue, commodityIndex, producerIndex, field));
+      }
+    });
+  });
+
+  if (totalSize > MAX_GEOLOCATION_SIZE_BYTES) {
+    const error = new Error(
+      `Total geolocation data size (${totalSize} bytes) exceeds the ${MAX_GEOLOCATION_SIZE_BYTES} bytes limit per statement.`
+    );
+    error.eudrErrorCode = 'EUDR_MAXIMUM_GEO_SIZE_REACHED';
+    error.eudrSpecific = true;
+    errors.push(error);
+  }
+
+  if (errors.length > 0 && mode === 'strict') {
+    throw errors[0];
+  }
+
+  errors.forEach((error) => {
+    logger.warn({ eudrErrorCode: error.eudrErrorCode, field: error.field }, error.message);
+  });
+  return errors;
+}
+
+module.exports = {
+  validateGeometry,
+  validateStatementGeometry,
+  isCattleHsHeading,
+  SUPPORTED_GEOMETRY_TYPES,
+  CATTLE_HS_CODE_PREFIXES,
+  MAX_GEOLOCATION_SIZE_BYTES,
+  VALIDATION_MODES
+};
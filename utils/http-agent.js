@@ -0,0 +1,260 @@
+/**
+ * EUDR HTTP Agent
+ *
+ * Pooled keep-alive HTTPS agents for the SOAP clients. Reusing sockets between
+ * calls saves a TLS handshake per request; idle sockets are closed after
+ * `idleTimeout` and do not keep the process alive.
+ *
+ * Each V3 client creates one of these unless `config.httpsAgent` is given, and
+ * releases it in close(). EudrClient creates one for all of its clients.
+ *
+ * TLS settings come from `config.tls`. Certificates are verified unless
+ * verification is turned off explicitly (`tls.rejectUnauthorized: false`, or the
+ * older `ssl: false`), which is logged as a warning.
+ *
+ * With a proxy (`config.proxy`, or HTTPS_PROXY from the environment) the agent
+ * opens each connection through a CONNECT tunnel (see utils/proxy.js).
+ *
+ * @example
+ * const agent = createHttpsAgent({
+ *   maxSockets: 20,
+ *   tls: { ca: fs.readFileSync('/etc/ssl/corporate-ca.pem'), pinnedPublicKeys: ['sha256/AbCd...='] }
+ * });
+ * const submission = new EudrSubmissionClientV3({ ...config, httpsAgent: agent });
+ * const legacyRetrieval = new EudrRetrievalClientV2({ ...config, httpsAgent: agent });
+ * // ...
+ * agent.destroy();
+ */
+
+const crypto = require('node:crypto');
+const https = require('https');
+const tls = require('tls');
+const { logger: packageLogger } = require('./logger');
+const { resolveProxy, shouldBypassProxy, openTunnel } = require('./proxy');
+
+const DEFAULT_AGENT_OPTIONS = {
+  keepAlive: true,
+  maxSockets: 10,
+  maxFreeSockets: 10,
+  idleTimeout: 15000
+};
+
+const DEFAULT_MIN_TLS_VERSION = 'TLSv1.2';
+const TLS_VERSIONS = ['TLSv1', 'TLSv1.1', 'TLSv1.2', 'TLSv1.3'];
+const TLS_OPTION_NAMES = ['rejectUnauthorized', 'ca', 'cert', 'key', 'pfx', 'passphrase', 'minVersion', 'pinnedPublicKeys'];
+
+/**
+ * @private
+ */
+function tlsConfigError(message, field) {
+  const error = new Error(message);
+  error.eudrErrorCode = 'EUDR_TLS_CONFIG_INVALID';
+  error.eudrSpecific = true;
+  error.field = field;
+  return error;
+}
+
+/**
+ * Normalize a pin to the base64 SHA-256 digest, accepting the HPKP
+ * "sha256/<base64>" form
+ * @private
+ */
+function normalizePin(pin, index) {
+  const value = typeof pin === 'string' ? pin.replace(/^sha256\//, '') : null;
+  if (!value || Buffer.from(value, 'base64').length !== 32) {
+    throw tlsConfigError(`tls.pinnedPublicKeys[${index}] must be a base64 SHA-256 digest of a SubjectPublicKeyInfo`, `tls.pinnedPublicKeys[${index}]`);
+  }
+  return value;
+}
+
+/**
+ * Base64 SHA-256 digest of a certificate's SubjectPublicKeyInfo, the value to pin
+ * @param {Object} certificate - A peer certificate as returned by tlsSocket.getPeerCertificate()
+ * @returns {string}
+ */
+function getPublicKeyPin(certificate) {
+  return crypto.createHash('sha256').update(certificate.pubkey).digest('base64');
+}
+
+/**
+ * checkServerIdentity that also requires a pinned public key somewhere in the
+ * presented chain (leaf or intermediate), so a CA can be pinned across leaf renewals
+ * @private
+ */
+function createPinningCheck(pins) {
+  return (hostname, certificate) => {
+    const identityError = tls.checkServerIdentity(hostname, certificate);
+    if (identityError) {
+      return identityError;
+    }
+
+    const seen = new Set();
+    for (let current = certificate; current && current.pubkey && !seen.has(current); current = current.issuerCertificate) {
+      seen.add(current);
+      if (pins.includes(getPublicKeyPin(current))) {
+        return undefined;
+      }
+    }
+
+    const error = new Error(`Certificate public key of ${hostname} does not match any of tls.pinnedPublicKeys (got sha256/${getPublicKeyPin(certificate)})`);
+    error.code = 'EUDR_TLS_PIN_MISMATCH';
+    error.eudrErrorCode = 'EUDR_TLS_PIN_MISMATCH';
+    error.eudrSpecific = true;
+    return error;
+  };
+}
+
+/**
+ * Resolve the TLS options of a client configuration into https.Agent options.
+ * `tls.rejectUnauthorized` takes precedence over the older boolean `ssl`;
+ * with neither set, certificates are verified.
+ * @param {Object} [config]
+ * @param {boolean} [config.ssl] - Deprecated: maps onto tls.rejectUnauthorized
+ * @param {Object} [config.tls]
+ * @param {boolean} [config.tls.rejectUnauthorized=true] - Verify the server certificate
+ * @param {string|Buffer|Array} [config.tls.ca] - CA bundle (PEM) trusted instead of the Node.js defaults
+ * @param {string|Buffer} [config.tls.cert] - Client certificate (PEM) for mTLS; requires key
+ * @param {string|Buffer} [config.tls.key] - Client private key (PEM) for mTLS; requires cert
+ * @param {string|Buffer} [config.tls.pfx] - Client certificate and key as PKCS#12, instead of cert/key
+ * @param {string} [config.tls.passphrase] - Passphrase of key or pfx
+ * @param {string} [config.tls.minVersion='TLSv1.2'] - Lowest accepted protocol version
+ * @param {string[]} [config.tls.pinnedPublicKeys] - Base64 SHA-256 SPKI digests ("sha256/..." accepted);
+ *   the chain presented by the server must contain one of them
+ * @param {Object} [logger] - Receives the warning when verification is off; the package logger by default
+ * @returns {Object} https.Agent TLS options
+ * @throws {Error} EUDR_TLS_CONFIG_INVALID
+ */
+function resolveTlsOptions(config = {}, logger = packageLogger) {
+  const tlsConfig = config.tls === undefined ? {} : config.tls;
+  if (!tlsConfig || typeof tlsConfig !== 'object' || Array.isArray(tlsConfig)) {
+    throw tlsConfigError('tls must be an object', 'tls');
+  }
+  for (const name of Object.keys(tlsConfig)) {
+    if (!TLS_OPTION_NAMES.includes(name)) {
+      throw tlsConfigError(`Unknown tls option "${name}"; expected one of ${TLS_OPTION_NAMES.join(', ')}`, `tls.${name}`);
+    }
+  }
+  if (config.ssl !== undefined && typeof config.ssl !== 'boolean') {
+    throw tlsConfigError('ssl must be a boolean', 'ssl');
+  }
+
+  let rejectUnauthorized = true;
+  if (tlsConfig.rejectUnauthorized !== undefined) {
+    rejectUnauthorized = tlsConfig.rejectUnauthorized;
+  } else if (config.ssl !== undefined) {
+    rejectUnauthorized = config.ssl;
+  }
+  if (typeof rejectUnauthorized !== 'boolean') {
+    throw tlsConfigError('tls.rejectUnauthorized must be a boolean', 'tls.rejectUnauthorized');
+  }
+
+  const minVersion = tlsConfig.minVersion || DEFAULT_MIN_TLS_VERSION;
+  if (!TLS_VERSIONS.includes(minVersion)) {
+    throw tlsConfigError(`tls.minVersion must be one of ${TLS_VERSIONS.join(', ')}`, 'tls.minVersion');
+  }
+  if (Boolean(tlsConfig.cert) !== Boolean(tlsConfig.key)) {
+    throw tlsConfigError('tls.cert and tls.key must be given together', tlsConfig.cert ? 'tls.key' : 'tls.cert');
+  }
+  if (tlsConfig.pfx && tlsConfig.cert) {
+    throw tlsConfigError('Use either tls.pfx or tls.cert/tls.key, not both', 'tls.pfx');
+  }
+
+  const options = { rejectUnauthorized, minVersion };
+  for (const name of ['ca', 'cert', 'key', 'pfx', 'passphrase']) {
+    if (tlsConfig[name] !== undefined) {
+      options[name] = tlsConfig[name];
+    }
+  }
+
+  if (tlsConfig.pinnedPublicKeys !== undefined) {
+    if (!Array.isArray(tlsConfig.pinnedPublicKeys) || tlsConfig.pinnedPublicKeys.length === 0) {
+      throw tlsConfigError('tls.pinnedPublicKeys must be a non-empty array', 'tls.pinnedPublicKeys');
+    }
+    // Node.js skips checkServerIdentity when certificates are not verified
+    if (!rejectUnauthorized) {
+      throw tlsConfigError('tls.pinnedPublicKeys requires certificate verification (rejectUnauthorized: true)', 'tls.pinnedPublicKeys');
+    }
+    options.checkServerIdentity = createPinningCheck(tlsConfig.pinnedPublicKeys.map(normalizePin));
+  }
+
+  if (!rejectUnauthorized) {
+    logger.warn(
+      { ssl: config.ssl, tls: { rejectUnauthorized: tlsConfig.rejectUnauthorized } },
+      'TLS CERTIFICATE VERIFICATION IS DISABLED: connections to TRACES can be intercepted and credentials read. Do not use ssl: false or tls.rejectUnauthorized: false in production.'
+    );
+  }
+
+  return options;
+}
+
+/**
+ * HTTPS agent that connects through a CONNECT tunnel, except for NO_PROXY hosts.
+ * Pooling, keep-alive and the TLS options work as with https.Agent; only the
+ * TCP connection is replaced by the tunnel.
+ */
+class EudrProxyAgent extends https.Agent {
+  /**
+   * @param {Object} options - https.Agent options, plus:
+   * @param {Object} options.proxy - Resolved proxy (see resolveProxy in utils/proxy.js)
+   */
+  constructor({ proxy, ...options }) {
+    super(options);
+    this.proxy = proxy;
+  }
+
+  createConnection(options, callback) {
+    if (shouldBypassProxy(options.host, options.port, this.proxy.noProxy)) {
+      return super.createConnection(options, callback);
+    }
+
+    openTunnel(this.proxy, { host: options.host, port: options.port }, options)
+      .then((socket) => {
+        const tlsSocket = tls.connect({ ...options, socket });
+        callback(null, tlsSocket);
+      }, callback);
+    return undefined;
+  }
+}
+
+/**
+ * Create a pooled HTTPS agent
+ * @param {Object} [options]
+ * @param {boolean} [options.ssl] - Deprecated: maps onto tls.rejectUnauthorized (see resolveTlsOptions)
+ * @param {Object} [options.tls] - TLS settings (see resolveTlsOptions)
+ * @param {string|Object|boolean} [options.proxy] - Proxy (see utils/proxy.js); HTTPS_PROXY from the environment
+ *   when undefined, none when false
+ * @param {Object} [options.logger] - Receives the warning when verification is off
+ * @param {boolean} [options.keepAlive=true] - Reuse sockets between requests
+ * @param {number} [options.maxSockets=10] - Concurrent sockets per host
+ * @param {number} [options.maxFreeSockets=10] - Idle sockets kept open per host
+ * @param {number} [options.idleTimeout=15000] - Close sockets idle for this many milliseconds
+ * @returns {https.Agent} An EudrProxyAgent when a proxy applies
+ */
+function createHttpsAgent(options = {}) {
+  const { ssl, tls: tlsConfig, proxy, logger, keepAlive, maxSockets, maxFreeSockets, idleTimeout } = { ...DEFAULT_AGENT_OPTIONS, ...options };
+
+  for (const [name, value] of Object.entries({ maxSockets, maxFreeSockets, idleTimeout })) {
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new Error(`${name} must be a positive integer`);
+    }
+  }
+
+  const agentOptions = {
+    keepAlive,
+    maxSockets,
+    maxFreeSockets,
+    timeout: idleTimeout,
+    ...resolveTlsOptions({ ssl, tls: tlsConfig }, logger)
+  };
+  const resolvedProxy = resolveProxy(proxy);
+  return resolvedProxy ? new EudrProxyAgent({ ...agentOptions, proxy: resolvedProxy }) : new https.Agent(agentOptions);
+}
+
+module.exports = {
+  EudrProxyAgent,
+  createHttpsAgent,
+  resolveTlsOptions,
+  getPublicKeyPin,
+  DEFAULT_AGENT_OPTIONS,
+  DEFAULT_MIN_TLS_VERSION
+};
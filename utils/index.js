@@ -1,11 +1,49 @@
 const EudrErrorHandler = require('./error-handler');
 const { logger, createLogger, createChildLogger } = require('./logger');
 const endpointUtils = require('./endpoint-utils');
+const geojsonUtils = require('./geojson-utils');
+const geometryValidator = require('./geometry-validator');
+const unitsValidator = require('./units-validator');
+const schemaConstraints = require('./schema-constraints');
+const retryPolicy = require('./retry-policy');
+const rateLimiter = require('./rate-limiter');
+const batchUtils = require('./batch-utils');
+const statusPoller = require('./status-poller');
+const statusLifecycle = require('./status-lifecycle');
+const cassette = require('./cassette');
+const ddsImporter = require('./dds-importer');
+const submissionJournal = require('./submission-journal');
+const statementBuilder = require('./statement-builder');
+const legacyMigration = require('./legacy-migration');
+const responseModels = require('./response-models');
+const httpAgent = require('./http-agent');
+const proxy = require('./proxy');
+const clockSkew = require('./clock-skew');
+const credentials = require('./credentials');
 
 module.exports = {
   EudrErrorHandler,
   logger,
   createLogger,
   createChildLogger,
-  endpointUtils
+  endpointUtils,
+  geojsonUtils,
+  geometryValidator,
+  unitsValidator,
+  schemaConstraints,
+  retryPolicy,
+  rateLimiter,
+  batchUtils,
+  statusPoller,
+  statusLifecycle,
+  cassette,
+  ddsImporter,
+  submissionJournal,
+  statementBuilder,
+  legacyMigration,
+  responseModels,
+  httpAgent,
+  proxy,
+  clockSkew,
+  credentials
 };
@@ -0,0 +1,185 @@
+/**
+ * EUDR V1/V2 to V3 Request Migration
+ *
+ * Converts stored V1/V2 submitDds payloads (shaped like services/scenarios-v2.js)
+ * into V3 SubmitDdsRequest objects. The V3 clients reject the legacy fields on
+ * purpose (EUDR_V3_LEGACY_OPERATOR_TYPE_FIELD, EUDR_V3_LEGACY_ASSOCIATED_STATEMENTS_FIELD,
+ * EUDR_V3_ACTIVITY_TYPE_TRADE_NOT_SUPPORTED), so the migration is explicit and
+ * reports what it could not carry over instead of guessing.
+ *
+ * Mapped:
+ * - operatorType OPERATOR / REPRESENTATIVE_OPERATOR -> operatorRole
+ * - statement.operator of a representative -> statement.representedOperator
+ *   (referenceNumber -> operatorReferenceNumber, operatorAddress.name or nameAndAddress.name
+ *   -> operatorName, email/phone -> operatorEmail/operatorPhone)
+ * - associatedStatements -> groupedDeclarations, only with options.groupAssociatedStatements
+ * - every other field the V3 statement schema knows, unchanged
+ *
+ * Everything else is left out of the result and listed in `unconvertible`.
+ *
+ * @example
+ * const { request, unconvertible } = migrateV2RequestToV3(storedPayload);
+ * unconvertible.forEach(({ path, reason }) => console.warn(`${path}: ${reason}`));
+ * await submissionClient.submitDds(request); // still validated client-side as usual
+ */
+
+const { DDS_STATEMENT_FIELDS } = require('./schema-constraints');
+
+const CARRIED_OVER_ROLES = ['OPERATOR', 'REPRESENTATIVE_OPERATOR'];
+const TRADER_ROLES = ['TRADER', 'REPRESENTATIVE_TRADER'];
+
+/**
+ * Copy the fields a field table knows, reporting the others
+ * @private
+ * @param {*} value
+ * @param {Object} fields - Field table from schema-constraints
+ * @param {string} path
+ * @param {Function} report - (path, value, reason)
+ * @returns {*} The copied value
+ */
+function copyKnownFields(value, fields, path, report) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return value;
+  }
+  const copy = {};
+  for (const [name, item] of Object.entries(value)) {
+    const descriptor = fields[name];
+    if (!descriptor) {
+      report(`${path}.${name}`, item, 'Not part of the V3 schema');
+      continue;
+    }
+    copy[name] = copyElement(item, descriptor, `${path}.${name}`, report);
+  }
+  return copy;
+}
+
+/**
+ * @private
+ */
+function copyElement(value, descriptor, path, report) {
+  if (!descriptor.fields) {
+    return value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  }
+  if (descriptor.repeated && Array.isArray(value)) {
+    return value.map((item, index) => copyElement(item, { ...descriptor, repeated: false }, `${path}[${index}]`, report));
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return copyKnownFields(value, descriptor.fields, path, report);
+  }
+  return value;
+}
+
+/**
+ * Map a V1/V2 statement.operator block to a V3 EconomicOperator
+ * @private
+ */
+function migrateOperator(operator, report) {
+  const path = 'statement.operator';
+  const represented = {};
+  let operatorName;
+
+  for (const [name, value] of Object.entries(operator)) {
+    if (name === 'referenceNumber') {
+      const [first, ...rest] = Array.isArray(value) ? value : [value];
+      if (first) {
+        represented.operatorReferenceNumber = {
+          identifierType: first.identifierType && String(first.identifierType).toLowerCase(),
+          identifierValue: first.identifierValue
+        };
+      }
+      rest.forEach((reference, index) => {
+        report(`${path}.referenceNumber[${index + 1}]`, reference, 'V3 takes a single operatorReferenceNumber');
+      });
+    } else if (name === 'operatorAddress') {
+      const { name: addressName, ...address } = value || {};
+      operatorName = addressName;
+      represented.operatorAddress = copyKnownFields(address, DDS_STATEMENT_FIELDS.representedOperator.fields.operatorAddress.fields, `${path}.operatorAddress`, report);
+    } else if (name === 'nameAndAddress') {
+      const { name: addressName, ...address } = value || {};
+      operatorName = addressName;
+      if (Object.keys(address).length > 0) {
+        report(`${path}.nameAndAddress`, address, 'V3 requires a structured operatorAddress (country, street, postalCode, city); the V1 free-text address cannot be split reliably');
+      }
+    } else if (name === 'email') {
+      represented.operatorEmail = value;
+    } else if (name === 'phone') {
+      represented.operatorPhone = value;
+    } else {
+      report(`${path}.${name}`, value, 'Not part of the V3 schema');
+    }
+  }
+
+  if (operatorName !== undefined) {
+    represented.operatorName = operatorName;
+  }
+  return represented;
+}
+
+/**
+ * Convert a V1/V2 submitDds request to a V3 SubmitDdsRequest
+ * @param {Object} request - { operatorType, statement }
+ * @param {Object} [options]
+ * @param {boolean} [options.groupAssociatedStatements=false] - Convert associatedStatements to
+ *   groupedDeclarations. Off by default: grouped declarations receive GROUPED status and can no
+ *   longer be amended or withdrawn on their own, which V2 referenced statements did not.
+ * @returns {{request: Object, unconvertible: Array<{path: string, value: *, reason: string}>}}
+ *   The V3 request (without the unconvertible fields) and what was left out, with the reason
+ */
+function migrateV2RequestToV3(request, options = {}) {
+  if (!request || typeof request !== 'object' || !request.statement || typeof request.statement !== 'object') {
+    throw new Error('migrateV2RequestToV3 requires a request with a statement object');
+  }
+
+  const unconvertible = [];
+  const report = (path, value, reason) => unconvertible.push({ path, value, reason });
+  const migrated = {};
+
+  for (const [name, value] of Object.entries(request)) {
+    if (name === 'statement') {
+      continue;
+    }
+    if (name === 'operatorType' || name === 'operatorRole') {
+      if (CARRIED_OVER_ROLES.includes(value)) {
+        migrated.operatorRole = value;
+      } else if (TRADER_ROLES.includes(value)) {
+        report(name, value, 'V3 has no trader roles, only OPERATOR and REPRESENTATIVE_OPERATOR; choose the role that applies to this declaration');
+      } else {
+        report(name, value, `Unknown operator type; V3 allows ${CARRIED_OVER_ROLES.join(', ')}`);
+      }
+    } else {
+      report(name, value, 'Not part of the V3 SubmitDdsRequest');
+    }
+  }
+
+  const statement = {};
+  for (const [name, value] of Object.entries(request.statement)) {
+    const path = `statement.${name}`;
+    if (name === 'activityType' && value === 'TRADE') {
+      report(path, value, 'V3 allows only DOMESTIC, IMPORT and EXPORT; groupedDeclarations are the closest V3 equivalent of trading goods covered by earlier declarations');
+    } else if (name === 'operator') {
+      if (migrated.operatorRole === 'REPRESENTATIVE_OPERATOR') {
+        statement.representedOperator = migrateOperator(value || {}, report);
+      } else {
+        report(path, value, 'V3 identifies the submitting operator by the web service credentials; operator details are only sent as representedOperator by a REPRESENTATIVE_OPERATOR');
+      }
+    } else if (name === 'associatedStatements') {
+      if (options.groupAssociatedStatements) {
+        const associated = Array.isArray(value) ? value : [value];
+        statement.groupedDeclarations = associated.map((item) => ({ groupedDeclaration: item && item.referenceNumber }));
+      } else {
+        report(path, value, 'V3 groupedDeclarations put the referenced declarations in GROUPED status, so they can no longer be amended or withdrawn on their own; pass groupAssociatedStatements: true to convert anyway');
+      }
+    } else if (DDS_STATEMENT_FIELDS[name]) {
+      statement[name] = copyElement(value, DDS_STATEMENT_FIELDS[name], path, report);
+    } else {
+      report(path, value, 'Not part of the V3 schema');
+    }
+  }
+  migrated.statement = statement;
+
+  return { request: migrated, unconvertible };
+}
+
+module.exports = {
+  migrateV2RequestToV3
+};
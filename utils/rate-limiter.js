@@ -0,0 +1,235 @@
+/**
+ * EUDR Rate Limiter
+ *
+ * Token-bucket limiter for the V3 clients, sized by default to the limits of the
+ * Operator API reference (section 2.3.2): 5 calls/second per IP and 10,000
+ * calls/minute globally. One limiter instance can be shared by any number of
+ * V3 clients in a process; callers queue in FIFO order and fail with
+ * EUDR_RATE_LIMIT_EXCEEDED when a token is not available within `maxWaitMs`.
+ *
+ * Bucket state lives in a pluggable store. MemoryRateLimitStore (default) covers
+ * one process; FileRateLimitStore shares the budget between worker processes on
+ * the same host through a lock-protected JSON file.
+ *
+ * @example
+ * const limiter = new EudrRateLimiter({ store: new FileRateLimitStore('/tmp/eudr-rate-limit.json') });
+ * const retrieval = new EudrRetrievalClientV3({ ...config, rateLimiter: limiter });
+ * const verify = new EudrVerifyDeclarationClientV3({ ...config, rateLimiter: limiter });
+ */
+
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const EUDR_RATE_LIMITS = [
+  { tokens: 5, intervalMs: 1000 },
+  { tokens: 10000, intervalMs: 60000 }
+];
+
+const DEFAULT_MAX_WAIT_MS = 30000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * In-process bucket store
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.states = new Map();
+  }
+
+  /**
+   * Atomically read, transform and write the bucket state of a key
+   * @param {string} key
+   * @param {Function} updater - (state|null) => { state, result }
+   * @returns {Promise<*>} The updater's result
+   */
+  async update(key, updater) {
+    const { state, result } = updater(this.states.has(key) ? this.states.get(key) : null);
+    this.states.set(key, state);
+    return result;
+  }
+}
+
+/**
+ * File-backed bucket store shared by processes on one host. Updates are
+ * serialized with an exclusive lock file next to the state file; a lock older
+ * than `staleLockMs` is assumed to belong to a crashed process and is removed.
+ */
+class FileRateLimitStore {
+  /**
+   * @param {string} filePath - JSON state file (created on first use)
+   * @param {Object} [options]
+   * @param {number} [options.staleLockMs=5000]
+   * @param {number} [options.lockRetryMs=10]
+   */
+  constructor(filePath, options = {}) {
+    if (!filePath) {
+      throw new Error('FileRateLimitStore requires a filePath');
+    }
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.staleLockMs = options.staleLockMs || 5000;
+    this.lockRetryMs = options.lockRetryMs || 10;
+  }
+
+  async update(key, updater) {
+    await this.acquireLock();
+    try {
+      const states = await this.readStates();
+      const { state, result } = updater(states[key] || null);
+      states[key] = state;
+      await fs.promises.writeFile(this.filePath, JSON.stringify(states));
+      return result;
+    } finally {
+      await fs.promises.unlink(this.lockPath).catch(() => {});
+    }
+  }
+
+  /**
+   * @private
+   */
+  async acquireLock() {
+    for (;;) {
+      try {
+        const handle = await fs.promises.open(this.lockPath, 'wx');
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        const stat = await fs.promises.stat(this.lockPath).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > this.staleLockMs) {
+          await fs.promises.unlink(this.lockPath).catch(() => {});
+        } else {
+          await sleep(this.lockRetryMs);
+        }
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  async readStates() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+        return {};
+      }
+      throw error;
+    }
+  }
+}
+
+class EudrRateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {Array<{tokens: number, intervalMs: number}>} [options.limits] - Buckets that must all grant a token; defaults to the EUDR limits
+   * @param {number} [options.maxWaitMs=30000] - Longest a caller may wait for a token
+   * @param {Object} [options.store] - { update(key, updater) }; defaults to a MemoryRateLimitStore
+   * @param {string} [options.key='eudr'] - Budget key within the store
+   */
+  constructor(options = {}) {
+    this.limits = options.limits || EUDR_RATE_LIMITS;
+    this.maxWaitMs = options.maxWaitMs === undefined ? DEFAULT_MAX_WAIT_MS : options.maxWaitMs;
+    this.store = options.store || new MemoryRateLimitStore();
+    this.key = options.key || 'eudr';
+    this.queue = Promise.resolve();
+
+    if (!Array.isArray(this.limits) || this.limits.length === 0) {
+      throw new Error('rateLimiter.limits must be a non-empty array');
+    }
+    for (const limit of this.limits) {
+      if (!(limit.tokens > 0) || !(limit.intervalMs > 0)) {
+        throw new Error('Each rate limit requires positive tokens and intervalMs');
+      }
+    }
+    if (typeof this.store.update !== 'function') {
+      throw new Error('rateLimiter.store must implement update(key, updater)');
+    }
+  }
+
+  /**
+   * Wait for a token. Calls are served in FIFO order within this process.
+   * @param {string} [operation] - Operation name, for logging and errors
+   * @returns {Promise<number>} Milliseconds spent waiting
+   * @throws {Error} EUDR_RATE_LIMIT_EXCEEDED when no token is available within maxWaitMs
+   */
+  acquire(operation) {
+    const startedAt = Date.now();
+    const turn = this.queue.then(() => this.waitForToken(operation, startedAt));
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * @private
+   */
+  async waitForToken(operation, startedAt) {
+    for (;;) {
+      const waitMs = await this.store.update(this.key, (state) => this.take(state, Date.now()));
+      const waited = Date.now() - startedAt;
+
+      if (waitMs === 0) {
+        return waited;
+      }
+      if (waited + waitMs > this.maxWaitMs) {
+        const error = new Error(`Rate limit exceeded: no request slot available for ${operation || 'request'} within ${this.maxWaitMs}ms`);
+        error.eudrErrorCode = 'EUDR_RATE_LIMIT_EXCEEDED';
+        error.eudrSpecific = true;
+        throw error;
+      }
+
+      logger.debug({ operation, waitMs }, 'Waiting for EUDR rate limit token');
+      await sleep(waitMs);
+    }
+  }
+
+  /**
+   * Refill every bucket and take one token from each if all have one
+   * @private
+   * @returns {{state: Object, result: number}} result is 0 when granted, else the ms until a token is due
+   */
+  take(state, now) {
+    const buckets = this.limits.map((limit, index) => {
+      const previous = state && state.buckets ? state.buckets[index] : undefined;
+      if (typeof previous !== 'number') {
+        return limit.tokens;
+      }
+      const refill = ((now - state.updatedAt) * limit.tokens) / limit.intervalMs;
+      return Math.min(limit.tokens, previous + Math.max(0, refill));
+    });
+
+    const waitMs = Math.max(0, ...this.limits.map((limit, index) =>
+      buckets[index] >= 1 ? 0 : Math.ceil(((1 - buckets[index]) * limit.intervalMs) / limit.tokens)
+    ));
+
+    return {
+      state: { updatedAt: now, buckets: waitMs === 0 ? buckets.map((tokens) => tokens - 1) : buckets },
+      result: waitMs
+    };
+  }
+}
+
+let sharedRateLimiter = null;
+
+/**
+ * Process-wide limiter with the EUDR defaults, used by clients configured with `rateLimiter: true`
+ * @returns {EudrRateLimiter}
+ */
+function getSharedRateLimiter() {
+  if (!sharedRateLimiter) {
+    sharedRateLimiter = new EudrRateLimiter();
+  }
+  return sharedRateLimiter;
+}
+
+module.exports = {
+  EudrRateLimiter,
+  MemoryRateLimitStore,
+  FileRateLimitStore,
+  getSharedRateLimiter,
+  EUDR_RATE_LIMITS
+};
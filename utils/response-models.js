@@ -0,0 +1,142 @@
+/**
+ * EUDR V3 Response Models
+ *
+ * Maps the statements returned by getDdsByIdentifiers / getSdByIdentifiers
+ * (xml2js output with namespace prefixes stripped) onto the request model, using
+ * the same field tables as the client-side schema validation:
+ * - long and decimal fields (positions, goods measures) become numbers
+ * - boolean fields (geoLocationConfidential) become true/false
+ * - geometryGeojson is decoded to a GeoJSON object
+ * - repeated fields are always arrays, and XML attributes are dropped
+ *
+ * The result can be passed back to amendDds / updateSd unchanged.
+ *
+ * @example
+ * const { statement } = await retrievalV3.getDdsByIdentifiers(referenceNumber, verificationNumber, { typed: true });
+ * statement.commodities[0].descriptors.goodsMeasure.netWeight; // 300 (not '300.000000')
+ * await submissionV3.amendDds(uuid, { ...statement, comment: 'Corrected' });
+ */
+
+const { DDS_STATEMENT_FIELDS, SD_STATEMENT_FIELDS, SIMPLE_TYPES } = require('./schema-constraints');
+const { decodeGeojson } = require('./geojson-utils');
+
+/**
+ * Text of an xml2js element that carries attributes ({ _: text, $: attributes })
+ * @private
+ */
+function textValue(value) {
+  if (value && typeof value === 'object' && !Array.isArray(value) && Object.prototype.hasOwnProperty.call(value, '_')) {
+    return value._;
+  }
+  return value;
+}
+
+/**
+ * Convert a simple-type value to its JavaScript type
+ * @private
+ * @param {*} value
+ * @param {string} typeName - Key of SIMPLE_TYPES
+ * @returns {*} The converted value, or the value unchanged when it does not parse
+ */
+function coerceSimpleType(value, typeName) {
+  const text = textValue(value);
+  if (text === undefined || text === null || typeof text === 'object') {
+    return text;
+  }
+
+  const { base } = SIMPLE_TYPES[typeName];
+  if (base === 'boolean') {
+    return text === true || text === 'true' ? true : (text === false || text === 'false' ? false : text);
+  }
+  if (base === 'long' || base === 'decimal') {
+    const number = Number(text);
+    return String(text).trim() !== '' && Number.isFinite(number) ? number : text;
+  }
+  if (base === 'base64Binary') {
+    const decoded = decodeGeojson(text);
+    return decoded === null ? text : decoded;
+  }
+  return String(text);
+}
+
+/**
+ * Map one element against its field-table descriptor
+ * @private
+ */
+function mapElement(value, descriptor) {
+  if (descriptor.fields && value && typeof value === 'object' && !Object.prototype.hasOwnProperty.call(value, '_')) {
+    return mapFields(value, descriptor.fields);
+  }
+  if (descriptor.type) {
+    return coerceSimpleType(value, descriptor.type);
+  }
+  return value;
+}
+
+/**
+ * Map an object against a field table. Known fields come first, in table order;
+ * fields the table does not know are kept as received, without attributes.
+ * @private
+ */
+function mapFields(object, fields) {
+  const mapped = {};
+
+  for (const [name, descriptor] of Object.entries(fields)) {
+    const value = object[name];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    mapped[name] = descriptor.repeated
+      ? (Array.isArray(value) ? value : [value]).map((item) => mapElement(item, descriptor))
+      : mapElement(value, descriptor);
+  }
+
+  for (const [name, value] of Object.entries(object)) {
+    if (name !== '$' && !Object.prototype.hasOwnProperty.call(fields, name)) {
+      mapped[name] = stripAttributes(value);
+    }
+  }
+
+  return mapped;
+}
+
+/**
+ * @private
+ */
+function stripAttributes(value) {
+  if (Array.isArray(value)) {
+    return value.map(stripAttributes);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (Object.prototype.hasOwnProperty.call(value, '_')) {
+    return value._;
+  }
+  return Object.fromEntries(Object.entries(value)
+    .filter(([name]) => name !== '$')
+    .map(([name, item]) => [name, stripAttributes(item)]));
+}
+
+/**
+ * Map a namespace-stripped DDS statement onto the DDS request model
+ * @param {Object} statement - Statement from a GetDdsByIdentifiersResponse
+ * @returns {Object|null}
+ */
+function toDdsStatementModel(statement) {
+  return statement && typeof statement === 'object' ? mapFields(statement, DDS_STATEMENT_FIELDS) : null;
+}
+
+/**
+ * Map a namespace-stripped SD statement onto the SD request model
+ * @param {Object} statement - Statement from a GetSdByIdentifiersResponse
+ * @returns {Object|null}
+ */
+function toSdStatementModel(statement) {
+  return statement && typeof statement === 'object' ? mapFields(statement, SD_STATEMENT_FIELDS) : null;
+}
+
+module.exports = {
+  toDdsStatementModel,
+  toSdStatementModel
+};
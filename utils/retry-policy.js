@@ -0,0 +1,201 @@
+/**
+ * EUDR Retry Policy
+ *
+ * Exponential backoff with jitter and Retry-After support for the V3 clients,
+ * following the "structured retry intervals" recommendation of the Operator API
+ * reference (section 2.4).
+ *
+ * Retries are idempotency-aware: read operations (getDds, getSd*, verifyDeclaration)
+ * are retried on any transient failure, while write operations (submitDds, amendDds,
+ * withdrawDds, submitSd, updateSd, withdrawSd) are only retried when the request
+ * provably never reached the server (connection refused, DNS failure) or was
+ * explicitly throttled (HTTP 429), unless `retryNonIdempotent` is set. A custom
+ * `shouldRetry` is only consulted for failures that may be retried under this rule.
+ */
+
+const { logger } = require('./logger');
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  initialDelayMs: 500,
+  maxDelayMs: 10000,
+  multiplier: 2,
+  jitter: 'full',
+  respectRetryAfter: true,
+  maxRetryAfterMs: 60000,
+  retryableStatusCodes: [429, 502, 503, 504],
+  retryableErrorCodes: ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND'],
+  retryNonIdempotent: false,
+  shouldRetry: null
+};
+
+// Failures that guarantee the server never processed the request
+const NOT_SENT_ERROR_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND'];
+const JITTER_MODES = ['full', 'equal', 'none'];
+
+/**
+ * Build a complete retry policy from the `retry` client option
+ * @param {Object|boolean|undefined} retryConfig - Partial policy, `false` to disable, undefined for defaults
+ * @returns {Object} Normalized policy (maxAttempts 1 when disabled)
+ */
+function normalizeRetryPolicy(retryConfig) {
+  if (retryConfig === false) {
+    return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+  }
+
+  const policy = { ...DEFAULT_RETRY_POLICY, ...(retryConfig === true ? {} : retryConfig) };
+
+  if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+    throw new Error('retry.maxAttempts must be a positive integer');
+  }
+  if (!JITTER_MODES.includes(policy.jitter)) {
+    throw new Error(`Invalid retry.jitter '${policy.jitter}'. Allowed: ${JITTER_MODES.join(', ')}`);
+  }
+  if (policy.shouldRetry != null && typeof policy.shouldRetry !== 'function') {
+    throw new Error('retry.shouldRetry must be a function');
+  }
+
+  return policy;
+}
+
+/**
+ * Parse a Retry-After header value (delta-seconds or HTTP-date)
+ * @param {string|number|undefined} value
+ * @param {number} [now=Date.now()]
+ * @returns {number|null} Delay in milliseconds, or null if absent/unparseable
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return parseInt(text, 10) * 1000;
+  }
+
+  const date = Date.parse(text);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Read the Retry-After header of a failed response, whatever the header casing
+ * @private
+ */
+function getRetryAfterHeader(error) {
+  const headers = error && error.response && error.response.headers;
+  if (!headers) {
+    return undefined;
+  }
+  if (typeof headers.get === 'function') {
+    return headers.get('retry-after');
+  }
+  const key = Object.keys(headers).find((name) => name.toLowerCase() === 'retry-after');
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * Compute the backoff delay before the given retry
+ * @param {number} retryNumber - 1 for the first retry
+ * @param {Object} policy - Normalized policy
+ * @param {Function} [random=Math.random]
+ * @returns {number} Delay in milliseconds
+ */
+function computeBackoffDelay(retryNumber, policy, random = Math.random) {
+  const exponential = Math.min(policy.maxDelayMs, policy.initialDelayMs * Math.pow(policy.multiplier, retryNumber - 1));
+
+  if (policy.jitter === 'full') {
+    return Math.round(random() * exponential);
+  }
+  if (policy.jitter === 'equal') {
+    return Math.round(exponential / 2 + random() * (exponential / 2));
+  }
+  return exponential;
+}
+
+/**
+ * Decide whether a failed attempt may be retried
+ * @param {Error} error - Raw transport error (before EudrErrorHandler)
+ * @param {Object} policy - Normalized policy
+ * @param {boolean} idempotent - Whether the operation is safe to repeat
+ * @returns {boolean}
+ */
+function isRetryableError(error, policy, idempotent) {
+  if (!error || error.eudrSpecific) {
+    return false;
+  }
+
+  const status = error.response ? error.response.status : null;
+
+  // Writes that may have been processed are never repeated, whatever shouldRetry says
+  if (!idempotent && !policy.retryNonIdempotent) {
+    const notProcessed = status === 429 || (!error.response && NOT_SENT_ERROR_CODES.includes(error.code));
+    if (!notProcessed) {
+      return false;
+    }
+    return policy.shouldRetry ? Boolean(policy.shouldRetry(error, { idempotent })) : true;
+  }
+
+  if (policy.shouldRetry) {
+    return Boolean(policy.shouldRetry(error, { idempotent }));
+  }
+
+  if (status !== null) {
+    return policy.retryableStatusCodes.includes(status);
+  }
+  return policy.retryableErrorCodes.includes(error.code);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run an attempt function under a retry policy
+ * @param {Function} attempt - async (attemptNumber) => result; must rebuild anything
+ *   single-use (e.g. the WS-Security nonce) on every call
+ * @param {Object} options
+ * @param {Object} options.policy - Normalized policy
+ * @param {boolean} options.idempotent
+ * @param {string} [options.operation] - Operation name, for logging
+ * @param {Function} [options.wait] - async (ms) => void, defaults to setTimeout
+ * @returns {Promise<*>} The first successful result
+ * @throws The last error once attempts are exhausted or the error is not retryable
+ */
+async function executeWithRetry(attempt, options) {
+  const { policy, idempotent, operation, wait = sleep } = options;
+
+  for (let attemptNumber = 1; ; attemptNumber++) {
+    try {
+      return await attempt(attemptNumber);
+    } catch (error) {
+      if (attemptNumber >= policy.maxAttempts || !isRetryableError(error, policy, idempotent)) {
+        throw error;
+      }
+
+      let delayMs = computeBackoffDelay(attemptNumber, policy);
+      if (policy.respectRetryAfter) {
+        const retryAfterMs = parseRetryAfter(getRetryAfterHeader(error));
+        if (retryAfterMs !== null) {
+          if (retryAfterMs > policy.maxRetryAfterMs) {
+            throw error;
+          }
+          delayMs = Math.max(delayMs, retryAfterMs);
+        }
+      }
+
+      logger.info(
+        { operation, attempt: attemptNumber, delayMs, status: error.response ? error.response.status : undefined, code: error.code },
+        `Retrying V3 ${operation || 'request'} after transient failure`
+      );
+      await wait(delayMs);
+    }
+  }
+}
+
+module.exports = {
+  normalizeRetryPolicy,
+  executeWithRetry,
+  isRetryableError,
+  computeBackoffDelay,
+  parseRetryAfter,
+  DEFAULT_RETRY_POLICY
+};
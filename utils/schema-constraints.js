@@ -0,0 +1,409 @@
+/**
+ * EUDR V3 Schema Constraints
+ *
+ * Constraint table for the V3 DDS and SD request payloads, transcribed from the
+ * types of the EUDRDueDiligenceStatementServiceV3 / EUDRSimplifiedDeclarationServiceV3
+ * schemas (the bundled WSDLs import their XSDs remotely; the type definitions are
+ * reproduced in "EUDR Operator API Reference v1.0", sections 4.1.3-4.2.4).
+ *
+ * Checking a request against this table catches the violations the server would
+ * otherwise reject with a `cvc-` SAXParseException fault, before anything is sent.
+ */
+
+const { logger } = require('./logger');
+const { encodeGeojson } = require('./geojson-utils');
+
+const VALIDATION_MODES = ['strict', 'warn', 'off'];
+
+const EUROPEAN_COUNTRIES = [
+  'AT', 'BE', 'BG', 'CY', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'HU',
+  'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK', 'XI'
+];
+
+// Simple types, keyed by their schema name. Anonymous inline restrictions
+// ("string (max 500)") are given a descriptive name of their own.
+const SIMPLE_TYPES = {
+  InternalReferenceNumberType: { base: 'string', maxLength: 35 },
+  ReferenceNumberType: { base: 'string', maxLength: 14 },
+  VerificationNumberType: { base: 'string', minLength: 5, maxLength: 35 },
+  UuidType: { base: 'string', pattern: /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/ },
+  CountryType: { base: 'string', pattern: /^[a-zA-Z]{2}$/ },
+  EuropeanCountryType: { base: 'string', enumeration: EUROPEAN_COUNTRIES },
+  ActivityType: { base: 'string', enumeration: ['DOMESTIC', 'IMPORT', 'EXPORT'] },
+  OperatorRoleType: { base: 'string', enumeration: ['OPERATOR', 'REPRESENTATIVE_OPERATOR'] },
+  SdOperatorRoleType: { base: 'string', enumeration: ['MICRO_OPERATOR', 'REPRESENTATIVE_MSPO', 'MEMBER_STATE'] },
+  StreetAndNumberType: { base: 'string', minLength: 1, maxLength: 300 },
+  NonStructuredAddressType: { base: 'string', minLength: 1, maxLength: 250 },
+  PostalCodeType: { base: 'string', minLength: 1, maxLength: 80 },
+  CityType: { base: 'string', minLength: 1, maxLength: 200 },
+  EmailType: { base: 'string', maxLength: 200, pattern: /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/ },
+  PhoneType: { base: 'string', maxLength: 50 },
+  EditorialCommentType: { base: 'string', maxLength: 2000 },
+  IdentifierTypeType: {
+    base: 'string',
+    enumeration: ['eori', 'vat', 'gln', 'tin', 'cbr', 'cin', 'duns', 'comp_num', 'comp_reg', 'oni']
+  },
+  IdentifierValueType: { base: 'string', maxLength: 80 },
+  OperatorNameType: { base: 'string', maxLength: 200 },
+  ProducerNameType: { base: 'string', maxLength: 500 },
+  DescriptionOfGoodsType: { base: 'string', maxLength: 150 },
+  CadastralIdentifierType: { base: 'string', maxLength: 80 },
+  ScientificNameType: { base: 'string', minLength: 1, maxLength: 200 },
+  SupplementaryUnitQualifierType: { base: 'string', minLength: 3, maxLength: 4 },
+  HSHeadingType: { base: 'string', minLength: 2, maxLength: 6, pattern: /^[0-9]{2,6}$/ },
+  DecimalThreePrecType: { base: 'decimal', fractionDigits: 3 },
+  DecimalSixteenTotalSixPrecType: { base: 'decimal', totalDigits: 16, fractionDigits: 6 },
+  long: { base: 'long' },
+  boolean: { base: 'boolean' },
+  base64Binary: { base: 'base64Binary' }
+};
+
+const ADDRESS_FIELDS = {
+  country: { type: 'CountryType', required: true },
+  street: { type: 'StreetAndNumberType', required: true },
+  postalCode: { type: 'PostalCodeType', required: true },
+  city: { type: 'CityType', required: true },
+  fullAddress: { type: 'NonStructuredAddressType' }
+};
+
+const ECONOMIC_OPERATOR_FIELDS = {
+  operatorReferenceNumber: {
+    fields: {
+      identifierType: { type: 'IdentifierTypeType', required: true },
+      identifierValue: { type: 'IdentifierValueType', required: true }
+    }
+  },
+  operatorAddress: { fields: ADDRESS_FIELDS },
+  operatorEmail: { type: 'EmailType' },
+  operatorPhone: { type: 'PhoneType' },
+  operatorName: { type: 'OperatorNameType', required: true }
+};
+
+const COMMERCIAL_DESCRIPTION_FIELDS = {
+  descriptionOfGoods: { type: 'DescriptionOfGoodsType', required: true },
+  goodsMeasure: {
+    required: true,
+    fields: {
+      percentageEstimationOrDeviation: { type: 'DecimalThreePrecType' },
+      netWeight: { type: 'DecimalSixteenTotalSixPrecType' },
+      supplementaryUnit: { type: 'DecimalSixteenTotalSixPrecType' },
+      supplementaryUnitQualifier: { type: 'SupplementaryUnitQualifierType' }
+    }
+  }
+};
+
+// groupedDeclarations items may be a bare reference number or { groupedDeclaration }
+const GROUPED_DECLARATIONS = {
+  repeated: true,
+  type: 'ReferenceNumberType',
+  fields: {
+    groupedDeclaration: { type: 'ReferenceNumberType' },
+    referenceNumber: { type: 'ReferenceNumberType' }
+  }
+};
+
+// geoLocationConfidential is mandatory in the schema, but the builders default it to false
+const STATEMENT_COMMON_FIELDS = {
+  activityType: { type: 'ActivityType', required: true },
+  representedOperator: { fields: ECONOMIC_OPERATOR_FIELDS },
+  countryOfActivity: { type: 'EuropeanCountryType' },
+  borderCrossCountry: { type: 'EuropeanCountryType' },
+  comment: { type: 'EditorialCommentType' },
+  geoLocationConfidential: { type: 'boolean' },
+  groupedDeclarations: GROUPED_DECLARATIONS
+};
+
+const DDS_STATEMENT_FIELDS = {
+  internalReferenceNumber: { type: 'InternalReferenceNumberType' },
+  ...STATEMENT_COMMON_FIELDS,
+  commodities: {
+    required: true,
+    repeated: true,
+    fields: {
+      position: { type: 'long' },
+      descriptors: { required: true, fields: COMMERCIAL_DESCRIPTION_FIELDS },
+      hsHeading: { type: 'HSHeadingType', required: true },
+      speciesInfo: {
+        repeated: true,
+        fields: {
+          scientificName: { type: 'ScientificNameType' },
+          commonName: { type: 'ScientificNameType' }
+        }
+      },
+      producers: {
+        repeated: true,
+        fields: {
+          position: { type: 'long' },
+          country: { type: 'CountryType', required: true },
+          name: { type: 'ProducerNameType' },
+          geometryGeojson: { type: 'base64Binary', required: true }
+        }
+      }
+    }
+  }
+};
+
+const SD_PRODUCER_LOCATION_FIELDS = {
+  geometryGeojson: { type: 'base64Binary' },
+  postalAddress: {
+    repeated: true,
+    fields: {
+      producerStreet: { type: 'StreetAndNumberType' },
+      producerPostalCode: { type: 'PostalCodeType', required: true },
+      producerCity: { type: 'CityType', required: true }
+    }
+  },
+  cadastralIdentifier: { type: 'CadastralIdentifierType', repeated: true }
+};
+
+// SD internalReferenceNumber is a ReferenceNumberType (max 14), not an InternalReferenceNumberType
+const SD_STATEMENT_FIELDS = {
+  internalReferenceNumber: { type: 'ReferenceNumberType', required: true },
+  ...STATEMENT_COMMON_FIELDS,
+  commodities: {
+    required: true,
+    repeated: true,
+    fields: {
+      position: { type: 'long' },
+      descriptors: { required: true, fields: COMMERCIAL_DESCRIPTION_FIELDS },
+      hsHeading: { type: 'HSHeadingType', required: true },
+      producers: {
+        repeated: true,
+        fields: {
+          producerPosition: { type: 'long' },
+          producerCountry: { type: 'CountryType', required: true },
+          producerName: { type: 'ProducerNameType' },
+          // The builder also accepts the location choice directly on the producer
+          producerLocation: { fields: SD_PRODUCER_LOCATION_FIELDS },
+          ...SD_PRODUCER_LOCATION_FIELDS
+        }
+      }
+    }
+  }
+};
+
+const DDS_REQUEST_FIELDS = {
+  operatorRole: { type: 'OperatorRoleType', required: true },
+  statement: { required: true, fields: DDS_STATEMENT_FIELDS }
+};
+
+const SD_REQUEST_FIELDS = {
+  operatorRole: { type: 'SdOperatorRoleType', required: true },
+  statement: { required: true, fields: SD_STATEMENT_FIELDS }
+};
+
+const DECIMAL_PATTERN = /^[+-]?(\d+(\.\d*)?|\.\d+)$/;
+const LONG_PATTERN = /^[+-]?\d+$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * Check a value against a simple type
+ * @private
+ * @param {*} value
+ * @param {string} typeName - Key of SIMPLE_TYPES
+ * @returns {{constraint: string, message: string}|null} The first violated facet, or null
+ */
+function checkSimpleType(value, typeName) {
+  const type = SIMPLE_TYPES[typeName];
+
+  if (type.base === 'boolean') {
+    return [true, false, 'true', 'false'].includes(value)
+      ? null
+      : { constraint: 'boolean', message: `must be a boolean, got '${value}'` };
+  }
+
+  if (type.base === 'base64Binary') {
+    if (value && typeof value === 'object') {
+      return null;
+    }
+    const encoded = encodeGeojson(value);
+    return typeof encoded === 'string' && encoded.length % 4 === 0 && BASE64_PATTERN.test(encoded)
+      ? null
+      : { constraint: 'base64Binary', message: 'must be GeoJSON or Base64-encoded data' };
+  }
+
+  if (typeof value === 'object') {
+    return { constraint: 'type', message: `must be a ${typeName} value, got an object` };
+  }
+
+  const text = String(value);
+
+  if (type.base === 'long') {
+    return LONG_PATTERN.test(text) ? null : { constraint: 'long', message: `must be an integer, got '${text}'` };
+  }
+
+  if (type.base === 'decimal') {
+    if (!DECIMAL_PATTERN.test(text)) {
+      return { constraint: 'decimal', message: `must be a decimal number, got '${text}'` };
+    }
+    const [integerPart, fractionPart = ''] = text.replace(/^[+-]/, '').split('.');
+    if (type.fractionDigits !== undefined && fractionPart.length > type.fractionDigits) {
+      return { constraint: 'fractionDigits', message: `must have at most ${type.fractionDigits} fraction digits, got '${text}'` };
+    }
+    const totalDigits = (integerPart.replace(/^0+/, '') + fractionPart.replace(/0+$/, '')).length;
+    if (type.totalDigits !== undefined && totalDigits > type.totalDigits) {
+      return { constraint: 'totalDigits', message: `must have at most ${type.totalDigits} digits in total, got '${text}'` };
+    }
+    return null;
+  }
+
+  if (type.enumeration && !type.enumeration.includes(text)) {
+    return { constraint: 'enumeration', message: `must be one of ${type.enumeration.join(', ')}, got '${text}'` };
+  }
+  if (type.minLength !== undefined && text.length < type.minLength) {
+    return { constraint: 'minLength', message: `must be at least ${type.minLength} characters long` };
+  }
+  if (type.maxLength !== undefined && text.length > type.maxLength) {
+    return { constraint: 'maxLength', message: `must be at most ${type.maxLength} characters long, got ${text.length}` };
+  }
+  if (type.pattern && !type.pattern.test(text)) {
+    return { constraint: 'pattern', message: `does not match the ${typeName} pattern, got '${text}'` };
+  }
+  return null;
+}
+
+/**
+ * Check a single (non-repeated) element value against its descriptor
+ * @private
+ */
+function checkElement(value, descriptor, path, violations) {
+  if (descriptor.fields && value && typeof value === 'object' && !Array.isArray(value)) {
+    checkFields(value, descriptor.fields, path, violations);
+    return;
+  }
+
+  if (descriptor.type) {
+    const problem = checkSimpleType(value, descriptor.type);
+    if (problem) {
+      violations.push({ path, type: descriptor.type, value, ...problem });
+    }
+    return;
+  }
+
+  violations.push({ path, constraint: 'type', message: 'must be an object', value });
+}
+
+/**
+ * Check every field of an object against a field table, appending violations
+ * @private
+ */
+function checkFields(object, fields, basePath, violations) {
+  for (const [name, descriptor] of Object.entries(fields)) {
+    const path = basePath ? `${basePath}.${name}` : name;
+    const value = object[name];
+
+    if (value === undefined || value === null) {
+      if (descriptor.required) {
+        violations.push({ path, constraint: 'required', message: 'is required' });
+      }
+      continue;
+    }
+
+    if (descriptor.repeated) {
+      const items = Array.isArray(value) ? value : [value];
+      if (descriptor.required && items.length === 0) {
+        violations.push({ path, constraint: 'required', message: 'must contain at least one item' });
+      }
+      items.forEach((item, index) => checkElement(item, descriptor, `${path}[${index}]`, violations));
+    } else {
+      checkElement(value, descriptor, path, violations);
+    }
+  }
+}
+
+/**
+ * Validate a value against a field table
+ * @private
+ * @returns {Array<{path: string, constraint: string, message: string, type?: string, value?: *}>}
+ */
+function validateAgainst(value, fields, basePath) {
+  const violations = [];
+  if (!value || typeof value !== 'object') {
+    violations.push({ path: basePath || '$', constraint: 'required', message: 'is required' });
+    return violations;
+  }
+  checkFields(value, fields, basePath, violations);
+  return violations;
+}
+
+/**
+ * Validate a submitDds request ({ operatorRole, statement }) against the V3 DDS schema
+ * @param {Object} request
+ * @returns {Array<{path: string, constraint: string, message: string, type?: string, value?: *}>} Every violation found, with a JSON path
+ */
+function validateDdsRequest(request) {
+  return validateAgainst(request, DDS_REQUEST_FIELDS, '');
+}
+
+/**
+ * Validate a DDS statement (e.g. for amendDds) against the V3 DDS schema
+ * @param {Object} statement
+ * @returns {Array<Object>} Every violation found; paths start with `statement.`
+ */
+function validateDdsStatement(statement) {
+  return validateAgainst(statement, DDS_STATEMENT_FIELDS, 'statement');
+}
+
+/**
+ * Validate a submitSd request ({ operatorRole, statement }) against the V3 SD schema
+ * @param {Object} request
+ * @returns {Array<Object>} Every violation found, with a JSON path
+ */
+function validateSdRequest(request) {
+  return validateAgainst(request, SD_REQUEST_FIELDS, '');
+}
+
+/**
+ * Validate an SD statement (e.g. for updateSd) against the V3 SD schema
+ * @param {Object} statement
+ * @returns {Array<Object>} Every violation found; paths start with `statement.`
+ */
+function validateSdStatement(statement) {
+  return validateAgainst(statement, SD_STATEMENT_FIELDS, 'statement');
+}
+
+/**
+ * Apply a validation mode to a list of schema violations
+ * @param {Array<Object>} violations - Result of one of the validate* functions
+ * @param {Object} [options]
+ * @param {string} [options.mode='strict'] - 'strict' throws if there is any violation, 'warn' logs them, 'off' ignores them
+ * @returns {Array<Object>} The violations (empty in 'off' mode)
+ * @throws {Error} In 'strict' mode, an error with eudrErrorCode, field (first path) and the full violations list
+ */
+function enforceSchemaViolations(violations, options = {}) {
+  const mode = options.mode || 'strict';
+  if (!VALIDATION_MODES.includes(mode)) {
+    throw new Error(`Invalid schema validation mode '${mode}'. Allowed: ${VALIDATION_MODES.join(', ')}`);
+  }
+  if (mode === 'off' || violations.length === 0) {
+    return [];
+  }
+
+  if (mode === 'strict') {
+    const [first] = violations;
+    const more = violations.length > 1 ? ` (and ${violations.length - 1} more)` : '';
+    const error = new Error(`Request does not match the V3 schema: ${first.path} ${first.message}${more}`);
+    error.eudrErrorCode = 'EUDR_SCHEMA_VALIDATION_ERROR';
+    error.eudrSpecific = true;
+    error.field = first.path;
+    error.violations = violations;
+    throw error;
+  }
+
+  violations.forEach((violation) => {
+    logger.warn({ eudrErrorCode: 'EUDR_SCHEMA_VALIDATION_ERROR', field: violation.path }, `${violation.path} ${violation.message}`);
+  });
+  return violations;
+}
+
+module.exports = {
+  validateDdsRequest,
+  validateDdsStatement,
+  validateSdRequest,
+  validateSdStatement,
+  enforceSchemaViolations,
+  SIMPLE_TYPES,
+  DDS_STATEMENT_FIELDS,
+  SD_STATEMENT_FIELDS,
+  VALIDATION_MODES
+};
@@ -0,0 +1,407 @@
+/**
+ * EUDR V3 Statement Builders
+ *
+ * Fluent builders for SubmitDdsRequest and SubmitSdRequest objects. Every call
+ * is checked against the V3 schema table as it is made, so a bad country code or
+ * an over-long description fails at the line that set it. build() then checks
+ * the request as a whole (schema, the rules between fields, units of measure and
+ * geometry) and reports every schema violation at once instead of the first one.
+ *
+ * Rules between fields that the schema table cannot express:
+ * - operatorRole REPRESENTATIVE_OPERATOR (DDS) or REPRESENTATIVE_MSPO (SD) requires statement.representedOperator
+ * - an SD producer gives exactly one location: geometryGeojson, postalAddress or cadastralIdentifier
+ *
+ * @example
+ * const request = new DdsBuilder()
+ *   .internalReference('PO-2024-001')
+ *   .activity('IMPORT')
+ *   .country('BE')
+ *   .addCommodity('1801', 'Cocoa beans')
+ *   .withNetWeight(1200)
+ *   .addProducer({ country: 'GH', name: 'Cooperative', geometryGeojson: polygon })
+ *   .build();
+ *
+ * await submissionClient.submitDds(request);
+ */
+
+const { validateDdsRequest, validateSdRequest, enforceSchemaViolations } = require('./schema-constraints');
+const { validateUnitsOfMeasure } = require('./units-validator');
+const { validateStatementGeometry } = require('./geometry-validator');
+const { renderDdsSubmitBodyXml, renderSdSubmitBodyXml } = require('./statement-xml');
+
+const SD_LOCATION_CHOICES = ['geometryGeojson', 'postalAddress', 'cadastralIdentifier'];
+
+/**
+ * Whether a violation path lies at or below one of the given paths
+ * @private
+ */
+function isUnder(path, prefixes) {
+  return prefixes.some((prefix) => path === prefix || path.startsWith(`${prefix}.`) || path.startsWith(`${prefix}[`));
+}
+
+/**
+ * Shared state and fluent methods of DdsBuilder and SdBuilder
+ * @private
+ */
+class StatementBuilder {
+  /**
+   * @param {Object} kind - { validateRequest, representativeRole, renderBody }
+   * @param {Object} [options]
+   */
+  constructor(kind, options = {}) {
+    this.kind = kind;
+    this.options = {
+      schemaValidation: 'strict',
+      unitsValidation: 'strict',
+      geometryValidation: 'strict',
+      ...options
+    };
+    this.request = { statement: { commodities: [], geoLocationConfidential: false } };
+    this.commodityIndex = -1;
+  }
+
+  /**
+   * @param {string} role
+   * @returns {this}
+   */
+  operatorRole(role) {
+    return this.apply(['operatorRole'], () => {
+      this.request.operatorRole = role;
+    });
+  }
+
+  /**
+   * @param {string} internalReferenceNumber
+   * @returns {this}
+   */
+  internalReference(internalReferenceNumber) {
+    return this.setStatementField('internalReferenceNumber', internalReferenceNumber);
+  }
+
+  /**
+   * @param {string} activityType - DOMESTIC, IMPORT or EXPORT
+   * @returns {this}
+   */
+  activity(activityType) {
+    return this.setStatementField('activityType', activityType);
+  }
+
+  /**
+   * @param {string} countryOfActivity - EU member state code
+   * @returns {this}
+   */
+  country(countryOfActivity) {
+    return this.setStatementField('countryOfActivity', countryOfActivity);
+  }
+
+  /**
+   * @param {string} borderCrossCountry - EU member state code
+   * @returns {this}
+   */
+  borderCrossCountry(borderCrossCountry) {
+    return this.setStatementField('borderCrossCountry', borderCrossCountry);
+  }
+
+  /**
+   * @param {string} comment
+   * @returns {this}
+   */
+  comment(comment) {
+    return this.setStatementField('comment', comment);
+  }
+
+  /**
+   * @param {boolean} [confidential=true]
+   * @returns {this}
+   */
+  geoLocationConfidential(confidential = true) {
+    return this.setStatementField('geoLocationConfidential', confidential);
+  }
+
+  /**
+   * The operator on whose behalf a representative submits
+   * @param {Object} operator - { operatorName, operatorReferenceNumber?: { identifierType, identifierValue },
+   *   operatorAddress?: { country, street, postalCode, city, fullAddress? }, operatorEmail?, operatorPhone? }
+   * @returns {this}
+   */
+  representedOperator(operator) {
+    return this.setStatementField('representedOperator', operator);
+  }
+
+  /**
+   * Group declarations by reference number
+   * @param {...string} referenceNumbers
+   * @returns {this}
+   */
+  groupWith(...referenceNumbers) {
+    const statement = this.request.statement;
+    const start = (statement.groupedDeclarations || []).length;
+    const paths = referenceNumbers.map((_, offset) => `statement.groupedDeclarations[${start + offset}]`);
+    return this.apply(paths, () => {
+      statement.groupedDeclarations = [
+        ...(statement.groupedDeclarations || []),
+        ...referenceNumbers.map((groupedDeclaration) => ({ groupedDeclaration }))
+      ];
+    });
+  }
+
+  /**
+   * Start a new commodity; the with*() and addProducer() calls that follow apply to it
+   * @param {string} hsHeading
+   * @param {string} descriptionOfGoods
+   * @returns {this}
+   */
+  addCommodity(hsHeading, descriptionOfGoods) {
+    const index = this.request.statement.commodities.length;
+    const path = `statement.commodities[${index}]`;
+    return this.apply([`${path}.hsHeading`, `${path}.descriptors.descriptionOfGoods`], () => {
+      this.request.statement.commodities.push({ descriptors: { descriptionOfGoods }, hsHeading });
+      this.commodityIndex = index;
+    });
+  }
+
+  /**
+   * @param {number} netWeight - Kilograms
+   * @returns {this}
+   */
+  withNetWeight(netWeight) {
+    return this.setGoodsMeasure('withNetWeight', { netWeight });
+  }
+
+  /**
+   * @param {number} supplementaryUnit
+   * @param {string} supplementaryUnitQualifier - e.g. 'NAR', 'MTQ'
+   * @returns {this}
+   */
+  withSupplementaryUnit(supplementaryUnit, supplementaryUnitQualifier) {
+    return this.setGoodsMeasure('withSupplementaryUnit', { supplementaryUnit, supplementaryUnitQualifier });
+  }
+
+  /**
+   * @param {number} percentageEstimationOrDeviation
+   * @returns {this}
+   */
+  withPercentageEstimation(percentageEstimationOrDeviation) {
+    return this.setGoodsMeasure('withPercentageEstimation', { percentageEstimationOrDeviation });
+  }
+
+  /**
+   * Add a producer to the current commodity
+   * @param {Object} producer - { country, name?, ... }; see the DdsBuilder and SdBuilder variants
+   * @returns {this}
+   */
+  addProducer(producer) {
+    const commodity = this.currentCommodity('addProducer');
+    const index = (commodity.producers || []).length;
+    return this.apply([`statement.commodities[${this.commodityIndex}].producers[${index}]`], () => {
+      commodity.producers = [...(commodity.producers || []), this.toProducer(producer || {})];
+    });
+  }
+
+  /**
+   * Every schema and rule violation of the request built so far, without throwing
+   * @returns {Array<{path: string, constraint: string, message: string}>}
+   */
+  validate() {
+    return [...this.kind.validateRequest(this.request), ...this.ruleViolations()];
+  }
+
+  /**
+   * Validate the whole request and return it
+   * @returns {Object} A copy of the { operatorRole, statement } request
+   * @throws {Error} EUDR_SCHEMA_VALIDATION_ERROR with every violation in error.violations, or the
+   *   first units-of-measure or geometry error
+   */
+  build() {
+    enforceSchemaViolations(this.validate(), { mode: this.options.schemaValidation });
+    validateUnitsOfMeasure(this.request.statement, { mode: this.options.unitsValidation });
+    validateStatementGeometry(this.request.statement, { mode: this.options.geometryValidation });
+    return JSON.parse(JSON.stringify(this.request));
+  }
+
+  /**
+   * Validate the request and render it as the submit body element (no SOAP envelope or security header)
+   * @returns {string}
+   */
+  toXml() {
+    return this.kind.renderBody(this.build());
+  }
+
+  /**
+   * Violations of the rules between fields
+   * @private
+   * @returns {Array<Object>}
+   */
+  ruleViolations() {
+    const { operatorRole, statement } = this.request;
+    if (operatorRole === this.kind.representativeRole && !statement.representedOperator) {
+      return [{
+        path: 'statement.representedOperator',
+        constraint: 'required',
+        message: `is required when operatorRole is ${this.kind.representativeRole}`
+      }];
+    }
+    return [];
+  }
+
+  /**
+   * @private
+   */
+  setStatementField(field, value) {
+    return this.apply([`statement.${field}`], () => {
+      this.request.statement[field] = value;
+    });
+  }
+
+  /**
+   * @private
+   */
+  setGoodsMeasure(method, values) {
+    const commodity = this.currentCommodity(method);
+    const path = `statement.commodities[${this.commodityIndex}].descriptors.goodsMeasure`;
+    return this.apply(Object.keys(values).map((field) => `${path}.${field}`), () => {
+      commodity.descriptors.goodsMeasure = { ...commodity.descriptors.goodsMeasure, ...values };
+    });
+  }
+
+  /**
+   * @private
+   */
+  currentCommodity(method) {
+    if (this.commodityIndex < 0) {
+      throw new Error(`addCommodity() must be called before ${method}()`);
+    }
+    return this.request.statement.commodities[this.commodityIndex];
+  }
+
+  /**
+   * Run a change and check the paths it touched; a rejected change is rolled back
+   * @private
+   * @param {string[]} paths - Paths whose violations fail the call
+   * @param {Function} change
+   * @returns {this}
+   */
+  apply(paths, change) {
+    const snapshot = JSON.stringify(this.request);
+    const commodityIndex = this.commodityIndex;
+    change();
+
+    if (this.options.schemaValidation === 'strict') {
+      const violations = this.validate().filter((violation) => isUnder(violation.path, paths));
+      if (violations.length > 0) {
+        this.request = JSON.parse(snapshot);
+        this.commodityIndex = commodityIndex;
+        enforceSchemaViolations(violations);
+      }
+    }
+    return this;
+  }
+}
+
+/**
+ * Builder for SubmitDdsRequest objects ({ operatorRole, statement }).
+ * operatorRole defaults to OPERATOR.
+ */
+class DdsBuilder extends StatementBuilder {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.schemaValidation='strict'] - 'strict' also checks every call; 'warn' or 'off' only apply to build()
+   * @param {string} [options.unitsValidation='strict'] - Units-of-measure check in build(): 'strict', 'warn' or 'off'
+   * @param {string} [options.geometryValidation='strict'] - geometryGeojson check in build(): 'strict', 'warn' or 'off'
+   */
+  constructor(options = {}) {
+    super({
+      validateRequest: validateDdsRequest,
+      representativeRole: 'REPRESENTATIVE_OPERATOR',
+      renderBody: renderDdsSubmitBodyXml
+    }, options);
+    this.request.operatorRole = 'OPERATOR';
+  }
+
+  /**
+   * Add species information to the current commodity
+   * @param {string} scientificName
+   * @param {string} [commonName]
+   * @returns {this}
+   */
+  withSpecies(scientificName, commonName) {
+    const commodity = this.currentCommodity('withSpecies');
+    const index = (commodity.speciesInfo || []).length;
+    return this.apply([`statement.commodities[${this.commodityIndex}].speciesInfo[${index}]`], () => {
+      const species = commonName === undefined ? { scientificName } : { scientificName, commonName };
+      commodity.speciesInfo = [...(commodity.speciesInfo || []), species];
+    });
+  }
+
+  /**
+   * @private
+   * @param {Object} producer - { country, name?, geometryGeojson } (GeoJSON object or string, or Base64)
+   */
+  toProducer({ country, name, geometryGeojson }) {
+    return withoutUndefined({ country, name, geometryGeojson });
+  }
+}
+
+/**
+ * Builder for SubmitSdRequest objects ({ operatorRole, statement }).
+ * operatorRole (MICRO_OPERATOR, REPRESENTATIVE_MSPO or MEMBER_STATE) and
+ * internalReference() are required.
+ */
+class SdBuilder extends StatementBuilder {
+  /**
+   * @param {Object} [options] - Same as DdsBuilder
+   */
+  constructor(options = {}) {
+    super({
+      validateRequest: validateSdRequest,
+      representativeRole: 'REPRESENTATIVE_MSPO',
+      renderBody: renderSdSubmitBodyXml
+    }, options);
+  }
+
+  /**
+   * @private
+   * @param {Object} producer - { country, name?, geometryGeojson | postalAddress | cadastralIdentifier }
+   */
+  toProducer({ country, name, ...location }) {
+    return withoutUndefined({
+      producerCountry: country,
+      producerName: name,
+      producerLocation: withoutUndefined(location)
+    });
+  }
+
+  /**
+   * @private
+   */
+  ruleViolations() {
+    const violations = super.ruleViolations();
+    this.request.statement.commodities.forEach((commodity, commodityIndex) => {
+      (commodity.producers || []).forEach((producer, producerIndex) => {
+        const location = producer.producerLocation || {};
+        const provided = SD_LOCATION_CHOICES.filter((key) => location[key] !== undefined);
+        if (provided.length !== 1) {
+          violations.push({
+            path: `statement.commodities[${commodityIndex}].producers[${producerIndex}].producerLocation`,
+            constraint: 'choice',
+            message: `must provide exactly one of ${SD_LOCATION_CHOICES.join(', ')}, got ${provided.length > 0 ? provided.join(', ') : 'none'}`
+          });
+        }
+      });
+    });
+    return violations;
+  }
+}
+
+/**
+ * Copy of an object without its undefined values
+ * @private
+ */
+function withoutUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+module.exports = {
+  DdsBuilder,
+  SdBuilder
+};
@@ -0,0 +1,514 @@
+/**
+ * EUDR V3 Statement XML
+ *
+ * Renders DDS and SD statements and submit request bodies as the V3 SOAP body
+ * elements, without the envelope or security header. The functions are
+ * stateless: the V3 transports wrap their output in an envelope, and the
+ * statement builders (utils/statement-builder.js) return it from toXml().
+ *
+ * Element prefixes match the envelope of the V3 clients: `dds` or `sd` for the
+ * service namespace and `eudrCommon` for the common types.
+ */
+
+const { encodeGeojson } = require('./geojson-utils');
+
+/**
+ * Escape a value for use as XML text or attribute content
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build an EconomicOperatorIdentificationType element body (used for representedOperator).
+ * Per the V3 schema: operatorReferenceNumber is a structured {identifierType, identifierValue}
+ * pair, operatorAddress is a structured AddressType, and operatorName is mandatory.
+ * @private
+ */
+function economicOperatorXml(operator) {
+  if (!operator.operatorName) {
+    throw new Error('representedOperator.operatorName is required');
+  }
+
+  let xml = '';
+
+  if (operator.operatorReferenceNumber) {
+    const ref = operator.operatorReferenceNumber;
+    if (!ref.identifierType || !ref.identifierValue) {
+      throw new Error('representedOperator.operatorReferenceNumber requires identifierType and identifierValue');
+    }
+    xml += '<eudrCommon:operatorReferenceNumber>';
+    xml += `<eudrCommon:identifierType>${escapeXml(ref.identifierType)}</eudrCommon:identifierType>`;
+    xml += `<eudrCommon:identifierValue>${escapeXml(ref.identifierValue)}</eudrCommon:identifierValue>`;
+    xml += '</eudrCommon:operatorReferenceNumber>';
+  }
+
+  if (operator.operatorAddress) {
+    const address = operator.operatorAddress;
+    if (!address.country || !address.street || !address.postalCode || !address.city) {
+      throw new Error('representedOperator.operatorAddress requires country, street, postalCode and city');
+    }
+    xml += '<eudrCommon:operatorAddress>';
+    xml += `<eudrCommon:country>${escapeXml(address.country)}</eudrCommon:country>`;
+    xml += `<eudrCommon:street>${escapeXml(address.street)}</eudrCommon:street>`;
+    xml += `<eudrCommon:postalCode>${escapeXml(address.postalCode)}</eudrCommon:postalCode>`;
+    xml += `<eudrCommon:city>${escapeXml(address.city)}</eudrCommon:city>`;
+    if (address.fullAddress) {
+      xml += `<eudrCommon:fullAddress>${escapeXml(address.fullAddress)}</eudrCommon:fullAddress>`;
+    }
+    xml += '</eudrCommon:operatorAddress>';
+  }
+
+  if (operator.operatorEmail) {
+    xml += `<eudrCommon:operatorEmail>${escapeXml(operator.operatorEmail)}</eudrCommon:operatorEmail>`;
+  }
+
+  if (operator.operatorPhone) {
+    xml += `<eudrCommon:operatorPhone>${escapeXml(operator.operatorPhone)}</eudrCommon:operatorPhone>`;
+  }
+
+  xml += `<eudrCommon:operatorName>${escapeXml(operator.operatorName)}</eudrCommon:operatorName>`;
+
+  return xml;
+}
+
+/**
+ * @private
+ */
+function ddsCommodityXml(commodity) {
+  let xml = '';
+
+  if (commodity.position !== undefined) {
+    xml += `<dds:position>${escapeXml(commodity.position)}</dds:position>`;
+  }
+
+  if (commodity.descriptors) {
+    xml += '<dds:descriptors>';
+    if (commodity.descriptors.descriptionOfGoods) {
+      xml += `<eudrCommon:descriptionOfGoods>${escapeXml(commodity.descriptors.descriptionOfGoods)}</eudrCommon:descriptionOfGoods>`;
+    }
+    if (commodity.descriptors.goodsMeasure) {
+      const measure = commodity.descriptors.goodsMeasure;
+      xml += '<eudrCommon:goodsMeasure>';
+      if (measure.percentageEstimationOrDeviation !== undefined) {
+        xml += `<eudrCommon:percentageEstimationOrDeviation>${escapeXml(measure.percentageEstimationOrDeviation)}</eudrCommon:percentageEstimationOrDeviation>`;
+      }
+      if (measure.netWeight !== undefined) {
+        xml += `<eudrCommon:netWeight>${escapeXml(measure.netWeight)}</eudrCommon:netWeight>`;
+      }
+      if (measure.supplementaryUnit !== undefined) {
+        xml += `<eudrCommon:supplementaryUnit>${escapeXml(measure.supplementaryUnit)}</eudrCommon:supplementaryUnit>`;
+      }
+      if (measure.supplementaryUnitQualifier) {
+        xml += `<eudrCommon:supplementaryUnitQualifier>${escapeXml(measure.supplementaryUnitQualifier)}</eudrCommon:supplementaryUnitQualifier>`;
+      }
+      xml += '</eudrCommon:goodsMeasure>';
+    }
+    xml += '</dds:descriptors>';
+  }
+
+  if (commodity.hsHeading) {
+    xml += `<dds:hsHeading>${escapeXml(commodity.hsHeading)}</dds:hsHeading>`;
+  }
+
+  if (commodity.speciesInfo) {
+    const species = Array.isArray(commodity.speciesInfo) ? commodity.speciesInfo : [commodity.speciesInfo];
+    for (const speciesItem of species) {
+      xml += '<dds:speciesInfo>';
+      if (speciesItem.scientificName) {
+        xml += `<dds:scientificName>${escapeXml(speciesItem.scientificName)}</dds:scientificName>`;
+      }
+      if (speciesItem.commonName) {
+        xml += `<dds:commonName>${escapeXml(speciesItem.commonName)}</dds:commonName>`;
+      }
+      xml += '</dds:speciesInfo>';
+    }
+  }
+
+  if (commodity.producers) {
+    const producers = Array.isArray(commodity.producers) ? commodity.producers : [commodity.producers];
+    for (const producer of producers) {
+      xml += '<dds:producers>';
+      if (producer.position !== undefined) {
+        xml += `<dds:position>${escapeXml(producer.position)}</dds:position>`;
+      }
+      if (producer.country) {
+        xml += `<dds:country>${escapeXml(producer.country)}</dds:country>`;
+      }
+      if (producer.name) {
+        xml += `<dds:name>${escapeXml(producer.name)}</dds:name>`;
+      }
+      if (producer.geometryGeojson) {
+        xml += `<dds:geometryGeojson>${escapeXml(encodeGeojson(producer.geometryGeojson))}</dds:geometryGeojson>`;
+      }
+      xml += '</dds:producers>';
+    }
+  }
+
+  return xml;
+}
+
+/**
+ * Render the content of a DDS statement element
+ * @param {Object} statement
+ * @returns {string}
+ */
+function renderDdsStatementXml(statement) {
+  let xml = '';
+
+  if (statement.internalReferenceNumber !== undefined) {
+    xml += `<dds:internalReferenceNumber>${escapeXml(statement.internalReferenceNumber)}</dds:internalReferenceNumber>`;
+  }
+
+  if (!statement.activityType) {
+    throw new Error('statement.activityType is required for V3 operations');
+  }
+  if (statement.activityType === 'TRADE') {
+    const error = new Error(
+      "V3 DDS does not support activityType 'TRADE'. Only DOMESTIC, IMPORT, EXPORT are allowed."
+    );
+    error.eudrErrorCode = 'EUDR_V3_ACTIVITY_TYPE_TRADE_NOT_SUPPORTED';
+    error.eudrSpecific = true;
+    throw error;
+  }
+  if (!['DOMESTIC', 'IMPORT', 'EXPORT'].includes(statement.activityType)) {
+    const error = new Error(
+      `Invalid activityType '${statement.activityType}'. V3 only allows: DOMESTIC, IMPORT, EXPORT.`
+    );
+    error.eudrErrorCode = 'EUDR_V3_ACTIVITY_TYPE_INVALID';
+    error.eudrSpecific = true;
+    throw error;
+  }
+  xml += `<dds:activityType>${escapeXml(statement.activityType)}</dds:activityType>`;
+
+  if (statement.representedOperator) {
+    xml += `<dds:representedOperator>${economicOperatorXml(statement.representedOperator)}</dds:representedOperator>`;
+  }
+
+  if (statement.countryOfActivity) {
+    xml += `<dds:countryOfActivity>${escapeXml(statement.countryOfActivity)}</dds:countryOfActivity>`;
+  }
+
+  if (statement.borderCrossCountry) {
+    xml += `<dds:borderCrossCountry>${escapeXml(statement.borderCrossCountry)}</dds:borderCrossCountry>`;
+  }
+
+  if (statement.comment) {
+    xml += `<dds:comment>${escapeXml(statement.comment)}</dds:comment>`;
+  }
+
+  if (!statement.commodities) {
+    throw new Error('statement.commodities is required for V3 operations');
+  }
+
+  const commodities = Array.isArray(statement.commodities) ? statement.commodities : [statement.commodities];
+  for (const commodity of commodities) {
+    xml += '<dds:commodities>';
+    xml += ddsCommodityXml(commodity);
+    xml += '</dds:commodities>';
+  }
+
+  xml += `<dds:geoLocationConfidential>${statement.geoLocationConfidential === true ? 'true' : 'false'}</dds:geoLocationConfidential>`;
+
+  if (statement.associatedStatements !== undefined) {
+    const error = new Error(
+      "V3 does not use 'associatedStatements'. Use 'groupedDeclarations' instead (an array of { groupedDeclaration: referenceNumber }). " +
+      'Note: V3 grouping semantics differ from V1/V2 referenced statements — grouped declarations receive GROUPED status and cannot be individually amended/withdrawn.'
+    );
+    error.eudrErrorCode = 'EUDR_V3_LEGACY_ASSOCIATED_STATEMENTS_FIELD';
+    error.eudrSpecific = true;
+    throw error;
+  }
+
+  if (statement.groupedDeclarations) {
+    const groupedDeclarations = Array.isArray(statement.groupedDeclarations)
+      ? statement.groupedDeclarations
+      : [statement.groupedDeclarations];
+
+    for (const grouped of groupedDeclarations) {
+      const groupedValue = grouped.groupedDeclaration || grouped.referenceNumber || grouped;
+      xml += '<dds:groupedDeclarations>';
+      xml += `<eudrCommon:groupedDeclaration>${escapeXml(groupedValue)}</eudrCommon:groupedDeclaration>`;
+      xml += '</dds:groupedDeclarations>';
+    }
+  }
+
+  return xml;
+}
+
+/**
+ * Build the SubmitDdsRequest body element
+ * @param {Object} request - { operatorRole, statement }
+ * @returns {string}
+ */
+function renderDdsSubmitBodyXml(request) {
+  if (!request || !request.statement) {
+    throw new Error('submitDds requires request.statement');
+  }
+  if (request.operatorType !== undefined) {
+    const error = new Error(
+      "V3 does not use 'operatorType'. Use 'operatorRole' instead, with one of: OPERATOR, REPRESENTATIVE_OPERATOR."
+    );
+    error.eudrErrorCode = 'EUDR_V3_LEGACY_OPERATOR_TYPE_FIELD';
+    error.eudrSpecific = true;
+    throw error;
+  }
+  if (!request.operatorRole) {
+    throw new Error('submitDds requires operatorRole (V3)');
+  }
+  if (!['OPERATOR', 'REPRESENTATIVE_OPERATOR'].includes(request.operatorRole)) {
+    const error = new Error(
+      `Invalid operatorRole '${request.operatorRole}'. V3 only allows: OPERATOR, REPRESENTATIVE_OPERATOR.`
+    );
+    error.eudrErrorCode = 'EUDR_V3_OPERATOR_ROLE_INVALID';
+    error.eudrSpecific = true;
+    throw error;
+  }
+
+  return `        <dds:SubmitDdsRequest>
+          <dds:operatorRole>${escapeXml(request.operatorRole)}</dds:operatorRole>
+          <dds:statement>
+              ${renderDdsStatementXml(request.statement)}
+          </dds:statement>
+      </dds:SubmitDdsRequest>`;
+}
+
+/**
+ * @private
+ */
+function sdProducerXml(producer) {
+  let xml = '';
+
+  if (producer.producerPosition !== undefined) {
+    xml += `<sd:producerPosition>${escapeXml(producer.producerPosition)}</sd:producerPosition>`;
+  }
+
+  if (!producer.producerCountry) {
+    const error = new Error('producer.producerCountry is required for SD producers');
+    error.eudrErrorCode = 'EUDR_V3_SD_PRODUCER_COUNTRY_REQUIRED';
+    error.eudrSpecific = true;
+    throw error;
+  }
+  xml += `<sd:producerCountry>${escapeXml(producer.producerCountry)}</sd:producerCountry>`;
+
+  if (producer.producerName) {
+    xml += `<sd:producerName>${escapeXml(producer.producerName)}</sd:producerName>`;
+  }
+
+  const location = producer.producerLocation || producer;
+  const choicesProvided = ['geometryGeojson', 'postalAddress', 'cadastralIdentifier']
+    .filter((key) => location[key] !== undefined);
+
+  if (choicesProvided.length !== 1) {
+    const error = new Error(
+      'producer.producerLocation must provide exactly one of: geometryGeojson, postalAddress, cadastralIdentifier ' +
+      `(found ${choicesProvided.length}: ${choicesProvided.join(', ') || 'none'}).`
+    );
+    error.eudrErrorCode = 'EUDR_V3_SD_PRODUCER_LOCATION_INVALID';
+    error.eudrSpecific = true;
+    throw error;
+  }
+
+  xml += '<sd:producerLocation>';
+  if (location.geometryGeojson !== undefined) {
+    xml += `<sd:geometryGeojson>${escapeXml(encodeGeojson(location.geometryGeojson))}</sd:geometryGeojson>`;
+  } else if (location.postalAddress !== undefined) {
+    const addresses = Array.isArray(location.postalAddress) ? location.postalAddress : [location.postalAddress];
+    for (const address of addresses) {
+      xml += '<sd:postalAddress>';
+      if (address.producerStreet) {
+        xml += `<sd:producerStreet>${escapeXml(address.producerStreet)}</sd:producerStreet>`;
+      }
+      if (!address.producerPostalCode) {
+        throw new Error('postalAddress.producerPostalCode is required');
+      }
+      xml += `<sd:producerPostalCode>${escapeXml(address.producerPostalCode)}</sd:producerPostalCode>`;
+      if (!address.producerCity) {
+        throw new Error('postalAddress.producerCity is required');
+      }
+      xml += `<sd:producerCity>${escapeXml(address.producerCity)}</sd:producerCity>`;
+      xml += '</sd:postalAddress>';
+    }
+  } else {
+    const identifiers = Array.isArray(location.cadastralIdentifier)
+      ? location.cadastralIdentifier
+      : [location.cadastralIdentifier];
+    for (const identifier of identifiers) {
+      xml += `<sd:cadastralIdentifier>${escapeXml(identifier)}</sd:cadastralIdentifier>`;
+    }
+  }
+  xml += '</sd:producerLocation>';
+
+  return xml;
+}
+
+/**
+ * @private
+ */
+function sdCommodityXml(commodity) {
+  let xml = '';
+
+  if (commodity.position !== undefined) {
+    xml += `<sd:position>${escapeXml(commodity.position)}</sd:position>`;
+  }
+
+  if (!commodity.descriptors) {
+    throw new Error('commodity.descriptors is required for SD commodities');
+  }
+  xml += '<sd:descriptors>';
+  if (commodity.descriptors.descriptionOfGoods) {
+    xml += `<eudrCommon:descriptionOfGoods>${escapeXml(commodity.descriptors.descriptionOfGoods)}</eudrCommon:descriptionOfGoods>`;
+  }
+  if (commodity.descriptors.goodsMeasure) {
+    const measure = commodity.descriptors.goodsMeasure;
+    xml += '<eudrCommon:goodsMeasure>';
+    if (measure.percentageEstimationOrDeviation !== undefined) {
+      xml += `<eudrCommon:percentageEstimationOrDeviation>${escapeXml(measure.percentageEstimationOrDeviation)}</eudrCommon:percentageEstimationOrDeviation>`;
+    }
+    if (measure.netWeight !== undefined) {
+      xml += `<eudrCommon:netWeight>${escapeXml(measure.netWeight)}</eudrCommon:netWeight>`;
+    }
+    if (measure.supplementaryUnit !== undefined) {
+      xml += `<eudrCommon:supplementaryUnit>${escapeXml(measure.supplementaryUnit)}</eudrCommon:supplementaryUnit>`;
+    }
+    if (measure.supplementaryUnitQualifier) {
+      xml += `<eudrCommon:supplementaryUnitQualifier>${escapeXml(measure.supplementaryUnitQualifier)}</eudrCommon:supplementaryUnitQualifier>`;
+    }
+    xml += '</eudrCommon:goodsMeasure>';
+  }
+  xml += '</sd:descriptors>';
+
+  if (!commodity.hsHeading) {
+    throw new Error('commodity.hsHeading is required for SD commodities');
+  }
+  xml += `<sd:hsHeading>${escapeXml(commodity.hsHeading)}</sd:hsHeading>`;
+
+  if (commodity.producers) {
+    const producers = Array.isArray(commodity.producers) ? commodity.producers : [commodity.producers];
+    for (const producer of producers) {
+      xml += '<sd:producers>';
+      xml += sdProducerXml(producer);
+      xml += '</sd:producers>';
+    }
+  }
+
+  return xml;
+}
+
+/**
+ * Render the content of an SD statement element
+ * @param {Object} statement
+ * @returns {string}
+ */
+function renderSdStatementXml(statement) {
+  let xml = '';
+
+  if (!statement.internalReferenceNumber) {
+    const error = new Error('statement.internalReferenceNumber is required for Simplified Declarations (unlike DDS, it is mandatory).');
+    error.eudrErrorCode = 'EUDR_V3_SD_INTERNAL_REFERENCE_REQUIRED';
+    error.eudrSpecific = true;
+    throw error;
+  }
+  xml += `<sd:internalReferenceNumber>${escapeXml(statement.internalReferenceNumber)}</sd:internalReferenceNumber>`;
+
+  if (!statement.activityType) {
+    throw new Error('statement.activityType is required for SD operations');
+  }
+  if (!['DOMESTIC', 'IMPORT', 'EXPORT'].includes(statement.activityType)) {
+    const error = new Error(
+      `Invalid activityType '${statement.activityType}'. SD only allows: DOMESTIC, IMPORT, EXPORT.`
+    );
+    error.eudrErrorCode = 'EUDR_V3_SD_ACTIVITY_TYPE_INVALID';
+    error.eudrSpecific = true;
+    throw error;
+  }
+  xml += `<sd:activityType>${escapeXml(statement.activityType)}</sd:activityType>`;
+
+  if (statement.representedOperator) {
+    xml += `<sd:representedOperator>${economicOperatorXml(statement.representedOperator)}</sd:representedOperator>`;
+  }
+
+  if (statement.countryOfActivity) {
+    xml += `<sd:countryOfActivity>${escapeXml(statement.countryOfActivity)}</sd:countryOfActivity>`;
+  }
+
+  if (statement.borderCrossCountry) {
+    xml += `<sd:borderCrossCountry>${escapeXml(statement.borderCrossCountry)}</sd:borderCrossCountry>`;
+  }
+
+  if (statement.comment) {
+    xml += `<sd:comment>${escapeXml(statement.comment)}</sd:comment>`;
+  }
+
+  if (!statement.commodities) {
+    throw new Error('statement.commodities is required for SD operations');
+  }
+
+  const commodities = Array.isArray(statement.commodities) ? statement.commodities : [statement.commodities];
+  for (const commodity of commodities) {
+    xml += '<sd:commodities>';
+    xml += sdCommodityXml(commodity);
+    xml += '</sd:commodities>';
+  }
+
+  xml += `<sd:geoLocationConfidential>${statement.geoLocationConfidential === true ? 'true' : 'false'}</sd:geoLocationConfidential>`;
+
+  if (statement.groupedDeclarations) {
+    const groupedDeclarations = Array.isArray(statement.groupedDeclarations)
+      ? statement.groupedDeclarations
+      : [statement.groupedDeclarations];
+
+    for (const grouped of groupedDeclarations) {
+      const groupedValue = grouped.groupedDeclaration || grouped.referenceNumber || grouped;
+      xml += '<sd:groupedDeclarations>';
+      xml += `<eudrCommon:groupedDeclaration>${escapeXml(groupedValue)}</eudrCommon:groupedDeclaration>`;
+      xml += '</sd:groupedDeclarations>';
+    }
+  }
+
+  return xml;
+}
+
+/**
+ * Build the SubmitSdRequest body element
+ * @param {Object} request - { operatorRole, statement }
+ * @returns {string}
+ */
+function renderSdSubmitBodyXml(request) {
+  if (!request || !request.statement) {
+    throw new Error('submitSd requires request.statement');
+  }
+  if (!request.operatorRole) {
+    throw new Error('submitSd requires operatorRole (V3 SD)');
+  }
+  if (!['MICRO_OPERATOR', 'REPRESENTATIVE_MSPO', 'MEMBER_STATE'].includes(request.operatorRole)) {
+    const error = new Error(
+      `Invalid operatorRole '${request.operatorRole}'. SD only allows: MICRO_OPERATOR, REPRESENTATIVE_MSPO, MEMBER_STATE.`
+    );
+    error.eudrErrorCode = 'EUDR_V3_SD_OPERATOR_ROLE_INVALID';
+    error.eudrSpecific = true;
+    throw error;
+  }
+
+  return `        <sd:SubmitSdRequest>
+          <sd:operatorRole>${escapeXml(request.operatorRole)}</sd:operatorRole>
+          <sd:statement>
+              ${renderSdStatementXml(request.statement)}
+          </sd:statement>
+      </sd:SubmitSdRequest>`;
+}
+
+module.exports = {
+  escapeXml,
+  renderDdsStatementXml,
+  renderDdsSubmitBodyXml,
+  renderSdStatementXml,
+  renderSdSubmitBodyXml
+};
@@ -0,0 +1,161 @@
+/**
+ * EUDR Status Lifecycle
+ *
+ * The V3 EudrStatusType values and the operations each one allows, as
+ * documented in the Operator API reference:
+ * - amendDds/updateSd: only while AVAILABLE (EUDR_API_AMEND_NOT_ALLOWED_FOR_STATUS)
+ * - withdrawDds/withdrawSd: only while SUBMITTED or AVAILABLE
+ *   (EUDR_API_AMEND_OR_WITHDRAW_NOT_ALLOWED_FOR_STATUS); GROUPED declarations
+ *   cannot be withdrawn or amended while the grouping declaration is active
+ * - usable (verifyDeclaration EXISTING_USABLE): only AVAILABLE
+ *
+ * SUSPENDED and UPDATED are part of the enumeration but not active in the
+ * current release. The server remains the authority: the 72-hour amendment
+ * window, customs locks and competent-authority checks are not visible in the
+ * status and are only enforced server-side.
+ */
+
+const EudrErrorHandler = require('./error-handler');
+
+const EUDR_STATUS = Object.freeze({
+  SUBMITTED: 'SUBMITTED',
+  AVAILABLE: 'AVAILABLE',
+  REJECTED: 'REJECTED',
+  WITHDRAWN: 'WITHDRAWN',
+  ARCHIVED: 'ARCHIVED',
+  SUSPENDED: 'SUSPENDED',
+  UPDATED: 'UPDATED',
+  GROUPED: 'GROUPED',
+  OBSOLETE: 'OBSOLETE'
+});
+
+const OPERATION_STATUSES = {
+  amend: [EUDR_STATUS.AVAILABLE],
+  update: [EUDR_STATUS.AVAILABLE],
+  withdraw: [EUDR_STATUS.SUBMITTED, EUDR_STATUS.AVAILABLE]
+};
+
+const OPERATION_ERROR_CODES = {
+  amend: 'EUDR_API_AMEND_NOT_ALLOWED_FOR_STATUS',
+  update: 'EUDR_API_AMEND_NOT_ALLOWED_FOR_STATUS',
+  withdraw: 'EUDR_API_AMEND_OR_WITHDRAW_NOT_ALLOWED_FOR_STATUS'
+};
+
+// No further transition is possible from these statuses
+const TERMINAL_STATUSES = [EUDR_STATUS.REJECTED, EUDR_STATUS.WITHDRAWN, EUDR_STATUS.ARCHIVED, EUDR_STATUS.OBSOLETE];
+
+// Statuses a freshly submitted declaration can settle into once processing ends
+const SETTLED_STATUSES = [
+  EUDR_STATUS.AVAILABLE,
+  EUDR_STATUS.REJECTED,
+  EUDR_STATUS.WITHDRAWN,
+  EUDR_STATUS.ARCHIVED,
+  EUDR_STATUS.GROUPED,
+  EUDR_STATUS.OBSOLETE
+];
+
+function isKnownStatus(status) {
+  return Object.prototype.hasOwnProperty.call(EUDR_STATUS, status);
+}
+
+function canAmend(status) {
+  return OPERATION_STATUSES.amend.includes(status);
+}
+
+function canWithdraw(status) {
+  return OPERATION_STATUSES.withdraw.includes(status);
+}
+
+function isTerminal(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+function isUsable(status) {
+  return status === EUDR_STATUS.AVAILABLE;
+}
+
+function isPending(status) {
+  return status === EUDR_STATUS.SUBMITTED;
+}
+
+/**
+ * @param {string} status
+ * @returns {string[]} Lifecycle operations ('amend', 'update', 'withdraw') allowed in this status
+ */
+function allowedOperations(status) {
+  return Object.keys(OPERATION_STATUSES).filter((operation) => OPERATION_STATUSES[operation].includes(status));
+}
+
+/**
+ * Throw if a lifecycle operation is not allowed in the given status
+ * @param {string} operation - 'amend' | 'update' | 'withdraw'
+ * @param {string} status
+ * @param {string} [uuid] - For the error message
+ * @throws {Error} EUDR_API_AMEND_NOT_ALLOWED_FOR_STATUS or EUDR_API_AMEND_OR_WITHDRAW_NOT_ALLOWED_FOR_STATUS
+ */
+function assertOperationAllowed(operation, status, uuid) {
+  const allowed = OPERATION_STATUSES[operation];
+  if (!allowed) {
+    throw new Error(`Unknown lifecycle operation '${operation}'`);
+  }
+  if (allowed.includes(status)) {
+    return;
+  }
+
+  const error = new Error(
+    `Cannot ${operation} ${uuid || 'declaration'} in status ${status || 'unknown'}; allowed: ${allowed.join(', ')}`
+  );
+  error.eudrErrorCode = OPERATION_ERROR_CODES[operation];
+  error.eudrSpecific = true;
+  error.field = 'status';
+  throw error;
+}
+
+/**
+ * Client-side status pre-check for amend/update/withdraw calls. Uses
+ * `options.currentStatus` when given; otherwise looks the status up with
+ * `fetchOverview` if `options.precheckStatus` is set. Does nothing when neither is set.
+ * @param {string} operation - 'amend' | 'update' | 'withdraw'
+ * @param {string} uuid
+ * @param {Object} options - Operation options ({ currentStatus, precheckStatus })
+ * @param {Function} fetchOverview - async (uuid) => overview item or undefined
+ * @returns {Promise<void>}
+ */
+async function precheckOperationStatus(operation, uuid, options, fetchOverview) {
+  let status = options.currentStatus;
+
+  if (status === undefined) {
+    if (!options.precheckStatus) {
+      return;
+    }
+    const overview = await fetchOverview(uuid);
+    if (!overview) {
+      const error = new Error(`Cannot ${operation} ${uuid}: no declaration found`);
+      error.eudrErrorCode = 'EUDR_API_NO_DDS';
+      error.eudrSpecific = true;
+      throw EudrErrorHandler.handleError(error);
+    }
+    status = overview.status;
+  }
+
+  try {
+    assertOperationAllowed(operation, status, uuid);
+  } catch (error) {
+    throw EudrErrorHandler.handleError(error);
+  }
+}
+
+module.exports = {
+  EUDR_STATUS,
+  TERMINAL_STATUSES,
+  SETTLED_STATUSES,
+  isKnownStatus,
+  canAmend,
+  canWithdraw,
+  isTerminal,
+  isUsable,
+  isPending,
+  allowedOperations,
+  assertOperationAllowed,
+  precheckOperationStatus
+};
@@ -0,0 +1,100 @@
+/**
+ * EUDR Status Poller
+ *
+ * Waits for a submitted DDS/SD to leave SUBMITTED. The server assigns the
+ * reference/verification numbers and the AVAILABLE/REJECTED outcome
+ * asynchronously (risk assessment), and the Operator API reference (section
+ * 2.4) asks clients to "allow at least 30 minutes before checking its status"
+ * and to avoid high-frequency polling. The defaults follow that guidance.
+ */
+
+const EudrErrorHandler = require('./error-handler');
+const { logger } = require('./logger');
+const { SETTLED_STATUSES } = require('./status-lifecycle');
+
+const MINUTE_MS = 60 * 1000;
+
+const DEFAULT_WAIT_OPTIONS = {
+  targetStatuses: SETTLED_STATUSES,
+  minInitialDelay: 30 * MINUTE_MS,
+  interval: 5 * MINUTE_MS,
+  timeout: 2 * 60 * MINUTE_MS
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Merge and validate waitForStatus options
+ * @param {Object} [options]
+ * @returns {Object}
+ */
+function normalizeWaitOptions(options = {}) {
+  const merged = { ...DEFAULT_WAIT_OPTIONS, ...options };
+
+  if (!Array.isArray(merged.targetStatuses) || merged.targetStatuses.length === 0) {
+    throw new Error('targetStatuses must be a non-empty array');
+  }
+  for (const key of ['minInitialDelay', 'interval', 'timeout']) {
+    if (typeof merged[key] !== 'number' || merged[key] < 0) {
+      throw new Error(`${key} must be a non-negative number of milliseconds`);
+    }
+  }
+  if (merged.interval === 0) {
+    throw new Error('interval must be greater than 0');
+  }
+  if (merged.timeout < merged.minInitialDelay) {
+    throw new Error('timeout must not be shorter than minInitialDelay');
+  }
+
+  return merged;
+}
+
+/**
+ * Poll an overview lookup until the item reaches one of the target statuses
+ * @param {Function} fetchOverview - async (uuid) => overview item, or undefined while not yet visible
+ * @param {string} uuid
+ * @param {Object} [options] - targetStatuses, minInitialDelay, interval, timeout (ms)
+ * @param {Function} [options.wait] - async (ms) => void, defaults to setTimeout
+ * @param {string} [operation='waitForStatus'] - Name used in logs and the timeout error
+ * @returns {Promise<Object>} The final overview item (status, referenceNumber, verificationNumber,
+ *   rejectionReason, communicationToOperator, ...)
+ * @throws {Error} EUDR_STATUS_WAIT_TIMEOUT with `lastOverview` when the timeout elapses first
+ */
+async function pollOverviewStatus(fetchOverview, uuid, options = {}, operation = 'waitForStatus') {
+  if (!uuid) {
+    throw new Error(`${operation} requires a uuid`);
+  }
+
+  const { targetStatuses, minInitialDelay, interval, timeout, wait = sleep } = normalizeWaitOptions(options);
+  const deadline = Date.now() + timeout;
+  let lastOverview = null;
+
+  await wait(minInitialDelay);
+
+  for (let attempt = 1; ; attempt++) {
+    lastOverview = (await fetchOverview(uuid)) || lastOverview;
+    const status = lastOverview ? lastOverview.status : undefined;
+
+    if (status && targetStatuses.includes(status)) {
+      return lastOverview;
+    }
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      const error = new Error(`${operation} timed out after ${timeout}ms: ${uuid} is still ${status || 'not visible'}`);
+      error.eudrErrorCode = 'EUDR_STATUS_WAIT_TIMEOUT';
+      error.eudrSpecific = true;
+      error.lastOverview = lastOverview;
+      throw EudrErrorHandler.handleError(error);
+    }
+
+    logger.debug({ operation, uuid, status, attempt }, 'Declaration not in a target status yet');
+    await wait(Math.min(interval, remaining));
+  }
+}
+
+module.exports = {
+  pollOverviewStatus,
+  normalizeWaitOptions,
+  DEFAULT_WAIT_OPTIONS
+};
@@ -0,0 +1,399 @@
+/**
+ * EUDR Submission Journal
+ *
+ * Crash-safe bookkeeping around submitDds/submitSd. Before a request is sent,
+ * the journal records the intent (request hash, internal reference number and
+ * the request itself) as `pending`; the outcome replaces it once known. When a
+ * process dies between sending and receiving the response, the entry stays
+ * `pending` and the next attempt first asks TRACES (getDdsByInternalReference /
+ * getSdByInternalReference) whether the declaration was created, and only
+ * resubmits when it was not.
+ *
+ * Submitting an identical request again after it completed returns the
+ * journaled identifier instead of creating a duplicate declaration.
+ *
+ * Stores are pluggable: anything with async get(id), put(entry) and list()
+ * works. A JSON-file store and an in-memory store are built in.
+ *
+ * @example
+ * const journal = new EudrSubmissionJournal({ store: new FileJournalStore({ path: 'var/eudr-journal.json' }) });
+ * const submission = new EudrSubmissionClientV3({ ...config, journal });
+ *
+ * // On start-up: settle whatever a previous run left pending
+ * await submission.reconcileJournal();
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const JOURNAL_FORMAT_VERSION = 1;
+const JOURNAL_STATUSES = ['pending', 'completed', 'failed'];
+
+// Gateway failures that do not tell whether the server processed the request
+const OUTCOME_UNKNOWN_STATUSES = [502, 504];
+
+// Result key holding the identifier TRACES assigned, per declaration kind
+const JOURNAL_KINDS = {
+  dds: { resultKey: 'uuid' },
+  sd: { resultKey: 'sdIdentifier' }
+};
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * JSON with object keys sorted, so equal requests hash equally
+ * @private
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * SHA-256 of the request with keys in a canonical order
+ * @param {Object} request
+ * @returns {string} Hex digest
+ */
+function hashRequest(request) {
+  return crypto.createHash('sha256').update(stableStringify(request)).digest('hex');
+}
+
+/**
+ * Whether a submit error leaves it open if TRACES created the declaration: the
+ * request was sent but no response came back (timeout, connection reset), or a
+ * gateway answered 502/504 for a request the server may have processed.
+ * Errors raised client-side before sending (details.setupError) are definitive.
+ * @param {Error} error - As thrown by the clients (see EudrErrorHandler.handleError)
+ * @returns {boolean}
+ */
+function isOutcomeUnknown(error) {
+  if (!error || error.eudrSpecific) {
+    return false;
+  }
+  const status = (error.details && error.details.status) || (error.response && error.response.status);
+  if (status) {
+    return OUTCOME_UNKNOWN_STATUSES.includes(status);
+  }
+  return Boolean(error.details && error.details.request);
+}
+
+class MemoryJournalStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(id) {
+    return clone(this.entries.get(id));
+  }
+
+  async put(entry) {
+    this.entries.set(entry.id, clone(entry));
+  }
+
+  async list() {
+    return [...this.entries.values()].map(clone);
+  }
+}
+
+class FileJournalStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - JSON file; created (with its directory) on the first write
+   */
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('FileJournalStore requires a path');
+    }
+    this.path = options.path;
+    this.entries = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * @private
+   */
+  async load() {
+    if (this.entries) {
+      return this.entries;
+    }
+    let content;
+    try {
+      content = JSON.parse(await fs.promises.readFile(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Cannot read submission journal ${this.path}: ${error.message}`);
+      }
+      content = { entries: {} };
+    }
+    this.entries = this.entries || new Map(Object.entries(content.entries || {}));
+    return this.entries;
+  }
+
+  async get(id) {
+    return clone((await this.load()).get(id));
+  }
+
+  /**
+   * Writes go to a temporary file that is renamed over the journal, so a crash
+   * mid-write never leaves a truncated file behind
+   */
+  async put(entry) {
+    const entries = await this.load();
+    entries.set(entry.id, clone(entry));
+    const content = JSON.stringify({ version: JOURNAL_FORMAT_VERSION, entries: Object.fromEntries(entries) }, null, 2);
+    const write = this.writing.then(async () => {
+      const temporary = `${this.path}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+      await fs.promises.writeFile(temporary, content);
+      await fs.promises.rename(temporary, this.path);
+    });
+    this.writing = write.catch(() => {});
+    await write;
+  }
+
+  async list() {
+    return [...(await this.load()).values()].map(clone);
+  }
+}
+
+class EudrSubmissionJournal {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - { get(id), put(entry), list() }; a MemoryJournalStore by default
+   * @param {string} [options.path] - Shorthand for store: new FileJournalStore({ path })
+   * @param {number} [options.reconcileToleranceMs=300000] - Declarations dated up to this long before an
+   *   attempt started still count as created by it (covers clock differences with TRACES)
+   */
+  constructor(options = {}) {
+    const store = options.store || (options.path ? new FileJournalStore({ path: options.path }) : new MemoryJournalStore());
+    for (const method of ['get', 'put', 'list']) {
+      if (typeof store[method] !== 'function') {
+        throw new Error(`Journal store must implement ${method}()`);
+      }
+    }
+    this.store = store;
+    this.reconcileToleranceMs = options.reconcileToleranceMs === undefined ? 300000 : options.reconcileToleranceMs;
+    this.inFlight = new Map();
+  }
+
+  /**
+   * @param {string} kind - 'dds' or 'sd'
+   * @param {Object} request
+   * @returns {string} Journal entry id
+   */
+  entryId(kind, request) {
+    return `${kind}:${hashRequest(request)}`;
+  }
+
+  /**
+   * Submit through the journal. Identical concurrent calls share one attempt.
+   * @param {string} kind - 'dds' or 'sd'
+   * @param {Object} request - SubmitDdsRequest / SubmitSdRequest; needs statement.internalReferenceNumber
+   * @param {Object} handlers
+   * @param {Function} handlers.send - (request) => Promise<result>, the actual submit call
+   * @param {Function} handlers.lookup - (internalReferenceNumber) => Promise<overview items with uuid and date>
+   * @param {Object} [options]
+   * @param {boolean} [options.resubmit=true] - Resubmit a pending entry the lookup did not find
+   * @returns {Promise<Object>} The submit result; results served from the journal carry fromJournal: true
+   *   (and reconciled: true when the lookup found the declaration) and only the identifier
+   */
+  async submit(kind, request, handlers, options = {}) {
+    if (!JOURNAL_KINDS[kind]) {
+      throw new Error(`Unknown journal kind '${kind}'. Allowed: ${Object.keys(JOURNAL_KINDS).join(', ')}`);
+    }
+    const internalReferenceNumber = request && request.statement && request.statement.internalReferenceNumber;
+    if (!internalReferenceNumber) {
+      const error = new Error('A journaled submission needs statement.internalReferenceNumber to be reconciled after a crash');
+      error.eudrErrorCode = 'EUDR_JOURNAL_MISSING_REFERENCE';
+      error.eudrSpecific = true;
+      error.field = 'statement.internalReferenceNumber';
+      throw error;
+    }
+
+    const id = this.entryId(kind, request);
+    if (!this.inFlight.has(id)) {
+      const attempt = this.settle(id, kind, request, internalReferenceNumber, handlers, options)
+        .finally(() => this.inFlight.delete(id));
+      this.inFlight.set(id, attempt);
+    }
+    return this.inFlight.get(id);
+  }
+
+  /**
+   * @private
+   */
+  async settle(id, kind, request, internalReferenceNumber, handlers, options) {
+    const { resultKey } = JOURNAL_KINDS[kind];
+    const existing = await this.store.get(id);
+
+    if (existing && existing.status === 'completed') {
+      return { [resultKey]: existing.identifier, fromJournal: true };
+    }
+
+    if (existing && existing.status === 'pending') {
+      const found = await this.findCreated(existing, handlers.lookup);
+      if (found) {
+        logger.info({ id, identifier: found.uuid }, 'Journaled submission found in TRACES, not resubmitting');
+        await this.store.put({ ...existing, status: 'completed', identifier: found.uuid, reconciled: true, completedAt: new Date().toISOString() });
+        return { [resultKey]: found.uuid, fromJournal: true, reconciled: true };
+      }
+      if (options.resubmit === false) {
+        return { [resultKey]: null, fromJournal: true, pending: true };
+      }
+      logger.info({ id }, 'Journaled submission not found in TRACES, resubmitting');
+    }
+
+    const entry = {
+      id,
+      kind,
+      requestHash: id.slice(kind.length + 1),
+      internalReferenceNumber,
+      request: clone(request),
+      status: 'pending',
+      attempts: ((existing && existing.attempts) || 0) + 1,
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      identifier: null,
+      reconciled: false,
+      error: null
+    };
+    await this.store.put(entry);
+
+    let result;
+    try {
+      result = await handlers.send(request);
+    } catch (error) {
+      if (!isOutcomeUnknown(error)) {
+        await this.store.put({
+          ...entry,
+          status: 'failed',
+          completedAt: new Date().toISOString(),
+          error: { code: error.eudrErrorCode || null, message: error.message }
+        });
+      }
+      throw error;
+    }
+
+    await this.store.put({ ...entry, status: 'completed', identifier: result[resultKey], completedAt: new Date().toISOString() });
+    return result;
+  }
+
+  /**
+   * The declaration created by a pending attempt, if TRACES has one: carrying
+   * the entry's internal reference number, not dated (much) before the attempt
+   * and not already claimed by another journal entry. The latest one wins.
+   * @private
+   */
+  async findCreated(entry, lookup) {
+    let items;
+    try {
+      items = (await lookup(entry.internalReferenceNumber)) || [];
+    } catch (error) {
+      // TRACES answers an unknown internal reference with a NotFound fault
+      if (error.eudrErrorCode !== 'EUDR_WEBSERVICE_STATEMENT_NOT_FOUND') {
+        throw error;
+      }
+      items = [];
+    }
+    const claimed = new Set((await this.store.list())
+      .filter((other) => other.id !== entry.id && other.identifier)
+      .map((other) => other.identifier));
+    const notBefore = Date.parse(entry.startedAt) - this.reconcileToleranceMs;
+
+    const candidates = items
+      .filter((item) => item && item.uuid && !claimed.has(item.uuid))
+      .filter((item) => {
+        const date = Date.parse(item.date);
+        return Number.isNaN(date) || date >= notBefore;
+      })
+      .sort((a, b) => (Date.parse(b.date) || 0) - (Date.parse(a.date) || 0));
+    return candidates[0] || null;
+  }
+
+  /**
+   * Settle every pending entry of one kind: look each one up and resubmit the
+   * ones TRACES does not have (unless resubmit is false)
+   * @param {string} kind - 'dds' or 'sd'
+   * @param {Object} handlers - { send(request), lookup(internalReferenceNumber) }
+   * @param {Object} [options]
+   * @param {boolean} [options.resubmit=true]
+   * @returns {Promise<Object[]>} One { id, internalReferenceNumber, status, identifier, reconciled, error } per entry
+   */
+  async reconcile(kind, handlers, options = {}) {
+    const pending = (await this.store.list()).filter((entry) => entry.kind === kind && entry.status === 'pending');
+    const outcomes = [];
+
+    for (const entry of pending) {
+      try {
+        await this.submit(kind, entry.request, handlers, options);
+      } catch (error) {
+        logger.debug({ error, id: entry.id }, 'Journal reconciliation attempt failed');
+      }
+      const settled = await this.store.get(entry.id);
+      outcomes.push({
+        id: settled.id,
+        internalReferenceNumber: settled.internalReferenceNumber,
+        status: settled.status,
+        identifier: settled.identifier,
+        reconciled: settled.reconciled,
+        error: settled.error
+      });
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * @param {Object} [filter]
+   * @param {string} [filter.kind]
+   * @param {string} [filter.status] - 'pending', 'completed' or 'failed'
+   * @returns {Promise<Object[]>}
+   */
+  async entries(filter = {}) {
+    return (await this.store.list()).filter((entry) =>
+      (!filter.kind || entry.kind === filter.kind) &&
+      (!filter.status || entry.status === filter.status)
+    );
+  }
+}
+
+/**
+ * Normalize the `journal` client option: an EudrSubmissionJournal is used
+ * as-is, a plain object is passed to the constructor
+ * @param {EudrSubmissionJournal|Object|undefined} value
+ * @returns {EudrSubmissionJournal|null}
+ */
+function resolveJournal(value) {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof EudrSubmissionJournal) {
+    return value;
+  }
+  if (typeof value === 'object') {
+    return new EudrSubmissionJournal(value);
+  }
+  throw new Error('journal must be an EudrSubmissionJournal or its options object');
+}
+
+module.exports = {
+  EudrSubmissionJournal,
+  MemoryJournalStore,
+  FileJournalStore,
+  resolveJournal,
+  hashRequest,
+  isOutcomeUnknown,
+  JOURNAL_STATUSES
+};
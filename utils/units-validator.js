@@ -0,0 +1,213 @@
+/**
+ * EUDR Units of Measure Validator (V3)
+ *
+ * Client-side port of the units-of-measure business rules enforced by the EUDR
+ * system (economic_operators.md, "Units of Measure"), originally implemented in
+ * EudrSubmissionClientV2. V3 has no TRADE activity, so only the IMPORT/EXPORT
+ * and DOMESTIC rule sets apply. Errors carry the same eudrErrorCode the server
+ * would return in its BusinessRulesValidationException fault.
+ */
+
+const { logger } = require('./logger');
+
+// HS codes (matched on the first 4 digits) that require a specific supplementary unit for IMPORT/EXPORT
+const HS_CODES_WITH_SUPPLEMENTARY_UNITS = {
+  '4011': 'NAR',
+  '4013': 'NAR',
+  '4104': 'NAR',
+  '4403': 'MTQ',
+  '4406': 'MTQ',
+  '4408': 'MTQ',
+  '4410': 'MTQ',
+  '4411': 'MTQ',
+  '4412': 'MTQ',
+  '4413': 'MTQ',
+  '4701': 'KSD',
+  '4702': 'KSD',
+  '4704': 'KSD',
+  '4705': 'KSD'
+};
+
+// Valid supplementary unit types for DOMESTIC activities
+const VALID_SUPPLEMENTARY_UNIT_TYPES = ['KSD', 'MTK', 'MTQ', 'MTR', 'NAR', 'NPR'];
+
+const VALIDATION_MODES = ['strict', 'warn', 'off'];
+
+/**
+ * Get the supplementary unit required for an HS code in IMPORT/EXPORT activities
+ * @param {string} hsHeading - The HS heading code
+ * @returns {string|null} Required supplementary unit type or null
+ */
+function getRequiredSupplementaryUnit(hsHeading) {
+  if (!hsHeading) return null;
+
+  const code = String(hsHeading);
+  if (HS_CODES_WITH_SUPPLEMENTARY_UNITS[code]) {
+    return HS_CODES_WITH_SUPPLEMENTARY_UNITS[code];
+  }
+
+  return code.length >= 4 ? HS_CODES_WITH_SUPPLEMENTARY_UNITS[code.substring(0, 4)] || null : null;
+}
+
+/**
+ * Validate a goods measure for IMPORT/EXPORT activities
+ * @param {Object} measure - The goodsMeasure object
+ * @param {string} hsHeading - The commodity HS heading
+ * @returns {Array<{eudrErrorCode: string, message: string}>} Problems found
+ */
+function validateImportExportUnits(measure, hsHeading) {
+  const issues = [];
+
+  if (measure.percentageEstimationOrDeviation !== undefined) {
+    issues.push({
+      eudrErrorCode: 'EUDR_COMMODITIES_DESCRIPTOR_PERCENTAGE_ESTIMATION_NOT_ALLOWED',
+      message: 'Percentage estimate or deviation not allowed for Import/Export activities.'
+    });
+  }
+
+  if (!measure.netWeight) {
+    issues.push({
+      eudrErrorCode: 'EUDR_COMMODITIES_DESCRIPTOR_NET_MASS_EMPTY',
+      message: 'Net Mass is mandatory for IMPORT or EXPORT activity.'
+    });
+  }
+
+  if (hsHeading) {
+    const requiredSupplementaryUnit = getRequiredSupplementaryUnit(hsHeading);
+
+    if (requiredSupplementaryUnit) {
+      if (!measure.supplementaryUnit || !measure.supplementaryUnitQualifier) {
+        issues.push({
+          eudrErrorCode: 'EUDR_COMMODITIES_DESCRIPTOR_SUPPLEMENTARY_UNIT_MISSING',
+          message: `Supplementary unit is mandatory for HS code ${hsHeading}. Required type: ${requiredSupplementaryUnit}`
+        });
+      } else if (measure.supplementaryUnitQualifier !== requiredSupplementaryUnit) {
+        issues.push({
+          eudrErrorCode: 'EUDR_COMMODITIES_DESCRIPTOR_SUPPLEMENTARY_UNIT_QUALIFIER_NOT_COMPATIBLE',
+          message: `Invalid supplementary unit type for HS code ${hsHeading}. Expected: ${requiredSupplementaryUnit}, got: ${measure.supplementaryUnitQualifier}`
+        });
+      }
+    } else if (measure.supplementaryUnit || measure.supplementaryUnitQualifier) {
+      issues.push({
+        eudrErrorCode: 'EUDR_COMMODITIES_DESCRIPTOR_SUPPLEMENTARY_UNIT_NOT_ALLOWED',
+        message: `Supplementary unit not allowed for HS code ${hsHeading} in Import/Export activities.`
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Validate a goods measure for DOMESTIC activities
+ * @param {Object} measure - The goodsMeasure object
+ * @returns {Array<{eudrErrorCode: string, message: string}>} Problems found
+ */
+function validateDomesticUnits(measure) {
+  const issues = [];
+
+  if (measure.percentageEstimationOrDeviation !== undefined) {
+    const percentage = parseFloat(measure.percentageEstimationOrDeviation);
+    if (isNaN(percentage) || percentage < 0 || percentage > 25) {
+      issues.push({
+        eudrErrorCode: 'EUDR_COMMODITIES_DESCRIPTOR_PERCENTAGE_ESTIMATION_INVALID',
+        message: 'Percentage estimate or deviation must be between 0 and 25 for Domestic activities.'
+      });
+    }
+  }
+
+  if (measure.supplementaryUnitQualifier) {
+    if (!VALID_SUPPLEMENTARY_UNIT_TYPES.includes(measure.supplementaryUnitQualifier)) {
+      issues.push({
+        eudrErrorCode: 'EUDR_COMMODITIES_DESCRIPTOR_SUPPLEMENTARY_UNIT_QUALIFIER_INVALID',
+        message: `Invalid supplementary unit type: ${measure.supplementaryUnitQualifier}. Valid types: ${VALID_SUPPLEMENTARY_UNIT_TYPES.join(', ')}`
+      });
+    }
+    if (!measure.supplementaryUnit) {
+      issues.push({
+        eudrErrorCode: 'EUDR_COMMODITIES_DESCRIPTOR_NUMBER_OF_UNITS_MISSING',
+        message: 'Supplementary unit quantity is required when supplementary unit qualifier is provided.'
+      });
+    }
+  }
+
+  if (measure.supplementaryUnit && !measure.supplementaryUnitQualifier) {
+    issues.push({
+      eudrErrorCode: 'EUDR_COMMODITIES_DESCRIPTOR_SUPPLEMENTARY_UNIT_MISSING',
+      message: 'Supplementary unit qualifier is required when supplementary unit quantity is provided.'
+    });
+  }
+
+  if (!measure.netWeight && !measure.supplementaryUnit) {
+    issues.push({
+      eudrErrorCode: 'EUDR_COMMODITIES_DESCRIPTOR_QUANTITY_MISSING',
+      message: 'At least one unit of measure quantity must be provided for Domestic activities.'
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Validate the units of measure of every commodity in a V3 DDS or SD statement
+ * @param {Object} statement - DDS or SD statement
+ * @param {Object} [options]
+ * @param {string} [options.mode='strict'] - 'strict' throws on the first problem, 'warn' logs every problem, 'off' skips validation
+ * @returns {Array<Error>} Problems found (only returned in 'warn' mode; 'strict' throws instead)
+ * @throws {Error} In 'strict' mode, an error with eudrErrorCode, field and commodityIndex
+ */
+function validateUnitsOfMeasure(statement, options = {}) {
+  const mode = options.mode || 'strict';
+  if (!VALIDATION_MODES.includes(mode)) {
+    throw new Error(`Invalid units validation mode '${mode}'. Allowed: ${VALIDATION_MODES.join(', ')}`);
+  }
+  if (mode === 'off' || !statement || !statement.commodities) {
+    return [];
+  }
+
+  const errors = [];
+  const commodities = Array.isArray(statement.commodities) ? statement.commodities : [statement.commodities];
+
+  commodities.forEach((commodity, commodityIndex) => {
+    if (!commodity || !commodity.descriptors || !commodity.descriptors.goodsMeasure) {
+      return;
+    }
+
+    const measure = commodity.descriptors.goodsMeasure;
+    let issues = [];
+    if (statement.activityType === 'IMPORT' || statement.activityType === 'EXPORT') {
+      issues = validateImportExportUnits(measure, commodity.hsHeading);
+    } else if (statement.activityType === 'DOMESTIC') {
+      issues = validateDomesticUnits(measure);
+    }
+
+    const field = `commodities[${commodityIndex}].descriptors.goodsMeasure`;
+    for (const issue of issues) {
+      const error = new Error(`${field}: ${issue.message}`);
+      error.eudrErrorCode = issue.eudrErrorCode;
+      error.eudrSpecific = true;
+      error.field = field;
+      error.commodityIndex = commodityIndex;
+      errors.push(error);
+    }
+  });
+
+  if (errors.length > 0 && mode === 'strict') {
+    throw errors[0];
+  }
+
+  errors.forEach((error) => {
+    logger.warn({ eudrErrorCode: error.eudrErrorCode, field: error.field }, error.message);
+  });
+  return errors;
+}
+
+module.exports = {
+  validateUnitsOfMeasure,
+  validateImportExportUnits,
+  validateDomesticUnits,
+  getRequiredSupplementaryUnit,
+  HS_CODES_WITH_SUPPLEMENTARY_UNITS,
+  VALID_SUPPLEMENTARY_UNIT_TYPES,
+  VALIDATION_MODES
+};